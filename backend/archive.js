@@ -0,0 +1,107 @@
+/**
+ * Назначение: хранилище данных сессий на диске — каталог на каждую сессию (sessionUID) с JSON-файлами (снимок сессии session.json,
+ *   итоговая классификация results.json) и двоичными (каналы телеметрии игрока channels.bin), чтобы данные оставались доступны
+ *   после окончания сессии и перезапуска сервера.
+ * Параметры: dir — корневой каталог сессий.
+ * Возвращаемые значения: объект { writeJson, readJson, writeBinaryAt, readBinary, findLatest, listSessions }.
+ * Побочные эффекты: создает каталоги сессий и пишет в них файлы.
+ */
+const fs = require('fs');
+const path = require('path');
+
+function createSessionArchive({ dir }) {
+  function sessionDir(sessionUID) {
+    return path.join(dir, String(sessionUID));
+  }
+
+  // Запись через временный файл: оборванная запись не портит предыдущую версию
+  function writeJson(sessionUID, fileName, data) {
+    const target = path.join(sessionDir(sessionUID), fileName);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    const tmp = `${target}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, target);
+  }
+
+  function readJson(sessionUID, fileName) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(sessionDir(sessionUID), fileName), 'utf8'));
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // Двоичный файл растет дописыванием: обрезаем до offset (после отката там могли быть отмененные данные) и пишем bytes
+  function writeBinaryAt(sessionUID, fileName, offset, bytes) {
+    const target = path.join(sessionDir(sessionUID), fileName);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    const fd = fs.openSync(target, fs.existsSync(target) ? 'r+' : 'w');
+    try {
+      fs.ftruncateSync(fd, offset);
+      fs.writeSync(fd, bytes, 0, bytes.length, offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  function readBinary(sessionUID, fileName) {
+    try {
+      return fs.readFileSync(path.join(sessionDir(sessionUID), fileName));
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // Самый свежий (по времени изменения) файл fileName среди всех сессий: { sessionUID, data } или null
+  function findLatest(fileName) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (_) {
+      return null;
+    }
+    let latest = null;
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+      let stat;
+      try {
+        stat = fs.statSync(path.join(dir, entry.name, fileName));
+      } catch (_) {
+        continue;
+      }
+      if (!latest || stat.mtimeMs > latest.mtimeMs) latest = { sessionUID: entry.name, mtimeMs: stat.mtimeMs };
+    }
+    if (!latest) return null;
+    const data = readJson(latest.sessionUID, fileName);
+    return data ? { sessionUID: latest.sessionUID, data } : null;
+  }
+
+  // Файл fileName всех сессий, где он есть, новые (по времени изменения) сверху: [{ sessionUID, data }]
+  function listSessions(fileName) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (_) {
+      return [];
+    }
+    const found = [];
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+      let stat;
+      try {
+        stat = fs.statSync(path.join(dir, entry.name, fileName));
+      } catch (_) {
+        continue;
+      }
+      const data = readJson(entry.name, fileName);
+      if (data) found.push({ sessionUID: entry.name, mtimeMs: stat.mtimeMs, data });
+    }
+    return found.sort((a, b) => b.mtimeMs - a.mtimeMs).map(({ sessionUID, data }) => ({ sessionUID, data }));
+  }
+
+  return { writeJson, readJson, writeBinaryAt, readBinary, findLatest, listSessions };
+}
+
+module.exports = {
+  createSessionArchive
+};
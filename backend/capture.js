@@ -0,0 +1,126 @@
+/**
+ * Назначение: запись сырых UDP-датаграмм F1 25 в сжатые файлы захвата (один файл на sessionUID) и чтение этих файлов обратно.
+ * Формат файла: gzip-поток. Заголовок: магия "F1CAP" (5 байт), версия формата (uint8), sessionUID (uint64), время начала записи (float64, мс epoch).
+ * Далее записи подряд: смещение времени приема от начала файла (uint32, мс), packetId (uint8), frameIdentifier (uint32), длина датаграммы (uint16), байты датаграммы.
+ * Побочные эффекты: создает каталог захватов и файлы в нем.
+ */
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const CAPTURE_MAGIC = 'F1CAP';
+const CAPTURE_VERSION = 1;
+const CAPTURE_HEADER_SIZE = 5 + 1 + 8 + 8;
+const CAPTURE_RECORD_HEADER_SIZE = 4 + 1 + 4 + 2;
+const CAPTURE_EXTENSION = '.f1cap.gz';
+
+function formatFileTimestamp(ms) {
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, '0');
+  return (
+    `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}` +
+    `-${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`
+  );
+}
+
+// Создает рекордер: датаграммы пишутся в файл текущей сессии, при смене sessionUID файл ротируется
+function createCaptureRecorder({ dir }) {
+  let current = null; // { sessionUID, startedAtMs, filePath, stream, fileStream }
+
+  function open(sessionUID) {
+    fs.mkdirSync(dir, { recursive: true });
+    const startedAtMs = Date.now();
+    const fileName = `${formatFileTimestamp(startedAtMs)}_${sessionUID.toString()}${CAPTURE_EXTENSION}`;
+    const filePath = path.join(dir, fileName);
+
+    const stream = zlib.createGzip();
+    const fileStream = fs.createWriteStream(filePath);
+    stream.pipe(fileStream);
+
+    const header = Buffer.alloc(CAPTURE_HEADER_SIZE);
+    header.write(CAPTURE_MAGIC, 0, 'ascii');
+    header.writeUInt8(CAPTURE_VERSION, 5);
+    header.writeBigUInt64LE(sessionUID, 6);
+    header.writeDoubleLE(startedAtMs, 14);
+    stream.write(header);
+
+    current = { sessionUID, startedAtMs, filePath, stream, fileStream };
+    console.log(`Capture: recording session ${sessionUID} to ${filePath}`);
+  }
+
+  // done вызывается, когда gzip-хвост дописан на диск
+  function close(done) {
+    if (!current) {
+      if (done) done();
+      return;
+    }
+    if (done) current.fileStream.on('finish', done);
+    current.stream.end();
+    current = null;
+  }
+
+  // Вызывается из resetSessionState: новый sessionUID — новый файл
+  function startSession(sessionUID) {
+    if (sessionUID == null) return;
+    if (current && current.sessionUID === sessionUID) return;
+    close();
+    open(sessionUID);
+  }
+
+  function write(msg, header, receivedAtMs) {
+    if (!current) open(header.sessionUID);
+
+    const rec = Buffer.alloc(CAPTURE_RECORD_HEADER_SIZE);
+    rec.writeUInt32LE(Math.max(0, receivedAtMs - current.startedAtMs), 0);
+    rec.writeUInt8(header.packetId, 4);
+    rec.writeUInt32LE(header.frameIdentifier, 5);
+    rec.writeUInt16LE(msg.length, 9);
+    current.stream.write(rec);
+    current.stream.write(msg);
+  }
+
+  return {
+    startSession,
+    write,
+    close,
+    get filePath() {
+      return current ? current.filePath : null;
+    }
+  };
+}
+
+// Читает файл захвата целиком; обрезанный хвост (сервер остановлен без закрытия файла) игнорируется
+function readCaptureFile(filePath) {
+  const raw = zlib.gunzipSync(fs.readFileSync(filePath), { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+  if (raw.length < CAPTURE_HEADER_SIZE || raw.toString('ascii', 0, 5) !== CAPTURE_MAGIC) {
+    throw new Error(`Not a capture file: ${filePath}`);
+  }
+  const version = raw.readUInt8(5);
+  if (version !== CAPTURE_VERSION) {
+    throw new Error(`Unsupported capture version ${version}: ${filePath}`);
+  }
+
+  const sessionUID = raw.readBigUInt64LE(6);
+  const startedAtMs = raw.readDoubleLE(14);
+  const records = [];
+
+  let o = CAPTURE_HEADER_SIZE;
+  while (o + CAPTURE_RECORD_HEADER_SIZE <= raw.length) {
+    const t = raw.readUInt32LE(o);
+    const packetId = raw.readUInt8(o + 4);
+    const frameIdentifier = raw.readUInt32LE(o + 5);
+    const length = raw.readUInt16LE(o + 9);
+    o += CAPTURE_RECORD_HEADER_SIZE;
+    if (o + length > raw.length) break;
+    records.push({ t, packetId, frameIdentifier, data: raw.subarray(o, o + length) });
+    o += length;
+  }
+
+  return { sessionUID, startedAtMs, records };
+}
+
+module.exports = {
+  CAPTURE_EXTENSION,
+  createCaptureRecorder,
+  readCaptureFile
+};
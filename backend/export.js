@@ -0,0 +1,281 @@
+/**
+ * Назначение: выгрузка данных сессии для анализа в таблицах — круги игрока (Personal), история кругов каждой машины,
+ *   таблица Race, стинты шин и пит-стопы; CSV (плоская таблица, по строке на круг/машину/стинт/пит-стоп) или JSON (по машинам);
+ *   каналы телеметрии игрока — файлы MoTeC i2 .ld / .ldx (набор motec).
+ *   Живая и архивная сессии выгружаются одинаково: источник — { state, cars, summary, channelLog, lapStartsSec } в форме lapsState,
+ *   личной истории машин и краткого описания сессии.
+ * Параметры: buildExport(source, dataset, format) — dataset из EXPORT_DATASETS, format 'csv' | 'json' (для motec — 'ld' | 'ldx');
+ *   cars — состояния трекеров personal.js ({ carIndex, name, laps }) всех машин, включая ведущего игрока;
+ *   channelLog — журнал каналов motec.js, lapStartsSec — m_sessionTime начала кругов игрока.
+ * Возвращаемые значения: { contentType, body } или null для неизвестного набора/формата.
+ * Побочные эффекты: нет.
+ */
+const tyreMap = require('../public/tyres.json');
+// Площадка и машина в заголовке MoTeC — те же названия трасс и формул, что во фронте
+const nameMap = require('../public/names.json');
+const { buildLd, buildLdx } = require('./motec');
+
+const EXPORT_DATASETS = ['laps', 'car-laps', 'race', 'stints', 'pit-stops', 'motec'];
+
+const SESSION_KIND_LABELS = { race: 'Race', time_attack: 'Practice / Qualifying', time_trial: 'Time Trial' };
+
+const LAP_COLUMNS = [
+  'lapNumber',
+  'lapTimeMs',
+  'sector1TimeMs',
+  'sector2TimeMs',
+  'sector3TimeMs',
+  'deltaMs',
+  'valid',
+  'isBest',
+  'position',
+  'tyre',
+  'tyreVisualCompound',
+  'tyreActualCompound',
+  'tyresAgeLaps',
+  'pitStatus',
+  'pitLaneTimeMs',
+  'numPitStops'
+];
+const CAR_COLUMNS = ['carIndex', 'name', 'isPlayer'];
+const RACE_COLUMNS = [
+  'position',
+  'carIndex',
+  'name',
+  'teamId',
+  'lapNumber',
+  'lapTimeMs',
+  'bestLapTimeMs',
+  'bestLapNum',
+  'gapToCarAheadMs',
+  'gapToLeaderMs',
+  'sector1TimeMs',
+  'sector2TimeMs',
+  'sector3TimeMs',
+  'tyre',
+  'tyreVisualCompound',
+  'tyreActualCompound',
+  'tyresAgeLaps',
+  'stops',
+  'gridPosition',
+  'resultStatus'
+];
+// Итоговая классификация (FinalClassification) — вместо RACE_COLUMNS, когда она есть
+const RESULT_COLUMNS = [
+  'position',
+  'carIndex',
+  'name',
+  'gridPosition',
+  'positionsGained',
+  'numLaps',
+  'resultStatus',
+  'resultReason',
+  'points',
+  'totalRaceTimeMs',
+  'penaltiesTimeSec',
+  'numPenalties',
+  'bestLapTimeMs',
+  'numPitStops',
+  'tyres'
+];
+const STINT_COLUMNS = [
+  'stint',
+  'startLap',
+  'endLap',
+  'laps',
+  'tyre',
+  'tyreVisualCompound',
+  'tyreActualCompound',
+  'startTyresAgeLaps',
+  'bestLapTimeMs',
+  'averageLapTimeMs'
+];
+const PIT_STOP_COLUMNS = ['stop', 'lapNumber', 'pitLaneTimeMs', 'pitStatus', 'tyreBefore', 'tyreAfter', 'tyresAgeLapsBefore'];
+
+// Буква шины (S/M/H/I/W) по визуальному составу, как во фронте
+function tyreLabelOf(visualCompound) {
+  return tyreMap.visual[String(visualCompound)]?.label ?? (visualCompound != null ? String(visualCompound) : null);
+}
+
+// Все машины с историей кругов — из личной истории трекеров
+function carsOf({ state, cars }) {
+  const names = new Map((state.raceCars ?? []).map((c) => [c.carIndex, c.name]));
+  return (cars ?? [])
+    .map((c) => ({
+      carIndex: c.carIndex,
+      name: c.name ?? names.get(c.carIndex),
+      isPlayer: c.carIndex === state.playerCarIndex,
+      laps: c.laps ?? []
+    }))
+    .sort((a, b) => a.carIndex - b.carIndex);
+}
+
+function lapRowOf(lap) {
+  return { ...lap, tyre: tyreLabelOf(lap.tyreVisualCompound) };
+}
+
+// Шины на старте кругов — новый комплект, если сменился состав или возраст шин уменьшился
+function isNewTyreSet(prev, lap) {
+  return (
+    lap.tyreVisualCompound !== prev.tyreVisualCompound ||
+    lap.tyreActualCompound !== prev.tyreActualCompound ||
+    (lap.tyresAgeLaps != null && prev.tyresAgeLaps != null && lap.tyresAgeLaps < prev.tyresAgeLaps)
+  );
+}
+
+// Стинт — подряд идущие круги на одном комплекте
+function stintsOf(laps) {
+  const stints = [];
+  let stint = null;
+  let prev = null;
+  for (const lap of laps) {
+    if (!stint || isNewTyreSet(prev, lap)) {
+      stint = {
+        stint: stints.length + 1,
+        startLap: lap.lapNumber,
+        endLap: lap.lapNumber,
+        laps: 0,
+        tyre: tyreLabelOf(lap.tyreVisualCompound),
+        tyreVisualCompound: lap.tyreVisualCompound ?? null,
+        tyreActualCompound: lap.tyreActualCompound ?? null,
+        startTyresAgeLaps: lap.tyresAgeLaps ?? null,
+        bestLapTimeMs: null,
+        averageLapTimeMs: null,
+        validLapTimesMs: []
+      };
+      stints.push(stint);
+    }
+    stint.endLap = lap.lapNumber;
+    stint.laps += 1;
+    if (lap.valid && lap.lapTimeMs > 0) {
+      stint.validLapTimesMs.push(lap.lapTimeMs);
+      if (stint.bestLapTimeMs == null || lap.lapTimeMs < stint.bestLapTimeMs) stint.bestLapTimeMs = lap.lapTimeMs;
+    }
+    prev = lap;
+  }
+  return stints.map(({ validLapTimesMs, ...s }) => ({
+    ...s,
+    averageLapTimeMs: validLapTimesMs.length
+      ? Math.round(validLapTimesMs.reduce((sum, t) => sum + t, 0) / validLapTimesMs.length)
+      : null
+  }));
+}
+
+// Пит-стоп — круг, на котором машина въехала на пит-лейн. Если пит-лейн пересекает линию финиша, шины меняются уже
+// на следующем круге, поэтому шины после — первый новый комплект до следующего пит-стопа, иначе шины следующего круга
+function pitStopsOf(laps) {
+  const stops = [];
+  laps.forEach((lap, i) => {
+    if (!(lap.pitLaneTimeMs > 0)) return;
+    let next = laps[i + 1];
+    for (let j = i + 1; j < laps.length; j += 1) {
+      if (isNewTyreSet(laps[j - 1], laps[j])) {
+        next = laps[j];
+        break;
+      }
+      if (laps[j].pitLaneTimeMs > 0) break;
+    }
+    stops.push({
+      stop: stops.length + 1,
+      lapNumber: lap.lapNumber,
+      pitLaneTimeMs: lap.pitLaneTimeMs,
+      pitStatus: lap.pitStatus ?? null,
+      tyreBefore: tyreLabelOf(lap.tyreVisualCompound),
+      tyreAfter: next ? tyreLabelOf(next.tyreVisualCompound) : null,
+      tyresAgeLapsBefore: lap.tyresAgeLaps ?? null
+    });
+  });
+  return stops;
+}
+
+// Данные набора: rows — строки CSV (columns — их колонки), json — структура по машинам
+function datasetOf(source, dataset) {
+  const { state } = source;
+  if (dataset === 'laps') {
+    const laps = (state.laps ?? []).map(lapRowOf);
+    return { columns: LAP_COLUMNS, rows: laps, json: { laps } };
+  }
+  if (dataset === 'race') {
+    const cars = (state.raceCars ?? [])
+      .map((c) => ({ ...c, tyre: tyreLabelOf(c.tyreVisualCompound) }))
+      .sort((a, b) => (a.position || Infinity) - (b.position || Infinity));
+    // После финиша CSV — итоговая классификация этой сессии: позиция, статус, очки и общее время
+    const results = state.results?.sessionUID === state.sessionUID ? state.results : null;
+    if (results) {
+      const rows = results.rows.map((r) => ({ ...r, tyres: r.stints.map((st) => tyreLabelOf(st.visualTyreCompound)).join('-') }));
+      return { columns: RESULT_COLUMNS, rows, json: { cars, results } };
+    }
+    return { columns: RACE_COLUMNS, rows: cars, json: { cars, results: null } };
+  }
+
+  const perCar = {
+    'car-laps': { key: 'laps', columns: LAP_COLUMNS, of: (laps) => laps.map(lapRowOf) },
+    stints: { key: 'stints', columns: STINT_COLUMNS, of: stintsOf },
+    'pit-stops': { key: 'pitStops', columns: PIT_STOP_COLUMNS, of: pitStopsOf }
+  }[dataset];
+  if (!perCar) return null;
+  const cars = carsOf(source).map(({ laps, ...car }) => ({ ...car, [perCar.key]: perCar.of(laps) }));
+  return {
+    columns: [...CAR_COLUMNS, ...perCar.columns],
+    rows: cars.flatMap((car) => car[perCar.key].map((row) => ({ ...car, ...row }))),
+    json: { cars }
+  };
+}
+
+function csvCell(value) {
+  if (value == null) return '';
+  if (typeof value === 'object') value = JSON.stringify(value);
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const row of rows) lines.push(columns.map((col) => csvCell(row[col])).join(','));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// Журнал каналов игрока в MoTeC: .ld — данные, .ldx — маяки кругов (i2 ищет его рядом с .ld под тем же именем)
+function motecExportOf(source, format) {
+  const { state, summary, channelLog } = source;
+  if (!channelLog || (format !== 'ld' && format !== 'ldx')) return null;
+  const meta = {
+    startedAt: summary?.startedAt ?? null,
+    driver: summary?.playerName ?? 'Player',
+    vehicle: nameMap.formulas[state.formula] ?? 'F1',
+    venue: nameMap.tracks[state.trackId] ?? (state.trackId != null ? `Track ${state.trackId}` : ''),
+    session: SESSION_KIND_LABELS[state.sessionKind] ?? '',
+    comment: state.sessionUID != null ? `Session ${state.sessionUID}` : '',
+    lapStartsSec: source.lapStartsSec ?? [],
+    bestLapTimeMs: state.bestLapTimeMs,
+    bestLapNumber: state.bestLapNumber
+  };
+  if (format === 'ld') return { contentType: 'application/octet-stream', body: buildLd(channelLog, meta) };
+  return { contentType: 'application/xml; charset=utf-8', body: buildLdx(channelLog, meta) };
+}
+
+function buildExport(source, dataset, format) {
+  if (dataset === 'motec') return motecExportOf(source, format);
+  const data = datasetOf(source, dataset);
+  if (!data) return null;
+  if (format === 'csv') return { contentType: 'text/csv; charset=utf-8', body: toCsv(data.columns, data.rows) };
+  if (format !== 'json') return null;
+
+  const { state } = source;
+  const session = {
+    sessionUID: state.sessionUID != null ? String(state.sessionUID) : null,
+    trackId: state.trackId,
+    sessionType: state.sessionType,
+    sessionKind: state.sessionKind,
+    formula: state.formula,
+    weather: state.weather,
+    totalLaps: state.totalLaps,
+    playerCarIndex: state.playerCarIndex
+  };
+  return {
+    contentType: 'application/json; charset=utf-8',
+    body: JSON.stringify({ session, dataset, exportedAt: new Date().toISOString(), ...data.json }, null, 2)
+  };
+}
+
+module.exports = { EXPORT_DATASETS, buildExport };
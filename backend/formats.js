@@ -0,0 +1,82 @@
+/**
+ * Назначение: раскладки UDP-пакетов по годам игры (m_packetFormat 2023/2024/2025) — размеры пакетов и структур
+ *   и наличие полей, которых нет в старых форматах, чтобы парсеры сервера выдавали одинаковый lapsState для F1 23, F1 24 и F1 25.
+ * Параметры: getPacketLayout(packetFormat); checkPacket(layout, header, size).
+ * Возвращаемые значения: getPacketLayout — раскладка или null (формат не поддерживается);
+ *   checkPacket — null, если пакет можно разбирать, иначе { packetId, packetVersion, size, expectedSize }.
+ * Побочные эффекты: нет.
+ */
+
+const SUPPORTED_PACKET_FORMATS = [2023, 2024, 2025];
+
+// Ожидаемая m_packetVersion: все пакеты во всех трех форматах пока первой версии
+const KNOWN_PACKET_VERSION = 1;
+
+const LAYOUTS = {
+  2023: {
+    packetFormat: 2023,
+    lapData: { size: 50, deltaMinutesParts: false, speedTrap: false },
+    participant: { size: 58, nameLen: 48, liveryColoursOffset: null },
+    carSetup: { size: 49, engineBraking: false },
+    finalClassification: { size: 45, resultReason: false },
+    lobbyInfo: { size: 54, nameLen: 48, telemetryAndTechLevel: false },
+    carDamage: { size: 42, tyreBlisters: false },
+    motionExSize: 188,
+    session: { maxForecastSamples: 56, extendedSettings: false },
+    eventReasons: false, // причина в RTMT и DRSD — с F1 25
+    eventStopGoTime: false, // время отбытого стоп-энд-гоу в SGSV — с F1 24
+    packetSizes: {
+      0: 1349, 1: 644, 2: 1131, 3: 45, 4: 1306, 5: 1107, 6: 1352, 7: 1239, 8: 1020, 9: 1218, 10: 953, 11: 1460, 12: 231, 13: 217
+    }
+  },
+  2024: {
+    packetFormat: 2024,
+    lapData: { size: 57, deltaMinutesParts: true, speedTrap: true },
+    participant: { size: 60, nameLen: 48, liveryColoursOffset: null },
+    carSetup: { size: 50, engineBraking: true },
+    finalClassification: { size: 45, resultReason: false },
+    lobbyInfo: { size: 58, nameLen: 48, telemetryAndTechLevel: true },
+    carDamage: { size: 42, tyreBlisters: false },
+    motionExSize: 208,
+    session: { maxForecastSamples: 64, extendedSettings: true },
+    eventReasons: false,
+    eventStopGoTime: true,
+    packetSizes: {
+      0: 1349, 1: 753, 2: 1285, 3: 45, 4: 1350, 5: 1133, 6: 1352, 7: 1239, 8: 1020, 9: 1306, 10: 953, 11: 1460, 12: 231, 13: 237, 14: 101
+    }
+  },
+  2025: {
+    packetFormat: 2025,
+    lapData: { size: 57, deltaMinutesParts: true, speedTrap: true },
+    participant: { size: 57, nameLen: 32, liveryColoursOffset: 44 },
+    carSetup: { size: 50, engineBraking: true },
+    finalClassification: { size: 46, resultReason: true },
+    lobbyInfo: { size: 42, nameLen: 32, telemetryAndTechLevel: true },
+    carDamage: { size: 46, tyreBlisters: true },
+    motionExSize: 244,
+    session: { maxForecastSamples: 64, extendedSettings: true },
+    eventReasons: true,
+    eventStopGoTime: true,
+    packetSizes: {
+      0: 1349, 1: 753, 2: 1285, 3: 45, 4: 1284, 5: 1133, 6: 1352, 7: 1239, 8: 1042, 9: 954, 10: 1041, 11: 1460, 12: 231, 13: 273, 14: 101,
+      15: 1131
+    }
+  }
+};
+
+function getPacketLayout(packetFormat) {
+  return LAYOUTS[packetFormat] ?? null;
+}
+
+// Пакет неизвестного типа для этого года или другого размера (новая m_packetVersion) не разбираем
+function checkPacket(layout, header, size) {
+  const expectedSize = layout.packetSizes[header.packetId] ?? null;
+  if (expectedSize === size && header.packetVersion === KNOWN_PACKET_VERSION) return null;
+  return { packetId: header.packetId, packetVersion: header.packetVersion, size, expectedSize };
+}
+
+module.exports = {
+  SUPPORTED_PACKET_FORMATS,
+  getPacketLayout,
+  checkPacket
+};
@@ -0,0 +1,247 @@
+/**
+ * Назначение: запись каналов машины игрока с постоянной частотой (скорость, педали, руль, передача, обороты, DRS, температуры шин
+ *   и тормозов, давление в шинах, ERS, топливо, дистанция и время круга, номер круга и сектор) и выгрузка их в формате MoTeC i2:
+ *   файл данных .ld и файл .ldx с маяками начала кругов.
+ * Параметры: createChannelLog(saved) — saved: { snapshot, data } из архива сессии (необязательно); sample(sessionTimeSec, sources) —
+ *   sources: { telemetry, status, lap } машины игрока; trimFrom(sessionTimeSec) — откат при флешбэке;
+ *   buildLd(log, meta) / buildLdx(log, meta) — meta: { startedAt, driver, vehicle, venue, session, comment,
+ *   lapStartsSec (m_sessionTime начала кругов), bestLapTimeMs, bestLapNumber }.
+ * Возвращаемые значения: журнал каналов { sample, trimFrom, toSnapshot, takePending, rows, startSec, rowAt }; buildLd — Buffer, buildLdx — строка XML.
+ * Побочные эффекты: нет.
+ */
+
+const SAMPLE_RATE_HZ = 20;
+
+// Колеса в массивах пакетов идут в порядке RL, RR, FL, FR; в MoTeC — FL, FR, RL, RR
+const WHEELS = [
+  ['FL', 2],
+  ['FR', 3],
+  ['RL', 0],
+  ['RR', 1]
+];
+const perWheel = (name, shortName, unit, pick) =>
+  WHEELS.map(([wheel, i]) => ({ name: `${name} ${wheel}`, shortName: `${shortName}${wheel}`, unit, of: (s) => pick(s)?.[i] }));
+
+const CHANNELS = [
+  { name: 'Ground Speed', shortName: 'Speed', unit: 'km/h', of: (s) => s.telemetry?.speedKph },
+  { name: 'Throttle Pos', shortName: 'Thr', unit: '%', of: (s) => (s.telemetry ? s.telemetry.throttle * 100 : null) },
+  { name: 'Brake Pos', shortName: 'Brk', unit: '%', of: (s) => (s.telemetry ? s.telemetry.brake * 100 : null) },
+  { name: 'Steering Pos', shortName: 'Steer', unit: '%', of: (s) => (s.telemetry ? s.telemetry.steer * 100 : null) },
+  { name: 'Gear', shortName: 'Gear', unit: '', of: (s) => s.telemetry?.gear },
+  { name: 'Engine RPM', shortName: 'RPM', unit: 'rpm', of: (s) => s.telemetry?.engineRPM },
+  { name: 'DRS Active', shortName: 'DRS', unit: '', of: (s) => s.telemetry?.drs },
+  ...perWheel('Tyre Temp Surface', 'TTS', 'C', (s) => s.telemetry?.tyresSurfaceTemperature),
+  ...perWheel('Tyre Temp Inner', 'TTI', 'C', (s) => s.telemetry?.tyresInnerTemperature),
+  ...perWheel('Brake Temp', 'BT', 'C', (s) => s.telemetry?.brakesTemperature),
+  ...perWheel('Tyre Pressure', 'TP', 'psi', (s) => s.telemetry?.tyresPressure),
+  { name: 'ERS Store Energy', shortName: 'ERS', unit: 'MJ', of: (s) => (s.status ? s.status.ersStoreEnergy / 1e6 : null) },
+  { name: 'ERS Deploy Mode', shortName: 'ERSMode', unit: '', of: (s) => s.status?.ersDeployMode },
+  { name: 'Fuel Level', shortName: 'Fuel', unit: 'kg', of: (s) => s.status?.fuelInTank },
+  { name: 'Lap Distance', shortName: 'LapDist', unit: 'm', of: (s) => s.lap?.lapDistance },
+  { name: 'Lap Time', shortName: 'LapTime', unit: 's', of: (s) => (s.lap ? s.lap.currentLapTimeInMS / 1000 : null) },
+  { name: 'Lap Number', shortName: 'Lap', unit: '', of: (s) => s.lap?.currentLapNum },
+  { name: 'Sector', shortName: 'Sector', unit: '', of: (s) => (s.lap ? s.lap.sector + 1 : null) }
+];
+
+function createChannelLog(saved = null) {
+  const width = CHANNELS.length;
+  let startSec = saved?.snapshot?.startSec ?? null; // m_sessionTime первой строки; строка i — startSec + i / SAMPLE_RATE_HZ
+  let rows = 0;
+  let data = new Float32Array(width * 1024);
+  let savedRows = 0; // строк уже на диске; после флешбэка файл переписывается с места отката
+
+  // Снимок из другой версии набора каналов не подходит по ширине строки — начинаем заново
+  if (saved?.data && saved.snapshot?.channels?.length === width) {
+    rows = Math.min(saved.snapshot.rows ?? 0, Math.floor(saved.data.length / width));
+    data = new Float32Array(Math.max(width * 1024, rows * width * 2));
+    data.set(saved.data.subarray(0, rows * width));
+    savedRows = rows;
+  } else {
+    startSec = null;
+  }
+
+  function ensureCapacity(rowCount) {
+    if (rowCount * width <= data.length) return;
+    const grown = new Float32Array(Math.max(rowCount * width, data.length * 2));
+    grown.set(data.subarray(0, rows * width));
+    data = grown;
+  }
+
+  // Строка по сетке частоты: пропуски (сервер не получал пакеты) заполняются последними значениями
+  function sample(sessionTimeSec, sources) {
+    // Запись начинается, когда известны все три источника: иначе первые строки были бы нулями
+    if (!Number.isFinite(sessionTimeSec) || !sources.telemetry || !sources.status || !sources.lap) return;
+    // Первая строка (или первая после отката к самому началу) задает начало сетки
+    if (startSec == null || rows === 0) startSec = sessionTimeSec;
+    const index = Math.round((sessionTimeSec - startSec) * SAMPLE_RATE_HZ);
+    if (index < rows) return;
+    ensureCapacity(index + 1);
+    for (let r = rows; r < index; r += 1) data.copyWithin(r * width, (r - 1) * width, r * width);
+    CHANNELS.forEach((ch, c) => {
+      const value = Number(ch.of(sources));
+      data[index * width + c] = Number.isFinite(value) ? value : 0;
+    });
+    rows = index + 1;
+  }
+
+  function trimFrom(sessionTimeSec) {
+    if (startSec == null || !Number.isFinite(sessionTimeSec)) return;
+    rows = Math.min(rows, Math.max(0, Math.ceil((sessionTimeSec - startSec) * SAMPLE_RATE_HZ)));
+    savedRows = Math.min(savedRows, rows);
+  }
+
+  function toSnapshot() {
+    return { startSec, rateHz: SAMPLE_RATE_HZ, channels: CHANNELS.map((ch) => ch.name), rows };
+  }
+
+  // Несохраненный хвост для архива: { offsetBytes, bytes } — файл обрезается до offsetBytes и дописывается bytes
+  function takePending() {
+    const from = savedRows;
+    savedRows = rows;
+    const slice = data.slice(from * width, rows * width);
+    return { offsetBytes: from * width * 4, bytes: Buffer.from(slice.buffer) };
+  }
+
+  function rowAt(row) {
+    return data.subarray(row * width, (row + 1) * width);
+  }
+
+  return {
+    sample,
+    trimFrom,
+    toSnapshot,
+    takePending,
+    rowAt,
+    get rows() {
+      return rows;
+    },
+    get startSec() {
+      return startSec;
+    }
+  };
+}
+
+// Раскладка .ld (MoTeC i2): заголовок, событие, площадка, машина, затем описания каналов и их данные (float32)
+const HEAD_SIZE = 1762;
+const EVENT_SIZE = 1154;
+const VENUE_SIZE = 1100;
+const VEHICLE_SIZE = 260;
+const CHANNEL_META_SIZE = 124;
+
+function writeText(buf, offset, text, size) {
+  buf.write(String(text ?? '').slice(0, size - 1), offset, size, 'latin1');
+}
+
+function buildLd(log, meta) {
+  const numChannels = CHANNELS.length;
+  const n = log.rows;
+  const eventPtr = HEAD_SIZE;
+  const venuePtr = eventPtr + EVENT_SIZE;
+  const vehiclePtr = venuePtr + VENUE_SIZE;
+  const metaPtr = vehiclePtr + VEHICLE_SIZE;
+  const dataPtr = metaPtr + numChannels * CHANNEL_META_SIZE;
+  const buf = Buffer.alloc(dataPtr + numChannels * n * 4);
+  const date = meta.startedAt ? new Date(meta.startedAt) : new Date();
+  const pad = (v) => String(v).padStart(2, '0');
+
+  buf.writeUInt32LE(0x40, 0);
+  buf.writeUInt32LE(metaPtr, 8);
+  buf.writeUInt32LE(dataPtr, 12);
+  buf.writeUInt32LE(eventPtr, 36);
+  buf.writeUInt16LE(1, 64);
+  buf.writeUInt16LE(0x4240, 66);
+  buf.writeUInt16LE(0xf, 68);
+  buf.writeUInt32LE(0x1f44, 70); // серийный номер устройства
+  writeText(buf, 74, 'ADL', 8); // тип устройства
+  buf.writeUInt16LE(420, 82); // версия устройства
+  buf.writeUInt16LE(0xadb0, 84);
+  buf.writeUInt32LE(numChannels, 86);
+  writeText(buf, 94, `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()}`, 16);
+  writeText(buf, 126, `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`, 16);
+  writeText(buf, 158, meta.driver, 64);
+  writeText(buf, 222, meta.vehicle, 64);
+  writeText(buf, 350, meta.venue, 64);
+  buf.writeUInt32LE(0xc81a4, 1502);
+  writeText(buf, 1572, meta.comment, 64);
+
+  writeText(buf, eventPtr, meta.session, 64);
+  writeText(buf, eventPtr + 64, meta.session, 64);
+  writeText(buf, eventPtr + 128, meta.comment, 1024);
+  buf.writeUInt16LE(venuePtr, eventPtr + 1152);
+
+  writeText(buf, venuePtr, meta.venue, 64);
+  buf.writeUInt16LE(vehiclePtr, venuePtr + 1098);
+
+  writeText(buf, vehiclePtr, meta.vehicle, 64);
+
+  CHANNELS.forEach((ch, c) => {
+    const o = metaPtr + c * CHANNEL_META_SIZE;
+    buf.writeUInt32LE(c > 0 ? o - CHANNEL_META_SIZE : 0, o);
+    buf.writeUInt32LE(c < numChannels - 1 ? o + CHANNEL_META_SIZE : 0, o + 4);
+    buf.writeUInt32LE(dataPtr + c * n * 4, o + 8);
+    buf.writeUInt32LE(n, o + 12);
+    buf.writeUInt16LE(0x2ee1 + c, o + 16);
+    buf.writeUInt16LE(0x07, o + 18); // float
+    buf.writeUInt16LE(4, o + 20); // 4 байта
+    buf.writeUInt16LE(SAMPLE_RATE_HZ, o + 22);
+    buf.writeInt16LE(0, o + 24); // shift
+    buf.writeInt16LE(1, o + 26); // mul
+    buf.writeInt16LE(1, o + 28); // scale
+    buf.writeInt16LE(0, o + 30); // знаков после запятой: 0 — значения float без пересчета
+    writeText(buf, o + 32, ch.name, 32);
+    writeText(buf, o + 64, ch.shortName, 8);
+    writeText(buf, o + 72, ch.unit, 12);
+
+    const base = dataPtr + c * n * 4;
+    for (let r = 0; r < n; r += 1) buf.writeFloatLE(log.rowAt(r)[c], base + r * 4);
+  });
+  return buf;
+}
+
+function formatLapTime(ms) {
+  const minutes = Math.floor(ms / 60000);
+  return `${minutes}:${((ms % 60000) / 1000).toFixed(3).padStart(6, '0')}`;
+}
+
+// .ldx: маяки в микросекундах от начала записи — по одному на старт каждого круга после первого
+function buildLdx(log, meta) {
+  const durationSec = log.rows / SAMPLE_RATE_HZ;
+  const beacons = (meta.lapStartsSec ?? [])
+    .map((t) => t - log.startSec)
+    .filter((t) => t > 0 && t < durationSec)
+    .sort((a, b) => a - b);
+  const markers = beacons
+    .map(
+      (t, i) =>
+        `     <Marker Version="100" ClassName="BCN" Name="Manual.${i + 1}" Flags="77" Time="${(Math.round(t * 1e3) * 1e3).toFixed(3)}"/>`
+    )
+    .join('\n');
+  const details = [['Total Laps', String(beacons.length)]];
+  if (meta.bestLapTimeMs != null) {
+    details.push(['Fastest Time', formatLapTime(meta.bestLapTimeMs)]);
+    details.push(['Fastest Lap', String(meta.bestLapNumber ?? '')]);
+  }
+  return [
+    '<?xml version="1.0"?>',
+    '<LDXFile Locale="English_United States.1252" DefaultLocale="C" Version="1.6">',
+    ' <Layers>',
+    '  <Layer>',
+    '   <MarkerBlock>',
+    '    <MarkerGroup Name="Beacons" Index="3">',
+    markers,
+    '    </MarkerGroup>',
+    '   </MarkerBlock>',
+    '   <RangeBlock/>',
+    '  </Layer>',
+    '  <Details>',
+    ...details.map(([id, value]) => `   <String Id="${id}" Value="${value}"/>`),
+    '  </Details>',
+    ' </Layers>',
+    '</LDXFile>'
+  ]
+    .filter((line) => line !== '')
+    .join('\n')
+    .concat('\n');
+}
+
+module.exports = { createChannelLog, buildLd, buildLdx };
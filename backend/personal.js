@@ -0,0 +1,311 @@
+/**
+ * Назначение: личное состояние одной машины — завершенные круги с секторами, шинами на старте круга и временем в пит-лейне,
+ *   live-круг, лучшие круг/сектора и педали (текущий, предыдущий и лучший круги). Один и тот же трекер ведется для ведущего игрока
+ *   (его состояние лежит в lapsState на верхнем уровне), второго игрока split-screen, машины спектатора и остальных машин.
+ * Параметры: createPersonalTracker(carIndex, saved) — saved: снимок toSnapshot() из архива сессии (необязательно);
+ *   update(lap, { isRaceSession, history, setupId }) — LapData машины, ее SessionHistory (Map lapNum -> круг) и снимок настроек
+ *   (только у ведущего игрока); applyHistory(history) — уточнить завершенные круги по SessionHistory; setCarStatus(carStatus);
+ *   recordPedals(lap, telemetry, nowMs); trimFrom(lapNum) — откат при флешбэке.
+ * Возвращаемые значения: трекер; update() — { lapEntry, isClean } для круга, завершенного этим пакетом (isClean — без нарушений
+ *   даже в гонке), иначе null; toState() — объект для lapsState (laps, currentLap, best*, pedals); toSnapshot() — JSON-совместимое
+ *   состояние для архива сессии.
+ * Побочные эффекты: нет.
+ */
+
+const PEDAL_DISTANCE_STEP_M = 5; // децимация точек педалей по дистанции
+const PEDAL_TIME_STEP_MS = 80; // и по времени
+
+function createPersonalTracker(carIndex, saved = null) {
+  const lapsByNumber = new Map(); // lapNumber -> lapEntry
+  const tyreByLapStart = new Map(); // lapNumber -> { tyreActualCompound, tyreVisualCompound, tyresAgeLaps }
+  const pitLaneByLap = new Map(); // lapNumber -> { timeMs, statusMax } — стинт привязан к кругу въезда
+  let pitStint = null; // { startLapNum, maxTimeMs, statusMax } — пока машина в пит-лейне
+  let currentLapNum = null;
+  let currentLapInvalid = 0;
+  let currentSector1TimeMs = null;
+  let currentSector2TimeMs = null;
+  let carStatus = null;
+  let currentLap = null;
+  let liveLapTimeMs = 0;
+  const bests = { bestLapTimeMs: null, bestLapNumber: null, bestSector1TimeMs: null, bestSector2TimeMs: null, bestSector3TimeMs: null };
+  const pedals = { currentLapNumber: null, current: [], previous: null, best: null, lastDistanceM: null, lastTimestampMs: null };
+
+  const currentTyres = () => ({
+    tyreActualCompound: carStatus?.actualTyreCompound ?? null,
+    tyreVisualCompound: carStatus?.visualTyreCompound ?? null,
+    tyresAgeLaps: carStatus?.tyresAgeLaps ?? null
+  });
+
+  function recompute() {
+    bests.bestLapTimeMs = null;
+    bests.bestLapNumber = null;
+    bests.bestSector1TimeMs = null;
+    bests.bestSector2TimeMs = null;
+    bests.bestSector3TimeMs = null;
+    for (const l of lapsByNumber.values()) {
+      if (!l.valid || l.lapTimeMs == null || l.lapTimeMs <= 0) continue;
+      if (bests.bestLapTimeMs == null || l.lapTimeMs < bests.bestLapTimeMs) {
+        bests.bestLapTimeMs = l.lapTimeMs;
+        bests.bestLapNumber = l.lapNumber;
+      }
+      if (l.sector1TimeMs != null && (bests.bestSector1TimeMs == null || l.sector1TimeMs < bests.bestSector1TimeMs)) bests.bestSector1TimeMs = l.sector1TimeMs;
+      if (l.sector2TimeMs != null && (bests.bestSector2TimeMs == null || l.sector2TimeMs < bests.bestSector2TimeMs)) bests.bestSector2TimeMs = l.sector2TimeMs;
+      if (l.sector3TimeMs != null && (bests.bestSector3TimeMs == null || l.sector3TimeMs < bests.bestSector3TimeMs)) bests.bestSector3TimeMs = l.sector3TimeMs;
+    }
+    for (const l of lapsByNumber.values()) {
+      l.isBest = bests.bestLapTimeMs != null && l.valid && l.lapTimeMs === bests.bestLapTimeMs;
+      l.deltaMs = bests.bestLapTimeMs != null && l.valid && l.lapTimeMs > 0 ? l.lapTimeMs - bests.bestLapTimeMs : null;
+    }
+  }
+
+  // Педали завершенного круга становятся previous (и best, если круг лучший)
+  function finalizePedalLap(finishedLapNum) {
+    if (pedals.current.length) pedals.previous = { lapNumber: finishedLapNum, points: pedals.current.slice() };
+    if (bests.bestLapNumber === finishedLapNum && pedals.current.length) {
+      pedals.best = { lapNumber: finishedLapNum, points: pedals.current.slice() };
+    }
+    pedals.current = [];
+    pedals.currentLapNumber = null;
+    pedals.lastDistanceM = null;
+    pedals.lastTimestampMs = null;
+  }
+
+  function trackPitLane(lap) {
+    if (lap.pitLaneTimerActive === 1) {
+      if (!pitStint) pitStint = { startLapNum: lap.currentLapNum, maxTimeMs: 0, statusMax: 0 };
+      if (lap.pitLaneTimeInLaneInMS > 0) pitStint.maxTimeMs = Math.max(pitStint.maxTimeMs, lap.pitLaneTimeInLaneInMS);
+      if (lap.pitStatus > 0) pitStint.statusMax = Math.max(pitStint.statusMax, lap.pitStatus);
+      return;
+    }
+    if (!pitStint) return;
+    const { startLapNum, maxTimeMs, statusMax } = pitStint;
+    pitStint = null;
+    if (startLapNum == null || maxTimeMs <= 0) return;
+    pitLaneByLap.set(startLapNum, { timeMs: maxTimeMs, statusMax });
+    // Круг уже в истории — дописываем задним числом
+    const entry = lapsByNumber.get(startLapNum);
+    if (entry) {
+      entry.pitLaneTimeMs = maxTimeMs;
+      entry.pitStatus = statusMax;
+    }
+  }
+
+  function update(lap, { isRaceSession, history, setupId = null }) {
+    // Откат по кругам без FLBK (страховка)
+    if (currentLapNum != null && lap.currentLapNum < currentLapNum) trimFrom(lap.currentLapNum);
+
+    if (!tyreByLapStart.has(lap.currentLapNum)) tyreByLapStart.set(lap.currentLapNum, currentTyres());
+    trackPitLane(lap);
+    if (lap.sector1TimeMs != null) currentSector1TimeMs = lap.sector1TimeMs;
+    if (lap.sector2TimeMs != null) currentSector2TimeMs = lap.sector2TimeMs;
+    liveLapTimeMs = lap.currentLapTimeInMS;
+
+    // Завершение круга: номер круга увеличился
+    let finished = null;
+    if (currentLapNum != null && lap.currentLapNum > currentLapNum && lap.lastLapTimeInMS > 0) {
+      const finishedLapNum = currentLapNum;
+      const historyEntry = history?.get(finishedLapNum);
+      const lapTimeMs = historyEntry?.lapTimeMs ?? lap.lastLapTimeInMS;
+      const s1 = historyEntry?.sector1TimeMs ?? currentSector1TimeMs;
+      const s2 = historyEntry?.sector2TimeMs ?? currentSector2TimeMs;
+      let s3 = historyEntry?.sector3TimeMs ?? null;
+      if (s3 == null && s1 != null && s2 != null && lapTimeMs - s1 - s2 >= 0) s3 = lapTimeMs - s1 - s2;
+      const tyre = tyreByLapStart.get(finishedLapNum) ?? currentTyres();
+      const pit = pitLaneByLap.get(finishedLapNum);
+      const lapEntry = {
+        lapNumber: finishedLapNum,
+        lapTimeMs,
+        deltaMs: null,
+        valid: isRaceSession ? true : currentLapInvalid === 0,
+        isBest: false,
+        sector1TimeMs: s1,
+        sector2TimeMs: s2,
+        sector3TimeMs: s3,
+        ...tyre,
+        pitStatus: pit?.statusMax ?? 0,
+        pitLaneTimeMs: pit?.timeMs ?? null,
+        numPitStops: lap.numPitStops,
+        position: lap.carPosition, // позиция на финише круга: LapData, в которой номер круга увеличился
+        setupId
+      };
+      lapsByNumber.set(finishedLapNum, lapEntry);
+      recompute();
+      finalizePedalLap(finishedLapNum);
+      // В гонке все круги валидны, но круг с нарушениями все равно помечаем
+      finished = { lapEntry, isClean: currentLapInvalid === 0 };
+      currentSector1TimeMs = null;
+      currentSector2TimeMs = null;
+    }
+    currentLapNum = lap.currentLapNum;
+    currentLapInvalid = lap.currentLapInvalid;
+
+    // Лучшие сектора подсвечиваются сразу, как только сектор закрыт на валидном круге (в гонке круг всегда валидный);
+    // круг стал невалидным — лучшие снова только по завершенным кругам
+    if (isRaceSession || lap.currentLapInvalid === 0) {
+      if (lap.sector >= 1 && lap.sector1TimeMs != null && (bests.bestSector1TimeMs == null || lap.sector1TimeMs < bests.bestSector1TimeMs)) {
+        bests.bestSector1TimeMs = lap.sector1TimeMs;
+      }
+      if (lap.sector >= 2 && lap.sector2TimeMs != null && (bests.bestSector2TimeMs == null || lap.sector2TimeMs < bests.bestSector2TimeMs)) {
+        bests.bestSector2TimeMs = lap.sector2TimeMs;
+      }
+    } else {
+      recompute();
+    }
+
+    const liveTyre = tyreByLapStart.get(lap.currentLapNum) ?? currentTyres();
+    currentLap = {
+      lapNumber: lap.currentLapNum,
+      lapTimeMs: lap.currentLapTimeInMS,
+      deltaMs: bests.bestLapTimeMs != null ? lap.currentLapTimeInMS - bests.bestLapTimeMs : null,
+      valid: isRaceSession ? true : lap.currentLapInvalid === 0,
+      isBest: false,
+      sector1TimeMs: lap.sector >= 1 ? lap.sector1TimeMs : null,
+      sector2TimeMs: lap.sector >= 2 ? lap.sector2TimeMs : null,
+      sector3TimeMs: null,
+      ...liveTyre,
+      pitStatus: lap.pitStatus,
+      pitLaneTimeMs: lap.pitLaneTimerActive === 1 ? lap.pitLaneTimeInLaneInMS : null,
+      numPitStops: lap.numPitStops,
+      position: lap.carPosition,
+      setupId
+    };
+    return finished;
+  }
+
+  // Сектора завершенных кругов — из SessionHistory, когда в ней есть полный круг (старым значением не дозаполняем)
+  function applyHistory(history) {
+    let changed = false;
+    for (const [lapNum, entry] of history.entries()) {
+      const l = lapsByNumber.get(lapNum);
+      if (!l || entry.lapTimeMs == null) continue;
+      l.lapTimeMs = entry.lapTimeMs;
+      l.sector1TimeMs = entry.sector1TimeMs;
+      l.sector2TimeMs = entry.sector2TimeMs;
+      l.sector3TimeMs = entry.sector3TimeMs;
+      changed = true;
+    }
+    if (changed) recompute();
+    return changed;
+  }
+
+  // CarStatus мог прийти позже LapData на первом круге — дозаполняем снимок шин текущего круга.
+  // Другой состав при том же возрасте шин и без пит-стопа на этом круге — снимок был взят до обновления CarStatus, поправляем
+  function setCarStatus(status) {
+    carStatus = status ?? null;
+    if (currentLapNum == null || !carStatus) return;
+    const existing = tyreByLapStart.get(currentLapNum);
+    const tyres = currentTyres();
+    const compoundsChanged =
+      existing &&
+      (existing.tyreVisualCompound !== tyres.tyreVisualCompound || existing.tyreActualCompound !== tyres.tyreActualCompound);
+    const ageAligned = existing?.tyresAgeLaps != null && tyres.tyresAgeLaps != null && existing.tyresAgeLaps === tyres.tyresAgeLaps;
+    const shouldCorrectSnapshot = compoundsChanged && ageAligned && !pitStint && !pitLaneByLap.has(currentLapNum);
+    if (
+      existing == null ||
+      shouldCorrectSnapshot ||
+      (existing.tyreVisualCompound == null && tyres.tyreVisualCompound != null) ||
+      (existing.tyreActualCompound == null && tyres.tyreActualCompound != null)
+    ) {
+      tyreByLapStart.set(currentLapNum, tyres);
+    }
+  }
+
+  function recordPedals(lap, telemetry, nowMs) {
+    if (!lap || !telemetry || !Number.isFinite(lap.lapDistance) || lap.lapDistance < 0) return false;
+    const throttle = Number.isFinite(telemetry.throttle) ? telemetry.throttle : null;
+    const brake = Number.isFinite(telemetry.brake) ? telemetry.brake : null;
+    if (throttle == null && brake == null) return false;
+    if (pedals.currentLapNumber !== lap.currentLapNum) {
+      pedals.current = [];
+      pedals.currentLapNumber = lap.currentLapNum;
+      pedals.lastDistanceM = null;
+      pedals.lastTimestampMs = null;
+    }
+    const needByDistance = pedals.lastDistanceM == null || lap.lapDistance - pedals.lastDistanceM >= PEDAL_DISTANCE_STEP_M;
+    const needByTime = pedals.lastTimestampMs == null || nowMs - pedals.lastTimestampMs >= PEDAL_TIME_STEP_MS;
+    if (!needByDistance && !needByTime) return false;
+    pedals.current.push({ x: lap.lapDistance, throttle: throttle ?? 0, brake: brake ?? 0 });
+    pedals.lastDistanceM = lap.lapDistance;
+    pedals.lastTimestampMs = nowMs;
+    return true;
+  }
+
+  // Флешбэк на круг lapNum: этот и следующие круги еще не проехали
+  function trimFrom(lapNum) {
+    for (const map of [lapsByNumber, tyreByLapStart, pitLaneByLap]) {
+      for (const n of Array.from(map.keys())) {
+        if (n >= lapNum) map.delete(n);
+      }
+    }
+    pitStint = null;
+    currentLapNum = lapNum;
+    pedals.current = [];
+    pedals.currentLapNumber = null;
+    pedals.lastDistanceM = null;
+    pedals.lastTimestampMs = null;
+    if (pedals.previous && pedals.previous.lapNumber >= lapNum) pedals.previous = null;
+    if (pedals.best && pedals.best.lapNumber >= lapNum) pedals.best = null;
+    recompute();
+  }
+
+  // Завершенные круги, снимки шин, пит-стинты и педали previous/best; live-круг и текущие педали придут с пакетами
+  function toSnapshot() {
+    return {
+      laps: Array.from(lapsByNumber.values()),
+      tyreByLapStart: Array.from(tyreByLapStart.entries()),
+      pitLaneByLap: Array.from(pitLaneByLap.entries()),
+      currentLapNum,
+      currentLapInvalid,
+      currentSector1TimeMs,
+      currentSector2TimeMs,
+      pedals: { previous: pedals.previous, best: pedals.best }
+    };
+  }
+
+  function toState() {
+    return {
+      carIndex,
+      liveLapTimeMs,
+      liveDeltaToBestMs: bests.bestLapTimeMs != null && liveLapTimeMs > 0 ? bests.bestLapTimeMs - liveLapTimeMs : null,
+      ...bests,
+      laps: Array.from(lapsByNumber.values()).sort((a, b) => a.lapNumber - b.lapNumber),
+      currentLap,
+      currentCarStatus: carStatus,
+      pedals: {
+        currentLapNumber: pedals.currentLapNumber,
+        current: pedals.current,
+        previous: pedals.previous,
+        best: pedals.best
+      }
+    };
+  }
+
+  // Продолжение сессии после перезапуска сервера
+  if (saved) {
+    (saved.laps ?? []).forEach((l) => lapsByNumber.set(l.lapNumber, l));
+    (saved.tyreByLapStart ?? []).forEach(([n, tyre]) => tyreByLapStart.set(n, tyre));
+    (saved.pitLaneByLap ?? []).forEach(([n, pit]) => pitLaneByLap.set(n, pit));
+    currentLapNum = saved.currentLapNum ?? null;
+    currentLapInvalid = saved.currentLapInvalid ?? 0;
+    currentSector1TimeMs = saved.currentSector1TimeMs ?? null;
+    currentSector2TimeMs = saved.currentSector2TimeMs ?? null;
+    pedals.previous = saved.pedals?.previous ?? null;
+    pedals.best = saved.pedals?.best ?? null;
+    recompute();
+  }
+
+  return {
+    carIndex,
+    update,
+    applyHistory,
+    setCarStatus,
+    recordPedals,
+    trimFrom,
+    toState,
+    toSnapshot
+  };
+}
+
+module.exports = {
+  createPersonalTracker
+};
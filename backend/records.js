@@ -0,0 +1,130 @@
+/**
+ * Назначение: личные рекорды игрока за все сессии — отдельно по трассе, формуле, семейству шин (визуальный состав:
+ *   soft / medium / hard / inter / wet) и условиям (сухо / мокро). Для каждой комбинации хранятся лучший круг,
+ *   лучшие сектора и теоретический лучший круг (сумма лучших секторов); всё лежит в одном JSON-файле.
+ * Параметры: filePath — файл рекордов.
+ * Возвращаемые значения: объект { getRecord, submitLap, restoreRecord }.
+ * Побочные эффекты: читает файл при создании и перезаписывает его, когда побит хотя бы один рекорд или рекорд откатан.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// weather из Session: 0..2 — без осадков, 3..5 — дождь
+function conditionsOf(weather) {
+  return weather >= 3 ? 'wet' : 'dry';
+}
+
+// Ключ комбинации; null — если трасса или шины еще не известны
+function recordKeyOf({ trackId, formula, tyreVisualCompound, weather }) {
+  if (trackId == null || trackId < 0 || tyreVisualCompound == null) return null;
+  return `${trackId}:${formula ?? 0}:${tyreVisualCompound}:${conditionsOf(weather)}`;
+}
+
+function theoreticalOf(record) {
+  const { sector1TimeMs, sector2TimeMs, sector3TimeMs } = record.bestSectors;
+  if (sector1TimeMs == null || sector2TimeMs == null || sector3TimeMs == null) return null;
+  return sector1TimeMs + sector2TimeMs + sector3TimeMs;
+}
+
+function createPersonalRecordsStore({ filePath }) {
+  const records = new Map(); // key -> запись
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const record of saved?.records ?? []) {
+      if (record?.key) records.set(record.key, record);
+    }
+  } catch (_) {
+    // файла еще нет — начинаем с пустого набора
+  }
+
+  // Запись через временный файл: оборванная запись не портит предыдущую версию
+  function save() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ version: 1, records: Array.from(records.values()) }));
+    fs.renameSync(tmp, filePath);
+  }
+
+  function trySave() {
+    try {
+      save();
+    } catch (err) {
+      console.error(`Personal records: failed to save ${filePath}:`, err.message);
+    }
+  }
+
+  function getRecord(conditions) {
+    const key = recordKeyOf(conditions);
+    return key ? records.get(key) ?? null : null;
+  }
+
+  // Круг сравнивается с рекордом круга и каждого сектора. Возвращает { record, improved, previous } или null,
+  // если для круга нет ключа; improved — список побитых рекордов ('lap', 'sector1'..'sector3', 'theoretical').
+  function submitLap(lap) {
+    const key = recordKeyOf(lap);
+    if (!key || !(lap.lapTimeMs > 0)) return null;
+
+    const existing = records.get(key);
+    const previous = existing ? { ...existing, bestSectors: { ...existing.bestSectors } } : null;
+    const record = existing ?? {
+      key,
+      trackId: lap.trackId,
+      formula: lap.formula ?? 0,
+      tyreVisualCompound: lap.tyreVisualCompound,
+      conditions: conditionsOf(lap.weather),
+      bestLapTimeMs: null,
+      bestLap: null,
+      bestSectors: { sector1TimeMs: null, sector2TimeMs: null, sector3TimeMs: null },
+      theoreticalBestMs: null
+    };
+
+    const source = { sessionUID: lap.sessionUID, lapNumber: lap.lapNumber, setAt: new Date().toISOString() };
+    const improved = [];
+    if (record.bestLapTimeMs == null || lap.lapTimeMs < record.bestLapTimeMs) {
+      record.bestLapTimeMs = lap.lapTimeMs;
+      record.bestLap = {
+        ...source,
+        sector1TimeMs: lap.sector1TimeMs ?? null,
+        sector2TimeMs: lap.sector2TimeMs ?? null,
+        sector3TimeMs: lap.sector3TimeMs ?? null
+      };
+      improved.push('lap');
+    }
+    for (const [name, field] of [
+      ['sector1', 'sector1TimeMs'],
+      ['sector2', 'sector2TimeMs'],
+      ['sector3', 'sector3TimeMs']
+    ]) {
+      const value = lap[field];
+      if (!(value > 0)) continue;
+      const best = record.bestSectors[field];
+      if (best == null || value < best) {
+        record.bestSectors[field] = value;
+        improved.push(name);
+      }
+    }
+    const theoretical = theoreticalOf(record);
+    if (theoretical != null && (record.theoreticalBestMs == null || theoretical < record.theoreticalBestMs)) {
+      record.theoreticalBestMs = theoretical;
+      improved.push('theoretical');
+    }
+
+    if (improved.length) {
+      records.set(key, record);
+      trySave();
+    }
+    return { record, improved, previous };
+  }
+
+  // Откат рекорда к previous из submitLap (null — комбинации до этого круга не было): круг отменил флешбэк
+  function restoreRecord(key, previous) {
+    if (previous) records.set(key, previous);
+    else records.delete(key);
+    trySave();
+  }
+
+  return { getRecord, submitLap, restoreRecord };
+}
+
+module.exports = { createPersonalRecordsStore };
@@ -0,0 +1,141 @@
+/**
+ * Назначение: воспроизведение файла захвата через те же обработчики пакетов, что и live UDP, с исходными интервалами между пакетами.
+ * Параметры: records (записи из readCaptureFile), dispatch(data, silent) — обработка одной датаграммы (silent = без рассылки клиентам),
+ *   reset() — сброс состояния сессии перед перемоткой назад, broadcast() — разослать текущее состояние, lapOf(record) — номер круга игрока в записи LapData или null,
+ *   onStatus(status) — уведомление о состоянии плеера.
+ * Возвращаемые значения: объект управления { play, pause, setSpeed, seekToLap, seekToEnd, getStatus }.
+ * Побочные эффекты: таймер воспроизведения, вызовы dispatch/broadcast.
+ */
+const REPLAY_MIN_SPEED = 0.25;
+const REPLAY_MAX_SPEED = 16;
+const REPLAY_TICK_MS = 20;
+const REPLAY_STATUS_INTERVAL_MS = 500;
+
+function createReplayPlayer({ records, fileName, dispatch, reset, broadcast, lapOf, onStatus }) {
+  const durationMs = records.length ? records[records.length - 1].t : 0;
+
+  // Время первого появления каждого круга игрока (для перемотки к кругу N)
+  const lapStartMs = new Map(); // lapNumber -> t
+  for (const rec of records) {
+    const lap = lapOf(rec);
+    if (lap != null && lap > 0 && !lapStartMs.has(lap)) lapStartMs.set(lap, rec.t);
+  }
+
+  let positionMs = 0;
+  let nextIndex = 0;
+  let playing = false;
+  let speed = 1;
+  let timer = null;
+  let lastTickAt = null;
+  let lastStatusAt = 0;
+  let currentLap = null;
+
+  function getStatus() {
+    return {
+      active: true,
+      fileName,
+      playing,
+      speed,
+      positionMs,
+      durationMs,
+      lapNumber: currentLap,
+      laps: Array.from(lapStartMs.keys()).sort((a, b) => a - b)
+    };
+  }
+
+  function emitStatus() {
+    lastStatusAt = Date.now();
+    onStatus(getStatus());
+  }
+
+  // Обработать все записи до targetMs включительно
+  function dispatchUntil(targetMs, silent) {
+    while (nextIndex < records.length && records[nextIndex].t <= targetMs) {
+      const rec = records[nextIndex];
+      const lap = lapOf(rec);
+      if (lap != null && lap > 0) currentLap = lap;
+      dispatch(rec.data, silent);
+      nextIndex += 1;
+    }
+  }
+
+  function stopTimer() {
+    if (timer) clearInterval(timer);
+    timer = null;
+    lastTickAt = null;
+  }
+
+  function tick() {
+    const now = Date.now();
+    if (lastTickAt != null) positionMs = Math.min(durationMs, positionMs + (now - lastTickAt) * speed);
+    lastTickAt = now;
+    dispatchUntil(positionMs, false);
+
+    if (nextIndex >= records.length) {
+      playing = false;
+      stopTimer();
+      emitStatus();
+      return;
+    }
+    if (now - lastStatusAt >= REPLAY_STATUS_INTERVAL_MS) emitStatus();
+  }
+
+  function play() {
+    if (playing) return;
+    if (nextIndex >= records.length) return;
+    playing = true;
+    lastTickAt = Date.now();
+    timer = setInterval(tick, REPLAY_TICK_MS);
+    emitStatus();
+  }
+
+  function pause() {
+    if (!playing) return;
+    playing = false;
+    stopTimer();
+    emitStatus();
+  }
+
+  function setSpeed(value) {
+    const v = Number(value);
+    if (!Number.isFinite(v)) return;
+    speed = Math.max(REPLAY_MIN_SPEED, Math.min(REPLAY_MAX_SPEED, v));
+    emitStatus();
+  }
+
+  // Перемотка: назад — через полный сброс и быстрый прогон с начала, вперед — быстрый прогон от текущей позиции.
+  // Состояние сессии накопительное, поэтому другого способа получить его "на момент t" нет.
+  function seekToMs(targetMs) {
+    const target = Math.max(0, Math.min(durationMs, targetMs));
+    if (target < positionMs) {
+      reset();
+      nextIndex = 0;
+      currentLap = null;
+    }
+    dispatchUntil(target, true);
+    positionMs = target;
+    if (playing) lastTickAt = Date.now();
+    if (nextIndex >= records.length) {
+      playing = false;
+      stopTimer();
+    }
+    broadcast();
+    emitStatus();
+  }
+
+  function seekToLap(lapNumber) {
+    const t = lapStartMs.get(Number(lapNumber));
+    if (t == null) return;
+    seekToMs(t);
+  }
+
+  function seekToEnd() {
+    seekToMs(durationMs);
+  }
+
+  return { play, pause, setSpeed, seekToLap, seekToEnd, getStatus };
+}
+
+module.exports = {
+  createReplayPlayer
+};
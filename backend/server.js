@@ -1,14 +1,34 @@
 /**
  * Назначение: прием UDP-пакетов F1 25, разбор необходимых структур, формирование агрегированного состояния и передача его по WebSocket клиентам; раздача статических файлов из каталога public.
- * Параметры среды: HTTP_PORT (число, обязательный), UDP_PORT (число, обязательный), DEMO (строка "1" включает демо-режим).
+ * Параметры среды: HTTP_PORT (число, обязательный), UDP_PORT (число, обязательный), DEMO (строка "1" включает демо-режим),
+ *   DEMO_SCENARIO (сценарий симулятора: имя из backend/scenarios/ или путь к JSON, по умолчанию default),
+ *   DEMO_SESSION_TYPE (m_sessionType сессии симулятора, перекрывает значение из сценария),
+ *   DEMO_PACKET_FORMAT (m_packetFormat пакетов симулятора: 2025 по умолчанию, 2023/2024 — раскладка F1 23/24),
+ *   CROSSOVER_HORIZON_MIN (горизонт совета по смене типа шин по прогнозу погоды, минут, по умолчанию 15),
+ *   RECORD (строка "1" включает запись сырых UDP-пакетов в файлы захвата), CAPTURE_DIR (каталог для файлов захвата, по умолчанию captures/),
+ *   REPLAY (путь к файлу захвата; включает воспроизведение вместо приема UDP),
+ *   DATA_DIR (каталог данных сервера, по умолчанию data/; контуры трасс для карты кэшируются в data/tracks/, данные сессий — в data/sessions/<sessionUID>/, личные рекорды — в data/records.json),
+ *   SESSION_RESTORE_MAX_AGE_MIN (насколько старый снимок последней сессии восстанавливается при старте, минут, по умолчанию 30).
  * Возвращаемые значения: отсутствуют.
- * Побочные эффекты: открывает HTTP/WebSocket сервер, создает UDP-сокет при отключенном демо, периодически отправляет состояние всем подключенным WebSocket-клиентам.
+ * Побочные эффекты: открывает HTTP/WebSocket сервер, создает UDP-сокет (в демо-режиме на него же шлет пакеты симулятор), периодически отправляет состояние всем подключенным WebSocket-клиентам;
+ *   в режиме записи пишет файлы захвата (по одному на sessionUID); сохраняет выученные контуры трасс, итоговую классификацию сессий и личные рекорды.
  */
 const http = require('http');
 const path = require('path');
 const fs = require('fs');
 const dgram = require('dgram');
 const { WebSocketServer } = require('ws');
+const { createCaptureRecorder, readCaptureFile } = require('./capture');
+const { createReplayPlayer } = require('./replay');
+const { startSimulator, loadScenario } = require('./simulator');
+const { createTrackOutlineStore } = require('./trackmap');
+const { createSessionArchive } = require('./archive');
+const { adviseTyreCrossover } = require('./weather');
+const { SUPPORTED_PACKET_FORMATS, getPacketLayout, checkPacket } = require('./formats');
+const { createPersonalTracker } = require('./personal');
+const { createPersonalRecordsStore } = require('./records');
+const { EXPORT_DATASETS, buildExport } = require('./export');
+const { createChannelLog } = require('./motec');
 
 // Простые константы конфигурации
 const HTTP_PORT = 8080; // Порт для веб-интерфейса и WebSocket
@@ -16,9 +36,44 @@ const UDP_PORT = 20777; // Стандартный порт телеметрии
 
 const publicDir = path.join(__dirname, '..', 'public');
 const DEMO_MODE = process.env.DEMO === '1' || process.argv.includes('--demo');
+const DEMO_SESSION_TYPE = process.env.DEMO_SESSION_TYPE ? Number(process.env.DEMO_SESSION_TYPE) : null; // перекрывает sessionType сценария
+const DEMO_SCENARIO = process.env.DEMO_SCENARIO || 'default'; // имя из backend/scenarios/ или путь к JSON
+const DEMO_PACKET_FORMAT = Number(process.env.DEMO_PACKET_FORMAT) || 2025; // год игры, под который симулятор собирает пакеты
+const RECORD_MODE = process.env.RECORD === '1' || process.argv.includes('--record');
+const CAPTURE_DIR = process.env.CAPTURE_DIR || path.join(__dirname, '..', 'captures');
+const REPLAY_FILE = (() => {
+  const argIdx = process.argv.indexOf('--replay');
+  if (argIdx >= 0 && process.argv[argIdx + 1]) return process.argv[argIdx + 1];
+  return process.env.REPLAY || null;
+})();
+
+// Данные сервера на диске: контуры трасс и архив сессий
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+// Горизонт советника по смене шин: предупреждать о переходе на интеры/дождевые за столько минут
+const CROSSOVER_HORIZON_MIN = process.env.CROSSOVER_HORIZON_MIN ? Number(process.env.CROSSOVER_HORIZON_MIN) : 15;
+const trackOutlineStore = createTrackOutlineStore({ dir: path.join(DATA_DIR, 'tracks') });
+const sessionArchive = createSessionArchive({ dir: path.join(DATA_DIR, 'sessions') });
+// Личные рекорды игрока за все сессии (по трассе, формуле, шинам и условиям)
+const personalRecords = createPersonalRecordsStore({ filePath: path.join(DATA_DIR, 'records.json') });
+// Рекорды, побитые в текущей сессии, — для отката флешбэком: { sessionTimeSec, key, previous }
+const recordSubmissions = [];
+// Снимок текущей сессии (session.json) пишется не чаще этого интервала и сразу при смене sessionUID
+const SESSION_SAVE_INTERVAL_MS = 5000;
+const SESSION_ARCHIVE_VERSION = 1;
+// После перезапуска сервера продолжаем сессию из архива, если ее снимок не старше стольких минут
+const SESSION_RESTORE_MAX_AGE_MIN = process.env.SESSION_RESTORE_MAX_AGE_MIN ? Number(process.env.SESSION_RESTORE_MAX_AGE_MIN) : 30;
+// Итоги последней завершенной сессии: остаются видны после ее окончания и перезапуска сервера
+let lastResults = sessionArchive.findLatest('results.json')?.data ?? null;
+
+// Запись сырых датаграмм (только в режиме записи)
+const captureRecorder = RECORD_MODE ? createCaptureRecorder({ dir: CAPTURE_DIR }) : null;
 
 // Создание HTTP-сервера, обслуживающего статические файлы из publicDir
 const server = http.createServer((req, res) => {
+  if (req.url.startsWith('/api/')) {
+    handleApiRequest(req, res);
+    return;
+  }
   const urlPath = req.url === '/' ? '/index.html' : req.url;
   const filePath = path.join(publicDir, urlPath);
 
@@ -39,22 +94,129 @@ const server = http.createServer((req, res) => {
   });
 });
 
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(data));
+}
+
+// Выгрузка набора данных файлом: имя вида <dataset>.<csv|json>; source — { state, cars } живой или архивной сессии
+function sendExport(res, source, fileName) {
+  const [dataset, format] = fileName.split('.');
+  const exported = EXPORT_DATASETS.includes(dataset) ? buildExport(source, dataset, format) : null;
+  if (!exported) {
+    sendJson(res, 404, { error: `Unknown export ${fileName}` });
+    return;
+  }
+  const sessionUID = source.state.sessionUID ?? 'live';
+  res.writeHead(200, {
+    'Content-Type': exported.contentType,
+    'Content-Disposition': `attachment; filename="session-${sessionUID}-${dataset}.${format}"`
+  });
+  res.end(exported.body);
+}
+
+// HTTP API архива сессий: /api/sessions — список, /api/sessions/<sessionUID> — сессия целиком для просмотра;
+// выгрузка: /api/export/<dataset>.<csv|json> — текущая сессия, /api/sessions/<sessionUID>/export/<dataset>.<csv|json> — архивная
+function handleApiRequest(req, res) {
+  const parts = new URL(req.url, 'http://localhost').pathname.split('/').filter(Boolean);
+  if (parts[1] === 'export' && parts.length === 3) {
+    sendExport(
+      res,
+      {
+        state: lapsState,
+        cars: Array.from(carTrackers.keys(), trackerStateOf),
+        summary: summarizeSession(),
+        channelLog,
+        lapStartsSec: Array.from(lapStartTimeByCarIndex.get(lapsState.playerCarIndex)?.values() ?? [])
+      },
+      parts[2]
+    );
+    return;
+  }
+  if (parts[1] === 'sessions' && parts.length === 5 && /^\d+$/.test(parts[2]) && parts[3] === 'export') {
+    const session = loadArchivedSession(parts[2], { withChannels: parts[4].startsWith('motec.') });
+    if (session) sendExport(res, session, parts[4]);
+    else sendJson(res, 404, { error: `Session ${parts[2]} not found` });
+    return;
+  }
+  if (parts[1] === 'sessions' && parts.length === 2) {
+    sendJson(res, 200, sessionArchive.listSessions('summary.json').map(({ data }) => data));
+    return;
+  }
+  // sessionUID — только цифры: из URL не должен получиться путь вне каталога архива
+  if (parts[1] === 'sessions' && parts.length === 3 && /^\d+$/.test(parts[2])) {
+    const session = loadArchivedSession(parts[2]);
+    if (session) sendJson(res, 200, session);
+    else sendJson(res, 404, { error: `Session ${parts[2]} not found` });
+    return;
+  }
+  sendJson(res, 404, { error: 'Not found' });
+}
+
 // Инициализация WebSocket-сервера, использующего общий HTTP-сервер
 const wss = new WebSocketServer({ server });
 
+// Плеер файла захвата (только в режиме воспроизведения)
+let replayPlayer = null;
+
+wss.on('connection', (ws) => {
+  // Новому клиенту сразу отдаем текущее состояние (в паузе воспроизведения рассылок нет)
+  ws.followedCarIndex = null; // машина, выбранная этим клиентом в таблице Race (см. handleFollowCar)
+  ws.send(stateMessageOf(null));
+  if (replayPlayer) ws.send(JSON.stringify({ type: 'replay_state', payload: replayPlayer.getStatus() }));
+
+  ws.on('message', (data) => {
+    let msg = null;
+    try {
+      msg = JSON.parse(String(data));
+    } catch (_) {
+      return;
+    }
+    if (msg?.type === 'replay_control') handleReplayControl(msg);
+    if (msg?.type === 'follow_car') handleFollowCar(ws, msg);
+  });
+});
+
 // Состояние, которое отправляется во фронт (laps/race/car вкладки)
 let lapsState = {
   liveLapTimeMs: 0,
   liveDeltaToBestMs: null,
+  liveDeltaToRecordMs: null,
   bestLapTimeMs: null,
   bestLapNumber: null,
   bestSector1TimeMs: null,
   bestSector2TimeMs: null,
   bestSector3TimeMs: null,
   isConnected: false,
-  laps: [], // { lapNumber, lapTimeMs, deltaMs, valid, isBest, sector1TimeMs, sector2TimeMs, sector3TimeMs }
+  laps: [], // { lapNumber, lapTimeMs, deltaMs, valid, isBest, sector1TimeMs, sector2TimeMs, sector3TimeMs, position, ... }
   marshallingZones: [], // { zoneStart, zoneFlag }
   safetyCarStatus: 0, // 0 = none, 1 = SC, 2 = VSC, 3 = formation
+  events: [], // журнал race control: { id, code, sessionTimeSec, lapNumber, carIndex, driverName, otherCarIndex, otherDriverName, ...детали события }
+  lastFlashback: null, // { sessionTimeSec, frameIdentifier, count } — последний откат состояния
+  trackOutline: null, // { trackId, trackLengthM, stepM, coverage, points: [[x, z] | null] } — контур трассы для карты
+  carPositions: [], // { carIndex, x, z } — мировые координаты машин из Motion
+  tyreSets: null, // { carIndex, fittedIdx, sets: [TyreSetData] } — комплекты шин игрока
+  sessionUID: null, // строкой: uint64 не помещается в JSON-число
+  results: lastResults, // итоговая классификация (Final Classification) текущей или последней завершенной сессии
+  setups: { currentId: null, snapshots: [] }, // снимки настроек игрока: { id, capturedOnLap, firstLapNumber, lapCount, bestLapTimeMs, bestLapNumber, setup }
+  lapPositions: { numLaps: 0, cars: [] }, // позиции по кругам: { carIndex, name, teamColour, isPlayer, gridPosition, positions: [pos | null], pitLaps: [lapNum] }
+  timeTrial: null, // { sessionBest, personalBest, rival } — круги Time Trial (TimeTrialDataSet или null, если круга нет)
+  lobby: null, // { players: [LobbyInfoData] } — онлайн-лобби до начала сессии; сбрасывается первым Session-пакетом
+  telemetryFormat: null, // { packetFormat, gameYear, gameVersion, supported, supportedFormats, packetErrors: [{ packetId, packetVersion, size, expectedSize }] }
+  secondaryPlayer: null, // второй игрок split-screen: { carIndex, name, teamColour, laps, currentLap, best*, currentCarStatus, pedals } (см. personal.js) или null
+  followedCar: null, // машина, за которой следуют личные панели вместо игрока: то же, что secondaryPlayer, + source ('spectator'; 'pick' — в копии для клиента, выбравшего машину в Race), или null
+  personalRecord: null, // рекорд игрока за все сессии для текущих трассы, формулы, шин и условий (см. records.js) или null
+  recordBroken: null, // последний побитый рекорд: { id, improved, lapNumber, lapTimeMs, previousLapTimeMs, record, sessionTimeSec } или null
+  weatherForecast: null, // { accuracy, samples: [WeatherForecastSample] } — прогноз погоды из Session
+  tyreCrossover: null, // совет по смене типа шин по прогнозу (см. weather.js) или null
+  pitStopWindow: null, // { idealLap, latestLap, rejoinPosition } — окно пит-стопа по оценке игры (null — не задано)
+  assists: null, // ассисты ведущего игрока из Session
+  sessionSettings: null, // сложность AI, режим игры, правила, настройки реализма и т.п. из Session
+  safetyCarPeriods: null, // { safetyCar, virtualSafetyCar, redFlag } — сколько раз за сессию
+  weekend: null, // { seasonLinkId, weekendLinkId, sessionLinkId, sessionTypes: [sessionType] } — структура уик-энда
+  currentMotionEx: null, // последний PacketMotionExData игрока (углы в градусах, высоты аэро в мм)
+  motionEx: { currentLapNumber: null, current: [], previous: null }, // трассы MotionEx игрока по дистанции
+  slipEvents: [], // { lapNumber, lockups, wheelspins, events: [{ type, wheel, distanceM, lengthM, peakSlipRatio }] }
   pedals: {
     trackLengthM: null,
     currentLapNumber: null,
@@ -64,47 +226,78 @@ let lapsState = {
   }
 };
 
-// Внутреннее состояние игрока, используемое для фиксации завершения круга и валидности данных
+// Внутреннее состояние игрока; круги, шины, пит-лейн и педали ведет его трекер из personal.js (см. carTrackers)
 const playerState = {
   sessionUID: null,
-  currentLapNum: null,
-  currentLapInvalid: 0,
-  currentSector1TimeMs: null,
-  currentSector2TimeMs: null,
-
-  // Tyres (из Packet Car Status)
-  currentTyreActualCompound: null,
-  currentTyreVisualCompound: null,
-  currentTyresAgeLaps: null,
-
-  // Pit lane stint tracking (может пересекать линию старта/финиша)
-  pitLaneActive: false,
-  pitLaneStartLapNum: null,
-  pitLaneMaxTimeMs: 0,
-  pitLanePitStatusMax: 0
+
+  // Car setup (из Packet Car Setups): id текущего снимка в setupSnapshots
+  currentSetupId: null
 };
 
 // Константы протокола F1 25 UDP
+const PACKET_ID_MOTION = 0;
 const PACKET_ID_SESSION = 1;
 const PACKET_ID_LAP_DATA = 2;
+const PACKET_ID_EVENT = 3;
 const PACKET_ID_PARTICIPANTS = 4;
+const PACKET_ID_CAR_SETUPS = 5;
 const PACKET_ID_CAR_TELEMETRY = 6;
 const PACKET_ID_SESSION_HISTORY = 11;
 const PACKET_ID_CAR_STATUS = 7;
+const PACKET_ID_FINAL_CLASSIFICATION = 8;
+const PACKET_ID_LOBBY_INFO = 9;
 const PACKET_ID_CAR_DAMAGE = 10;
+const PACKET_ID_TYRE_SETS = 12;
+const PACKET_ID_MOTION_EX = 13;
+const PACKET_ID_TIME_TRIAL = 14;
+const PACKET_ID_LAP_POSITIONS = 15;
 const HEADER_SIZE = 29; // Размер PacketHeader в байтах
 const NUM_CARS = 22; // cs_maxNumCarsInUDPData
-const LAP_DATA_SIZE = 57; // Размер структуры LapData (по спецификации)
 const CAR_STATUS_DATA_SIZE = 55; // (1239 - 29) / 22 = 55
 const CAR_TELEMETRY_DATA_SIZE = 60; // (1352 - 29 - 3) / 22 = 60
-const PARTICIPANT_DATA_SIZE = 57; // (1284 - 29 - 1) / 22 = 57 (см. Participants - 1284 bytes)
 const LAP_HISTORY_DATA_SIZE = 14; // Session History LapHistoryData size
-const CAR_DAMAGE_DATA_SIZE = 46; // (1041 - 29) / 22 = 46
+const CAR_MOTION_DATA_SIZE = 60; // (1349 - 29) / 22 = 60
+const MOTION_EX_WHEELS = ['RL', 'RR', 'FL', 'FR']; // порядок колес в массивах MotionEx
+const MOTION_EX_TRACE_STEP_M = 10; // шаг точек трасс подвески/проскальзывания по дистанции круга
+const SLIP_LOCKUP_RATIO = -0.2; // колесо крутится на 20% медленнее машины — блокировка
+const SLIP_WHEELSPIN_RATIO = 0.2; // на 20% быстрее — пробуксовка
+const SLIP_EVENT_MIN_SPEED_MS = 5; // на меньшей скорости (старт с места, боксы) проскальзывание не считаем
+const MAX_TYRE_STINTS = 8; // массивы стинтов в FinalClassificationData
+const TYRE_SET_DATA_SIZE = 10; // (231 - 29 - 2) / 20 = 10
+const NUM_TYRE_SETS = 20; // 13 сухих + 7 дождевых комплектов
+const TIME_TRIAL_DATA_SET_SIZE = 24; // (101 - 29) / 3 = 24
+const MAX_LAPS_IN_LAP_POSITIONS = 50; // кругов в одном PacketLapPositionsData, длинные гонки приходят страницами (m_lapStart)
+const MAX_MARSHAL_ZONES = 21; // массив marshalZones в PacketSessionData всегда на 21 элемент
+const WEATHER_FORECAST_SAMPLE_SIZE = 8;
+const MAX_SESSIONS_IN_WEEKEND = 12;
+const EVENT_CODE_LEN = 4; // m_eventStringCode
+const EVENT_LOG_MAX = 300; // сколько последних событий хранить в журнале race control
+const FLASHBACK_MIN_REGRESSION_SEC = 0.5; // меньший откат sessionTime — переупорядоченные UDP-пакеты, а не флешбэк
 const PEDAL_DISTANCE_STEP = 5; // метры для децимации точек педалей
 const PEDAL_TIME_STEP_MS = 80; // минимальный шаг по времени между точками
 
+// Размеры структур, зависящие от года игры (LapData, Participants, CarSetups, ...), берутся из раскладки
+// текущего потока — по m_packetFormat последнего пакета (см. formats.js)
+let packetLayout = getPacketLayout(2025);
+
+// Цвета команд для F1 23/24: цвета ливрей в Participants появились только в F1 25
+const DEFAULT_TEAM_COLOURS = [
+  { r: 39, g: 244, b: 210 }, // Mercedes
+  { r: 232, g: 0, b: 45 }, // Ferrari
+  { r: 54, g: 113, b: 198 }, // Red Bull Racing
+  { r: 100, g: 196, b: 255 }, // Williams
+  { r: 34, g: 153, b: 113 }, // Aston Martin
+  { r: 0, g: 147, b: 204 }, // Alpine
+  { r: 102, g: 146, b: 255 }, // RB
+  { r: 182, g: 186, b: 189 }, // Haas
+  { r: 255, g: 128, b: 0 }, // McLaren
+  { r: 82, g: 226, b: 82 } // Sauber
+];
+
 // Переменные из пакета Participants
 let numActiveCars = null; // from PacketParticipantsData.m_numActiveCars
+let sessionEventSeq = 0; // сквозной id событий журнала race control
+let lastSessionTimeSec = null; // m_sessionTime последнего пакета (для обнаружения флешбэка)
 
 // Лучшие секторы и круг по всей сессии
 let raceBestSector1TimeMs = null;
@@ -117,27 +310,27 @@ let raceBestLapTimeMs = null;
 let raceBestLapCarIndex = null;
 let raceBestLapNum = null;
 
-// Педали игрока (для графика)
-const pedalState = {
+// Личное состояние машин (personal.js): carIndex -> трекер. Ведется для всех машин: ведущий игрок — верхний уровень lapsState,
+// а второй игрок split-screen, машина спектатора или выбранная зрителем машина сразу имеют полную историю кругов и педали
+const carTrackers = new Map();
+let secondaryPlayerCarIndex = null; // m_secondaryPlayerCarIndex (null — split-screen нет)
+
+// Каналы телеметрии игрока с постоянной частотой для выгрузки в MoTeC (motec.js); в архиве — channels.bin рядом со снимком
+let channelLog = createChannelLog();
+
+// Трассы MotionEx игрока (подвеска, проскальзывание, аэро) по дистанции круга и события блокировок/пробуксовок
+const motionExState = {
   currentLapNumber: null,
-  current: [], // { x: distanceM, throttle, brake }
+  current: [], // { x, suspensionPosition[4], slipRatio[4], slipAngle[4], aeroHeight: [front, rear], rollAngle: [front, rear] }
   previous: null, // { lapNumber, points }
-  best: null, // { lapNumber, points }
   lastDistanceM: null,
-  lastTimestampMs: null
+  activeSlips: [null, null, null, null], // по колесам: { type, lapNumber, startDistanceM, lastDistanceM, peakSlipRatio }
+  lastSample: null // { lapNumber, lapDistance } — последняя точка, к которой привязаны открытые события
 };
+const slipEventsByLap = new Map(); // lapNumber -> [{ type: 'lockup' | 'wheelspin', wheel, distanceM, lengthM, peakSlipRatio }]
 // Педали по всем машинам (только текущий круг для сравнения)
 const pedalPerCar = new Map(); // carIndex -> { currentLapNumber, current: [{x, throttle, brake}], lastDistanceM, lastTimestampMs }
 
-// Итоговые значения pit-lane по кругу (привязка к кругу въезда)
-const pitLaneTimeByLap = new Map(); // lapNumber -> ms
-const pitLaneStatusByLap = new Map(); // lapNumber -> pitStatus max (1/2)
-
-// Круги по номеру; при откате круги вперед удаляются
-const lapsByNumber = new Map(); // lapNumber -> lapEntry
-// Шины фиксируются на начале круга
-const tyreByLapStart = new Map(); // lapNumber -> { tyreActualCompound, tyreVisualCompound, tyresAgeLaps }
-
 // Кэши по всем машинам для таблицы гонки и лучших значений
 const participantsNameByIndex = new Map(); // carIndex -> name
 const participantsTeamIdByIndex = new Map(); // carIndex -> teamId
@@ -145,54 +338,125 @@ const participantsColorByIndex = new Map(); // carIndex -> { r,g,b }
 const carStatusByIndex = new Map(); // carIndex -> CarStatusData snapshot
 const carTelemetryByIndex = new Map(); // carIndex -> telemetry snapshot
 const carDamageByIndex = new Map(); // carIndex -> CarDamageData snapshot
+const carMotionByIndex = new Map(); // carIndex -> CarMotionData snapshot
+const tyreSetsByCarIndex = new Map(); // carIndex -> { fittedIdx, sets }
+const setupSnapshots = []; // [{ id, capturedOnLap, setup }] — настройки игрока, новый снимок при каждом изменении
 const lapDataByIndex = new Map(); // carIndex -> parsed lap data
 const sectorCacheByIndex = new Map(); // carIndex -> { sector1TimeMs, sector2TimeMs, sector3TimeMs }
 const pitLaneStintByIndex = new Map(); // carIndex -> { active, startLapNum, maxTimeMs, statusMax, lastTimeMs, lastStatusMax, lastLapNum }
 const sessionHistoryByCarIndex = new Map(); // carIndex -> Map(lapNum-> { lapTimeMs, s1, s2, s3, validFlags })
-
-function syncLapsArrayFromMap() {
-  lapsState.laps = Array.from(lapsByNumber.values()).sort((a, b) => a.lapNumber - b.lapNumber);
+const lapStartTimeByCarIndex = new Map(); // carIndex -> Map(lapNum -> sessionTime первого пакета с этим кругом, сек)
+const lapPositionsByLap = new Map(); // lapNumber -> позиции машин на этом круге (индекс — carIndex, 0 = нет данных)
+const pitLapsByCarIndex = new Map(); // carIndex -> Set(lapNum), на котором машина въехала на пит-лейн
+
+// Личное состояние ведущего игрока из его трекера — на верхний уровень lapsState (круги, лучшие значения, live-круг, педали)
+function syncPlayerState() {
+  const tracker = carTrackers.get(lapsState.playerCarIndex);
+  if (!tracker) return;
+  const personal = tracker.toState();
+  lapsState.laps = personal.laps;
+  lapsState.currentLap = personal.currentLap;
+  lapsState.liveLapTimeMs = personal.liveLapTimeMs;
+  lapsState.liveDeltaToBestMs = personal.liveDeltaToBestMs;
+  lapsState.bestLapTimeMs = personal.bestLapTimeMs;
+  lapsState.bestLapNumber = personal.bestLapNumber;
+  lapsState.bestSector1TimeMs = personal.bestSector1TimeMs;
+  lapsState.bestSector2TimeMs = personal.bestSector2TimeMs;
+  lapsState.bestSector3TimeMs = personal.bestSector3TimeMs;
+  lapsState.pedals.currentLapNumber = personal.pedals.currentLapNumber;
+  lapsState.pedals.current = personal.pedals.current;
+  lapsState.pedals.previous = personal.pedals.previous;
+  lapsState.pedals.best = personal.pedals.best;
+  syncSetupsState();
 }
 
-function recomputeFromLaps() {
-  let bestLapTimeMs = null;
-  let bestLapNumber = null;
-  let bestS1 = null;
-  let bestS2 = null;
-  let bestS3 = null;
-
-  for (const l of lapsByNumber.values()) {
-    if (!l.valid || l.lapTimeMs == null || l.lapTimeMs <= 0) continue;
-
-    if (bestLapTimeMs == null || l.lapTimeMs < bestLapTimeMs) {
-      bestLapTimeMs = l.lapTimeMs;
-      bestLapNumber = l.lapNumber;
-    }
+// Снимки настроек для фронта: первый круг на настройке и лучший валидный круг на ней
+function syncSetupsState() {
+  const currentLapNum = lapDataByIndex.get(lapsState.playerCarIndex)?.currentLapNum ?? null;
+  lapsState.setups = {
+    currentId: playerState.currentSetupId,
+    snapshots: setupSnapshots.map((snap) => {
+      let firstLapNumber = snap.id === playerState.currentSetupId ? currentLapNum : null;
+      let lapCount = 0;
+      let bestLapTimeMs = null;
+      let bestLapNumber = null;
+      for (const l of lapsState.laps) {
+        if (l.setupId !== snap.id) continue;
+        lapCount += 1;
+        if (firstLapNumber == null || l.lapNumber < firstLapNumber) firstLapNumber = l.lapNumber;
+        if (!l.valid || l.lapTimeMs == null || l.lapTimeMs <= 0) continue;
+        if (bestLapTimeMs == null || l.lapTimeMs < bestLapTimeMs) {
+          bestLapTimeMs = l.lapTimeMs;
+          bestLapNumber = l.lapNumber;
+        }
+      }
+      return {
+        id: snap.id,
+        capturedOnLap: snap.capturedOnLap,
+        firstLapNumber: firstLapNumber ?? snap.capturedOnLap,
+        lapCount,
+        bestLapTimeMs,
+        bestLapNumber,
+        setup: snap.setup
+      };
+    })
+  };
+}
 
-    if (l.sector1TimeMs != null && (bestS1 == null || l.sector1TimeMs < bestS1)) bestS1 = l.sector1TimeMs;
-    if (l.sector2TimeMs != null && (bestS2 == null || l.sector2TimeMs < bestS2)) bestS2 = l.sector2TimeMs;
-    if (l.sector3TimeMs != null && (bestS3 == null || l.sector3TimeMs < bestS3)) bestS3 = l.sector3TimeMs;
-  }
+// Рекорд за все сессии для условий, в которых игрок едет сейчас
+function syncPersonalRecord() {
+  lapsState.personalRecord = personalRecords.getRecord({
+    trackId: lapsState.trackId,
+    formula: lapsState.formula,
+    tyreVisualCompound: lapsState.currentCarStatus?.visualTyreCompound ?? null,
+    weather: lapsState.weather
+  });
+}
 
-  lapsState.bestLapTimeMs = bestLapTimeMs;
-  lapsState.bestLapNumber = bestLapNumber;
-  lapsState.bestSector1TimeMs = bestS1;
-  lapsState.bestSector2TimeMs = bestS2;
-  lapsState.bestSector3TimeMs = bestS3;
+// Завершенный круг игрока в рекорды за все сессии. Воспроизведение захвата их не трогает: это уже записанная сессия.
+// Уведомление — только когда побит существовавший рекорд, первый круг в новых условиях просто открывает запись.
+// sessionTimeSec — время завершения круга: флешбэк раньше него возвращает прежний рекорд (rollbackPersonalRecords)
+function submitPersonalRecord(lapEntry, sessionTimeSec) {
+  if (REPLAY_FILE) return;
+  const result = personalRecords.submitLap({
+    ...lapEntry,
+    trackId: lapsState.trackId,
+    formula: lapsState.formula,
+    weather: lapsState.weather,
+    sessionUID: lapsState.sessionUID
+  });
+  if (!result?.improved.length) return;
+  recordSubmissions.push({ sessionTimeSec, key: result.record.key, previous: result.previous });
+  if (!result.previous) return;
+  const improved = result.improved.filter((name) => name !== 'theoretical');
+  if (!improved.length) return;
+  lapsState.recordBroken = {
+    id: Date.now(),
+    improved,
+    lapNumber: lapEntry.lapNumber,
+    lapTimeMs: lapEntry.lapTimeMs,
+    previousLapTimeMs: result.previous.bestLapTimeMs,
+    record: result.record,
+    sessionTimeSec
+  };
+}
 
-  for (const l of lapsByNumber.values()) {
-    l.isBest = bestLapTimeMs != null && l.valid && l.lapTimeMs === bestLapTimeMs;
-    l.deltaMs = bestLapTimeMs != null && l.valid && l.lapTimeMs > 0 ? l.lapTimeMs - bestLapTimeMs : null;
+// Флешбэк отменил круги после targetSec: их рекорды возвращаются к прежним значениям без уведомления,
+// а уведомление об отмененном рекорде снимается
+function rollbackPersonalRecords(targetSec) {
+  while (recordSubmissions.length && recordSubmissions[recordSubmissions.length - 1].sessionTimeSec > targetSec) {
+    const { key, previous } = recordSubmissions.pop();
+    personalRecords.restoreRecord(key, previous);
   }
-
-  syncLapsArrayFromMap();
+  if (lapsState.recordBroken && lapsState.recordBroken.sessionTimeSec > targetSec) lapsState.recordBroken = null;
+  syncPersonalRecord();
 }
 
-function broadcastState() {
-  const message = JSON.stringify({
-    type: 'laps_state',
-    payload: lapsState
-  });
+// Во время быстрой перемотки воспроизведения рассылка отключается
+let suppressBroadcast = false;
+
+function broadcastMessage(type, payload) {
+  const message = JSON.stringify({ type, payload });
 
   wss.clients.forEach((client) => {
     if (client.readyState === 1) {
@@ -201,389 +465,125 @@ function broadcastState() {
   });
 }
 
-function startDemoFeed() {
-  // Фейковый поток телеметрии для разработки без игры.
-  // Генерирует "машины", двигает их по треку, считает круги/сектора/питы и
-  // публикует то же lapsState, что и реальные пакеты.
-  const nowMs = () => Date.now();
-  const trackLengthM = 5300;
-  const totalLapsPlanned = 50;
-  const trackId = 10;
-  const sessionType = 10; // race
-  const playerCarIndex = 0;
-  const numCars = 20;
-
-  const hslToRgb = (h, s, l) => {
-    const hue2rgb = (p, q, t) => {
-      if (t < 0) t += 1;
-      if (t > 1) t -= 1;
-      if (t < 1 / 6) return p + (q - p) * 6 * t;
-      if (t < 1 / 2) return q;
-      if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
-      return p;
-    };
-    if (s === 0) return { r: l, g: l, b: l };
-    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-    const p = 2 * l - q;
-    const r = hue2rgb(p, q, h + 1 / 3);
-    const g = hue2rgb(p, q, h);
-    const b = hue2rgb(p, q, h - 1 / 3);
-    return { r: Math.round(r * 255), g: Math.round(g * 255), b: Math.round(b * 255) };
-  };
-
-  const cars = Array.from({ length: numCars }, (_, i) => {
-    const hue = (i / numCars) % 1;
-    return {
-      carIndex: i,
-      name: i === 0 ? 'You' : `Driver ${i + 1}`,
-      teamColour: hslToRgb(hue, 0.65, 0.55),
-      lapNumber: 1,
-      lapStartAt: nowMs(),
-      lapDistance: (i / numCars) * trackLengthM,
-      baseSpeed: 72 + (i % 7) * 1.2, // m/s
-      lastLapTimeMs: null,
-      lastS1: null,
-      lastS2: null,
-      lastS3: null,
-      tyreVisualCompound: i % 5 === 0 ? 16 : i % 5 === 1 ? 17 : i % 5 === 2 ? 18 : i % 5 === 3 ? 7 : 8,
-      tyreActualCompound: null,
-      tyresAgeLaps: 0,
-      stops: 0
-    };
-  });
-
-  const personalLaps = [];
-  const pedalDemo = {
-    current: [],
-    previous: null,
-    best: null,
-    currentLapNumber: 1,
-    lastDistanceM: null,
-    lastTimestampMs: null
-  };
-
-  const computePersonalBest = (laps) => {
-    let bestLapTimeMs = null;
-    let bestLapNumber = null;
-    let bestS1 = null;
-    let bestS2 = null;
-    let bestS3 = null;
-    for (const l of laps) {
-      if (l.lapTimeMs != null && (bestLapTimeMs == null || l.lapTimeMs < bestLapTimeMs)) {
-        bestLapTimeMs = l.lapTimeMs;
-        bestLapNumber = l.lapNumber;
-      }
-      if (l.sector1TimeMs != null && (bestS1 == null || l.sector1TimeMs < bestS1)) bestS1 = l.sector1TimeMs;
-      if (l.sector2TimeMs != null && (bestS2 == null || l.sector2TimeMs < bestS2)) bestS2 = l.sector2TimeMs;
-      if (l.sector3TimeMs != null && (bestS3 == null || l.sector3TimeMs < bestS3)) bestS3 = l.sector3TimeMs;
-    }
-    return { bestLapTimeMs, bestLapNumber, bestS1, bestS2, bestS3 };
-  };
-
-  const tick = () => {
-    const t = nowMs();
-
-    // Обновляем ход машин
-    for (const c of cars) {
-      const speed = c.baseSpeed;
-      c.lapDistance += speed * 0.2; // tick 200ms
-
-      if (c.lapDistance >= trackLengthM) {
-        c.lapDistance -= trackLengthM;
-        const lapTimeMs = t - c.lapStartAt;
-        c.lapStartAt = t;
-        c.lastLapTimeMs = lapTimeMs;
-
-        const s1 = Math.round(lapTimeMs * (0.31 + (c.carIndex % 5) * 0.002));
-        const s2 = Math.round(lapTimeMs * (0.40 + (c.carIndex % 7) * 0.001));
-        const s3 = Math.max(0, lapTimeMs - s1 - s2);
-        c.lastS1 = s1;
-        c.lastS2 = s2;
-        c.lastS3 = s3;
-
-        c.lapNumber += 1;
-        c.tyresAgeLaps += 1;
-
-        if (c.carIndex === playerCarIndex) {
-          personalLaps.push({
-            lapNumber: c.lapNumber - 1,
-            lapTimeMs,
-            deltaMs: null,
-            valid: true,
-            isBest: false,
-            sector1TimeMs: s1,
-            sector2TimeMs: s2,
-            sector3TimeMs: s3,
-            tyreVisualCompound: c.tyreVisualCompound,
-            tyreActualCompound: c.tyreActualCompound,
-            tyresAgeLaps: c.tyresAgeLaps,
-            pitStatus: 0,
-            pitLaneTimeMs: null,
-            numPitStops: c.stops
-          });
-
-          if (pedalDemo.current.length) {
-            pedalDemo.previous = {
-              lapNumber: c.lapNumber - 1,
-              points: pedalDemo.current.slice()
-            };
-            const pb = computePersonalBest(personalLaps);
-            if (pb.bestLapNumber === c.lapNumber - 1) {
-              pedalDemo.best = pedalDemo.previous;
-            }
-          }
-          pedalDemo.current = [];
-          pedalDemo.currentLapNumber = c.lapNumber;
-          pedalDemo.lastDistanceM = null;
-          pedalDemo.lastTimestampMs = null;
-        }
-      }
-    }
+// Машина, выбранная клиентом в Race, важнее машины спектатора; выбор машины игрока возвращает его собственные данные
+function pickedCarStateOf(carIndex) {
+  if (carIndex === lapsState.playerCarIndex) return null;
+  const picked = trackerStateOf(carIndex);
+  return picked ? { ...picked, source: 'pick' } : lapsState.followedCar;
+}
 
-    // Позиции по дистанции
-    const withDistance = cars
-      .slice()
-      .map((c) => ({
-        ...c,
-        totalMeters: (c.lapNumber - 1) * trackLengthM + c.lapDistance
-      }))
-      .sort((a, b) => b.totalMeters - a.totalMeters);
-
-    withDistance.forEach((c, idx) => {
-      c.position = idx + 1;
-    });
+// lapsState для клиента: его выбор машины в Race подменяет followedCar только в его копии
+function stateOf(followedCarIndex) {
+  return followedCarIndex == null ? lapsState : { ...lapsState, followedCar: pickedCarStateOf(followedCarIndex) };
+}
 
-    // Гепы к лидеру/впереди по дистанции (переводим в мс через среднюю скорость)
-    const leaderMeters = withDistance[0].totalMeters;
-    const avgSpeedMs = 72;
-    withDistance.forEach((c, idx) => {
-      const gapMeters = leaderMeters - c.totalMeters;
-      c.gapToLeaderMs = gapMeters > 0 ? (gapMeters / avgSpeedMs) * 1000 : null;
-      if (idx === 0) {
-        c.gapToCarAheadMs = null;
-      } else {
-        const ahead = withDistance[idx - 1];
-        const gapToAhead = ahead.totalMeters - c.totalMeters;
-        c.gapToCarAheadMs = gapToAhead > 0 ? (gapToAhead / avgSpeedMs) * 1000 : null;
-      }
-    });
+// Тяжелые части lapsState (контур трассы, позиции по кругам, итоги, графики педалей и MotionEx) в каждом тике не пересылаются.
+// Заменяемые целиком уходят, только когда объект сменился; растущие трассы текущего круга — новыми точками с индекса from.
+// Полное состояние (laps_state) клиент получает при подключении и смене выбора машины, дальше — laps_update
+const TRACE_REPLACED_PATHS = [
+  'trackOutline',
+  'lapPositions',
+  'results',
+  'pedals.previous',
+  'pedals.best',
+  'motionEx.previous',
+  'secondaryPlayer.pedals.previous',
+  'secondaryPlayer.pedals.best',
+  'followedCar.pedals.previous',
+  'followedCar.pedals.best'
+];
+const TRACE_GROWING_PATHS = ['pedals.current', 'motionEx.current', 'secondaryPlayer.pedals.current', 'followedCar.pedals.current'];
+// Что уже разослано по каждому выбору машины: путь -> { ref, length }; текущие круги соперников — 'pedals.others.<carIndex>'
+const traceCursorsByPick = new Map();
+
+const valueAtPath = (obj, tracePath) => tracePath.split('.').reduce((v, key) => (v == null ? undefined : v[key]), obj);
+
+function stateMessageOf(followedCarIndex) {
+  const state = stateOf(followedCarIndex);
+  // Первый клиент с таким выбором машины получает трассы здесь целиком — в следующем тике они не повторяются
+  if (!traceCursorsByPick.has(followedCarIndex)) {
+    traceCursorsByPick.set(followedCarIndex, new Map());
+    traceUpdatesOf(state, traceCursorsByPick.get(followedCarIndex));
+  }
+  const tracePaths = { replaced: TRACE_REPLACED_PATHS, growing: TRACE_GROWING_PATHS };
+  return JSON.stringify({ type: 'laps_state', payload: state, tracePaths });
+}
 
-    // Personal bests
-    const pb = computePersonalBest(personalLaps);
-    if (pb.bestLapTimeMs != null) {
-      for (const l of personalLaps) {
-        l.isBest = l.lapTimeMs === pb.bestLapTimeMs;
-        l.deltaMs = l.isBest ? 0 : l.lapTimeMs - pb.bestLapTimeMs;
+// Копия состояния без трасс; объекты на пути копируются, lapsState не меняется
+function withoutTraces(state) {
+  const light = { ...state };
+  for (const tracePath of [...TRACE_REPLACED_PATHS, ...TRACE_GROWING_PATHS]) {
+    const keys = tracePath.split('.');
+    let target = light;
+    for (const key of keys.slice(0, -1)) {
+      if (target[key] == null) {
+        target = null;
+        break;
       }
+      target[key] = { ...target[key] };
+      target = target[key];
     }
+    if (target) delete target[keys[keys.length - 1]];
+  }
+  if (light.pedals?.others) light.pedals = { ...light.pedals, others: light.pedals.others.map(({ points, ...car }) => car) };
+  return light;
+}
 
-    const you = withDistance.find((c) => c.carIndex === playerCarIndex);
-    const liveLapTimeMs = you ? t - you.lapStartAt : 0;
-
-    // Лучшие по гонке (накапливаем, не сбрасываем каждый тик)
-    let raceBestLapTimeMs = lapsState.raceBestLapTimeMs ?? null;
-    let raceBestLapCarIndex = lapsState.raceBestLapCarIndex ?? null;
-    let raceBestLapNumLocal = lapsState.raceBestLapNum ?? null;
-    let raceBestS1 = lapsState.raceBestSector1TimeMs ?? null;
-    let raceBestS2 = lapsState.raceBestSector2TimeMs ?? null;
-    let raceBestS3 = lapsState.raceBestSector3TimeMs ?? null;
-    let raceBestS1CarIndex = lapsState.raceBestSector1CarIndex ?? null;
-    let raceBestS2CarIndex = lapsState.raceBestSector2CarIndex ?? null;
-    let raceBestS3CarIndex = lapsState.raceBestSector3CarIndex ?? null;
-    for (const c of withDistance) {
-      if (c.lastLapTimeMs != null && (raceBestLapTimeMs == null || c.lastLapTimeMs < raceBestLapTimeMs)) {
-        raceBestLapTimeMs = c.lastLapTimeMs;
-        raceBestLapCarIndex = c.carIndex;
-      raceBestLapNumLocal = c.lastLapTimeMs ? Math.max(1, c.lapNumber - 1) : null;
-      }
-      if (c.lastS1 != null && (raceBestS1 == null || c.lastS1 < raceBestS1)) {
-        raceBestS1 = c.lastS1;
-        raceBestS1CarIndex = c.carIndex;
-      }
-      if (c.lastS2 != null && (raceBestS2 == null || c.lastS2 < raceBestS2)) {
-        raceBestS2 = c.lastS2;
-        raceBestS2CarIndex = c.carIndex;
-      }
-      if (c.lastS3 != null && (raceBestS3 == null || c.lastS3 < raceBestS3)) {
-        raceBestS3 = c.lastS3;
-        raceBestS3CarIndex = c.carIndex;
-      }
-    }
+// Новые точки растущей трассы с прошлой рассылки; другой массив или укороченный (флешбэк) уходит целиком
+function traceGrowthOf(cursors, key, points) {
+  const list = Array.isArray(points) ? points : null;
+  const cursor = cursors.get(key);
+  cursors.set(key, { ref: list, length: list?.length ?? 0 });
+  if (cursor && cursor.ref === list && (!list || list.length >= cursor.length)) {
+    return list && list.length > cursor.length ? { from: cursor.length, points: list.slice(cursor.length) } : null;
+  }
+  return { from: 0, points: list };
+}
 
-    const raceCars = withDistance.map((c) => ({
-      carIndex: c.carIndex,
-      name: c.name,
-      teamColour: c.teamColour,
-      position: c.position,
-      lapNumber: c.lapNumber,
-      lapTimeMs: c.lastLapTimeMs,
-      bestLapTimeMs: c.lastLapTimeMs,
-      bestLapNum: c.lastLapTimeMs ? c.lapNumber - 1 : null,
-      gapToLeaderMs: c.gapToLeaderMs,
-      gapToCarAheadMs: c.gapToCarAheadMs,
-      sector1TimeMs: c.lastS1,
-      sector2TimeMs: c.lastS2,
-      sector3TimeMs: c.lastS3,
-      tyreActualCompound: c.tyreActualCompound,
-      tyreVisualCompound: c.tyreVisualCompound,
-      tyresAgeLaps: c.tyresAgeLaps,
-      pitStatus: 0,
-      pitLaneTimeMs: null,
-      stops: c.stops,
-      lapDistance: c.lapDistance
-    }));
+function traceUpdatesOf(state, cursors) {
+  const updates = {};
+  for (const tracePath of TRACE_REPLACED_PATHS) {
+    const value = valueAtPath(state, tracePath) ?? null;
+    if (cursors.has(tracePath) && cursors.get(tracePath).ref === value) continue;
+    cursors.set(tracePath, { ref: value });
+    updates[tracePath] = value;
+  }
+  for (const tracePath of TRACE_GROWING_PATHS) {
+    const growth = traceGrowthOf(cursors, tracePath, valueAtPath(state, tracePath));
+    if (growth) updates[tracePath] = growth;
+  }
+  const others = {};
+  for (const car of state.pedals?.others ?? []) {
+    const growth = traceGrowthOf(cursors, `pedals.others.${car.carIndex}`, car.points);
+    if (growth) others[car.carIndex] = growth;
+  }
+  if (Object.keys(others).length) updates['pedals.others'] = others;
+  return updates;
+}
 
-    const lapsForUi = personalLaps.slice(-50);
-
-    if (you) {
-      const throttleVal = Math.max(0, Math.min(1, 0.6 + 0.35 * Math.sin(t / 600)));
-      const brakeVal = Math.max(0, Math.min(1, 0.35 * Math.max(0, Math.sin((t + 900) / 500))));
-      const needByDist =
-        pedalDemo.lastDistanceM == null || you.lapDistance - pedalDemo.lastDistanceM >= PEDAL_DISTANCE_STEP;
-      const needByTime = pedalDemo.lastTimestampMs == null || t - pedalDemo.lastTimestampMs >= PEDAL_TIME_STEP_MS;
-      if (needByDist || needByTime) {
-        pedalDemo.current.push({
-          x: you.lapDistance,
-          throttle: throttleVal,
-          brake: brakeVal
-        });
-        pedalDemo.lastDistanceM = you.lapDistance;
-        pedalDemo.lastTimestampMs = t;
-      }
+function broadcastState() {
+  scheduleSessionSave();
+  if (suppressBroadcast) return;
+  // Сериализуем по разу на каждый различный выбор машины (обычно только общий lapsState)
+  const messages = new Map();
+  wss.clients.forEach((client) => {
+    if (client.readyState !== 1) return;
+    const pick = client.followedCarIndex ?? null;
+    if (!messages.has(pick)) {
+      const state = stateOf(pick);
+      if (!traceCursorsByPick.has(pick)) traceCursorsByPick.set(pick, new Map());
+      const traces = traceUpdatesOf(state, traceCursorsByPick.get(pick));
+      messages.set(pick, JSON.stringify({ type: 'laps_update', payload: withoutTraces(state), traces }));
     }
-
-    lapsState = {
-      ...lapsState,
-      isConnected: true,
-      sessionKind: 'race',
-      sessionType,
-      totalLaps: totalLapsPlanned,
-      trackId,
-      trackLengthM,
-      playerCarIndex,
-      liveLapTimeMs,
-      liveDeltaToBestMs: pb.bestLapTimeMs != null ? pb.bestLapTimeMs - liveLapTimeMs : null,
-      bestLapTimeMs: pb.bestLapTimeMs,
-      bestLapNumber: pb.bestLapNumber,
-      bestSector1TimeMs: pb.bestS1,
-      bestSector2TimeMs: pb.bestS2,
-      bestSector3TimeMs: pb.bestS3,
-      currentLap: {
-        lapNumber: you?.lapNumber ?? 1,
-        lapTimeMs: liveLapTimeMs,
-        deltaMs: pb.bestLapTimeMs != null ? liveLapTimeMs - pb.bestLapTimeMs : null,
-        valid: true,
-        isBest: false,
-        sector1TimeMs: you?.lastS1 ?? null,
-        sector2TimeMs: you?.lastS2 ?? null,
-        sector3TimeMs: null,
-        tyreActualCompound: you?.tyreActualCompound ?? null,
-        tyreVisualCompound: you?.tyreVisualCompound ?? null,
-        tyresAgeLaps: you?.tyresAgeLaps ?? null,
-        pitStatus: 0,
-        pitLaneTimeMs: null,
-        numPitStops: you?.stops ?? 0
-      },
-      currentCarStatus: {
-        tractionControl: 2,
-        antiLockBrakes: 1,
-        fuelMix: 1,
-        frontBrakeBias: 55,
-        pitLimiterStatus: 0,
-        fuelInTank: 35.0,
-        fuelCapacity: 110.0,
-        fuelRemainingLaps: 12.3,
-        maxRPM: 12000,
-        idleRPM: 4000,
-        maxGears: 8,
-        drsAllowed: 1,
-        drsActivationDistance: 0,
-        actualTyreCompound: you?.tyreActualCompound ?? you?.tyreVisualCompound ?? 16,
-        visualTyreCompound: you?.tyreVisualCompound ?? 16,
-        tyresAgeLaps: you?.tyresAgeLaps ?? 0,
-        vehicleFIAFlags: 1,
-        enginePowerICE: 560000,
-        enginePowerMGUK: 120000,
-        ersStoreEnergy: 4000000,
-        ersDeployMode: 1,
-        ersHarvestedThisLapMGUK: 800000,
-        ersHarvestedThisLapMGUH: 600000,
-        ersDeployedThisLap: 700000,
-        networkPaused: 0
-      },
-      currentCarDamage: (() => {
-        const age = you?.tyresAgeLaps ?? 0;
-        const baseWear = Math.min(95, 5 + age * 3);
-        const jitter = (delta) => Math.max(0, Math.min(100, baseWear + delta));
-        return {
-          tyresWear: [jitter(1.5), jitter(2.5), jitter(0.5), jitter(1.0)],
-          tyresDamage: [0, 0, 0, 0],
-          brakesDamage: [0, 0, 0, 0],
-          tyreBlisters: [0, 0, 0, 0]
-        };
-      })(),
-      currentCarTelemetry: {
-        speedKph: you ? Math.max(0, Math.round((you.baseSpeed * 3.6) + (Math.sin(t / 500) * 5))) : 0,
-        throttle: you ? Math.max(0, Math.min(1, 0.6 + 0.35 * Math.sin(t / 600))) : 0,
-        steer: 0.0,
-        brake: you ? Math.max(0, Math.min(1, 0.35 * Math.max(0, Math.sin((t + 900) / 500)))) : 0,
-        clutch: 0,
-        gear: 7,
-        engineRPM: 10500,
-        drs: 0,
-        revLightsPercent: 82,
-        revLightsBitValue: 0,
-        brakesTemperature: [480, 475, 460, 465],
-        tyresSurfaceTemperature: [92, 93, 90, 91],
-        tyresInnerTemperature: [98, 99, 96, 97],
-        engineTemperature: 104,
-        tyresPressure: [22.2, 22.1, 21.9, 22.0],
-        surfaceType: [0, 0, 0, 0]
-      },
-      currentPenalties: {
-        penaltiesSec: 0,
-        totalWarnings: 0,
-        cornerCuttingWarnings: 0,
-        numUnservedDriveThroughPens: 0,
-        numUnservedStopGoPens: 0,
-        pitStopShouldServePen: 0
-      },
-      laps: lapsForUi,
-      raceCars,
-      raceBestSector1TimeMs: raceBestS1,
-      raceBestSector2TimeMs: raceBestS2,
-      raceBestSector3TimeMs: raceBestS3,
-      raceBestSector1CarIndex: raceBestS1CarIndex,
-      raceBestSector2CarIndex: raceBestS2CarIndex,
-      raceBestSector3CarIndex: raceBestS3CarIndex,
-      raceBestLapTimeMs,
-      raceBestLapCarIndex,
-      raceBestLapNum: raceBestLapNumLocal,
-      pedals: {
-        trackLengthM,
-        currentLapNumber: pedalDemo.currentLapNumber,
-        current: pedalDemo.current,
-        previous: pedalDemo.previous,
-        best: pedalDemo.best,
-        others: []
-      }
-    };
-
-    broadcastState();
-  };
-
-  // мгновенно отрисовать стартовое состояние
-  tick();
-  setInterval(tick, 200);
+    client.send(messages.get(pick));
+  });
+  // Курсоры выборов без клиентов сбрасываются: следующий клиент с таким выбором получит трассы в laps_state
+  for (const pick of traceCursorsByPick.keys()) {
+    if (!messages.has(pick)) traceCursorsByPick.delete(pick);
+  }
 }
 
 function resetPedals() {
-  pedalState.currentLapNumber = null;
-  pedalState.current = [];
-  pedalState.previous = null;
-  pedalState.best = null;
-  pedalState.lastDistanceM = null;
-  pedalState.lastTimestampMs = null;
   pedalPerCar.clear();
 
   lapsState.pedals = {
@@ -597,35 +597,44 @@ function resetPedals() {
 }
 
 function resetSessionState(sessionUID) {
+  // Уходящая сессия целиком остается в архиве (например, квалификация перед гонкой)
+  saveSession();
   // Полный сброс, когда видим новый sessionUID (новая гонка/TT) или переподключение.
   playerState.sessionUID = sessionUID;
-  playerState.currentLapNum = null;
-  playerState.currentLapInvalid = 0;
-  playerState.currentSector1TimeMs = null;
-  playerState.currentSector2TimeMs = null;
-  playerState.currentTyreActualCompound = null;
-  playerState.currentTyreVisualCompound = null;
-  playerState.currentTyresAgeLaps = null;
-  playerState.pitLaneActive = false;
-  playerState.pitLaneStartLapNum = null;
-  playerState.pitLaneMaxTimeMs = 0;
-  playerState.pitLanePitStatusMax = 0;
-
-  pitLaneTimeByLap.clear();
-  pitLaneStatusByLap.clear();
-  lapsByNumber.clear();
-  tyreByLapStart.clear();
+  if (captureRecorder) captureRecorder.startSession(sessionUID);
+  playerState.currentSetupId = null;
+
   participantsNameByIndex.clear();
   participantsTeamIdByIndex.clear();
   participantsColorByIndex.clear();
   carStatusByIndex.clear();
   carTelemetryByIndex.clear();
   carDamageByIndex.clear();
+  carMotionByIndex.clear();
+  tyreSetsByCarIndex.clear();
+  setupSnapshots.length = 0;
   lapDataByIndex.clear();
   sectorCacheByIndex.clear();
   pitLaneStintByIndex.clear();
   sessionHistoryByCarIndex.clear();
+  lapStartTimeByCarIndex.clear();
+  lapPositionsByLap.clear();
+  pitLapsByCarIndex.clear();
+  resetMotionExTraces();
+  motionExState.previous = null;
+  slipEventsByLap.clear();
+  recordSubmissions.length = 0;
+  carTrackers.clear();
+  channelLog = createChannelLog();
+  secondaryPlayerCarIndex = null;
+  // Индексы машин новой сессии — это уже другие машины: выбор клиентов в Race сбрасывается
+  wss.clients.forEach((client) => {
+    client.followedCarIndex = null;
+  });
+  sessionStartedAt = sessionUID != null ? Date.now() : null;
   numActiveCars = null;
+  sessionEventSeq = 0;
+  lastSessionTimeSec = null;
   raceBestSector1TimeMs = null;
   raceBestSector2TimeMs = null;
   raceBestSector3TimeMs = null;
@@ -639,6 +648,7 @@ function resetSessionState(sessionUID) {
   lapsState = {
     liveLapTimeMs: 0,
     liveDeltaToBestMs: null,
+    liveDeltaToRecordMs: null,
     bestLapTimeMs: null,
     bestLapNumber: null,
     bestSector1TimeMs: null,
@@ -657,6 +667,11 @@ function resetSessionState(sessionUID) {
     sessionTimeLeftSec: null,
     sessionDurationSec: null,
     pitSpeedLimitKph: null,
+    sector2StartM: null,
+    sector3StartM: null,
+    gamePaused: false,
+    isSpectating: false,
+    spectatorCarIndex: null,
     currentLap: null,
     laps: [],
     raceCars: [],
@@ -675,6 +690,32 @@ function resetSessionState(sessionUID) {
     currentPenalties: null,
     currentCarDamage: null,
     marshallingZones: [],
+    events: [],
+    lastFlashback: null,
+    trackOutline: trackOutlineStore.getOutline(),
+    carPositions: [],
+    tyreSets: null,
+    setups: { currentId: null, snapshots: [] },
+    lapPositions: { numLaps: 0, cars: [] },
+    timeTrial: null,
+    lobby: null,
+    telemetryFormat: lapsState.telemetryFormat, // описывает поток пакетов, а не сессию
+    secondaryPlayer: null,
+    followedCar: null,
+    personalRecord: null,
+    recordBroken: null,
+    weatherForecast: null,
+    tyreCrossover: null,
+    pitStopWindow: null,
+    assists: null,
+    sessionSettings: null,
+    safetyCarPeriods: null,
+    weekend: null,
+    currentMotionEx: null,
+    motionEx: { currentLapNumber: null, current: [], previous: null },
+    slipEvents: [],
+    sessionUID: sessionUID != null ? String(sessionUID) : null,
+    results: lastResults,
     pedals: {
       trackLengthM: null,
       currentLapNumber: null,
@@ -687,6 +728,215 @@ function resetSessionState(sessionUID) {
   resetPedals();
 }
 
+// Архив сессии: отображаемое состояние и внутренние кэши, без которых сессию нельзя продолжить после перезапуска.
+// Контур трассы, итоги и формат потока хранятся отдельно, текущие координаты и педали соперников придут с пакетами
+let sessionSaveTimer = null;
+let sessionStartedAt = null; // когда сервер увидел сессию впервые (мс), для списка Sessions
+
+const mapEntries = (map) => Array.from(map.entries());
+const fillMap = (map, entries, convert = (v) => v) => (entries ?? []).forEach(([k, v]) => map.set(k, convert(v)));
+
+function snapshotSession() {
+  const { trackOutline, results, telemetryFormat, carPositions, secondaryPlayer, followedCar, personalRecord, recordBroken, ...state } =
+    lapsState;
+  const { sessionUID, ...player } = playerState; // BigInt в JSON не пишется, sessionUID есть в lapsState
+  return {
+    version: SESSION_ARCHIVE_VERSION,
+    savedAt: Date.now(),
+    sessionUID: lapsState.sessionUID,
+    packetFormat: packetLayout.packetFormat,
+    state: {
+      ...state,
+      pedals: { ...state.pedals, others: [] },
+      motionEx: { ...state.motionEx, current: [] }
+    },
+    playerState: player,
+    participants: {
+      names: mapEntries(participantsNameByIndex),
+      teamIds: mapEntries(participantsTeamIdByIndex),
+      colours: mapEntries(participantsColorByIndex)
+    },
+    sectorCacheByIndex: mapEntries(sectorCacheByIndex),
+    pitLaneStintByIndex: mapEntries(pitLaneStintByIndex),
+    sessionHistoryByCarIndex: mapEntries(sessionHistoryByCarIndex).map(([carIndex, byLap]) => [carIndex, mapEntries(byLap)]),
+    lapStartTimeByCarIndex: mapEntries(lapStartTimeByCarIndex).map(([carIndex, starts]) => [carIndex, mapEntries(starts)]),
+    lapPositionsByLap: mapEntries(lapPositionsByLap),
+    pitLapsByCarIndex: mapEntries(pitLapsByCarIndex).map(([carIndex, laps]) => [carIndex, Array.from(laps)]),
+    carTrackers: mapEntries(carTrackers).map(([carIndex, tracker]) => [carIndex, tracker.toSnapshot()]),
+    raceBests: {
+      raceBestSector1TimeMs,
+      raceBestSector2TimeMs,
+      raceBestSector3TimeMs,
+      raceBestSector1CarIndex,
+      raceBestSector2CarIndex,
+      raceBestSector3CarIndex,
+      raceBestLapTimeMs,
+      raceBestLapCarIndex,
+      raceBestLapNum
+    },
+    numActiveCars,
+    sessionEventSeq,
+    lastSessionTimeSec,
+    channelLog: channelLog.toSnapshot(),
+    secondaryPlayerCarIndex,
+    sessionStartedAt,
+    recordSubmissions
+  };
+}
+
+// Краткое описание для списка Sessions пишется рядом со снимком, чтобы не читать session.json каждой сессии
+function summarizeSession() {
+  const playerIndex = lapsState.playerCarIndex;
+  const results = lapsState.results?.sessionUID === lapsState.sessionUID ? lapsState.results : null;
+  const resultRow = results?.rows.find((r) => r.isPlayer) ?? null;
+  const playerCar = lapsState.raceCars.find((c) => c.carIndex === playerIndex) ?? null;
+  return {
+    sessionUID: lapsState.sessionUID,
+    startedAt: sessionStartedAt,
+    savedAt: Date.now(),
+    trackId: lapsState.trackId,
+    sessionType: lapsState.sessionType,
+    sessionKind: lapsState.sessionKind,
+    formula: lapsState.formula,
+    weather: lapsState.weather,
+    totalLaps: lapsState.totalLaps,
+    playerName: participantsNameByIndex.get(playerIndex) ?? null,
+    lapCount: lapsState.laps.length,
+    bestLapTimeMs: lapsState.bestLapTimeMs,
+    bestLapNumber: lapsState.bestLapNumber,
+    raceBestLapTimeMs: lapsState.raceBestLapTimeMs,
+    position: resultRow?.position ?? playerCar?.position ?? null, // итоговая, если есть классификация, иначе последняя известная
+    numCars: results ? results.rows.length : lapsState.raceCars.length,
+    resultStatus: resultRow?.resultStatus ?? null,
+    isClassified: results != null
+  };
+}
+
+// Архивная сессия для просмотра: отображаемое состояние, итоги и личная история каждой машины (как lapsState.followedCar)
+// channels.bin архивной сессии как Float32Array (копия: буфер файла может быть не выровнен по 4 байтам)
+function archivedChannelData(sessionUID) {
+  const bytes = sessionArchive.readBinary(sessionUID, 'channels.bin');
+  return bytes ? new Float32Array(new Uint8Array(bytes).buffer, 0, Math.floor(bytes.length / 4)) : null;
+}
+
+// withChannels — для выгрузки в MoTeC: журнал каналов игрока и времена начала его кругов
+function loadArchivedSession(sessionUID, { withChannels = false } = {}) {
+  const saved = sessionArchive.readJson(sessionUID, 'session.json');
+  if (!saved || saved.version !== SESSION_ARCHIVE_VERSION) return null;
+  const names = new Map(saved.participants?.names ?? []);
+  const colours = new Map(saved.participants?.colours ?? []);
+  const cars = (saved.carTrackers ?? []).map(([carIndex, snap]) => ({
+    ...createPersonalTracker(carIndex, snap).toState(),
+    name: names.get(carIndex) ?? `Car ${carIndex + 1}`,
+    teamColour: colours.get(carIndex) ?? null
+  }));
+  return {
+    summary: sessionArchive.readJson(sessionUID, 'summary.json'),
+    state: {
+      ...saved.state,
+      sessionUID: String(sessionUID),
+      isConnected: false,
+      results: sessionArchive.readJson(sessionUID, 'results.json')
+    },
+    cars,
+    ...(withChannels
+      ? {
+          channelLog: createChannelLog({ snapshot: saved.channelLog, data: archivedChannelData(sessionUID) }),
+          lapStartsSec: (saved.lapStartTimeByCarIndex ?? [])
+            .find(([carIndex]) => carIndex === saved.state.playerCarIndex)?.[1]
+            .map(([, t]) => t) ?? []
+        }
+      : {})
+  };
+}
+
+// Воспроизведение файла захвата архив не пишет: это уже записанная сессия
+function saveSession() {
+  clearTimeout(sessionSaveTimer);
+  sessionSaveTimer = null;
+  if (REPLAY_FILE || lapsState.sessionUID == null) return;
+  try {
+    // Каналы дописываются до снимка: снимок ссылается на число строк, уже лежащих в channels.bin
+    const pending = channelLog.takePending();
+    sessionArchive.writeBinaryAt(lapsState.sessionUID, 'channels.bin', pending.offsetBytes, pending.bytes);
+    sessionArchive.writeJson(lapsState.sessionUID, 'session.json', snapshotSession());
+    sessionArchive.writeJson(lapsState.sessionUID, 'summary.json', summarizeSession());
+  } catch (err) {
+    console.error(`Session archive: failed to save session ${lapsState.sessionUID}:`, err.message);
+  }
+}
+
+function scheduleSessionSave() {
+  if (REPLAY_FILE || sessionSaveTimer || lapsState.sessionUID == null) return;
+  sessionSaveTimer = setTimeout(saveSession, SESSION_SAVE_INTERVAL_MS);
+}
+
+// Сессия из архива становится текущей: пакеты с тем же sessionUID продолжают ее, другой sessionUID — сбрасывает как обычно
+function restoreSession(saved) {
+  resetSessionState(BigInt(saved.sessionUID));
+  packetLayout = getPacketLayout(saved.packetFormat) ?? packetLayout;
+  playerState.currentSetupId = saved.playerState?.currentSetupId ?? null;
+
+  const state = saved.state;
+  lapsState = { ...lapsState, ...state, isConnected: false, sessionUID: String(saved.sessionUID) };
+  trackOutlineStore.selectTrack(state.trackId, state.trackLengthM);
+  lapsState.trackOutline = trackOutlineStore.getOutline();
+
+  fillMap(participantsNameByIndex, saved.participants?.names);
+  fillMap(participantsTeamIdByIndex, saved.participants?.teamIds);
+  fillMap(participantsColorByIndex, saved.participants?.colours);
+  fillMap(sectorCacheByIndex, saved.sectorCacheByIndex);
+  fillMap(pitLaneStintByIndex, saved.pitLaneStintByIndex);
+  fillMap(sessionHistoryByCarIndex, saved.sessionHistoryByCarIndex, (entries) => new Map(entries));
+  fillMap(lapStartTimeByCarIndex, saved.lapStartTimeByCarIndex, (entries) => new Map(entries));
+  fillMap(lapPositionsByLap, saved.lapPositionsByLap);
+  fillMap(pitLapsByCarIndex, saved.pitLapsByCarIndex, (laps) => new Set(laps));
+  (saved.carTrackers ?? []).forEach(([carIndex, snap]) => carTrackers.set(carIndex, createPersonalTracker(carIndex, snap)));
+  (state.setups?.snapshots ?? []).forEach(({ id, capturedOnLap, setup }) => setupSnapshots.push({ id, capturedOnLap, setup }));
+  (state.slipEvents ?? []).forEach(({ lapNumber, events }) => slipEventsByLap.set(lapNumber, events));
+  motionExState.previous = state.motionEx?.previous ?? null;
+
+  const bests = saved.raceBests ?? {};
+  raceBestSector1TimeMs = bests.raceBestSector1TimeMs ?? null;
+  raceBestSector2TimeMs = bests.raceBestSector2TimeMs ?? null;
+  raceBestSector3TimeMs = bests.raceBestSector3TimeMs ?? null;
+  raceBestSector1CarIndex = bests.raceBestSector1CarIndex ?? null;
+  raceBestSector2CarIndex = bests.raceBestSector2CarIndex ?? null;
+  raceBestSector3CarIndex = bests.raceBestSector3CarIndex ?? null;
+  raceBestLapTimeMs = bests.raceBestLapTimeMs ?? null;
+  raceBestLapCarIndex = bests.raceBestLapCarIndex ?? null;
+  raceBestLapNum = bests.raceBestLapNum ?? null;
+  numActiveCars = saved.numActiveCars ?? null;
+  sessionEventSeq = saved.sessionEventSeq ?? 0;
+  lastSessionTimeSec = saved.lastSessionTimeSec ?? null;
+  secondaryPlayerCarIndex = saved.secondaryPlayerCarIndex ?? null;
+  sessionStartedAt = saved.sessionStartedAt ?? null;
+  (saved.recordSubmissions ?? []).forEach((submission) => recordSubmissions.push(submission));
+  channelLog = createChannelLog({ snapshot: saved.channelLog, data: archivedChannelData(saved.sessionUID) });
+
+  syncPersonalTrackers();
+  syncPedalsState();
+  syncMotionExState();
+  syncLapPositionsState();
+}
+
+// Последняя сессия из архива, если сервер перезапустили посреди нее
+function restoreLatestSession() {
+  const latest = sessionArchive.findLatest('session.json');
+  const saved = latest?.data;
+  if (!saved || saved.version !== SESSION_ARCHIVE_VERSION || saved.sessionUID == null) return;
+  if (Date.now() - saved.savedAt > SESSION_RESTORE_MAX_AGE_MIN * 60 * 1000) return;
+  try {
+    restoreSession(saved);
+  } catch (err) {
+    console.error(`Session archive: failed to restore session ${saved.sessionUID}:`, err.message);
+    lapsState.sessionUID = null; // не перезаписывать архив недовосстановленной сессией
+    resetSessionState(null);
+    return;
+  }
+  console.log(`Session archive: restored session ${saved.sessionUID} (${lapsState.laps.length} player laps).`);
+}
+
 // Разбор заголовка пакета и извлечение packetId, sessionUID, playerCarIndex
 function parseHeader(buf) {
   if (buf.length < HEADER_SIZE) return null;
@@ -740,8 +990,8 @@ function parseHeader(buf) {
 }
 
 // Разбор LapData для одного автомобиля (только нужные поля)
-function parseLapDataForCar(buf, baseOffset) {
-  if (buf.length < baseOffset + LAP_DATA_SIZE) return null;
+function parseLapDataForCar(buf, baseOffset, layout = packetLayout) {
+  if (buf.length < baseOffset + layout.lapData.size) return null;
 
   const decodeMinutesMs = (msPart, minutesPart) => {
     // In some sessions the game uses sentinels for "not available".
@@ -774,40 +1024,52 @@ function parseLapDataForCar(buf, baseOffset) {
     }
   }
 
-  // delta to race leader: minutes + ms parts
-  const deltaToRaceLeaderMSPart = buf.readUInt16LE(baseOffset + 17);
-  const deltaToRaceLeaderMinutesPart = buf.readUInt8(baseOffset + 19);
-  const deltaToRaceLeaderMs = decodeMinutesMs(deltaToRaceLeaderMSPart, deltaToRaceLeaderMinutesPart);
-
-  // delta to car in front: minutes + ms parts
-  const deltaToCarInFrontMSPart = buf.readUInt16LE(baseOffset + 14);
-  const deltaToCarInFrontMinutesPart = buf.readUInt8(baseOffset + 16);
-  const deltaToCarInFrontMs = decodeMinutesMs(deltaToCarInFrontMSPart, deltaToCarInFrontMinutesPart);
-
-  const lapDistance = buf.readFloatLE(baseOffset + 20);
-  const totalDistance = buf.readFloatLE(baseOffset + 24);
-  const safetyCarDelta = buf.readFloatLE(baseOffset + 28);
-
-  const carPosition = buf.readUInt8(baseOffset + 32);
-  const currentLapNum = buf.readUInt8(baseOffset + 33);
-  const pitStatus = buf.readUInt8(baseOffset + 34);
-  const numPitStops = buf.readUInt8(baseOffset + 35);
-  const sector = buf.readUInt8(baseOffset + 36); // 0 = sector1, 1 = sector2, 2 = sector3
-  const currentLapInvalid = buf.readUInt8(baseOffset + 37);
-  const penaltiesSec = buf.readUInt8(baseOffset + 38);
-  const totalWarnings = buf.readUInt8(baseOffset + 39);
-  const cornerCuttingWarnings = buf.readUInt8(baseOffset + 40);
-  const numUnservedDriveThroughPens = buf.readUInt8(baseOffset + 41);
-  const numUnservedStopGoPens = buf.readUInt8(baseOffset + 42);
-  const gridPosition = buf.readUInt8(baseOffset + 43);
-  const driverStatus = buf.readUInt8(baseOffset + 44);
-  const resultStatus = buf.readUInt8(baseOffset + 45);
-  const pitLaneTimerActive = buf.readUInt8(baseOffset + 46);
-  const pitLaneTimeInLaneInMS = buf.readUInt16LE(baseOffset + 47);
-  const pitStopTimerInMS = buf.readUInt16LE(baseOffset + 49);
-  const pitStopShouldServePen = buf.readUInt8(baseOffset + 51);
-  const speedTrapFastestSpeed = buf.readFloatLE(baseOffset + 52);
-  const speedTrapFastestLap = buf.readUInt8(baseOffset + 56);
+  let deltaToRaceLeaderMs;
+  let deltaToCarInFrontMs;
+  let o; // смещение m_lapDistance: в F1 23 разрывы короче на 2 байта, и все поля после них сдвинуты
+  if (layout.lapData.deltaMinutesParts) {
+    // delta to race leader: minutes + ms parts
+    const deltaToRaceLeaderMSPart = buf.readUInt16LE(baseOffset + 17);
+    const deltaToRaceLeaderMinutesPart = buf.readUInt8(baseOffset + 19);
+    deltaToRaceLeaderMs = decodeMinutesMs(deltaToRaceLeaderMSPart, deltaToRaceLeaderMinutesPart);
+
+    // delta to car in front: minutes + ms parts
+    const deltaToCarInFrontMSPart = buf.readUInt16LE(baseOffset + 14);
+    const deltaToCarInFrontMinutesPart = buf.readUInt8(baseOffset + 16);
+    deltaToCarInFrontMs = decodeMinutesMs(deltaToCarInFrontMSPart, deltaToCarInFrontMinutesPart);
+    o = baseOffset + 20;
+  } else {
+    // F1 23: uint16 миллисекунд без минут
+    deltaToCarInFrontMs = buf.readUInt16LE(baseOffset + 14) || null;
+    deltaToRaceLeaderMs = buf.readUInt16LE(baseOffset + 16) || null;
+    o = baseOffset + 18;
+  }
+
+  const lapDistance = buf.readFloatLE(o + 0);
+  const totalDistance = buf.readFloatLE(o + 4);
+  const safetyCarDelta = buf.readFloatLE(o + 8);
+
+  const carPosition = buf.readUInt8(o + 12);
+  const currentLapNum = buf.readUInt8(o + 13);
+  const pitStatus = buf.readUInt8(o + 14);
+  const numPitStops = buf.readUInt8(o + 15);
+  const sector = buf.readUInt8(o + 16); // 0 = sector1, 1 = sector2, 2 = sector3
+  const currentLapInvalid = buf.readUInt8(o + 17);
+  const penaltiesSec = buf.readUInt8(o + 18);
+  const totalWarnings = buf.readUInt8(o + 19);
+  const cornerCuttingWarnings = buf.readUInt8(o + 20);
+  const numUnservedDriveThroughPens = buf.readUInt8(o + 21);
+  const numUnservedStopGoPens = buf.readUInt8(o + 22);
+  const gridPosition = buf.readUInt8(o + 23);
+  const driverStatus = buf.readUInt8(o + 24);
+  const resultStatus = buf.readUInt8(o + 25);
+  const pitLaneTimerActive = buf.readUInt8(o + 26);
+  const pitLaneTimeInLaneInMS = buf.readUInt16LE(o + 27);
+  const pitStopTimerInMS = buf.readUInt16LE(o + 29);
+  const pitStopShouldServePen = buf.readUInt8(o + 31);
+  // Спид-трап в LapData — с F1 24
+  const speedTrapFastestSpeed = layout.lapData.speedTrap ? buf.readFloatLE(o + 32) : null;
+  const speedTrapFastestLap = layout.lapData.speedTrap ? buf.readUInt8(o + 36) : null;
 
   return {
     lastLapTimeInMS,
@@ -843,24 +1105,30 @@ function parseLapDataForCar(buf, baseOffset) {
   };
 }
 
-function parseParticipantName(buf, baseOffset) {
-  // ParticipantData: first 7 bytes then name[cs_maxParticipantNameLen=32] utf8 null-terminated
-  const NAME_LEN = 32;
-  const nameOffset = baseOffset + 7;
-  const nameBuf = buf.subarray(nameOffset, nameOffset + NAME_LEN);
+// Имя пилота: char[cs_maxParticipantNameLen] в UTF-8, завершается нулем (32 байта в F1 25, 48 — в F1 23/24)
+function parseDriverName(buf, nameOffset, nameLen) {
+  const nameBuf = buf.subarray(nameOffset, nameOffset + nameLen);
   const zeroIdx = nameBuf.indexOf(0);
   const sliced = zeroIdx >= 0 ? nameBuf.subarray(0, zeroIdx) : nameBuf;
-  const name = sliced.toString('utf8').trim();
-  return name;
+  return sliced.toString('utf8').trim();
+}
+
+function parseParticipantName(buf, baseOffset) {
+  // ParticipantData: first 7 bytes then name[cs_maxParticipantNameLen] utf8 null-terminated
+  return parseDriverName(buf, baseOffset + 7, packetLayout.participant.nameLen);
 }
 
 function parseParticipantMeta(buf, baseOffset) {
   const teamId = buf.readUInt8(baseOffset + 3);
-  const numColours = buf.readUInt8(baseOffset + 44);
+  const coloursOffset = packetLayout.participant.liveryColoursOffset;
+  if (coloursOffset == null) {
+    return { teamId, numColours: 0, colour: DEFAULT_TEAM_COLOURS[teamId] ?? null };
+  }
+  const numColours = buf.readUInt8(baseOffset + coloursOffset);
   // liveryColours[0]
-  const r = buf.readUInt8(baseOffset + 45);
-  const g = buf.readUInt8(baseOffset + 46);
-  const b = buf.readUInt8(baseOffset + 47);
+  const r = buf.readUInt8(baseOffset + coloursOffset + 1);
+  const g = buf.readUInt8(baseOffset + coloursOffset + 2);
+  const b = buf.readUInt8(baseOffset + coloursOffset + 3);
   return { teamId, numColours, colour: { r, g, b } };
 }
 
@@ -876,10 +1144,11 @@ function handleParticipantsPacket(buf) {
   // PacketParticipantsData: header + numActiveCars + participants[22]
   numActiveCars = buf.readUInt8(HEADER_SIZE);
   const base = HEADER_SIZE + 1;
-  if (buf.length < base + NUM_CARS * PARTICIPANT_DATA_SIZE) return;
+  const participantSize = packetLayout.participant.size;
+  if (buf.length < base + NUM_CARS * participantSize) return;
 
   for (let i = 0; i < NUM_CARS; i++) {
-    const off = base + i * PARTICIPANT_DATA_SIZE;
+    const off = base + i * participantSize;
     const name = parseParticipantName(buf, off);
     if (name) {
       participantsNameByIndex.set(i, name);
@@ -942,24 +1211,9 @@ function handleSessionHistoryPacket(buf) {
   }
   sessionHistoryByCarIndex.set(carIdx, byLap);
 
-  // If player: update already recorded personal laps with authoritative sector breakdown
-  if (carIdx === header.playerCarIndex) {
-    for (const [lapNum, entry] of byLap.entries()) {
-      if (lapsByNumber.has(lapNum)) {
-        // Для Personal не "дозаполняем" сектора старым значением:
-        // обновляем только когда в history есть полный круг.
-        if (entry.lapTimeMs != null) {
-          const l = lapsByNumber.get(lapNum);
-          l.lapTimeMs = entry.lapTimeMs;
-          l.sector1TimeMs = entry.sector1TimeMs;
-          l.sector2TimeMs = entry.sector2TimeMs;
-          l.sector3TimeMs = entry.sector3TimeMs;
-          lapsByNumber.set(lapNum, l);
-        }
-      }
-    }
-    recomputeFromLaps();
-  }
+  // Уже записанные круги машины получают авторитетную разбивку по секторам
+  const tracker = carTrackers.get(carIdx);
+  if (tracker && tracker.applyHistory(byLap)) syncPersonalTrackers();
 }
 
 // Разбор CarStatusData для одного автомобиля (полностью)
@@ -1042,45 +1296,15 @@ function handleCarStatusPacket(buf) {
     carStatusByIndex.set(i, status);
   }
 
-  // И отдельно — в playerState (для персональной таблицы)
   if (playerCarIndex < NUM_CARS) {
     const ps = carStatusByIndex.get(playerCarIndex);
     if (ps) {
-      playerState.currentTyreActualCompound = ps.actualTyreCompound;
-      playerState.currentTyreVisualCompound = ps.visualTyreCompound;
-      playerState.currentTyresAgeLaps = ps.tyresAgeLaps;
       lapsState.currentCarStatus = ps;
+      syncTyreCrossover();
     }
   }
-
-  // Если CarStatus пришёл позже LapData на первом круге — дозаполним снимок шин для текущего круга
-  if (playerState.currentLapNum != null) {
-    const lapNum = playerState.currentLapNum;
-    const existing = tyreByLapStart.get(lapNum);
-    const hasPitThisLap = pitLaneTimeByLap.has(lapNum);
-    const compoundsChanged =
-      existing &&
-      (existing.tyreVisualCompound !== playerState.currentTyreVisualCompound ||
-        existing.tyreActualCompound !== playerState.currentTyreActualCompound);
-    const ageAligned =
-      existing?.tyresAgeLaps != null &&
-      playerState.currentTyresAgeLaps != null &&
-      existing.tyresAgeLaps === playerState.currentTyresAgeLaps;
-    const shouldCorrectSnapshot =
-      compoundsChanged && ageAligned && !playerState.pitLaneActive && !hasPitThisLap;
-    if (
-      existing == null ||
-      shouldCorrectSnapshot ||
-      (existing.tyreVisualCompound == null && playerState.currentTyreVisualCompound != null) ||
-      (existing.tyreActualCompound == null && playerState.currentTyreActualCompound != null)
-    ) {
-      tyreByLapStart.set(lapNum, {
-        tyreActualCompound: playerState.currentTyreActualCompound,
-        tyreVisualCompound: playerState.currentTyreVisualCompound,
-        tyresAgeLaps: playerState.currentTyresAgeLaps
-      });
-    }
-  }
+  // Трекеры дозаполняют снимок шин текущего круга, если CarStatus пришел позже LapData
+  for (const [carIndex, tracker] of carTrackers.entries()) tracker.setCarStatus(carStatusByIndex.get(carIndex));
 }
 
 function parseCarTelemetryForCar(buf, baseOffset) {
@@ -1132,10 +1356,8 @@ function parseCarTelemetryForCar(buf, baseOffset) {
 }
 
 function parseCarDamageForCar(buf, baseOffset) {
-  const perCarSize = Math.floor((buf.length - HEADER_SIZE) / NUM_CARS);
-  const needed = Math.min(CAR_DAMAGE_DATA_SIZE, perCarSize || 0);
-  if (needed <= 0) return null;
-  if (buf.length < baseOffset + needed) return null;
+  const layout = packetLayout.carDamage;
+  if (buf.length < baseOffset + layout.size) return null;
   let o = baseOffset;
 
   const tyresWear = [
@@ -1162,13 +1384,17 @@ function parseCarDamageForCar(buf, baseOffset) {
   ];
   o += 4;
 
-  const tyreBlisters = [
-    buf.readUInt8(o),
-    buf.readUInt8(o + 1),
-    buf.readUInt8(o + 2),
-    buf.readUInt8(o + 3)
-  ];
-  o += 4;
+  // Вздутие шин — с F1 25
+  let tyreBlisters = null;
+  if (layout.tyreBlisters) {
+    tyreBlisters = [
+      buf.readUInt8(o),
+      buf.readUInt8(o + 1),
+      buf.readUInt8(o + 2),
+      buf.readUInt8(o + 3)
+    ];
+    o += 4;
+  }
 
   const frontLeftWingDamage = buf.readUInt8(o); o += 1;
   const frontRightWingDamage = buf.readUInt8(o); o += 1;
@@ -1215,12 +1441,9 @@ function parseCarDamageForCar(buf, baseOffset) {
   };
 }
 
+// Педали игрока (current/previous/best) приходят из его трекера в syncPlayerState, здесь — текущие круги соперников
 function syncPedalsState() {
   lapsState.pedals.trackLengthM = lapsState.trackLengthM ?? null;
-  lapsState.pedals.currentLapNumber = pedalState.currentLapNumber;
-  lapsState.pedals.current = pedalState.current;
-  lapsState.pedals.previous = pedalState.previous;
-  lapsState.pedals.best = pedalState.best;
   lapsState.pedals.others = Array.from(pedalPerCar.entries())
     .map(([carIndex, entry]) => {
       if (!entry || !entry.current?.length) return null;
@@ -1237,7 +1460,7 @@ function syncPedalsState() {
     .filter(Boolean);
 }
 
-function recordPedalsForCar(carIndex, isPlayer) {
+function recordPedalsForCar(carIndex) {
   const tel = carTelemetryByIndex.get(carIndex);
   const lap = lapDataByIndex.get(carIndex);
   if (!tel || !lap) return;
@@ -1249,79 +1472,32 @@ function recordPedalsForCar(carIndex, isPlayer) {
   const brake = Number.isFinite(tel.brake) ? tel.brake : null;
   if (throttle == null && brake == null) return;
 
-  if (isPlayer) {
-    if (pedalState.currentLapNumber == null) {
-      pedalState.currentLapNumber = currentLapNum;
-    } else if (currentLapNum !== pedalState.currentLapNumber) {
-      pedalState.current = [];
-      pedalState.currentLapNumber = currentLapNum;
-      pedalState.lastDistanceM = null;
-      pedalState.lastTimestampMs = null;
-    }
-
-    const now = Date.now();
-    const needByDistance =
-      pedalState.lastDistanceM == null || lapDistance - pedalState.lastDistanceM >= PEDAL_DISTANCE_STEP;
-    const needByTime = pedalState.lastTimestampMs == null || now - pedalState.lastTimestampMs >= PEDAL_TIME_STEP_MS;
-    if (!needByDistance && !needByTime) return;
-
-    pedalState.current.push({
-      x: lapDistance,
-      throttle: throttle ?? 0,
-      brake: brake ?? 0
-    });
-    pedalState.lastDistanceM = lapDistance;
-    pedalState.lastTimestampMs = now;
-  } else {
-    let entry = pedalPerCar.get(carIndex);
-    if (!entry || entry.currentLapNumber !== currentLapNum) {
-      entry = {
-        currentLapNumber: currentLapNum,
-        current: [],
-        lastDistanceM: null,
-        lastTimestampMs: null
-      };
-      pedalPerCar.set(carIndex, entry);
-    }
-
-    const now = Date.now();
-    const needByDistance =
-      entry.lastDistanceM == null || lapDistance - entry.lastDistanceM >= PEDAL_DISTANCE_STEP;
-    const needByTime = entry.lastTimestampMs == null || now - entry.lastTimestampMs >= PEDAL_TIME_STEP_MS;
-    if (!needByDistance && !needByTime) return;
-
-    entry.current.push({
-      x: lapDistance,
-      throttle: throttle ?? 0,
-      brake: brake ?? 0
-    });
-    entry.lastDistanceM = lapDistance;
-    entry.lastTimestampMs = now;
+  let entry = pedalPerCar.get(carIndex);
+  if (!entry || entry.currentLapNumber !== currentLapNum) {
+    entry = {
+      currentLapNumber: currentLapNum,
+      current: [],
+      lastDistanceM: null,
+      lastTimestampMs: null
+    };
     pedalPerCar.set(carIndex, entry);
   }
 
-  syncPedalsState();
-}
-
-function finalizePedalLap(finishedLapNum) {
-  if (pedalState.current.length) {
-    pedalState.previous = {
-      lapNumber: finishedLapNum,
-      points: pedalState.current.slice()
-    };
-  }
+  const now = Date.now();
+  const needByDistance =
+    entry.lastDistanceM == null || lapDistance - entry.lastDistanceM >= PEDAL_DISTANCE_STEP;
+  const needByTime = entry.lastTimestampMs == null || now - entry.lastTimestampMs >= PEDAL_TIME_STEP_MS;
+  if (!needByDistance && !needByTime) return;
 
-  if (lapsState.bestLapNumber != null && lapsState.bestLapNumber === finishedLapNum && pedalState.current.length) {
-    pedalState.best = {
-      lapNumber: finishedLapNum,
-      points: pedalState.current.slice()
-    };
-  }
+  entry.current.push({
+    x: lapDistance,
+    throttle: throttle ?? 0,
+    brake: brake ?? 0
+  });
+  entry.lastDistanceM = lapDistance;
+  entry.lastTimestampMs = now;
+  pedalPerCar.set(carIndex, entry);
 
-  pedalState.current = [];
-  pedalState.currentLapNumber = null;
-  pedalState.lastDistanceM = null;
-  pedalState.lastTimestampMs = null;
   syncPedalsState();
 }
 
@@ -1346,13 +1522,25 @@ function handleCarTelemetryPacket(buf) {
     const t = carTelemetryByIndex.get(playerCarIndex);
     if (t) {
       lapsState.currentCarTelemetry = t;
+      channelLog.sample(header.sessionTime, {
+        telemetry: t,
+        status: carStatusByIndex.get(playerCarIndex),
+        lap: lapDataByIndex.get(playerCarIndex)
+      });
     }
   }
 
-  // Запишем педали для всех машин (для игрока – с previous/best, для остальных – только текущий круг)
+  // Текущий круг соперников для сравнения на графике педалей
   for (let i = 0; i < NUM_CARS; i++) {
-    recordPedalsForCar(i, i === playerCarIndex);
+    if (i !== playerCarIndex) recordPedalsForCar(i);
+  }
+  // Трекеры ведут педали с previous/best для всех машин, включая ведущего игрока
+  const nowMs = Date.now();
+  let trackedPedalsChanged = false;
+  for (const [carIndex, tracker] of carTrackers.entries()) {
+    if (tracker.recordPedals(lapDataByIndex.get(carIndex), carTelemetryByIndex.get(carIndex), nowMs)) trackedPedalsChanged = true;
   }
+  if (trackedPedalsChanged) syncPersonalTrackers();
 }
 
 function handleCarDamagePacket(buf) {
@@ -1365,7 +1553,7 @@ function handleCarDamagePacket(buf) {
 
   const { playerCarIndex } = header;
   for (let i = 0; i < NUM_CARS; i++) {
-    const baseOffset = HEADER_SIZE + i * CAR_DAMAGE_DATA_SIZE;
+    const baseOffset = HEADER_SIZE + i * packetLayout.carDamage.size;
     const dmg = parseCarDamageForCar(buf, baseOffset);
     if (!dmg) continue;
     carDamageByIndex.set(i, dmg);
@@ -1381,73 +1569,806 @@ function handleCarDamagePacket(buf) {
   broadcastState();
 }
 
-function handleSessionPacket(buf) {
+function parseCarMotionForCar(buf, baseOffset) {
+  if (buf.length < baseOffset + CAR_MOTION_DATA_SIZE) return null;
+  // Направления forward/right (int16, нормированы на 32767) пропускаем: для карты и g-сил не нужны
+  return {
+    worldPositionX: buf.readFloatLE(baseOffset + 0),
+    worldPositionY: buf.readFloatLE(baseOffset + 4),
+    worldPositionZ: buf.readFloatLE(baseOffset + 8),
+    worldVelocityX: buf.readFloatLE(baseOffset + 12),
+    worldVelocityY: buf.readFloatLE(baseOffset + 16),
+    worldVelocityZ: buf.readFloatLE(baseOffset + 20),
+    gForceLateral: buf.readFloatLE(baseOffset + 36),
+    gForceLongitudinal: buf.readFloatLE(baseOffset + 40),
+    gForceVertical: buf.readFloatLE(baseOffset + 44),
+    yaw: buf.readFloatLE(baseOffset + 48),
+    pitch: buf.readFloatLE(baseOffset + 52),
+    roll: buf.readFloatLE(baseOffset + 56)
+  };
+}
+
+function handleMotionPacket(buf) {
   const header = parseHeader(buf);
   if (!header) return;
 
-  // Если началась новая сессия — сбрасываем состояние
   if (playerState.sessionUID === null || playerState.sessionUID !== header.sessionUID) {
     resetSessionState(header.sessionUID);
   }
 
-  // PacketSessionData layout (после header):
-  // weather(0), trackTemp(int8)(1), airTemp(int8)(2), totalLaps(3),
-  // trackLength(u16)(4..5), sessionType(6), trackId(int8)(7),
-  // formula(8), sessionTimeLeft(u16)(9..10), sessionDuration(u16)(11..12), pitSpeedLimit(13)
-  if (buf.length < HEADER_SIZE + 14) return;
-  const totalLaps = buf.readUInt8(HEADER_SIZE + 3);
-  const sessionType = buf.readUInt8(HEADER_SIZE + 6);
-  const trackLengthM = buf.readUInt16LE(HEADER_SIZE + 4);
-  const trackId = buf.readInt8(HEADER_SIZE + 7);
-  const weather = buf.readUInt8(HEADER_SIZE + 0);
-  const trackTemperatureC = buf.readInt8(HEADER_SIZE + 1);
-  const airTemperatureC = buf.readInt8(HEADER_SIZE + 2);
-  const formula = buf.readUInt8(HEADER_SIZE + 8);
-  const sessionTimeLeftSec = buf.readUInt16LE(HEADER_SIZE + 9);
-  const sessionDurationSec = buf.readUInt16LE(HEADER_SIZE + 11);
-  const pitSpeedLimitKph = buf.readUInt8(HEADER_SIZE + 13);
-  const numMarshalZones = buf.readUInt8(HEADER_SIZE + 18);
+  for (let i = 0; i < NUM_CARS; i++) {
+    const motion = parseCarMotionForCar(buf, HEADER_SIZE + i * CAR_MOTION_DATA_SIZE);
+    if (!motion) continue;
+    carMotionByIndex.set(i, motion);
+  }
 
-  // Marshal zones start right after numMarshalZones, 5 bytes each (float start + int8 flag)
-  const marshalBase = HEADER_SIZE + 19;
-  const marshallingZones = [];
-  for (let i = 0; i < numMarshalZones; i++) {
-    const off = marshalBase + i * 5;
-    if (off + 5 > buf.length) break;
-    const zoneStart = buf.readFloatLE(off);
-    const zoneFlag = buf.readInt8(off + 4);
-    marshallingZones.push({ zoneStart, zoneFlag });
+  // Контур учим только по игроку на трассе: пит-лейн и гараж исказили бы линию
+  const { playerCarIndex } = header;
+  const playerMotion = carMotionByIndex.get(playerCarIndex);
+  const playerLap = lapDataByIndex.get(playerCarIndex);
+  // Новый объект контура — только с новой точкой: неизменный контур клиентам повторно не рассылается
+  if (playerMotion && playerLap && playerLap.pitStatus === 0 && playerLap.driverStatus !== 0) {
+    if (trackOutlineStore.addSample(playerLap.lapDistance, playerMotion.worldPositionX, playerMotion.worldPositionZ)) {
+      lapsState.trackOutline = trackOutlineStore.getOutline();
+    }
   }
 
-  // Safety car status follows marshal zones (uint8)
-  let safetyCarStatus = lapsState.safetyCarStatus;
-  const safetyCarOffset = marshalBase + numMarshalZones * 5;
-  if (safetyCarOffset < buf.length) {
-    safetyCarStatus = buf.readUInt8(safetyCarOffset);
+  // Позиции только для машин из Participants (остальные слоты массива пустые)
+  const maxCars = numActiveCars != null ? Math.min(numActiveCars, NUM_CARS) : NUM_CARS;
+  const carPositions = [];
+  for (let i = 0; i < maxCars; i++) {
+    const motion = carMotionByIndex.get(i);
+    if (!motion || !participantsNameByIndex.has(i)) continue;
+    carPositions.push({
+      carIndex: i,
+      x: Math.round(motion.worldPositionX * 10) / 10,
+      z: Math.round(motion.worldPositionZ * 10) / 10
+    });
   }
+  // Motion приходит каждый кадр: позиции уходят клиентам со следующей рассылкой LapData
+  lapsState.carPositions = carPositions;
+}
 
-  lapsState.totalLaps = totalLaps;
-  lapsState.sessionType = sessionType;
-  lapsState.trackLengthM = trackLengthM;
-  lapsState.trackId = trackId;
-  lapsState.weather = weather;
-  lapsState.trackTemperatureC = trackTemperatureC;
-  lapsState.airTemperatureC = airTemperatureC;
-  lapsState.formula = formula;
-  lapsState.sessionTimeLeftSec = sessionTimeLeftSec;
-  lapsState.sessionDurationSec = sessionDurationSec;
-  lapsState.pitSpeedLimitKph = pitSpeedLimitKph;
-  lapsState.marshallingZones = marshallingZones;
-  lapsState.safetyCarStatus = safetyCarStatus;
-  lapsState.pedals.trackLengthM = trackLengthM ?? lapsState.pedals.trackLengthM ?? null;
+const RAD_TO_DEG = 180 / Math.PI;
+const roundTo = (v, digits) => {
+  const k = 10 ** digits;
+  return Math.round(v * k) / k;
+};
+
+function readWheelFloats(buf, offset) {
+  return [0, 1, 2, 3].map((i) => buf.readFloatLE(offset + i * 4));
+}
+
+// PacketMotionExData: углы (рад) переводим в градусы, высоты аэро (м) — в миллиметры.
+// Поля, которых нет в структуре старого года (в F1 23 — всё после m_wheelVertForce, в F1 24 — тангаж и развал), — null
+function parseMotionEx(buf, baseOffset) {
+  const size = packetLayout.motionExSize;
+  if (buf.length < baseOffset + size) return null;
+  const wheels = (offset, digits, scale = 1) => (offset + 16 > size ? null
+    : readWheelFloats(buf, baseOffset + offset).map((v) => roundTo(v * scale, digits)));
+  const float = (offset, digits, scale = 1) => (offset + 4 > size ? null
+    : roundTo(buf.readFloatLE(baseOffset + offset) * scale, digits));
+  return {
+    suspensionPosition: wheels(0, 2),
+    suspensionVelocity: wheels(16, 2),
+    suspensionAcceleration: wheels(32, 1),
+    wheelSpeed: wheels(48, 2), // м/с
+    wheelSlipRatio: wheels(64, 3),
+    wheelSlipAngle: wheels(80, 2, RAD_TO_DEG),
+    wheelLatForce: wheels(96, 0), // Н
+    wheelLongForce: wheels(112, 0),
+    heightOfCOGAboveGround: float(128, 3), // м
+    localVelocity: [float(132, 2), float(136, 2), float(140, 2)], // x, y, z, м/с
+    angularVelocity: [float(144, 3), float(148, 3), float(152, 3)],
+    angularAcceleration: [float(156, 3), float(160, 3), float(164, 3)],
+    frontWheelsAngle: float(168, 2, RAD_TO_DEG),
+    wheelVertForce: wheels(172, 0),
+    frontAeroHeight: float(188, 1, 1000),
+    rearAeroHeight: float(192, 1, 1000),
+    frontRollAngle: float(196, 2, RAD_TO_DEG),
+    rearRollAngle: float(200, 2, RAD_TO_DEG),
+    chassisYaw: float(204, 2, RAD_TO_DEG),
+    chassisPitch: float(208, 2, RAD_TO_DEG),
+    wheelCamber: wheels(212, 2, RAD_TO_DEG),
+    wheelCamberGain: wheels(228, 2, RAD_TO_DEG)
+  };
+}
+
+function syncMotionExState() {
+  lapsState.motionEx = {
+    currentLapNumber: motionExState.currentLapNumber,
+    current: motionExState.current,
+    previous: motionExState.previous
+  };
+  lapsState.slipEvents = Array.from(slipEventsByLap.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([lapNumber, events]) => ({
+      lapNumber,
+      lockups: events.filter((e) => e.type === 'lockup').length,
+      wheelspins: events.filter((e) => e.type === 'wheelspin').length,
+      events
+    }));
+}
+
+// Событие относится к кругу, на котором началось (даже если закончилось после линии)
+function closeSlipEvent(wheelIdx) {
+  const slip = motionExState.activeSlips[wheelIdx];
+  if (!slip) return;
+  motionExState.activeSlips[wheelIdx] = null;
+  let events = slipEventsByLap.get(slip.lapNumber);
+  if (!events) {
+    events = [];
+    slipEventsByLap.set(slip.lapNumber, events);
+  }
+  events.push({
+    type: slip.type,
+    wheel: MOTION_EX_WHEELS[wheelIdx],
+    distanceM: Math.round(slip.startDistanceM),
+    lengthM: Math.max(0, Math.round(slip.lastDistanceM - slip.startDistanceM)),
+    peakSlipRatio: slip.peakSlipRatio
+  });
+}
+
+// Текущий круг трасс и незакрытые события (при смене сессии и флешбэке)
+function resetMotionExTraces() {
+  motionExState.currentLapNumber = null;
+  motionExState.current = [];
+  motionExState.lastDistanceM = null;
+  motionExState.activeSlips = [null, null, null, null];
+  motionExState.lastSample = null;
+}
+
+function detectSlipEvents(motionEx, lapNumber, lapDistance) {
+  const speed = motionEx.localVelocity[2];
+  let changed = false;
+  motionEx.wheelSlipRatio.forEach((ratio, wheelIdx) => {
+    let type = null;
+    if (speed >= SLIP_EVENT_MIN_SPEED_MS && ratio <= SLIP_LOCKUP_RATIO) type = 'lockup';
+    if (speed >= SLIP_EVENT_MIN_SPEED_MS && ratio >= SLIP_WHEELSPIN_RATIO) type = 'wheelspin';
+
+    const active = motionExState.activeSlips[wheelIdx];
+    if (active && active.type !== type) {
+      closeSlipEvent(wheelIdx);
+      changed = true;
+    }
+    if (!type) return;
+    const slip = motionExState.activeSlips[wheelIdx];
+    if (slip) {
+      slip.lastDistanceM = lapNumber === slip.lapNumber ? lapDistance : slip.lastDistanceM;
+      if (Math.abs(ratio) > Math.abs(slip.peakSlipRatio)) slip.peakSlipRatio = ratio;
+    } else {
+      motionExState.activeSlips[wheelIdx] = {
+        type,
+        lapNumber,
+        startDistanceM: lapDistance,
+        lastDistanceM: lapDistance,
+        peakSlipRatio: ratio
+      };
+    }
+  });
+  return changed;
+}
+
+function recordMotionExTrace(motionEx, lapNumber, lapDistance) {
+  if (motionExState.currentLapNumber !== lapNumber) {
+    if (motionExState.currentLapNumber != null && motionExState.current.length && lapNumber > motionExState.currentLapNumber) {
+      motionExState.previous = { lapNumber: motionExState.currentLapNumber, points: motionExState.current };
+    }
+    motionExState.currentLapNumber = lapNumber;
+    motionExState.current = [];
+    motionExState.lastDistanceM = null;
+  }
+  if (motionExState.lastDistanceM != null && lapDistance - motionExState.lastDistanceM < MOTION_EX_TRACE_STEP_M) return false;
+
+  motionExState.current.push({
+    x: Math.round(lapDistance),
+    suspensionPosition: motionEx.suspensionPosition,
+    slipRatio: motionEx.wheelSlipRatio,
+    slipAngle: motionEx.wheelSlipAngle,
+    aeroHeight: [motionEx.frontAeroHeight, motionEx.rearAeroHeight],
+    rollAngle: [motionEx.frontRollAngle, motionEx.rearRollAngle]
+  });
+  motionExState.lastDistanceM = lapDistance;
+  return true;
+}
+
+function handleMotionExPacket(buf) {
+  const header = parseHeader(buf);
+  if (!header) return;
+
+  if (playerState.sessionUID === null || playerState.sessionUID !== header.sessionUID) {
+    resetSessionState(header.sessionUID);
+  }
+
+  const motionEx = parseMotionEx(buf, HEADER_SIZE);
+  if (!motionEx) return;
+  lapsState.currentMotionEx = motionEx;
+
+  // Привязка к дистанции круга — из LapData игрока; в боксах и гараже трассы не пишем
+  const lap = lapDataByIndex.get(header.playerCarIndex);
+  if (lap && Number.isFinite(lap.lapDistance) && lap.lapDistance >= 0 && lap.pitStatus === 0 && lap.driverStatus !== 0) {
+    const slipsChanged = detectSlipEvents(motionEx, lap.currentLapNum, lap.lapDistance);
+    const traced = recordMotionExTrace(motionEx, lap.currentLapNum, lap.lapDistance);
+    if (slipsChanged || traced) syncMotionExState();
+  } else if (motionExState.activeSlips.some(Boolean)) {
+    motionExState.activeSlips.forEach((_, wheelIdx) => closeSlipEvent(wheelIdx));
+    syncMotionExState();
+  }
+  // Отдельной рассылки нет: currentMotionEx и трассы уходят клиентам со следующей рассылкой LapData
+}
+
+function parseTyreSetData(buf, baseOffset) {
+  if (buf.length < baseOffset + TYRE_SET_DATA_SIZE) return null;
+  return {
+    actualTyreCompound: buf.readUInt8(baseOffset + 0),
+    visualTyreCompound: buf.readUInt8(baseOffset + 1),
+    wear: buf.readUInt8(baseOffset + 2), // %
+    available: buf.readUInt8(baseOffset + 3) === 1,
+    recommendedSession: buf.readUInt8(baseOffset + 4), // m_sessionType, для которой игра рекомендует комплект
+    lifeSpan: buf.readUInt8(baseOffset + 5), // сколько кругов комплекту осталось
+    usableLife: buf.readUInt8(baseOffset + 6), // рекомендованный максимум кругов
+    lapDeltaTime: buf.readInt16LE(baseOffset + 7), // разница времени круга к установленному комплекту, мс
+    fitted: buf.readUInt8(baseOffset + 9) === 1
+  };
+}
+
+// PacketTyreSetsData приходит по одной машине (m_carIdx) за пакет
+function handleTyreSetsPacket(buf) {
+  const header = parseHeader(buf);
+  if (!header) return;
+
+  if (playerState.sessionUID === null || playerState.sessionUID !== header.sessionUID) {
+    resetSessionState(header.sessionUID);
+  }
+
+  const fittedOffset = HEADER_SIZE + 1 + NUM_TYRE_SETS * TYRE_SET_DATA_SIZE;
+  if (buf.length < fittedOffset + 1) return;
+  const carIndex = buf.readUInt8(HEADER_SIZE);
+  if (carIndex >= NUM_CARS) return;
+
+  const sets = [];
+  for (let i = 0; i < NUM_TYRE_SETS; i++) {
+    const set = parseTyreSetData(buf, HEADER_SIZE + 1 + i * TYRE_SET_DATA_SIZE);
+    if (set) sets.push({ index: i, ...set });
+  }
+  const fittedIdx = buf.readUInt8(fittedOffset);
+  tyreSetsByCarIndex.set(carIndex, { fittedIdx, sets });
+
+  if (carIndex === header.playerCarIndex) {
+    lapsState.tyreSets = { carIndex, fittedIdx, sets };
+    broadcastState();
+  }
+}
+
+// Float-поля округляем, чтобы шум представления не порождал "новые" снимки настроек
+function parseCarSetupForCar(buf, baseOffset) {
+  const layout = packetLayout.carSetup;
+  if (buf.length < baseOffset + layout.size) return null;
+  const round2 = (v) => Math.round(v * 100) / 100;
+  let o = baseOffset;
+  const frontWing = buf.readUInt8(o); o += 1;
+  const rearWing = buf.readUInt8(o); o += 1;
+  const onThrottle = buf.readUInt8(o); o += 1; // дифференциал на газу, %
+  const offThrottle = buf.readUInt8(o); o += 1; // дифференциал без газа, %
+  const frontCamber = round2(buf.readFloatLE(o)); o += 4;
+  const rearCamber = round2(buf.readFloatLE(o)); o += 4;
+  const frontToe = round2(buf.readFloatLE(o)); o += 4;
+  const rearToe = round2(buf.readFloatLE(o)); o += 4;
+  const frontSuspension = buf.readUInt8(o); o += 1;
+  const rearSuspension = buf.readUInt8(o); o += 1;
+  const frontAntiRollBar = buf.readUInt8(o); o += 1;
+  const rearAntiRollBar = buf.readUInt8(o); o += 1;
+  const frontSuspensionHeight = buf.readUInt8(o); o += 1;
+  const rearSuspensionHeight = buf.readUInt8(o); o += 1;
+  const brakePressure = buf.readUInt8(o); o += 1; // %
+  const brakeBias = buf.readUInt8(o); o += 1; // %
+  let engineBraking = null; // %, с F1 24
+  if (layout.engineBraking) {
+    engineBraking = buf.readUInt8(o); o += 1;
+  }
+  const rearLeftTyrePressure = round2(buf.readFloatLE(o)); o += 4; // PSI
+  const rearRightTyrePressure = round2(buf.readFloatLE(o)); o += 4;
+  const frontLeftTyrePressure = round2(buf.readFloatLE(o)); o += 4;
+  const frontRightTyrePressure = round2(buf.readFloatLE(o)); o += 4;
+  const ballast = buf.readUInt8(o); o += 1;
+  const fuelLoad = round2(buf.readFloatLE(o));
+
+  return {
+    frontWing,
+    rearWing,
+    onThrottle,
+    offThrottle,
+    frontCamber,
+    rearCamber,
+    frontToe,
+    rearToe,
+    frontSuspension,
+    rearSuspension,
+    frontAntiRollBar,
+    rearAntiRollBar,
+    frontSuspensionHeight,
+    rearSuspensionHeight,
+    brakePressure,
+    brakeBias,
+    engineBraking,
+    rearLeftTyrePressure,
+    rearRightTyrePressure,
+    frontLeftTyrePressure,
+    frontRightTyrePressure,
+    ballast,
+    fuelLoad
+  };
+}
+
+function handleCarSetupsPacket(buf) {
+  const header = parseHeader(buf);
+  if (!header) return;
+
+  if (playerState.sessionUID === null || playerState.sessionUID !== header.sessionUID) {
+    resetSessionState(header.sessionUID);
+  }
+
+  const { playerCarIndex } = header;
+  if (playerCarIndex >= NUM_CARS) return;
+  const setup = parseCarSetupForCar(buf, HEADER_SIZE + playerCarIndex * packetLayout.carSetup.size);
+  if (!setup) return;
+
+  // Новый снимок — только если настройки отличаются от текущих (пакет приходит 2 раза в секунду)
+  const current = setupSnapshots.find((snap) => snap.id === playerState.currentSetupId);
+  if (current && JSON.stringify(current.setup) === JSON.stringify(setup)) return;
+
+  // Возврат к уже известной настройке не плодит дубликат
+  const known = setupSnapshots.find((snap) => JSON.stringify(snap.setup) === JSON.stringify(setup));
+  if (known) {
+    playerState.currentSetupId = known.id;
+  } else {
+    const id = setupSnapshots.length + 1;
+    setupSnapshots.push({ id, capturedOnLap: lapDataByIndex.get(playerCarIndex)?.currentLapNum ?? null, setup });
+    playerState.currentSetupId = id;
+  }
+  syncSetupsState();
+  broadcastState();
+}
+
+function parseFinalClassificationForCar(buf, baseOffset) {
+  const layout = packetLayout.finalClassification;
+  if (buf.length < baseOffset + layout.size) return null;
+  let o = baseOffset;
+  const position = buf.readUInt8(o); o += 1;
+  const numLaps = buf.readUInt8(o); o += 1;
+  const gridPosition = buf.readUInt8(o); o += 1;
+  const points = buf.readUInt8(o); o += 1;
+  const numPitStops = buf.readUInt8(o); o += 1;
+  const resultStatus = buf.readUInt8(o); o += 1; // 3 = finished, 4 = DNF, 5 = DSQ, 6 = not classified, 7 = retired
+  let resultReason = null; // как Retirement.reason в событии RTMT, с F1 25
+  if (layout.resultReason) {
+    resultReason = buf.readUInt8(o); o += 1;
+  }
+  const bestLapTimeMs = buf.readUInt32LE(o); o += 4;
+  const totalRaceTimeSec = buf.readDoubleLE(o); o += 8; // без штрафов
+  const penaltiesTimeSec = buf.readUInt8(o); o += 1;
+  const numPenalties = buf.readUInt8(o); o += 1;
+  const numTyreStints = Math.min(MAX_TYRE_STINTS, buf.readUInt8(o)); o += 1;
+  const stints = [];
+  for (let s = 0; s < numTyreStints; s++) {
+    stints.push({
+      actualTyreCompound: buf.readUInt8(o + s),
+      visualTyreCompound: buf.readUInt8(o + MAX_TYRE_STINTS + s),
+      endLap: buf.readUInt8(o + 2 * MAX_TYRE_STINTS + s)
+    });
+  }
+
+  return {
+    position,
+    numLaps,
+    gridPosition,
+    points,
+    numPitStops,
+    resultStatus,
+    resultReason,
+    bestLapTimeMs: bestLapTimeMs > 0 ? bestLapTimeMs : null,
+    totalRaceTimeMs: totalRaceTimeSec > 0 ? Math.round(totalRaceTimeSec * 1000) : null,
+    penaltiesTimeSec,
+    numPenalties,
+    stints
+  };
+}
+
+// Итоговая классификация приходит в конце сессии; сохраняем ее в архив сессии
+function handleFinalClassificationPacket(buf) {
+  const header = parseHeader(buf);
+  if (!header) return;
+
+  if (playerState.sessionUID === null || playerState.sessionUID !== header.sessionUID) {
+    resetSessionState(header.sessionUID);
+  }
+
+  if (buf.length < HEADER_SIZE + 1) return;
+  const numCars = Math.min(NUM_CARS, buf.readUInt8(HEADER_SIZE));
+  const rows = [];
+  for (let i = 0; i < numCars; i++) {
+    const row = parseFinalClassificationForCar(buf, HEADER_SIZE + 1 + i * packetLayout.finalClassification.size);
+    if (!row || row.position === 0) continue;
+    const pcol = participantsColorByIndex.get(i);
+    rows.push({
+      carIndex: i,
+      name: participantsNameByIndex.get(i) ?? `Car ${i + 1}`,
+      teamColour: pcol ? { r: pcol.r, g: pcol.g, b: pcol.b } : null,
+      isPlayer: i === header.playerCarIndex,
+      ...row,
+      positionsGained: row.gridPosition > 0 ? row.gridPosition - row.position : null
+    });
+  }
+  rows.sort((a, b) => a.position - b.position);
+
+  // Повтор того же пакета не пересохраняем
+  const prev = lapsState.results;
+  if (prev && prev.sessionUID === String(header.sessionUID) && JSON.stringify(prev.rows) === JSON.stringify(rows)) return;
+
+  const results = {
+    sessionUID: String(header.sessionUID),
+    savedAtMs: Date.now(),
+    sessionType: lapsState.sessionType ?? null,
+    trackId: lapsState.trackId ?? null,
+    totalLaps: lapsState.totalLaps ?? null,
+    rows
+  };
+  lapsState.results = results;
+  // Воспроизведение захвата не трогает архив: итоги живой сессии с тем же sessionUID остаются прежними
+  if (!REPLAY_FILE) {
+    lastResults = results;
+    try {
+      sessionArchive.writeJson(header.sessionUID, 'results.json', results);
+    } catch (err) {
+      console.error('Failed to save final classification:', err.message);
+    }
+  }
+
+  broadcastState();
+}
+
+// Позиции по кругам для графика: машины с именем и хотя бы одной позицией, пит-лейн — по кругу въезда
+function syncLapPositionsState() {
+  const numLaps = lapPositionsByLap.size ? Math.max(...lapPositionsByLap.keys()) : 0;
+  const cars = [];
+  for (const [carIndex, name] of participantsNameByIndex.entries()) {
+    const positions = new Array(numLaps).fill(null);
+    let hasAny = false;
+    for (const [lapNum, byCar] of lapPositionsByLap.entries()) {
+      const pos = byCar[carIndex];
+      if (!pos) continue;
+      positions[lapNum - 1] = pos;
+      hasAny = true;
+    }
+    if (!hasAny) continue;
+
+    const gridPosition = lapDataByIndex.get(carIndex)?.gridPosition;
+    cars.push({
+      carIndex,
+      name,
+      teamColour: participantsColorByIndex.get(carIndex) ?? null,
+      isPlayer: carIndex === lapsState.playerCarIndex,
+      gridPosition: gridPosition > 0 && gridPosition <= NUM_CARS ? gridPosition : null,
+      positions,
+      pitLaps: Array.from(pitLapsByCarIndex.get(carIndex) ?? []).sort((a, b) => a - b)
+    });
+  }
+  lapsState.lapPositions = { numLaps, cars };
+}
+
+// PacketLapPositionsData: до 50 кругов за пакет начиная с m_lapStart; последняя страница (< 50 кругов)
+// задает конец истории — круги после нее (например, после флешбэка) отбрасываем
+function handleLapPositionsPacket(buf) {
+  const header = parseHeader(buf);
+  if (!header) return;
+
+  if (playerState.sessionUID === null || playerState.sessionUID !== header.sessionUID) {
+    resetSessionState(header.sessionUID);
+  }
+
+  const dataOffset = HEADER_SIZE + 2;
+  if (buf.length < dataOffset + MAX_LAPS_IN_LAP_POSITIONS * NUM_CARS) return;
+  const numLaps = Math.min(buf.readUInt8(HEADER_SIZE), MAX_LAPS_IN_LAP_POSITIONS);
+  const lapStart = buf.readUInt8(HEADER_SIZE + 1);
+
+  for (let i = 0; i < numLaps; i++) {
+    const base = dataOffset + i * NUM_CARS;
+    const byCar = new Array(NUM_CARS);
+    for (let carIndex = 0; carIndex < NUM_CARS; carIndex++) byCar[carIndex] = buf.readUInt8(base + carIndex);
+    lapPositionsByLap.set(lapStart + i + 1, byCar);
+  }
+  if (numLaps < MAX_LAPS_IN_LAP_POSITIONS) {
+    for (const lapNum of Array.from(lapPositionsByLap.keys())) {
+      if (lapNum > lapStart + numLaps) lapPositionsByLap.delete(lapNum);
+    }
+  }
+
+  syncLapPositionsState();
+  broadcastState();
+}
+
+function parseLobbyInfoForPlayer(buf, baseOffset) {
+  const layout = packetLayout.lobbyInfo;
+  if (buf.length < baseOffset + layout.size) return null;
+  const o = baseOffset + 4 + layout.nameLen; // m_carNumber, сразу за именем
+  // Телеметрия, показ имен и уровень техники — с F1 24
+  const extended = layout.telemetryAndTechLevel;
+  return {
+    aiControlled: buf.readUInt8(baseOffset + 0) === 1,
+    teamId: buf.readUInt8(baseOffset + 1),
+    nationality: buf.readUInt8(baseOffset + 2),
+    platform: buf.readUInt8(baseOffset + 3), // 1 = Steam, 3 = PlayStation, 4 = Xbox, 6 = Origin, 255 = неизвестно
+    name: parseDriverName(buf, baseOffset + 4, layout.nameLen),
+    carNumber: buf.readUInt8(o),
+    yourTelemetry: extended ? buf.readUInt8(o + 1) : null, // 0 = restricted, 1 = public
+    showOnlineNames: extended ? buf.readUInt8(o + 2) === 1 : null,
+    techLevel: extended ? buf.readUInt16LE(o + 3) : null,
+    readyStatus: buf.readUInt8(extended ? o + 5 : o + 1) // 0 = not ready, 1 = ready, 2 = spectating
+  };
+}
+
+// PacketLobbyInfoData приходит в онлайн-лобби, где сессии еще нет (sessionUID = 0):
+// состояние текущей сессии не сбрасываем, лобби живет до первого Session-пакета
+function handleLobbyInfoPacket(buf) {
+  if (buf.length < HEADER_SIZE + 1) return;
+  const header = parseHeader(buf);
+  const numPlayers = Math.min(buf.readUInt8(HEADER_SIZE), NUM_CARS);
+  const players = [];
+  for (let i = 0; i < numPlayers; i++) {
+    const player = parseLobbyInfoForPlayer(buf, HEADER_SIZE + 1 + i * packetLayout.lobbyInfo.size);
+    if (player) players.push({ index: i, isPlayer: i === header.playerCarIndex, ...player });
+  }
+  lapsState.lobby = { players };
+  lapsState.isConnected = true;
+  broadcastState();
+}
+
+function parseTimeTrialDataSet(buf, baseOffset) {
+  if (buf.length < baseOffset + TIME_TRIAL_DATA_SET_SIZE) return null;
+  const lapTimeMs = buf.readUInt32LE(baseOffset + 2);
+  if (lapTimeMs === 0) return null; // круга в этом наборе еще нет
+  const carIndex = buf.readUInt8(baseOffset + 0);
+  return {
+    carIndex,
+    name: participantsNameByIndex.get(carIndex) ?? null,
+    teamId: buf.readUInt8(baseOffset + 1),
+    lapTimeMs,
+    sector1TimeMs: buf.readUInt32LE(baseOffset + 6),
+    sector2TimeMs: buf.readUInt32LE(baseOffset + 10),
+    sector3TimeMs: buf.readUInt32LE(baseOffset + 14),
+    tractionControl: buf.readUInt8(baseOffset + 18), // 0 = off, 1 = medium, 2 = full
+    gearboxAssist: buf.readUInt8(baseOffset + 19), // 1 = manual, 2 = manual + подсказка передачи, 3 = auto
+    antiLockBrakes: buf.readUInt8(baseOffset + 20) === 1,
+    equalCarPerformance: buf.readUInt8(baseOffset + 21) === 1,
+    customSetup: buf.readUInt8(baseOffset + 22) === 1,
+    valid: buf.readUInt8(baseOffset + 23) === 1
+  };
+}
+
+// PacketTimeTrialData: лучший круг игрока в сессии, личный рекорд на трассе и круг соперника
+function handleTimeTrialPacket(buf) {
+  const header = parseHeader(buf);
+  if (!header) return;
+
+  if (playerState.sessionUID === null || playerState.sessionUID !== header.sessionUID) {
+    resetSessionState(header.sessionUID);
+  }
+
+  if (buf.length < HEADER_SIZE + 3 * TIME_TRIAL_DATA_SET_SIZE) return;
+  lapsState.timeTrial = {
+    sessionBest: parseTimeTrialDataSet(buf, HEADER_SIZE),
+    personalBest: parseTimeTrialDataSet(buf, HEADER_SIZE + TIME_TRIAL_DATA_SET_SIZE),
+    rival: parseTimeTrialDataSet(buf, HEADER_SIZE + 2 * TIME_TRIAL_DATA_SET_SIZE)
+  };
+  broadcastState();
+}
+
+// Совет по смене шин: прогноз текущей сессии + компаунд и возраст шин игрока; темп — по последнему кругу
+function syncTyreCrossover() {
+  const lastLap = lapsState.laps.length ? lapsState.laps[lapsState.laps.length - 1] : null;
+  lapsState.tyreCrossover = adviseTyreCrossover({
+    samples: lapsState.weatherForecast?.samples,
+    sessionType: lapsState.sessionType,
+    visualTyreCompound: lapsState.currentCarStatus?.visualTyreCompound ?? null,
+    tyresAgeLaps: lapsState.currentCarStatus?.tyresAgeLaps ?? null,
+    lastLapTimeMs: lastLap?.lapTimeMs ?? null,
+    horizonMin: CROSSOVER_HORIZON_MIN
+  });
+}
+
+function parseWeatherForecastSample(buf, off) {
+  return {
+    sessionType: buf.readUInt8(off),
+    timeOffsetMin: buf.readUInt8(off + 1),
+    weather: buf.readUInt8(off + 2), // 0 = clear, 1 = light cloud, 2 = overcast, 3 = light rain, 4 = heavy rain, 5 = storm
+    trackTemperatureC: buf.readInt8(off + 3),
+    trackTemperatureChange: buf.readInt8(off + 4), // 0 = up, 1 = down, 2 = no change
+    airTemperatureC: buf.readInt8(off + 5),
+    airTemperatureChange: buf.readInt8(off + 6),
+    rainPercentage: buf.readUInt8(off + 7)
+  };
+}
+
+// PacketSessionData после safetyCarStatus (base — смещение m_networkGame):
+// networkGame(0), numWeatherForecastSamples(1), weatherForecastSamples[64](2..513), forecastAccuracy(514), aiDifficulty(515),
+// season/weekend/sessionLinkIdentifier(u32)(516/520/524), pitStopWindowIdealLap(528), pitStopWindowLatestLap(529), pitStopRejoinPosition(530),
+// ассисты(531..539), gameMode(540), ruleSet(541), timeOfDay(u32)(542), sessionLength(546), единицы игроков(547..550),
+// numSafetyCarPeriods(551), numVirtualSafetyCarPeriods(552), numRedFlagPeriods(553), настройки сессии(554..577),
+// numSessionsInWeekend(578), weekendStructure[12](579..590), sector2LapDistanceStart(float)(591), sector3LapDistanceStart(float)(595).
+// В F1 23 массив прогноза на 56 элементов, а пакет заканчивается на numRedFlagPeriods: поля после него — null
+function parseSessionDetails(buf, base) {
+  const { maxForecastSamples, extendedSettings } = packetLayout.session;
+  const numSamples = Math.min(buf.readUInt8(base + 1), maxForecastSamples);
+  const samples = [];
+  for (let i = 0; i < numSamples; i++) {
+    samples.push(parseWeatherForecastSample(buf, base + 2 + i * WEATHER_FORECAST_SAMPLE_SIZE));
+  }
+  // Дальше поля идут после массива прогноза фиксированного размера: off — смещение от forecastAccuracy (base + 514)
+  const accuracyOffset = base + 2 + maxForecastSamples * WEATHER_FORECAST_SAMPLE_SIZE;
+  const o = (off) => accuracyOffset + off;
+  const ext = (off) => (extendedSettings ? buf.readUInt8(o(off)) : null);
+  const extFlag = (off) => (extendedSettings ? buf.readUInt8(o(off)) === 1 : null);
+  lapsState.weatherForecast = {
+    accuracy: buf.readUInt8(o(0)), // 0 = perfect, 1 = approximate
+    samples
+  };
+
+  // 0 в полях окна — окно не задано (не гонка или без обязательного пит-стопа)
+  const idealLap = buf.readUInt8(o(14));
+  const latestLap = buf.readUInt8(o(15));
+  const rejoinPosition = buf.readUInt8(o(16));
+  lapsState.pitStopWindow = idealLap || latestLap ? { idealLap: idealLap || null, latestLap: latestLap || null, rejoinPosition: rejoinPosition || null } : null;
+
+  lapsState.assists = {
+    steeringAssist: buf.readUInt8(o(17)) === 1,
+    brakingAssist: buf.readUInt8(o(18)), // 0 = off, 1 = low, 2 = medium, 3 = high
+    gearboxAssist: buf.readUInt8(o(19)), // 1 = manual, 2 = manual + suggested gear, 3 = auto
+    pitAssist: buf.readUInt8(o(20)) === 1,
+    pitReleaseAssist: buf.readUInt8(o(21)) === 1,
+    ersAssist: buf.readUInt8(o(22)) === 1,
+    drsAssist: buf.readUInt8(o(23)) === 1,
+    dynamicRacingLine: buf.readUInt8(o(24)), // 0 = off, 1 = corners only, 2 = full
+    dynamicRacingLineType: buf.readUInt8(o(25)) // 0 = 2D, 1 = 3D
+  };
+
+  lapsState.sessionSettings = {
+    networkGame: buf.readUInt8(base) === 1,
+    aiDifficulty: buf.readUInt8(o(1)),
+    gameMode: buf.readUInt8(o(26)),
+    ruleSet: buf.readUInt8(o(27)),
+    timeOfDayMin: buf.readUInt32LE(o(28)), // минуты с полуночи
+    sessionLength: buf.readUInt8(o(32)), // 0 = none, 2 = very short, 3 = short, 4 = medium, 5 = medium long, 6 = long, 7 = full
+    speedUnitsLeadPlayer: buf.readUInt8(o(33)), // 0 = MPH, 1 = KPH
+    temperatureUnitsLeadPlayer: buf.readUInt8(o(34)), // 0 = Celsius, 1 = Fahrenheit
+    speedUnitsSecondaryPlayer: buf.readUInt8(o(35)),
+    temperatureUnitsSecondaryPlayer: buf.readUInt8(o(36)),
+    equalCarPerformance: extFlag(40),
+    recoveryMode: ext(41), // 0 = none, 1 = flashbacks, 2 = auto-recovery
+    flashbackLimit: ext(42), // 0 = low, 1 = medium, 2 = high, 3 = unlimited
+    surfaceType: ext(43), // 0 = simplified, 1 = realistic
+    lowFuelMode: ext(44), // 0 = easy, 1 = hard
+    raceStarts: ext(45), // 0 = manual, 1 = assisted
+    tyreTemperature: ext(46), // 0 = surface only, 1 = surface & carcass
+    pitLaneTyreSim: extFlag(47),
+    carDamage: ext(48), // 0 = off, 1 = reduced, 2 = standard, 3 = simulation
+    carDamageRate: ext(49), // 0 = reduced, 1 = standard, 2 = simulation
+    collisions: ext(50), // 0 = off, 1 = player-to-player off, 2 = on
+    collisionsOffForFirstLapOnly: extFlag(51),
+    mpUnsafePitRelease: extFlag(52),
+    mpOffForGriefing: extFlag(53),
+    cornerCuttingStringency: ext(54), // 0 = regular, 1 = strict
+    parcFermeRules: extFlag(55),
+    pitStopExperience: ext(56), // 0 = automatic, 1 = broadcast, 2 = immersive
+    safetyCar: ext(57), // 0 = off, 1 = reduced, 2 = standard, 3 = increased
+    safetyCarExperience: ext(58), // 0 = broadcast, 1 = immersive
+    formationLap: extFlag(59),
+    formationLapExperience: ext(60), // 0 = broadcast, 1 = immersive
+    redFlags: ext(61), // 0 = off, 1 = reduced, 2 = standard, 3 = increased
+    affectsLicenceLevelSolo: extFlag(62),
+    affectsLicenceLevelMP: extFlag(63)
+  };
+
+  lapsState.safetyCarPeriods = {
+    safetyCar: buf.readUInt8(o(37)),
+    virtualSafetyCar: buf.readUInt8(o(38)),
+    redFlag: buf.readUInt8(o(39))
+  };
+
+  const numSessionsInWeekend = extendedSettings ? Math.min(buf.readUInt8(o(64)), MAX_SESSIONS_IN_WEEKEND) : 0;
+  const sessionTypes = [];
+  for (let i = 0; i < numSessionsInWeekend; i++) sessionTypes.push(buf.readUInt8(o(65) + i));
+  lapsState.weekend = {
+    seasonLinkId: buf.readUInt32LE(o(2)),
+    weekendLinkId: buf.readUInt32LE(o(6)),
+    sessionLinkId: buf.readUInt32LE(o(10)),
+    sessionTypes
+  };
+
+  lapsState.sector2StartM = extendedSettings ? buf.readFloatLE(o(65) + MAX_SESSIONS_IN_WEEKEND) : null;
+  lapsState.sector3StartM = extendedSettings ? buf.readFloatLE(o(65) + MAX_SESSIONS_IN_WEEKEND + 4) : null;
+}
+
+function handleSessionPacket(buf) {
+  const header = parseHeader(buf);
+  if (!header) return;
+
+  // Если началась новая сессия — сбрасываем состояние
+  if (playerState.sessionUID === null || playerState.sessionUID !== header.sessionUID) {
+    resetSessionState(header.sessionUID);
+  }
+
+  // Сессия началась — лобби больше не актуально
+  lapsState.lobby = null;
+
+  // PacketSessionData layout (после header):
+  // weather(0), trackTemp(int8)(1), airTemp(int8)(2), totalLaps(3),
+  // trackLength(u16)(4..5), sessionType(6), trackId(int8)(7),
+  // formula(8), sessionTimeLeft(u16)(9..10), sessionDuration(u16)(11..12), pitSpeedLimit(13)
+  if (buf.length < HEADER_SIZE + 14) return;
+  const totalLaps = buf.readUInt8(HEADER_SIZE + 3);
+  const sessionType = buf.readUInt8(HEADER_SIZE + 6);
+  const trackLengthM = buf.readUInt16LE(HEADER_SIZE + 4);
+  const trackId = buf.readInt8(HEADER_SIZE + 7);
+  const weather = buf.readUInt8(HEADER_SIZE + 0);
+  const trackTemperatureC = buf.readInt8(HEADER_SIZE + 1);
+  const airTemperatureC = buf.readInt8(HEADER_SIZE + 2);
+  const formula = buf.readUInt8(HEADER_SIZE + 8);
+  const sessionTimeLeftSec = buf.readUInt16LE(HEADER_SIZE + 9);
+  const sessionDurationSec = buf.readUInt16LE(HEADER_SIZE + 11);
+  const pitSpeedLimitKph = buf.readUInt8(HEADER_SIZE + 13);
+  const numMarshalZones = buf.readUInt8(HEADER_SIZE + 18);
+
+  // Marshal zones start right after numMarshalZones, 5 bytes each (float start + int8 flag)
+  const marshalBase = HEADER_SIZE + 19;
+  const marshallingZones = [];
+  for (let i = 0; i < numMarshalZones; i++) {
+    const off = marshalBase + i * 5;
+    if (off + 5 > buf.length) break;
+    const zoneStart = buf.readFloatLE(off);
+    const zoneFlag = buf.readInt8(off + 4);
+    marshallingZones.push({ zoneStart, zoneFlag });
+  }
+
+  // Safety car status follows the fixed-size marshal zones array (uint8), regardless of numMarshalZones
+  let safetyCarStatus = lapsState.safetyCarStatus;
+  const safetyCarOffset = marshalBase + MAX_MARSHAL_ZONES * 5;
+  if (safetyCarOffset < buf.length) {
+    safetyCarStatus = buf.readUInt8(safetyCarOffset);
+  }
+
+  // Хвост пакета: прогноз погоды, окно пит-стопа, ассисты, правила, уик-энд и дистанции секторов
+  // (размер пакета уже сверен с раскладкой года в dispatchPacket)
+  parseSessionDetails(buf, safetyCarOffset + 1);
+
+  lapsState.totalLaps = totalLaps;
+  lapsState.sessionType = sessionType;
+  lapsState.trackLengthM = trackLengthM;
+  lapsState.trackId = trackId;
+  lapsState.weather = weather;
+  lapsState.trackTemperatureC = trackTemperatureC;
+  lapsState.airTemperatureC = airTemperatureC;
+  lapsState.formula = formula;
+  lapsState.sessionTimeLeftSec = sessionTimeLeftSec;
+  lapsState.sessionDurationSec = sessionDurationSec;
+  lapsState.pitSpeedLimitKph = pitSpeedLimitKph;
+  lapsState.gamePaused = buf.readUInt8(HEADER_SIZE + 14) === 1;
+  lapsState.isSpectating = buf.readUInt8(HEADER_SIZE + 15) === 1;
+  lapsState.spectatorCarIndex = lapsState.isSpectating ? buf.readUInt8(HEADER_SIZE + 16) : null;
+  syncPersonalTrackers();
+  lapsState.marshallingZones = marshallingZones;
+  lapsState.safetyCarStatus = safetyCarStatus;
+  lapsState.pedals.trackLengthM = trackLengthM ?? lapsState.pedals.trackLengthM ?? null;
+  syncTyreCrossover();
+
+  if (trackOutlineStore.selectTrack(trackId, trackLengthM)) lapsState.trackOutline = trackOutlineStore.getOutline();
 
   // Determine session kind using m_sessionType (more reliable than totalLaps).
-  // Values are consistent with recent F1 UDP specs:
-  // 1..4 practice, 5..9 qualifying variants, 10/11 race variants, 12 time trial.
+  // Values are consistent with F1 23..25 UDP specs:
+  // 1..4 practice, 5..9 qualifying variants, 10..14 sprint shootout variants, 15..17 race variants, 18 time trial.
   const isPractice = sessionType >= 1 && sessionType <= 4;
-  const isQuali = sessionType >= 5 && sessionType <= 9;
-  const isTimeTrial = sessionType === 12;
-  const isRaceLike = sessionType === 10 || sessionType === 11 || sessionType === 13 || sessionType === 14 || sessionType === 15;
+  const isQuali = sessionType >= 5 && sessionType <= 14;
+  const isTimeTrial = sessionType === 18;
+  const isRaceLike = sessionType >= 15 && sessionType <= 17;
 
   if (isTimeTrial) lapsState.sessionKind = 'time_trial';
   else if (isRaceLike) lapsState.sessionKind = 'race';
@@ -1455,6 +2376,218 @@ function handleSessionPacket(buf) {
   else lapsState.sessionKind = totalLaps > 0 ? 'race' : 'time_attack';
 }
 
+// Трассы MotionEx игрока "в будущее", начиная с круга lapNum (он снова текущий); круги и педали откатывает его трекер
+function trimPlayerMotionExFrom(lapNum) {
+  // События блокировок с круга флешбэка будут записаны заново
+  resetMotionExTraces();
+  if (motionExState.previous && motionExState.previous.lapNumber >= lapNum) motionExState.previous = null;
+  for (const n of Array.from(slipEventsByLap.keys())) {
+    if (n >= lapNum) slipEventsByLap.delete(n);
+  }
+  syncMotionExState();
+}
+
+// Лучшие круг/сектора сессии заново по (уже обрезанной) истории кругов всех машин
+function recomputeRaceBestsFromHistory() {
+  raceBestSector1TimeMs = null;
+  raceBestSector2TimeMs = null;
+  raceBestSector3TimeMs = null;
+  raceBestSector1CarIndex = null;
+  raceBestSector2CarIndex = null;
+  raceBestSector3CarIndex = null;
+  raceBestLapTimeMs = null;
+  raceBestLapCarIndex = null;
+  raceBestLapNum = null;
+
+  for (const [carIdx, history] of sessionHistoryByCarIndex.entries()) {
+    for (const [lapNum, entry] of history.entries()) {
+      if (!entry) continue;
+      if (entry.lapTimeMs != null && entry.lapTimeMs > 0 && (raceBestLapTimeMs == null || entry.lapTimeMs < raceBestLapTimeMs)) {
+        raceBestLapTimeMs = entry.lapTimeMs;
+        raceBestLapCarIndex = carIdx;
+        raceBestLapNum = lapNum;
+      }
+      if (entry.sector1TimeMs != null && (raceBestSector1TimeMs == null || entry.sector1TimeMs < raceBestSector1TimeMs)) {
+        raceBestSector1TimeMs = entry.sector1TimeMs;
+        raceBestSector1CarIndex = carIdx;
+      }
+      if (entry.sector2TimeMs != null && (raceBestSector2TimeMs == null || entry.sector2TimeMs < raceBestSector2TimeMs)) {
+        raceBestSector2TimeMs = entry.sector2TimeMs;
+        raceBestSector2CarIndex = carIdx;
+      }
+      if (entry.sector3TimeMs != null && (raceBestSector3TimeMs == null || entry.sector3TimeMs < raceBestSector3TimeMs)) {
+        raceBestSector3TimeMs = entry.sector3TimeMs;
+        raceBestSector3CarIndex = carIdx;
+      }
+    }
+  }
+
+  lapsState.raceBestSector1TimeMs = raceBestSector1TimeMs;
+  lapsState.raceBestSector2TimeMs = raceBestSector2TimeMs;
+  lapsState.raceBestSector3TimeMs = raceBestSector3TimeMs;
+  lapsState.raceBestSector1CarIndex = raceBestSector1CarIndex;
+  lapsState.raceBestSector2CarIndex = raceBestSector2CarIndex;
+  lapsState.raceBestSector3CarIndex = raceBestSector3CarIndex;
+  lapsState.raceBestLapTimeMs = raceBestLapTimeMs;
+  lapsState.raceBestLapCarIndex = raceBestLapCarIndex;
+  lapsState.raceBestLapNum = raceBestLapNum;
+}
+
+// Флешбэк (событие FLBK или откат m_sessionTime): все поканальные и сессионные данные откатываются к targetSec.
+// Круг каждой машины на момент targetSec берется из времени начала кругов; всё начиная с этого круга — "будущее".
+function rollbackToSessionTime(targetSec, frameIdentifier) {
+  if (!Number.isFinite(targetSec)) return;
+
+  const lapAtTarget = (carIndex) => {
+    const starts = lapStartTimeByCarIndex.get(carIndex);
+    if (!starts) return null;
+    let lapNum = null;
+    for (const [n, t] of starts.entries()) {
+      if (t <= targetSec && (lapNum == null || n > lapNum)) lapNum = n;
+    }
+    return lapNum;
+  };
+
+  const playerLapNum = lapAtTarget(lapsState.playerCarIndex);
+
+  for (const [carIndex, starts] of lapStartTimeByCarIndex.entries()) {
+    const lapNum = lapAtTarget(carIndex);
+    if (lapNum == null) continue;
+    for (const n of Array.from(starts.keys())) {
+      if (n > lapNum) starts.delete(n);
+    }
+
+    // Завершенные круги — только до lapNum - 1
+    const history = sessionHistoryByCarIndex.get(carIndex);
+    if (history) {
+      for (const n of Array.from(history.keys())) {
+        if (n >= lapNum) history.delete(n);
+      }
+    }
+
+    // Кэш секторов — сектора последнего завершенного круга на момент флешбэка
+    const lastDone = history?.get(lapNum - 1);
+    if (lastDone) {
+      sectorCacheByIndex.set(carIndex, {
+        sector1TimeMs: lastDone.sector1TimeMs ?? null,
+        sector2TimeMs: lastDone.sector2TimeMs ?? null,
+        sector3TimeMs: lastDone.sector3TimeMs ?? null
+      });
+    } else {
+      sectorCacheByIndex.delete(carIndex);
+    }
+
+    // Pit lane: незавершенный стинт начнется заново по следующим LapData; завершенный "в будущем" — забываем
+    const pit = pitLaneStintByIndex.get(carIndex);
+    if (pit) {
+      pit.active = false;
+      pit.startLapNum = null;
+      pit.maxTimeMs = 0;
+      pit.statusMax = 0;
+      if (pit.lastLapNum != null && pit.lastLapNum >= lapNum) {
+        pit.lastTimeMs = null;
+        pit.lastStatusMax = 0;
+        pit.lastLapNum = null;
+      }
+    }
+
+    // Пит-стоп на круге флешбэка или позже еще не случился (если машина в пит-лейне, LapData отметит круг заново)
+    const pitLaps = pitLapsByCarIndex.get(carIndex);
+    if (pitLaps) {
+      for (const n of Array.from(pitLaps)) {
+        if (n >= lapNum) pitLaps.delete(n);
+      }
+    }
+
+    pedalPerCar.delete(carIndex);
+  }
+
+  recomputeRaceBestsFromHistory();
+  if (playerLapNum != null) trimPlayerMotionExFrom(playerLapNum);
+  for (const [carIndex, tracker] of carTrackers.entries()) {
+    const lapNum = lapAtTarget(carIndex);
+    if (lapNum != null) tracker.trimFrom(lapNum);
+  }
+  syncPersonalTrackers();
+  channelLog.trimFrom(targetSec);
+  rollbackPersonalRecords(targetSec);
+
+  // Журнал: события после точки флешбэка не случились (сами FLBK оставляем как отметки)
+  lapsState.events = lapsState.events.filter((ev) => ev.code === 'FLBK' || ev.sessionTimeSec <= targetSec);
+
+  lastSessionTimeSec = targetSec;
+  lapsState.lastFlashback = {
+    sessionTimeSec: targetSec,
+    frameIdentifier: frameIdentifier ?? null,
+    count: (lapsState.lastFlashback?.count ?? 0) + 1
+  };
+  syncPedalsState();
+  syncLapPositionsState();
+}
+
+// Состояние трекера машины для lapsState (null — машина не отслеживается)
+function trackerStateOf(carIndex) {
+  const tracker = carIndex != null ? carTrackers.get(carIndex) : null;
+  if (!tracker) return null;
+  return {
+    ...tracker.toState(),
+    currentCarDamage: carDamageByIndex.get(carIndex) ?? null, // износ шин для вкладки Tyres
+    name: participantsNameByIndex.get(carIndex) ?? `Car ${carIndex + 1}`,
+    teamColour: participantsColorByIndex.get(carIndex) ?? null
+  };
+}
+
+// За кем следуют личные панели всех клиентов: машина спектатора (выбор в Race — у каждого клиента свой, см. stateMessageOf);
+// ведущий игрок — это обычный lapsState
+function followedCarTarget() {
+  const { isSpectating, spectatorCarIndex, playerCarIndex } = lapsState;
+  if (!isSpectating || spectatorCarIndex == null || spectatorCarIndex >= NUM_CARS || spectatorCarIndex === playerCarIndex) return null;
+  return { carIndex: spectatorCarIndex, source: 'spectator' };
+}
+
+function syncPersonalTrackers() {
+  syncPlayerState();
+  lapsState.secondaryPlayer = trackerStateOf(secondaryPlayerCarIndex);
+  const target = followedCarTarget();
+  const followed = target ? trackerStateOf(target.carIndex) : null;
+  lapsState.followedCar = followed ? { ...followed, source: target.source } : null;
+}
+
+// Трекеры всех машин идут по той же LapData, что и таблица Race; у ведущего игрока круги помечаются снимком настроек.
+// Возвращает круг игрока, завершенный этим пакетом ({ lapEntry, isClean } из personal.js), или null
+function updateCarTrackers(headerSecondaryIndex) {
+  const { playerCarIndex } = lapsState;
+  secondaryPlayerCarIndex = headerSecondaryIndex < NUM_CARS && headerSecondaryIndex !== playerCarIndex ? headerSecondaryIndex : null;
+  const isRaceSession = lapsState.sessionKind === 'race';
+  let playerFinishedLap = null;
+  for (const [carIndex, lap] of lapDataByIndex.entries()) {
+    if (lap.resultStatus === 0) continue;
+    let tracker = carTrackers.get(carIndex);
+    if (!tracker) {
+      tracker = createPersonalTracker(carIndex);
+      carTrackers.set(carIndex, tracker);
+    }
+    tracker.setCarStatus(carStatusByIndex.get(carIndex));
+    const isPlayer = carIndex === playerCarIndex;
+    const finished = tracker.update(lap, {
+      isRaceSession,
+      history: sessionHistoryByCarIndex.get(carIndex),
+      setupId: isPlayer ? playerState.currentSetupId : null
+    });
+    if (isPlayer) playerFinishedLap = finished;
+  }
+  syncPersonalTrackers();
+  return playerFinishedLap;
+}
+
+// Клиент выбрал машину в таблице Race (carIndex null — снова следовать за машиной спектатора или игроком).
+// Выбор принадлежит соединению: остальные клиенты его не видят
+function handleFollowCar(ws, msg) {
+  const carIndex = msg.carIndex;
+  ws.followedCarIndex = Number.isInteger(carIndex) && carIndex >= 0 && carIndex < NUM_CARS ? carIndex : null;
+  ws.send(stateMessageOf(ws.followedCarIndex));
+}
+
 function handleLapDataPacket(buf) {
   const header = parseHeader(buf);
   if (!header) return;
@@ -1471,11 +2604,20 @@ function handleLapDataPacket(buf) {
   lapsState.playerCarIndex = playerCarIndex;
 
   // 1) Считать LapData по всем машинам (для race таблицы и поиска лучших секторов)
+  let pitLapsChanged = false;
   for (let i = 0; i < NUM_CARS; i++) {
-    const baseOffset = HEADER_SIZE + i * LAP_DATA_SIZE;
+    const baseOffset = HEADER_SIZE + i * packetLayout.lapData.size;
     const lap = parseLapDataForCar(buf, baseOffset);
     if (!lap) continue;
 
+    // Время начала каждого круга — по нему флешбэк определяет, на каком круге была машина
+    let lapStarts = lapStartTimeByCarIndex.get(i);
+    if (!lapStarts) {
+      lapStarts = new Map();
+      lapStartTimeByCarIndex.set(i, lapStarts);
+    }
+    if (!lapStarts.has(lap.currentLapNum)) lapStarts.set(lap.currentLapNum, header.sessionTime);
+
     // Pit lane: стинт по каждой машине (как в Personal, но без "привязки к таблице кругов")
     const pitPrev = pitLaneStintByIndex.get(i) || {
       active: false,
@@ -1492,6 +2634,17 @@ function handleLapDataPacket(buf) {
         pitPrev.startLapNum = lap.currentLapNum;
         pitPrev.maxTimeMs = 0;
         pitPrev.statusMax = 0;
+
+        // Круг въезда на пит-лейн — отметка на графике позиций
+        let pitLaps = pitLapsByCarIndex.get(i);
+        if (!pitLaps) {
+          pitLaps = new Set();
+          pitLapsByCarIndex.set(i, pitLaps);
+        }
+        if (!pitLaps.has(lap.currentLapNum)) {
+          pitLaps.add(lap.currentLapNum);
+          pitLapsChanged = true;
+        }
       }
       if (lap.pitLaneTimeInLaneInMS > 0) {
         pitPrev.maxTimeMs = Math.max(pitPrev.maxTimeMs, lap.pitLaneTimeInLaneInMS);
@@ -1531,6 +2684,7 @@ function handleLapDataPacket(buf) {
       sector3TimeMs: next.sector3TimeMs
     });
   }
+  if (pitLapsChanged) syncLapPositionsState();
 
   // Построить raceCars из последних данных (фильтруем неактивные / без имени)
   const raceCarsRaw = Array.from(lapDataByIndex.entries())
@@ -1729,36 +2883,26 @@ function handleLapDataPacket(buf) {
   lapsState.raceBestLapNum = raceBestLapNumLocal;
   raceBestLapNum = raceBestLapNumLocal;
 
-  // 2) Персональная логика — только по игроку
-  if (playerCarIndex >= NUM_CARS) return;
-  const lap = lapDataByIndex.get(playerCarIndex);
-  if (!lap) return;
+  const playerLapNumBefore = lapsState.currentLap?.lapNumber ?? null;
+  const playerFinishedLap = updateCarTrackers(header.secondaryPlayerCarIndex);
+
+  // 2) Персональная логика — только по игроку. Без игрока (зритель онлайн-сессии) рассылаем таблицу Race и позиции как есть
+  const lap = playerCarIndex < NUM_CARS ? lapDataByIndex.get(playerCarIndex) : null;
+  if (!lap) {
+    broadcastState();
+    return;
+  }
 
   const {
-    lastLapTimeInMS,
-    currentLapTimeInMS,
-    sector1TimeMs,
-    sector2TimeMs,
-    sector3TimeMs,
     currentLapNum,
-    pitStatus,
-    numPitStops,
-    sector,
-    currentLapInvalid,
     penaltiesSec,
     totalWarnings,
     cornerCuttingWarnings,
     numUnservedDriveThroughPens,
     numUnservedStopGoPens,
-    resultStatus,
-    pitLaneTimerActive,
-    pitLaneTimeInLaneInMS,
-    pitStopTimerInMS,
     pitStopShouldServePen
   } = lap;
 
-  const isRaceSession = lapsState.sessionKind === 'race';
-
   lapsState.currentPenalties = {
     penaltiesSec,
     totalWarnings,
@@ -1768,228 +2912,291 @@ function handleLapDataPacket(buf) {
     pitStopShouldServePen
   };
 
-  // Flashback: откатились назад по кругам — обрезаем историю "в будущее", чтобы не было дубликатов
-  if (playerState.currentLapNum != null && currentLapNum < playerState.currentLapNum) {
-    for (const lapNum of Array.from(lapsByNumber.keys())) {
-      if (lapNum >= currentLapNum) lapsByNumber.delete(lapNum);
-    }
-    for (const lapNum of Array.from(tyreByLapStart.keys())) {
-      if (lapNum >= currentLapNum) tyreByLapStart.delete(lapNum);
-    }
-    for (const lapNum of Array.from(pitLaneTimeByLap.keys())) {
-      if (lapNum >= currentLapNum) pitLaneTimeByLap.delete(lapNum);
-    }
-    for (const lapNum of Array.from(pitLaneStatusByLap.keys())) {
-      if (lapNum >= currentLapNum) pitLaneStatusByLap.delete(lapNum);
-    }
-
-    // Сбросить текущий pit-lane стинт, чтобы не смешивать таймлайны
-    playerState.pitLaneActive = false;
-    playerState.pitLaneStartLapNum = null;
-    playerState.pitLaneMaxTimeMs = 0;
-    playerState.pitLanePitStatusMax = 0;
+  // Флешбэк без FLBK/отката sessionTime (страховка): круги игрока откатил трекер, трассы MotionEx — здесь
+  if (playerLapNumBefore != null && currentLapNum < playerLapNumBefore) trimPlayerMotionExFrom(currentLapNum);
 
-    recomputeFromLaps();
-    resetPedals();
+  if (playerFinishedLap) {
+    // В гонке Personal считает все круги валидными, но в рекорды идут только круги без нарушений
+    if (playerFinishedLap.isClean) submitPersonalRecord(playerFinishedLap.lapEntry, header.sessionTime);
+    trackOutlineStore.flush();
   }
 
-  // Зафиксировать шины на начале круга (только первый раз, когда увидели этот lapNum)
-  if (!tyreByLapStart.has(currentLapNum)) {
-    tyreByLapStart.set(currentLapNum, {
-      tyreActualCompound: playerState.currentTyreActualCompound,
-      tyreVisualCompound: playerState.currentTyreVisualCompound,
-      tyresAgeLaps: playerState.currentTyresAgeLaps
-    });
-  }
+  // Дельта live к рекорду за все сессии (трасса, формула, шины и условия — текущие), как liveDeltaToBestMs к лучшему кругу
+  syncPersonalRecord();
+  const recordLapTimeMs = lapsState.personalRecord?.bestLapTimeMs;
+  lapsState.liveDeltaToRecordMs =
+    recordLapTimeMs != null && lapsState.liveLapTimeMs > 0 ? recordLapTimeMs - lapsState.liveLapTimeMs : null;
 
-  // Pit lane: трекаем как стинт, чтобы корректно посчитать, даже если он закончится после S/F
-  if (pitLaneTimerActive === 1) {
-    if (!playerState.pitLaneActive) {
-      playerState.pitLaneActive = true;
-      playerState.pitLaneStartLapNum = currentLapNum;
-      playerState.pitLaneMaxTimeMs = 0;
-      playerState.pitLanePitStatusMax = 0;
-    }
+  broadcastState();
+}
 
-    if (pitLaneTimeInLaneInMS > 0) {
-      playerState.pitLaneMaxTimeMs = Math.max(playerState.pitLaneMaxTimeMs, pitLaneTimeInLaneInMS);
-    }
-    if (pitStatus > 0) {
-      playerState.pitLanePitStatusMax = Math.max(playerState.pitLanePitStatusMax, pitStatus);
-    }
-  } else if (playerState.pitLaneActive) {
-    // стинт завершился — сохраняем итог на круге, где pit-lane начался
-    const lapNum = playerState.pitLaneStartLapNum;
-    const timeMs = playerState.pitLaneMaxTimeMs;
-    const statusMax = playerState.pitLanePitStatusMax;
-
-    playerState.pitLaneActive = false;
-    playerState.pitLaneStartLapNum = null;
-    playerState.pitLaneMaxTimeMs = 0;
-    playerState.pitLanePitStatusMax = 0;
-
-    if (lapNum != null && timeMs > 0) {
-      pitLaneTimeByLap.set(lapNum, timeMs);
-      pitLaneStatusByLap.set(lapNum, statusMax);
-
-      // если круг уже есть в истории — обновим задним числом
-      if (lapsByNumber.has(lapNum)) {
-        const entry = lapsByNumber.get(lapNum);
-        entry.pitLaneTimeMs = timeMs;
-        entry.pitStatus = statusMax;
-        lapsByNumber.set(lapNum, entry);
-        recomputeFromLaps();
-      }
-    }
-  }
+// Детали события по коду (union EventDataDetails); индексы машин 255 -> null
+function parseEventDetails(code, buf, o) {
+  if (buf.length < o + 1) return {};
+  const carIdx = (v) => (v === 255 ? null : v);
 
-  // Обновляем кэш по секторам для текущего круга
-  if (sector1TimeMs != null) {
-    playerState.currentSector1TimeMs = sector1TimeMs;
+  if (code === 'FTLP') {
+    return { carIndex: carIdx(buf.readUInt8(o)), lapTimeMs: Math.round(buf.readFloatLE(o + 1) * 1000) };
+  }
+  // Причины схода и отключения DRS — с F1 25; в старых форматах в событии только индекс машины
+  if (code === 'RTMT') {
+    return { carIndex: carIdx(buf.readUInt8(o)), reason: packetLayout.eventReasons ? buf.readUInt8(o + 1) : null };
+  }
+  if (code === 'DRSD') {
+    return { reason: packetLayout.eventReasons ? buf.readUInt8(o) : null };
   }
-  if (sector2TimeMs != null) {
-    playerState.currentSector2TimeMs = sector2TimeMs;
+  if (code === 'TMPT' || code === 'RCWN' || code === 'DTSV') {
+    return { carIndex: carIdx(buf.readUInt8(o)) };
+  }
+  if (code === 'PENA') {
+    return {
+      penaltyType: buf.readUInt8(o),
+      infringementType: buf.readUInt8(o + 1),
+      carIndex: carIdx(buf.readUInt8(o + 2)),
+      otherCarIndex: carIdx(buf.readUInt8(o + 3)),
+      timeSec: buf.readUInt8(o + 4),
+      penaltyLapNum: buf.readUInt8(o + 5),
+      placesGained: buf.readUInt8(o + 6)
+    };
   }
+  if (code === 'SPTP') {
+    return {
+      carIndex: carIdx(buf.readUInt8(o)),
+      speedKph: buf.readFloatLE(o + 1),
+      isOverallFastestInSession: buf.readUInt8(o + 5) === 1,
+      isDriverFastestInSession: buf.readUInt8(o + 6) === 1,
+      fastestCarIndex: carIdx(buf.readUInt8(o + 7)),
+      fastestSpeedKph: buf.readFloatLE(o + 8)
+    };
+  }
+  if (code === 'STLG') {
+    return { numLights: buf.readUInt8(o) };
+  }
+  // Время стоп-энд-гоу — с F1 24; в F1 23 в событии только индекс машины
+  if (code === 'SGSV') {
+    return { carIndex: carIdx(buf.readUInt8(o)), stopTimeSec: packetLayout.eventStopGoTime ? buf.readFloatLE(o + 1) : null };
+  }
+  if (code === 'FLBK') {
+    return { flashbackFrameIdentifier: buf.readUInt32LE(o), flashbackSessionTimeSec: buf.readFloatLE(o + 4) };
+  }
+  if (code === 'OVTK') {
+    return { carIndex: carIdx(buf.readUInt8(o)), otherCarIndex: carIdx(buf.readUInt8(o + 1)) };
+  }
+  if (code === 'SCAR') {
+    return { safetyCarType: buf.readUInt8(o), eventType: buf.readUInt8(o + 1) };
+  }
+  if (code === 'COLL') {
+    return { carIndex: carIdx(buf.readUInt8(o)), otherCarIndex: carIdx(buf.readUInt8(o + 1)) };
+  }
+  // SSTA, SEND, DRSE, CHQF, LGOT, RDFL — без деталей
+  return {};
+}
 
-  // Обновляем live time
-  lapsState.liveLapTimeMs = currentLapTimeInMS;
+function handleEventPacket(buf) {
+  const header = parseHeader(buf);
+  if (!header) return;
+  if (buf.length < HEADER_SIZE + EVENT_CODE_LEN) return;
 
-  // Live-строка текущего круга (обновляется "в моменте")
-  const liveTyre = tyreByLapStart.get(currentLapNum) ?? {
-    tyreActualCompound: playerState.currentTyreActualCompound,
-    tyreVisualCompound: playerState.currentTyreVisualCompound,
-    tyresAgeLaps: playerState.currentTyresAgeLaps
-  };
+  if (playerState.sessionUID === null || playerState.sessionUID !== header.sessionUID) {
+    resetSessionState(header.sessionUID);
+  }
 
-  // Для live-подсветки лучших секторов (как только сектор появился), учитываем текущий круг,
-  // но только если круг валидный (в гонке всегда валидный).
-  const currentLapIsValid = isRaceSession ? true : currentLapInvalid === 0;
-  if (currentLapIsValid) {
-    if (
-      sector >= 1 &&
-      sector1TimeMs != null &&
-      (lapsState.bestSector1TimeMs == null || sector1TimeMs < lapsState.bestSector1TimeMs)
-    ) {
-      lapsState.bestSector1TimeMs = sector1TimeMs;
-    }
-    if (
-      sector >= 2 &&
-      sector2TimeMs != null &&
-      (lapsState.bestSector2TimeMs == null || sector2TimeMs < lapsState.bestSector2TimeMs)
-    ) {
-      lapsState.bestSector2TimeMs = sector2TimeMs;
-    }
-  } else {
-    // Если круг стал невалидным (TT), откатываем best sectors к состоянию по завершенным кругам
-    recomputeFromLaps();
-  }
-
-  lapsState.currentLap = {
-    lapNumber: currentLapNum,
-    lapTimeMs: currentLapTimeInMS,
-    deltaMs: lapsState.bestLapTimeMs != null ? currentLapTimeInMS - lapsState.bestLapTimeMs : null,
-    valid: isRaceSession ? true : currentLapInvalid === 0,
-    isBest: false,
-    // Personal live: показываем сектор только когда он действительно завершён
-    sector1TimeMs: sector >= 1 ? sector1TimeMs : null,
-    sector2TimeMs: sector >= 2 ? sector2TimeMs : null,
-    // Не предзаполняем S3 на live-строке:
-    // sector3 мы рассчитываем только для завершенного круга (или он может относиться к lastLapTime).
-    sector3TimeMs: null,
-    tyreActualCompound: liveTyre.tyreActualCompound,
-    tyreVisualCompound: liveTyre.tyreVisualCompound,
-    tyresAgeLaps: liveTyre.tyresAgeLaps,
-    pitStatus,
-    pitLaneTimeMs: pitLaneTimerActive === 1 ? pitLaneTimeInLaneInMS : null,
-    numPitStops
-  };
+  const code = buf.toString('ascii', HEADER_SIZE, HEADER_SIZE + EVENT_CODE_LEN);
+  // BUTN приходит на каждое нажатие кнопок — это не событие сессии
+  if (code === 'BUTN') return;
 
-  // Детект завершения круга: номер круга увеличился
-  if (
-    playerState.currentLapNum !== null &&
-    currentLapNum > playerState.currentLapNum &&
-    lastLapTimeInMS > 0
-  ) {
-    const finishedLapNum = playerState.currentLapNum;
-    const valid = isRaceSession ? true : playerState.currentLapInvalid === 0;
+  const details = parseEventDetails(code, buf, HEADER_SIZE + EVENT_CODE_LEN);
+  // Спид-трап срабатывает у каждой машины каждый круг: в журнал только рекорд сессии и замеры игрока
+  if (code === 'SPTP' && !details.isOverallFastestInSession && details.carIndex !== header.playerCarIndex) return;
 
-    const finishedTyre = tyreByLapStart.get(finishedLapNum) ?? {
-      tyreActualCompound: playerState.currentTyreActualCompound,
-      tyreVisualCompound: playerState.currentTyreVisualCompound,
-      tyresAgeLaps: playerState.currentTyresAgeLaps
-    };
+  if (code === 'FLBK') {
+    rollbackToSessionTime(details.flashbackSessionTimeSec, details.flashbackFrameIdentifier);
+  }
 
-    // Personal: сектора привязываем к конкретному кругу (из SessionHistory, если есть),
-    // чтобы не было "переноса" значений между кругами.
-    const playerHistory = sessionHistoryByCarIndex.get(playerCarIndex);
-    const historyEntry = playerHistory?.get(finishedLapNum);
-
-    const lapTimeMs = historyEntry?.lapTimeMs ?? lastLapTimeInMS;
-    const s1 = historyEntry?.sector1TimeMs ?? playerState.currentSector1TimeMs;
-    const s2 = historyEntry?.sector2TimeMs ?? playerState.currentSector2TimeMs;
-    let s3 = null;
-    if (historyEntry?.sector3TimeMs != null) {
-      s3 = historyEntry.sector3TimeMs;
-    } else if (s1 != null && s2 != null && lapTimeMs > 0) {
-      const candidate = lapTimeMs - s1 - s2;
-      if (candidate >= 0) {
-        s3 = candidate;
-      }
-    }
+  // Имена берем на момент события: после схода участник может пропасть из Participants
+  const nameOf = (idx) => (idx == null ? null : participantsNameByIndex.get(idx) ?? null);
+  const lapCarIndex = details.carIndex ?? header.playerCarIndex;
+  const lapNumber = lapDataByIndex.get(lapCarIndex)?.currentLapNum ?? null;
+
+  sessionEventSeq += 1;
+  lapsState.events.push({
+    id: sessionEventSeq,
+    code,
+    sessionTimeSec: header.sessionTime,
+    lapNumber,
+    ...details,
+    driverName: nameOf(details.carIndex),
+    otherDriverName: nameOf(details.otherCarIndex)
+  });
+  if (lapsState.events.length > EVENT_LOG_MAX) {
+    lapsState.events.splice(0, lapsState.events.length - EVENT_LOG_MAX);
+  }
 
-    // Дельта к best lap (а не к предыдущему кругу)
-    const lapEntry = {
-      lapNumber: finishedLapNum,
-      lapTimeMs,
-      deltaMs: null,
-      valid,
-      isBest: false,
-      sector1TimeMs: s1,
-      sector2TimeMs: s2,
-      sector3TimeMs: s3,
-      tyreActualCompound: finishedTyre.tyreActualCompound,
-      tyreVisualCompound: finishedTyre.tyreVisualCompound,
-      tyresAgeLaps: finishedTyre.tyresAgeLaps,
-      pitStatus: pitLaneStatusByLap.get(finishedLapNum) ?? 0,
-      pitLaneTimeMs: pitLaneTimeByLap.get(finishedLapNum) ?? null,
-      numPitStops
-    };
+  broadcastState();
+}
 
-    lapsByNumber.set(finishedLapNum, lapEntry);
-    recomputeFromLaps();
+// Формат потока для UI: год игры по m_packetFormat и пакеты, которые не совпали с раскладкой (по одному на packetId).
+// Меняется редко, поэтому рассылаем только при изменении
+function syncTelemetryFormat(header, layout, packetError) {
+  const prev = lapsState.telemetryFormat;
+  const formatChanged = !prev || prev.packetFormat !== header.packetFormat;
+  const packetErrors = formatChanged ? [] : prev.packetErrors;
+  const isNewError = packetError != null && !packetErrors.some((e) => e.packetId === packetError.packetId);
+  if (!formatChanged && !isNewError) return;
+
+  if (formatChanged && !layout) {
+    console.warn(`Unsupported packet format ${header.packetFormat}: expected one of ${SUPPORTED_PACKET_FORMATS.join(', ')}`);
+  }
+  if (isNewError) {
+    console.warn(
+      `Packet ${packetError.packetId} (format ${header.packetFormat}, version ${packetError.packetVersion}) has ${packetError.size} bytes, ` +
+        `expected ${packetError.expectedSize ?? 'unknown packet'}: skipped`
+    );
+  }
+  lapsState.telemetryFormat = {
+    packetFormat: header.packetFormat,
+    gameYear: header.gameYear,
+    gameVersion: `${header.gameMajorVersion}.${String(header.gameMinorVersion).padStart(2, '0')}`,
+    supported: layout != null,
+    supportedFormats: SUPPORTED_PACKET_FORMATS,
+    packetErrors: isNewError ? [...packetErrors, packetError] : packetErrors
+  };
+  lapsState.isConnected = true;
+  broadcastState();
+}
 
-    finalizePedalLap(finishedLapNum);
+// Разбор одной датаграммы: общий путь для live UDP и воспроизведения захвата
+function dispatchPacket(msg) {
+  const header = parseHeader(msg);
+  if (!header) return null;
+
+  // Раскладка по году игры: неподдерживаемый формат и пакеты неожиданного размера не разбираем,
+  // чтобы не портить lapsState чтением полей по чужим смещениям
+  const layout = getPacketLayout(header.packetFormat);
+  const packetError = layout ? checkPacket(layout, header, msg.length) : null;
+  syncTelemetryFormat(header, layout, packetError);
+  if (!layout || packetError) return header;
+  packetLayout = layout;
+
+  // Откат sessionTime в той же сессии — флешбэк, даже если FLBK потерялся.
+  // Event-пакеты не учитываем: FLBK сам откатывает состояние и может нести время до флешбэка.
+  const isEvent = header.packetId === PACKET_ID_EVENT;
+  if (
+    !isEvent &&
+    playerState.sessionUID === header.sessionUID &&
+    lastSessionTimeSec != null &&
+    lastSessionTimeSec - header.sessionTime > FLASHBACK_MIN_REGRESSION_SEC
+  ) {
+    rollbackToSessionTime(header.sessionTime, header.frameIdentifier);
+  }
 
-    // После фиксации круга очищаем кэш секторов для нового круга
-    playerState.currentSector1TimeMs = null;
-    playerState.currentSector2TimeMs = null;
-    // pit lane не сбрасываем по S/F — это делается по pitLaneTimerActive переходу
+  if (header.packetId === PACKET_ID_MOTION) {
+    handleMotionPacket(msg);
+  }
+  if (header.packetId === PACKET_ID_SESSION) {
+    handleSessionPacket(msg);
+  }
+  if (header.packetId === PACKET_ID_PARTICIPANTS) {
+    handleParticipantsPacket(msg);
+  }
+  if (header.packetId === PACKET_ID_CAR_SETUPS) {
+    handleCarSetupsPacket(msg);
+  }
+  if (header.packetId === PACKET_ID_SESSION_HISTORY) {
+    handleSessionHistoryPacket(msg);
+  }
+  if (header.packetId === PACKET_ID_LAP_DATA) {
+    handleLapDataPacket(msg);
+  }
+  if (header.packetId === PACKET_ID_EVENT) {
+    handleEventPacket(msg);
+  }
+  if (header.packetId === PACKET_ID_CAR_TELEMETRY) {
+    handleCarTelemetryPacket(msg);
+  }
+  if (header.packetId === PACKET_ID_CAR_STATUS) {
+    handleCarStatusPacket(msg);
+  }
+  if (header.packetId === PACKET_ID_CAR_DAMAGE) {
+    handleCarDamagePacket(msg);
+  }
+  if (header.packetId === PACKET_ID_TYRE_SETS) {
+    handleTyreSetsPacket(msg);
+  }
+  if (header.packetId === PACKET_ID_FINAL_CLASSIFICATION) {
+    handleFinalClassificationPacket(msg);
+  }
+  if (header.packetId === PACKET_ID_LOBBY_INFO) {
+    handleLobbyInfoPacket(msg);
+  }
+  if (header.packetId === PACKET_ID_MOTION_EX) {
+    handleMotionExPacket(msg);
+  }
+  if (header.packetId === PACKET_ID_TIME_TRIAL) {
+    handleTimeTrialPacket(msg);
+  }
+  if (header.packetId === PACKET_ID_LAP_POSITIONS) {
+    handleLapPositionsPacket(msg);
   }
 
-  // Обновляем текущее состояние игрока
-  playerState.currentLapNum = currentLapNum;
-  playerState.currentLapInvalid = currentLapInvalid;
+  if (!isEvent && playerState.sessionUID === header.sessionUID) lastSessionTimeSec = header.sessionTime;
+  return header;
+}
 
-  // Обновить дельту live к лучшему кругу (обратный отсчет от best lap)
-  if (lapsState.bestLapTimeMs != null && lapsState.liveLapTimeMs > 0) {
-    // Положительное значение означает, сколько миллисекунд осталось до best lap
-    lapsState.liveDeltaToBestMs = lapsState.bestLapTimeMs - lapsState.liveLapTimeMs;
-  } else {
-    lapsState.liveDeltaToBestMs = null;
-  }
+// Номер текущего круга игрока из записи LapData (для перемотки воспроизведения к кругу)
+function playerLapOfRecord(rec) {
+  if (rec.packetId !== PACKET_ID_LAP_DATA) return null;
+  const header = parseHeader(rec.data);
+  if (!header || header.playerCarIndex >= NUM_CARS) return null;
+  // Захват может быть записан с любой поддерживаемой игры — раскладка по формату самой записи
+  const layout = getPacketLayout(header.packetFormat);
+  if (!layout) return null;
+  const lap = parseLapDataForCar(rec.data, HEADER_SIZE + header.playerCarIndex * layout.lapData.size, layout);
+  return lap ? lap.currentLapNum : null;
+}
 
-  broadcastState();
+function startReplay(filePath) {
+  const capture = readCaptureFile(filePath);
+  console.log(`Replay: ${capture.records.length} packets from ${filePath}`);
+
+  replayPlayer = createReplayPlayer({
+    records: capture.records,
+    fileName: path.basename(filePath),
+    dispatch: (data, silent) => {
+      suppressBroadcast = silent;
+      try {
+        dispatchPacket(data);
+      } finally {
+        suppressBroadcast = false;
+      }
+    },
+    reset: () => resetSessionState(null),
+    broadcast: broadcastState,
+    lapOf: playerLapOfRecord,
+    onStatus: (status) => broadcastMessage('replay_state', status)
+  });
+  replayPlayer.play();
+}
+
+// Команды управления воспроизведением от веб-интерфейса
+function handleReplayControl(msg) {
+  if (!replayPlayer) return;
+  if (msg.action === 'play') replayPlayer.play();
+  if (msg.action === 'pause') replayPlayer.pause();
+  if (msg.action === 'speed') replayPlayer.setSpeed(msg.value);
+  if (msg.action === 'seek_lap') replayPlayer.seekToLap(msg.value);
+  if (msg.action === 'end') replayPlayer.seekToEnd();
 }
 
 // Запустить HTTP/WebSocket-сервер
 server.listen(HTTP_PORT, () => {
   console.log(`HTTP/WebSocket server running at http://localhost:${HTTP_PORT}`);
 
-  if (DEMO_MODE) {
-    console.log('Demo mode: generating fake telemetry (no UDP required).');
-    startDemoFeed();
+  if (REPLAY_FILE) {
+    startReplay(REPLAY_FILE);
     return;
   }
+  restoreLatestSession();
 
   // UDP-сервер для приема пакетов от игры
   const udpServer = dgram.createSocket('udp4');
@@ -1997,6 +3204,19 @@ server.listen(HTTP_PORT, () => {
   udpServer.on('listening', () => {
     const address = udpServer.address();
     console.log(`UDP server listening on ${address.address}:${address.port}`);
+
+    // Демо: симулятор шлет настоящие пакеты F1 25 на наш же UDP-порт
+    if (DEMO_MODE) {
+      const scenario = loadScenario(DEMO_SCENARIO);
+      console.log(`Demo mode: simulator is sending ${DEMO_PACKET_FORMAT} format packets to the UDP port (scenario "${scenario.name}").`);
+      startSimulator({
+        ...scenario.session,
+        ...(DEMO_SESSION_TYPE != null ? { sessionType: DEMO_SESSION_TYPE } : {}),
+        packetFormat: DEMO_PACKET_FORMAT,
+        events: scenario.events,
+        port: UDP_PORT
+      });
+    }
   });
 
   // Таймер для отслеживания отсутствия пакетов (таймаут подключения)
@@ -2012,33 +3232,24 @@ server.listen(HTTP_PORT, () => {
 
   udpServer.on('message', (msg) => {
     lastPacketTime = Date.now();
-    const header = parseHeader(msg);
+    const header = dispatchPacket(msg);
     if (!header) return;
 
-    if (header.packetId === PACKET_ID_SESSION) {
-      handleSessionPacket(msg);
-    }
-    if (header.packetId === PACKET_ID_PARTICIPANTS) {
-      handleParticipantsPacket(msg);
-    }
-    if (header.packetId === PACKET_ID_SESSION_HISTORY) {
-      handleSessionHistoryPacket(msg);
-    }
-    if (header.packetId === PACKET_ID_LAP_DATA) {
-      handleLapDataPacket(msg);
-    }
-    if (header.packetId === PACKET_ID_CAR_TELEMETRY) {
-      handleCarTelemetryPacket(msg);
-    }
-    if (header.packetId === PACKET_ID_CAR_STATUS) {
-      handleCarStatusPacket(msg);
-    }
-    if (header.packetId === PACKET_ID_CAR_DAMAGE) {
-      handleCarDamagePacket(msg);
-    }
+    // Пишем после обработки: если пакет открыл новую сессию, resetSessionState уже переключил файл
+    if (captureRecorder) captureRecorder.write(msg, header, lastPacketTime);
   });
 
   udpServer.bind(UDP_PORT);
 });
 
+// Корректно закрыть файл захвата (gzip-хвост) при остановке сервера
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    trackOutlineStore.flush();
+    saveSession(); // хвост снимка и channels.bin, не дождавшийся таймера
+    if (!captureRecorder) process.exit(0);
+    captureRecorder.close(() => process.exit(0));
+  });
+}
+
 
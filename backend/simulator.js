@@ -0,0 +1,1742 @@
+/**
+ * Назначение: симулятор F1 25 для разработки без игры — моделирует виртуальное поле машин и отправляет настоящие бинарные UDP-пакеты
+ *   (Motion, Session, LapData, Event, Participants, CarSetups, CarTelemetry, CarStatus, FinalClassification, LobbyInfo, CarDamage, SessionHistory, TyreSets, MotionEx, TimeTrial, LapPositions) на порт сервера, чтобы демо проходило через те же парсеры, что и игра.
+ * Параметры: host/port (куда слать пакеты), sessionType, totalLaps, numCars, trackId, trackLengthM, seed (зерно ГПСЧ), autoPitStops (плановые питы по шинам),
+ *   lobbySeconds (сколько секунд перед сессией длится онлайн-лобби), packetFormat (2025 по умолчанию; 2023/2024 — пакеты в раскладке F1 23/24),
+ *   secondaryPlayerCarIndex (машина второго игрока split-screen, 255 — без split-screen),
+ *   events (сценарные действия, см. loadScenario).
+ * Возвращаемые значения: startSimulator — объект { stop }; loadScenario — { name, description, session, events }.
+ * Побочные эффекты: UDP-сокет и таймер, отправляющий пакеты каждые SIM_TICK_MS; loadScenario читает JSON из backend/scenarios/.
+ */
+const dgram = require('dgram');
+const fs = require('fs');
+const path = require('path');
+
+const SIM_TICK_MS = 50; // 20 Гц, как настройка "UDP Send Rate 20Hz" в игре
+const SNAPSHOT_INTERVAL_MS = 1000; // шаг снимков мира для флешбэков
+const SNAPSHOT_KEEP = 600; // ~10 минут истории для флешбэков
+
+const PACKET_FORMAT = 2025;
+const HEADER_SIZE = 29;
+const NUM_CARS = 22;
+const MAX_MARSHAL_ZONES = 21;
+const MAX_LAPS_IN_HISTORY = 100;
+const MAX_TYRE_STINTS = 8;
+const MAX_LAPS_IN_LAP_POSITIONS = 50;
+const WEATHER_FORECAST_SAMPLE_SIZE = 8;
+const MAX_WEATHER_FORECAST_SAMPLES = 64;
+const FORECAST_OFFSETS_MIN = [0, 5, 10, 15, 30, 45, 60]; // точки прогноза погоды, минут от текущего момента
+const RAIN_PERCENTAGE_BY_WEATHER = [0, 5, 20, 70, 90, 100];
+const RACE_WEEKEND_STRUCTURE = [1, 2, 3, 5, 6, 7, 15]; // P1, P2, P3, Q1, Q2, Q3, R
+
+const PACKET_ID_MOTION = 0;
+const PACKET_ID_SESSION = 1;
+const PACKET_ID_LAP_DATA = 2;
+const PACKET_ID_EVENT = 3;
+const PACKET_ID_PARTICIPANTS = 4;
+const PACKET_ID_CAR_SETUPS = 5;
+const PACKET_ID_CAR_TELEMETRY = 6;
+const PACKET_ID_CAR_STATUS = 7;
+const PACKET_ID_FINAL_CLASSIFICATION = 8;
+const PACKET_ID_LOBBY_INFO = 9;
+const PACKET_ID_CAR_DAMAGE = 10;
+const PACKET_ID_SESSION_HISTORY = 11;
+const PACKET_ID_TYRE_SETS = 12;
+const PACKET_ID_MOTION_EX = 13;
+const PACKET_ID_TIME_TRIAL = 14;
+const PACKET_ID_LAP_POSITIONS = 15;
+
+const MOTION_PACKET_SIZE = 1349;
+const SESSION_PACKET_SIZE = 753;
+const LAP_DATA_PACKET_SIZE = 1285;
+const EVENT_PACKET_SIZE = 45;
+const PARTICIPANTS_PACKET_SIZE = 1284;
+const CAR_SETUPS_PACKET_SIZE = 1133;
+const CAR_TELEMETRY_PACKET_SIZE = 1352;
+const CAR_STATUS_PACKET_SIZE = 1239;
+const FINAL_CLASSIFICATION_PACKET_SIZE = 1042;
+const LOBBY_INFO_PACKET_SIZE = 954;
+const CAR_DAMAGE_PACKET_SIZE = 1041;
+const SESSION_HISTORY_PACKET_SIZE = 1460;
+const TYRE_SETS_PACKET_SIZE = 231;
+const MOTION_EX_PACKET_SIZE = 273;
+const TIME_TRIAL_PACKET_SIZE = 101;
+const LAP_POSITIONS_PACKET_SIZE = 1131;
+
+const CAR_MOTION_DATA_SIZE = 60;
+const LAP_DATA_SIZE = 57;
+const PARTICIPANT_DATA_SIZE = 57;
+const CAR_SETUP_DATA_SIZE = 50;
+const CAR_TELEMETRY_DATA_SIZE = 60;
+const CAR_STATUS_DATA_SIZE = 55;
+const FINAL_CLASSIFICATION_DATA_SIZE = 46;
+const LOBBY_INFO_DATA_SIZE = 42;
+const CAR_DAMAGE_DATA_SIZE = 46;
+const LAP_HISTORY_DATA_SIZE = 14;
+const TYRE_SET_DATA_SIZE = 10;
+const TIME_TRIAL_DATA_SET_SIZE = 24;
+
+// Пит-лейн: въезд за PIT_ENTRY_BEFORE_M до линии, бокс и выезд — после линии
+const PIT_ENTRY_BEFORE_M = 250;
+const PIT_BOX_M = 120;
+const PIT_EXIT_M = 260;
+const PIT_SPEED_MS = 80 / 3.6;
+const PIT_STOP_MS = 2600;
+const PIT_LANE_OFFSET_M = 14; // пит-лейн на карте идет параллельно трассе, внутри контура
+const CAR_MASS_KG = 800;
+
+// Старт гонки: огни загораются раз в секунду, гаснут через LIGHTS_OUT_MS; DRS разрешают с DRS_ENABLE_LAP круга лидера
+const LIGHTS_OUT_MS = 5600;
+const DRS_ENABLE_LAP = 3;
+const SPEED_TRAP_FRACTION = 0.43; // около пика скорости профиля
+const RACE_POINTS = [25, 18, 15, 12, 10, 8, 6, 4, 2, 1];
+
+const SCENARIOS_DIR = path.join(__dirname, 'scenarios');
+const SCENARIO_ACTIONS = new Set([
+  'invalidate_lap',
+  'flashback',
+  'pit',
+  'safety_car',
+  'red_flag',
+  'marshal_flag',
+  'weather',
+  'retire',
+  'drive_through',
+  'collision',
+  'setup',
+  'spectate'
+]);
+
+// Шины: визуальный/фактический компаунд, темп относительно софта на сухой трассе, износ за круг и рекомендованный ресурс в кругах
+const TYRES = {
+  soft: { visual: 16, actual: 18, paceMs: 0, wearPerLap: 3.4, usableLife: 15 },
+  medium: { visual: 17, actual: 19, paceMs: 350, wearPerLap: 2.3, usableLife: 25 },
+  hard: { visual: 18, actual: 20, paceMs: 700, wearPerLap: 1.6, usableLife: 35 },
+  inter: { visual: 7, actual: 7, paceMs: 4500, wearPerLap: 2.0, usableLife: 30 },
+  wet: { visual: 8, actual: 8, paceMs: 7500, wearPerLap: 1.8, usableLife: 40 }
+};
+
+// Выделение комплектов на уик-энд (20 слотов пакета TyreSets): 13 сухих + 7 дождевых
+const TYRE_ALLOCATION = [
+  ...Array(8).fill('soft'),
+  ...Array(3).fill('medium'),
+  ...Array(2).fill('hard'),
+  ...Array(4).fill('inter'),
+  ...Array(3).fill('wet')
+];
+// Базовые настройки машины (поля CarSetupData); сценарное действие setup меняет отдельные поля
+const BASE_SETUP = {
+  frontWing: 24,
+  rearWing: 22,
+  onThrottle: 60,
+  offThrottle: 55,
+  frontCamber: -3.2,
+  rearCamber: -1.8,
+  frontToe: 0.05,
+  rearToe: 0.2,
+  frontSuspension: 22,
+  rearSuspension: 8,
+  frontAntiRollBar: 14,
+  rearAntiRollBar: 6,
+  frontSuspensionHeight: 22,
+  rearSuspensionHeight: 48,
+  brakePressure: 100,
+  brakeBias: 56,
+  engineBraking: 50,
+  rearLeftTyrePressure: 21.5,
+  rearRightTyrePressure: 21.5,
+  frontLeftTyrePressure: 23.0,
+  frontRightTyrePressure: 23.0,
+  ballast: 6,
+  fuelLoad: 100
+};
+
+const TYRE_SET_RETIRE_WEAR = 75; // изношенный сильнее комплект игра считает недоступным
+const QUALI_SESSION_TYPE = 5;
+const TIME_TRIAL_SESSION_TYPE = 18;
+
+const TEAM_COLOURS = [
+  { r: 39, g: 244, b: 210 },
+  { r: 232, g: 0, b: 45 },
+  { r: 54, g: 113, b: 198 },
+  { r: 255, g: 128, b: 0 },
+  { r: 34, g: 153, b: 113 },
+  { r: 0, g: 147, b: 204 },
+  { r: 100, g: 196, b: 255 },
+  { r: 182, g: 186, b: 189 },
+  { r: 82, g: 226, b: 82 },
+  { r: 102, g: 146, b: 255 }
+];
+
+// Детерминированный ГПСЧ (mulberry32), чтобы демо было воспроизводимым
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Потеря темпа от дождя: слики хуже всего, в легкий дождь быстрее интеры, в сильный — дождевые
+function weatherPenaltyMs(compound, weather) {
+  const rain = weather >= 4 ? 2 : weather === 3 ? 1 : 0;
+  if (rain === 0) return 0;
+  if (compound === 'inter') return rain === 1 ? -2000 : 1500;
+  if (compound === 'wet') return rain === 1 ? -1500 : -3000;
+  return rain === 1 ? 7000 : 16000;
+}
+
+// Форма трассы для пакета Motion: замкнутая кривая, перемасштабированная так, что ее длина равна trackLengthM.
+// Возвращает функцию lapDistance -> { x, z, dirX, dirZ } (мировые координаты и единичный вектор направления движения).
+function createTrackShape(trackLengthM) {
+  const SAMPLES = 2000;
+  const raw = [];
+  for (let i = 0; i <= SAMPLES; i++) {
+    const t = (2 * Math.PI * i) / SAMPLES;
+    const r = 1 + 0.18 * Math.sin(3 * t) + 0.08 * Math.cos(5 * t + 0.7);
+    raw.push({ x: r * Math.cos(t), z: r * Math.sin(t) * 0.75 });
+  }
+  const cumulative = [0];
+  for (let i = 1; i <= SAMPLES; i++) {
+    cumulative.push(cumulative[i - 1] + Math.hypot(raw[i].x - raw[i - 1].x, raw[i].z - raw[i - 1].z));
+  }
+  const scale = trackLengthM / cumulative[SAMPLES];
+
+  // Таблица точек через каждый метр дистанции круга
+  const table = [];
+  let seg = 0;
+  for (let d = 0; d <= Math.ceil(trackLengthM); d++) {
+    const target = Math.min(d / scale, cumulative[SAMPLES]);
+    while (seg < SAMPLES - 1 && cumulative[seg + 1] < target) seg += 1;
+    const k = (target - cumulative[seg]) / (cumulative[seg + 1] - cumulative[seg] || 1);
+    table.push({
+      x: (raw[seg].x + (raw[seg + 1].x - raw[seg].x) * k) * scale,
+      z: (raw[seg].z + (raw[seg + 1].z - raw[seg].z) * k) * scale
+    });
+  }
+
+  return (lapDistance) => {
+    const d = ((lapDistance % trackLengthM) + trackLengthM) % trackLengthM;
+    const i = Math.min(table.length - 2, Math.floor(d));
+    const a = table[i];
+    const b = table[i + 1];
+    const k = d - i;
+    const len = Math.hypot(b.x - a.x, b.z - a.z) || 1;
+    return { x: a.x + (b.x - a.x) * k, z: a.z + (b.z - a.z) * k, dirX: (b.x - a.x) / len, dirZ: (b.z - a.z) / len };
+  };
+}
+
+function splitMinutesMs(ms) {
+  if (ms == null || ms <= 0) return { msPart: 0, minutesPart: 0 };
+  const total = Math.round(ms);
+  return { msPart: total % 60000, minutesPart: Math.floor(total / 60000) };
+}
+
+// Пересборка массива структур по машинам под раскладку старого года: copy — куски [from, to) структуры F1 25
+// и их смещение в новой структуре; fill дописывает поля, которые нельзя просто скопировать. Хвост после массива
+// (suffixSize байт) переносится как есть
+function repackCars(buf, { prefixSize, fromSize, toSize, copy, suffixSize = 0, fill }) {
+  const out = Buffer.alloc(prefixSize + NUM_CARS * toSize + suffixSize);
+  buf.copy(out, 0, 0, prefixSize);
+  for (let i = 0; i < NUM_CARS; i++) {
+    const src = prefixSize + i * fromSize;
+    const dst = prefixSize + i * toSize;
+    copy.forEach(([from, to, at]) => buf.copy(out, dst + at, src + from, src + to));
+    if (fill) fill(out, dst, src);
+  }
+  const suffixStart = prefixSize + NUM_CARS * fromSize;
+  buf.copy(out, prefixSize + NUM_CARS * toSize, suffixStart, suffixStart + suffixSize);
+  return out;
+}
+
+// F1 23: разрывы в LapData — uint16 миллисекунд без минутной части
+function writeLegacyLapDeltas(out, dst, src, buf) {
+  const deltaOf = (msOffset) => Math.min(0xffff, buf.readUInt16LE(src + msOffset) + buf.readUInt8(src + msOffset + 2) * 60000);
+  out.writeUInt16LE(deltaOf(14), dst + 14); // m_deltaToCarInFrontInMS
+  out.writeUInt16LE(deltaOf(17), dst + 16); // m_deltaToRaceLeaderInMS
+}
+
+// F1 23: прогноз на 56 точек, пакет обрывается после m_numRedFlagPeriods
+function toLegacySession(buf) {
+  const samplesOffset = HEADER_SIZE + 19 + MAX_MARSHAL_ZONES * 5 + 3; // после safetyCarStatus, networkGame и numWeatherForecastSamples
+  const legacySamples = 56;
+  const out = Buffer.alloc(644);
+  buf.copy(out, 0, 0, samplesOffset + legacySamples * WEATHER_FORECAST_SAMPLE_SIZE);
+  out.writeUInt8(Math.min(legacySamples, buf.readUInt8(samplesOffset - 1)), samplesOffset - 1);
+  const accuracyOffset = samplesOffset + MAX_WEATHER_FORECAST_SAMPLES * WEATHER_FORECAST_SAMPLE_SIZE;
+  buf.copy(out, samplesOffset + legacySamples * WEATHER_FORECAST_SAMPLE_SIZE, accuracyOffset, accuracyOffset + 40);
+  return out;
+}
+
+// Пакет F1 25 в раскладке другого года (как с настройкой "UDP Format" в игре); null — такого пакета в этом году нет.
+// Для неизвестного формата меняется только заголовок: так можно проверить реакцию сервера на неподдерживаемую игру
+function toPacketFormat(buf, packetFormat) {
+  const legacy = packetFormat === 2023;
+  const packetId = buf.readUInt8(6);
+  let out = buf;
+  if (packetFormat === 2023 || packetFormat === 2024) {
+    if (packetId === PACKET_ID_LAP_POSITIONS || (legacy && packetId === PACKET_ID_TIME_TRIAL)) return null;
+    if (packetId === PACKET_ID_PARTICIPANTS) {
+      // Имя 48 байт, без цветов ливреи; techLevel — с F1 24
+      const tail = legacy ? [[39, 41, 55], [43, 44, 57]] : [[39, 44, 55]];
+      out = repackCars(buf, { prefixSize: HEADER_SIZE + 1, fromSize: PARTICIPANT_DATA_SIZE, toSize: legacy ? 58 : 60, copy: [[0, 39, 0], ...tail] });
+    }
+    if (packetId === PACKET_ID_LOBBY_INFO) {
+      const tail = legacy ? [[36, 37, 52], [41, 42, 53]] : [[36, 42, 52]];
+      out = repackCars(buf, { prefixSize: HEADER_SIZE + 1, fromSize: LOBBY_INFO_DATA_SIZE, toSize: legacy ? 54 : 58, copy: [[0, 36, 0], ...tail] });
+    }
+    if (packetId === PACKET_ID_CAR_DAMAGE) {
+      // Без m_tyreBlisters
+      out = repackCars(buf, { prefixSize: HEADER_SIZE, fromSize: CAR_DAMAGE_DATA_SIZE, toSize: 42, copy: [[0, 24, 0], [28, 46, 24]] });
+    }
+    if (packetId === PACKET_ID_FINAL_CLASSIFICATION) {
+      // Без m_resultReason
+      out = repackCars(buf, { prefixSize: HEADER_SIZE + 1, fromSize: FINAL_CLASSIFICATION_DATA_SIZE, toSize: 45, copy: [[0, 6, 0], [7, 46, 6]] });
+    }
+    if (packetId === PACKET_ID_MOTION_EX) {
+      out = Buffer.from(buf.subarray(0, legacy ? 217 : 237));
+    }
+    if (legacy && packetId === PACKET_ID_LAP_DATA) {
+      out = repackCars(buf, {
+        prefixSize: HEADER_SIZE,
+        fromSize: LAP_DATA_SIZE,
+        toSize: 50,
+        copy: [[0, 14, 0], [20, 52, 18]],
+        suffixSize: 2,
+        fill: (o, dst, src) => writeLegacyLapDeltas(o, dst, src, buf)
+      });
+    }
+    if (legacy && packetId === PACKET_ID_CAR_SETUPS) {
+      // Без m_engineBraking и m_nextFrontWingValue
+      out = repackCars(buf, { prefixSize: HEADER_SIZE, fromSize: CAR_SETUP_DATA_SIZE, toSize: 49, copy: [[0, 28, 0], [29, 50, 28]] });
+    }
+    if (legacy && packetId === PACKET_ID_SESSION) {
+      out = toLegacySession(buf);
+    }
+  }
+  if (out === buf) out = Buffer.from(buf);
+  out.writeUInt16LE(packetFormat, 0);
+  out.writeUInt8(packetFormat % 100, 2); // gameYear
+  return out;
+}
+
+function startSimulator(options = {}) {
+  const {
+    host = '127.0.0.1',
+    port,
+    sessionType = 15,
+    totalLaps = 50,
+    numCars = 20,
+    trackId = 10,
+    trackLengthM = 5300,
+    seed = 25,
+    autoPitStops = true,
+    lobbySeconds = 0,
+    packetFormat = PACKET_FORMAT,
+    secondaryPlayerCarIndex = 255,
+    events = []
+  } = options;
+
+  const random = createRandom(seed);
+  const socket = dgram.createSocket('udp4');
+  const sessionUID = BigInt(Date.now()) * 1000n + BigInt(Math.floor(random() * 1000));
+  const playerCarIndex = 0;
+  const sector2StartM = Math.round(trackLengthM * 0.32);
+  const sector3StartM = Math.round(trackLengthM * 0.7);
+  const marshalZoneStarts = [0.05, 0.16, 0.27, 0.38, 0.49, 0.6, 0.71, 0.82, 0.92];
+  const isRace = sessionType >= 15 && sessionType <= 17;
+  const trackPositionAt = createTrackShape(trackLengthM);
+
+  const world = {
+    sessionTimeMs: 0,
+    frameIdentifier: 0,
+    weather: 0,
+    trackTemperatureC: 32,
+    airTemperatureC: 24,
+    safetyCarStatus: 0, // 0 = нет, 1 = SC, 2 = VSC, 3 = formation lap
+    numSafetyCarPeriods: 0,
+    numVirtualSafetyCarPeriods: 0,
+    numRedFlagPeriods: 0,
+    redFlag: false,
+    spectatorCarIndex: null, // машина, за которой следит камера зрителя (null — режим зрителя выключен)
+    startLights: 0,
+    lightsOut: !isRace,
+    drsEnabled: false,
+    chequeredFlag: false,
+    finalClassificationSent: false,
+    fastestLapMs: null,
+    fastestSpeedKph: null,
+    fastestSpeedCarIndex: null,
+    marshalZoneFlags: marshalZoneStarts.map(() => 1),
+    cars: []
+  };
+  let overallFrameIdentifier = 0;
+  let historyCursor = 0;
+  let tyreSetsCursor = 0;
+  let lastSnapshotAtMs = -SNAPSHOT_INTERVAL_MS;
+  const lobbyMs = lobbySeconds * 1000;
+  let lobbyElapsedMs = 0; // онлайн-лобби перед сессией: пока идет, шлются только пакеты LobbyInfo
+  const snapshots = [];
+  const firedEvents = new Set();
+  const pendingEvents = []; // собранные пакеты Event, уходят в конце тика
+  let prevOrder = null; // порядок машин на прошлом тике (для OVTK)
+
+  const startCompounds = ['soft', 'medium', 'medium', 'hard'];
+  for (let i = 0; i < numCars; i++) {
+    const compound = startCompounds[i % startCompounds.length];
+    const firstStop = 12 + Math.floor(random() * 10);
+    // В гонке часть софтов уже прокатана в квалификации
+    const tyreSets = TYRE_ALLOCATION.map((c, idx) => {
+      const scrubbed = isRace && c === 'soft' && idx >= 5;
+      return { compound: c, lapsUsed: scrubbed ? 3 : 0, wear: scrubbed ? 10 : 0 };
+    });
+    const fittedSetIdx = TYRE_ALLOCATION.indexOf(compound);
+    world.cars.push({
+      carIndex: i,
+      name: i === playerCarIndex ? 'Player' : i === secondaryPlayerCarIndex ? 'Player 2' : `Driver ${i + 1}`,
+      teamId: Math.floor(i / 2) % TEAM_COLOURS.length,
+      raceNumber: i + 2,
+      basePaceMs: 80000 + i * 140,
+      lapNumber: 1,
+      lapDistance: isRace ? -(i * 8 + 10) : -(i * 120 + 300),
+      totalDistance: isRace ? -(i * 8 + 10) : -(i * 120 + 300),
+      currentLapTimeMs: 0,
+      lapTargetMs: 0,
+      lastLapTimeMs: 0,
+      sector: 0,
+      sector1Ms: 0,
+      sector2Ms: 0,
+      currentLapInvalid: 0,
+      history: [], // { lapTimeMs, sector1Ms, sector2Ms, sector3Ms, valid }
+      lapPositions: [], // позиция на момент завершения каждого круга
+      stints: [{ compound, endLap: 255 }],
+      compound,
+      setup: { ...BASE_SETUP, fuelLoad: isRace ? BASE_SETUP.fuelLoad : 20 },
+      tyreSets, // { compound, lapsUsed, wear }; у установленного комплекта lapsUsed/wear = tyresAgeLaps/tyresWear
+      fittedSetIdx,
+      tyresAgeLaps: 0,
+      tyresWear: 0,
+      fuelKg: 100,
+      numPitStops: 0,
+      plannedPitLaps: isRace && autoPitStops ? [firstStop] : [],
+      nextCompound: null, // компаунд на ближайший пит (из сценария)
+      servingDriveThrough: false,
+      bestSpeedKph: null,
+      pit: null, // { phase: 'lane' | 'stop', stopRemainingMs, laneTimeMs, stopTimerMs, stopped, driveThrough }
+      pitStatus: 0,
+      penaltiesSec: 0,
+      totalWarnings: 0,
+      cornerCuttingWarnings: 0,
+      numUnservedDriveThroughPens: 0,
+      numUnservedStopGoPens: 0,
+      numPenalties: 0,
+      finishTimeMs: null,
+      resultReason: 0, // как Retirement.reason: 2 = finished
+      gridPosition: i + 1,
+      position: i + 1,
+      resultStatus: 2,
+      driverStatus: 4,
+      speedMs: 0,
+      suspensionPosition: null, // последняя позиция подвески игрока (для скорости хода в MotionEx)
+      throttle: 0,
+      brake: 0,
+      steer: 0,
+      phase: random() * Math.PI * 2 // сдвиг цикла заряда ERS
+    });
+  }
+
+  const compoundAfterStop = (car) => (car.compound === 'soft' || car.compound === 'medium' ? 'hard' : 'medium');
+
+  function startLap(car) {
+    const tyre = TYRES[car.compound];
+    const noise = (random() - 0.5) * 600;
+    car.lapTargetMs =
+      car.basePaceMs + tyre.paceMs + weatherPenaltyMs(car.compound, world.weather) + car.tyresWear * 25 + car.fuelKg * 30 + noise;
+  }
+  world.cars.forEach(startLap);
+
+  function completeLap(car) {
+    const lapTimeMs = Math.round(car.currentLapTimeMs);
+    const sector3Ms = Math.max(0, lapTimeMs - car.sector1Ms - car.sector2Ms);
+    car.history.push({
+      lapTimeMs,
+      sector1Ms: car.sector1Ms,
+      sector2Ms: car.sector2Ms,
+      sector3Ms,
+      valid: car.currentLapInvalid === 0
+    });
+    car.lastLapTimeMs = lapTimeMs;
+    if (car.currentLapInvalid === 0 && (world.fastestLapMs == null || lapTimeMs < world.fastestLapMs)) {
+      world.fastestLapMs = lapTimeMs;
+      emitEvent('FTLP', (buf, o) => {
+        buf.writeUInt8(car.carIndex, o);
+        buf.writeFloatLE(lapTimeMs / 1000, o + 1);
+      });
+    }
+    car.lapNumber += 1;
+    car.currentLapTimeMs = 0;
+    car.sector = 0;
+    car.sector1Ms = 0;
+    car.sector2Ms = 0;
+    car.currentLapInvalid = 0;
+    car.tyresAgeLaps += 1;
+    car.tyresWear = Math.min(100, car.tyresWear + TYRES[car.compound].wearPerLap);
+    const fittedSet = car.tyreSets[car.fittedSetIdx];
+    fittedSet.lapsUsed = car.tyresAgeLaps;
+    fittedSet.wear = car.tyresWear;
+    car.fuelKg = Math.max(0, car.fuelKg - 1.9);
+    // После клетчатого флага финиширует каждая машина, пересекающая линию (в том числе круговые)
+    if (isRace && (car.lapNumber > totalLaps || world.chequeredFlag)) {
+      car.resultStatus = 3;
+      car.resultReason = 2;
+      car.finishTimeMs = world.sessionTimeMs;
+      // Машина останавливается ровно на линии, порядок финишировавших — по времени финиша
+      car.totalDistance = Math.round(car.totalDistance - car.lapDistance);
+      car.lapDistance = 0;
+      if (!world.chequeredFlag) {
+        world.chequeredFlag = true;
+        emitEvent('CHQF');
+        emitEvent('RCWN', (buf, o) => buf.writeUInt8(car.carIndex, o));
+      }
+    }
+    startLap(car);
+  }
+
+  function finishPitStop(car) {
+    const prev = car.stints[car.stints.length - 1];
+    prev.endLap = car.lapNumber;
+    car.compound = car.nextCompound ?? compoundAfterStop(car);
+    car.nextCompound = null;
+    car.stints.push({ compound: car.compound, endLap: 255 });
+    // Самый свежий доступный комплект нужного компаунда; если все израсходованы — остаемся на старом
+    const nextSetIdx = car.tyreSets.reduce((best, set, idx) => {
+      if (set.compound !== car.compound || idx === car.fittedSetIdx || set.wear >= TYRE_SET_RETIRE_WEAR) return best;
+      return best < 0 || set.wear < car.tyreSets[best].wear ? idx : best;
+    }, -1);
+    if (nextSetIdx >= 0) car.fittedSetIdx = nextSetIdx;
+    const fittedSet = car.tyreSets[car.fittedSetIdx];
+    car.tyresAgeLaps = fittedSet.lapsUsed;
+    car.tyresWear = fittedSet.wear;
+    car.numPitStops += 1;
+    car.plannedPitLaps = car.plannedPitLaps.filter((lap) => lap > car.lapNumber);
+  }
+
+  function stepCar(car, dtMs) {
+    if (car.resultStatus !== 2 || world.redFlag || !world.lightsOut) {
+      car.speedMs = 0;
+      car.throttle = 0;
+      car.brake = 0;
+      // При красном флаге машины стоят в гараже, время круга не идет
+      if (world.redFlag && car.resultStatus === 2) car.driverStatus = 0;
+      return;
+    }
+
+    // Профиль скорости по дистанции: средняя скорость из целевого времени круга + "повороты"
+    const avgSpeed = trackLengthM / (car.lapTargetMs / 1000);
+    // Профиль общий для всех машин (это повороты трассы), различается только средняя скорость
+    const angle = (2 * Math.PI * 4 * Math.max(0, car.lapDistance)) / trackLengthM;
+    const slope = Math.cos(angle);
+    let speed = avgSpeed * (1 + 0.22 * Math.sin(angle));
+    if (world.safetyCarStatus === 1) speed = Math.min(speed, 45);
+    if (world.safetyCarStatus === 2) speed = Math.min(speed, avgSpeed * 0.6);
+    if (zoneFlagAt(car.lapDistance) === 3) speed *= 0.85;
+
+    if (car.pit) {
+      car.pit.laneTimeMs += dtMs;
+      if (car.pit.phase === 'stop') {
+        speed = 0;
+        car.pit.stopRemainingMs -= dtMs;
+        car.pit.stopTimerMs += dtMs;
+        if (car.pit.stopRemainingMs <= 0) {
+          finishPitStop(car);
+          car.pit.phase = 'lane';
+          car.pitStatus = 1;
+        }
+      } else {
+        speed = PIT_SPEED_MS;
+      }
+    }
+
+    car.speedMs = speed;
+    car.throttle = car.pit ? 0.3 : Math.max(0, Math.min(1, 0.6 + slope * 1.2));
+    car.brake = car.pit ? 0 : Math.max(0, Math.min(1, -slope * 1.4 - 0.4));
+    car.steer = Math.max(-1, Math.min(1, -slope * 0.4));
+
+    const advance = (speed * dtMs) / 1000;
+    const speedTrapM = trackLengthM * SPEED_TRAP_FRACTION;
+    if (car.lapDistance < speedTrapM && car.lapDistance + advance >= speedTrapM && !car.pit) {
+      recordSpeedTrap(car, speed * 3.6);
+    }
+    car.lapDistance += advance;
+    car.totalDistance += advance;
+    car.currentLapTimeMs += dtMs;
+
+    // Сектора
+    if (car.sector === 0 && car.lapDistance >= sector2StartM) {
+      car.sector = 1;
+      car.sector1Ms = Math.round(car.currentLapTimeMs);
+    }
+    if (car.sector === 1 && car.lapDistance >= sector3StartM) {
+      car.sector = 2;
+      car.sector2Ms = Math.round(car.currentLapTimeMs) - car.sector1Ms;
+    }
+
+    // Случайный срез трассы (лишь в части кругов)
+    if (!car.pit && car.currentLapInvalid === 0 && car.carIndex !== playerCarIndex && random() < 0.00004) {
+      invalidateLap(car);
+    }
+
+    // Въезд в пит-лейн
+    if (!car.pit && car.plannedPitLaps.includes(car.lapNumber) && car.lapDistance >= trackLengthM - PIT_ENTRY_BEFORE_M) {
+      car.pit = {
+        phase: 'lane',
+        stopRemainingMs: PIT_STOP_MS,
+        laneTimeMs: 0,
+        stopTimerMs: 0,
+        stopped: false,
+        driveThrough: car.servingDriveThrough
+      };
+      car.pitStatus = 1;
+    }
+
+    if (car.lapDistance >= trackLengthM) {
+      car.lapDistance -= trackLengthM;
+      completeLap(car);
+    }
+
+    if (car.pit && car.pit.phase === 'lane' && !car.pit.stopped && car.lapDistance >= PIT_BOX_M && car.lapDistance < trackLengthM / 2) {
+      car.pit.stopped = true;
+      // Проезд по пит-лейну (drive-through) — без остановки и смены шин
+      if (!car.pit.driveThrough) {
+        car.pit.phase = 'stop';
+        car.pitStatus = 2;
+      }
+    }
+    if (car.pit && car.pit.stopped && car.pit.phase === 'lane' && car.lapDistance >= PIT_EXIT_M && car.lapDistance < trackLengthM / 2) {
+      if (car.pit.driveThrough) {
+        car.numUnservedDriveThroughPens = Math.max(0, car.numUnservedDriveThroughPens - 1);
+        emitEvent('DTSV', (buf, o) => buf.writeUInt8(car.carIndex, o));
+        car.servingDriveThrough = false;
+        car.plannedPitLaps = car.plannedPitLaps.filter((lap) => lap > car.lapNumber);
+      }
+      car.pit = null;
+      car.pitStatus = 0;
+    }
+
+    if (car.pit) car.driverStatus = car.lapDistance > trackLengthM / 2 ? 2 : 3;
+    else car.driverStatus = isRace ? 4 : 1;
+  }
+
+  // Флаг маршальской зоны, в которой находится точка lapDistance
+  function zoneFlagAt(lapDistance) {
+    const fraction = Math.max(0, lapDistance) / trackLengthM;
+    let flag = 0;
+    marshalZoneStarts.forEach((start, i) => {
+      if (fraction >= start) flag = world.marshalZoneFlags[i];
+    });
+    return flag;
+  }
+
+  function vehicleFlagOf(car) {
+    if (world.safetyCarStatus === 1 || world.safetyCarStatus === 2) return 3;
+    return zoneFlagAt(car.lapDistance) === 3 ? 3 : 1;
+  }
+
+  function invalidateLap(car) {
+    if (car.currentLapInvalid === 1) return;
+    car.currentLapInvalid = 1;
+    car.cornerCuttingWarnings += 1;
+    car.totalWarnings += 1;
+    // penaltyType 10 = this lap invalidated, infringementType 25 = lap invalidated corner cutting
+    emitPenalty(car, 10, 25);
+  }
+
+  function recordSpeedTrap(car, speedKph) {
+    const isDriverFastest = car.bestSpeedKph == null || speedKph > car.bestSpeedKph;
+    const isOverallFastest = world.fastestSpeedKph == null || speedKph > world.fastestSpeedKph;
+    if (isDriverFastest) car.bestSpeedKph = speedKph;
+    if (isOverallFastest) {
+      world.fastestSpeedKph = speedKph;
+      world.fastestSpeedCarIndex = car.carIndex;
+    }
+    emitEvent('SPTP', (buf, o) => {
+      buf.writeUInt8(car.carIndex, o);
+      buf.writeFloatLE(speedKph, o + 1);
+      buf.writeUInt8(isOverallFastest ? 1 : 0, o + 5);
+      buf.writeUInt8(isDriverFastest ? 1 : 0, o + 6);
+      buf.writeUInt8(world.fastestSpeedCarIndex, o + 7);
+      buf.writeFloatLE(world.fastestSpeedKph, o + 8);
+    });
+  }
+
+  function emitPenalty(car, penaltyType, infringementType, timeSec = 0) {
+    car.numPenalties += 1;
+    emitEvent('PENA', (buf, o) => {
+      buf.writeUInt8(penaltyType, o);
+      buf.writeUInt8(infringementType, o + 1);
+      buf.writeUInt8(car.carIndex, o + 2);
+      buf.writeUInt8(255, o + 3); // otherVehicleIdx
+      buf.writeUInt8(timeSec, o + 4);
+      buf.writeUInt8(Math.min(255, car.lapNumber), o + 5);
+      buf.writeUInt8(0, o + 6); // placesGained
+    });
+  }
+
+  // Старт гонки: STLG на каждый огонь, затем LGOT
+  function updateStartLights() {
+    if (world.lightsOut) return;
+    const lights = Math.min(5, Math.floor(world.sessionTimeMs / 1000));
+    while (world.startLights < lights) {
+      world.startLights += 1;
+      const numLights = world.startLights;
+      emitEvent('STLG', (buf, o) => buf.writeUInt8(numLights, o));
+    }
+    if (world.sessionTimeMs >= LIGHTS_OUT_MS) {
+      world.lightsOut = true;
+      emitEvent('LGOT');
+    }
+  }
+
+  // DRS: разрешен с DRS_ENABLE_LAP круга лидера, запрещается при SC/VSC, красном флаге и мокрой трассе
+  function updateDrs(order) {
+    if (!isRace || !world.lightsOut) return;
+    const leaderLap = order[0]?.lapNumber ?? 0;
+    let reason = null; // DRSDisabled.reason
+    if (world.weather >= 3) reason = 0;
+    else if (world.safetyCarStatus === 1 || world.safetyCarStatus === 2) reason = 1;
+    else if (world.redFlag) reason = 2;
+    else if (leaderLap < DRS_ENABLE_LAP) reason = 3;
+    const enabled = reason == null;
+    if (enabled === world.drsEnabled) return;
+    world.drsEnabled = enabled;
+    if (enabled) emitEvent('DRSE');
+    else emitEvent('DRSD', (buf, o) => buf.writeUInt8(reason, o));
+  }
+
+  // OVTK: пара машин поменялась местами на трассе (без учета питов и сходов)
+  function detectOvertakes(order) {
+    if (prevOrder) {
+      const prevPos = new Map(prevOrder.map((car, idx) => [car.carIndex, idx]));
+      order.forEach((car, idx) => {
+        const before = prevPos.get(car.carIndex);
+        if (before == null || before <= idx || car.pit || car.resultStatus !== 2) return;
+        for (let j = idx + 1; j < order.length; j++) {
+          const other = order[j];
+          if (prevPos.get(other.carIndex) >= before) continue;
+          if (other.pit || other.resultStatus !== 2) continue;
+          emitEvent('OVTK', (buf, o) => {
+            buf.writeUInt8(car.carIndex, o);
+            buf.writeUInt8(other.carIndex, o + 1);
+          });
+        }
+      });
+    }
+    prevOrder = order;
+  }
+
+  function updatePositions() {
+    const order = world.cars
+      .slice()
+      .sort((a, b) => {
+        const aRunning = a.resultStatus === 2 || a.resultStatus === 3 ? 0 : 1;
+        const bRunning = b.resultStatus === 2 || b.resultStatus === 3 ? 0 : 1;
+        if (aRunning !== bRunning) return aRunning - bRunning;
+        return b.totalDistance - a.totalDistance || (a.finishTimeMs ?? Infinity) - (b.finishTimeMs ?? Infinity);
+      });
+    order.forEach((car, idx) => {
+      car.position = idx + 1;
+      // Позиция круга — уже с учетом пересечения линии на этом тике
+      while (car.lapPositions.length < car.history.length) car.lapPositions.push(car.position);
+    });
+    return order;
+  }
+
+  // Снимки мира для флешбэков (машины копируются целиком)
+  function takeSnapshot() {
+    snapshots.push({
+      sessionTimeMs: world.sessionTimeMs,
+      frameIdentifier: world.frameIdentifier,
+      world: structuredClone(world)
+    });
+    if (snapshots.length > SNAPSHOT_KEEP) snapshots.shift();
+  }
+
+  function flashback(seconds) {
+    const targetMs = world.sessionTimeMs - seconds * 1000;
+    let snap = null;
+    while (snapshots.length && snapshots[snapshots.length - 1].sessionTimeMs > targetMs) {
+      snap = snapshots.pop();
+    }
+    if (snapshots.length) snap = snapshots[snapshots.length - 1];
+    if (!snap) return;
+    const restored = structuredClone(snap.world);
+    Object.assign(world, restored);
+    lastSnapshotAtMs = world.sessionTimeMs;
+    prevOrder = null;
+    emitEvent('FLBK', (buf, o) => {
+      buf.writeUInt32LE(world.frameIdentifier, o);
+      buf.writeFloatLE(world.sessionTimeMs / 1000, o + 4);
+    });
+  }
+
+  // Сценарные действия: срабатывают один раз по прогрессу игрока или по времени сессии
+  function eventDue(ev) {
+    const player = world.cars[playerCarIndex];
+    if (ev.at?.timeSec != null) return world.sessionTimeMs >= ev.at.timeSec * 1000;
+    if (ev.at?.lap != null) {
+      const fraction = Math.max(0, player.lapDistance) / trackLengthM;
+      return player.lapNumber > ev.at.lap || (player.lapNumber === ev.at.lap && fraction >= (ev.at.fraction ?? 0));
+    }
+    return false;
+  }
+
+  // car: "player" (по умолчанию), "all", индекс машины или массив индексов
+  function resolveCars(ref) {
+    if (ref === 'player' || ref == null) return [world.cars[playerCarIndex]];
+    if (ref === 'all') return world.cars.filter((car) => car.resultStatus === 2);
+    const refs = Array.isArray(ref) ? ref : [ref];
+    return refs.map((idx) => world.cars[Number(idx)]).filter(Boolean);
+  }
+
+  // Заехать в боксы на текущем круге, а если въезд уже проехали — на следующем
+  function planPit(car) {
+    const lap = !car.pit && car.lapDistance >= trackLengthM - PIT_ENTRY_BEFORE_M ? car.lapNumber + 1 : car.lapNumber;
+    if (!car.plannedPitLaps.includes(lap)) car.plannedPitLaps.push(lap);
+  }
+
+  function applyEvent(ev) {
+    const cars = resolveCars(ev.car);
+    if (ev.action === 'invalidate_lap') {
+      cars.forEach(invalidateLap);
+    }
+    if (ev.action === 'flashback') {
+      flashback(ev.seconds ?? 30);
+    }
+    if (ev.action === 'pit') {
+      cars.forEach((car) => {
+        if (ev.compound) car.nextCompound = ev.compound;
+        planPit(car);
+      });
+    }
+    if (ev.action === 'safety_car') {
+      const status = Number(ev.status ?? 1);
+      if (status === 1 && world.safetyCarStatus !== 1) world.numSafetyCarPeriods += 1;
+      if (status === 2 && world.safetyCarStatus !== 2) world.numVirtualSafetyCarPeriods += 1;
+      // SafetyCar.eventType: 0 = deployed, 3 = resume race
+      const safetyCarType = status === 0 ? world.safetyCarStatus : status;
+      const eventType = status === 0 ? 3 : 0;
+      if (status !== world.safetyCarStatus) {
+        emitEvent('SCAR', (buf, o) => {
+          buf.writeUInt8(safetyCarType, o);
+          buf.writeUInt8(eventType, o + 1);
+        });
+      }
+      world.safetyCarStatus = status;
+    }
+    if (ev.action === 'red_flag') {
+      const active = ev.active !== false;
+      if (active && !world.redFlag) {
+        world.numRedFlagPeriods += 1;
+        emitEvent('RDFL');
+      }
+      world.redFlag = active;
+    }
+    if (ev.action === 'spectate') {
+      // Режим зрителя (например, после схода игрока): камера на первой машине из car; active: false — выйти из режима
+      world.spectatorCarIndex = ev.active === false ? null : (cars[0]?.carIndex ?? null);
+    }
+    if (ev.action === 'marshal_flag') {
+      const zones = ev.zone === 'all' ? marshalZoneStarts.map((_, i) => i) : [].concat(ev.zone);
+      zones.forEach((zone) => {
+        if (zone >= 0 && zone < world.marshalZoneFlags.length) world.marshalZoneFlags[zone] = Number(ev.flag ?? 3);
+      });
+    }
+    if (ev.action === 'weather') {
+      if (ev.weather != null) world.weather = Number(ev.weather);
+      if (ev.trackTemperatureC != null) world.trackTemperatureC = Number(ev.trackTemperatureC);
+      if (ev.airTemperatureC != null) world.airTemperatureC = Number(ev.airTemperatureC);
+    }
+    if (ev.action === 'retire') {
+      cars.forEach((car) => {
+        // Retirement.reason: 1 = retired, 3 = terminal damage, 8 = mechanical failure
+        const reason = Number(ev.reason ?? (Number(ev.resultStatus ?? 7) === 4 ? 3 : 1));
+        emitEvent('RTMT', (buf, o) => {
+          buf.writeUInt8(car.carIndex, o);
+          buf.writeUInt8(reason, o + 1);
+        });
+        car.resultStatus = Number(ev.resultStatus ?? 7);
+        car.resultReason = reason;
+        car.driverStatus = 0;
+        car.pit = null;
+        car.pitStatus = 0;
+      });
+    }
+    if (ev.action === 'drive_through') {
+      cars.forEach((car) => {
+        car.numUnservedDriveThroughPens += 1;
+        car.servingDriveThrough = true;
+        // penaltyType 0 = drive through; infringementType по умолчанию 7 = corner cutting gained time
+        emitPenalty(car, 0, Number(ev.infringementType ?? 7));
+        planPit(car);
+      });
+    }
+    if (ev.action === 'collision') {
+      const other = ev.otherCar != null ? world.cars[Number(ev.otherCar)] : null;
+      cars.forEach((car) => {
+        emitEvent('COLL', (buf, o) => {
+          buf.writeUInt8(car.carIndex, o);
+          buf.writeUInt8(other ? other.carIndex : 255, o + 1);
+        });
+      });
+    }
+    if (ev.action === 'setup') {
+      cars.forEach((car) => {
+        Object.entries(ev.changes ?? {}).forEach(([key, value]) => {
+          if (key in BASE_SETUP && Number.isFinite(Number(value))) car.setup[key] = Number(value);
+        });
+      });
+    }
+  }
+
+  function runEvents() {
+    events.forEach((ev, idx) => {
+      if (firedEvents.has(idx) || !eventDue(ev)) return;
+      firedEvents.add(idx);
+      applyEvent(ev);
+    });
+  }
+
+  // --- Сборка пакетов ---
+
+  function writeHeader(buf, packetId, uid = sessionUID) {
+    let o = 0;
+    buf.writeUInt16LE(PACKET_FORMAT, o); o += 2;
+    buf.writeUInt8(25, o); o += 1; // gameYear
+    buf.writeUInt8(1, o); o += 1; // gameMajorVersion
+    buf.writeUInt8(0, o); o += 1; // gameMinorVersion
+    buf.writeUInt8(1, o); o += 1; // packetVersion
+    buf.writeUInt8(packetId, o); o += 1;
+    buf.writeBigUInt64LE(uid, o); o += 8;
+    buf.writeFloatLE(world.sessionTimeMs / 1000, o); o += 4;
+    buf.writeUInt32LE(world.frameIdentifier, o); o += 4;
+    buf.writeUInt32LE(overallFrameIdentifier, o); o += 4;
+    buf.writeUInt8(playerCarIndex, o); o += 1;
+    buf.writeUInt8(secondaryPlayerCarIndex, o);
+  }
+
+  // Поперечная перегрузка по кривизне: поворот вектора направления на 10 м пути
+  function lateralGOf(car) {
+    const here = trackPositionAt(car.lapDistance);
+    const ahead = trackPositionAt(car.lapDistance + 10);
+    const turn = here.dirX * ahead.dirZ - here.dirZ * ahead.dirX;
+    return { turn, gLat: (car.speedMs * car.speedMs * (turn / 10)) / 9.81 };
+  }
+
+  function buildMotionPacket() {
+    const buf = Buffer.alloc(MOTION_PACKET_SIZE);
+    writeHeader(buf, PACKET_ID_MOTION);
+    world.cars.forEach((car) => {
+      let o = HEADER_SIZE + car.carIndex * CAR_MOTION_DATA_SIZE;
+      const here = trackPositionAt(car.lapDistance);
+      // Пит-лейн смещен внутрь контура (влево по ходу — контур идет против часовой стрелки)
+      const offset = car.pit ? PIT_LANE_OFFSET_M : 0;
+      const x = here.x - here.dirZ * offset;
+      const z = here.z + here.dirX * offset;
+      const { gLat } = lateralGOf(car);
+      buf.writeFloatLE(x, o); o += 4;
+      buf.writeFloatLE(0, o); o += 4; // worldPositionY
+      buf.writeFloatLE(z, o); o += 4;
+      buf.writeFloatLE(here.dirX * car.speedMs, o); o += 4;
+      buf.writeFloatLE(0, o); o += 4;
+      buf.writeFloatLE(here.dirZ * car.speedMs, o); o += 4;
+      buf.writeInt16LE(Math.round(here.dirX * 32767), o); o += 2; // worldForwardDir
+      buf.writeInt16LE(0, o); o += 2;
+      buf.writeInt16LE(Math.round(here.dirZ * 32767), o); o += 2;
+      buf.writeInt16LE(Math.round(-here.dirZ * 32767), o); o += 2; // worldRightDir
+      buf.writeInt16LE(0, o); o += 2;
+      buf.writeInt16LE(Math.round(here.dirX * 32767), o); o += 2;
+      buf.writeFloatLE(Math.max(-6, Math.min(6, gLat)), o); o += 4;
+      buf.writeFloatLE((car.throttle - car.brake * 4) * 1.2, o); o += 4; // gForceLongitudinal
+      buf.writeFloatLE(1, o); o += 4; // gForceVertical
+      buf.writeFloatLE(Math.atan2(here.dirX, here.dirZ), o); o += 4; // yaw
+      buf.writeFloatLE(0, o); o += 4; // pitch
+      buf.writeFloatLE(0, o); o += 4; // roll
+    });
+    return buf;
+  }
+  // Проскальзывание колес (RL, RR, FL, FR): фоновое от педалей плюс детерминированные блокировки
+  // передних колес на самых сильных торможениях и пробуксовки задних на выходах из медленных поворотов
+  function wheelSlipRatios(car) {
+    const angle = (2 * Math.PI * 4 * Math.max(0, car.lapDistance)) / trackLengthM;
+    const corner = Math.floor(angle / (2 * Math.PI));
+    const base = car.throttle * 0.03 - car.brake * 0.05;
+    const slips = [base, base, base * 1.2, base * 1.2];
+    if (car.pit || car.speedMs <= 0) return slips.map(() => 0);
+    if (car.brake > 0.995 && (car.lapNumber * 7 + corner) % 5 === 0) {
+      slips[2 + ((car.lapNumber + corner) % 2)] = -0.45 - 0.3 * car.brake;
+    }
+    if (Math.sin(angle) < -0.85 && Math.cos(angle) > 0.2 && (car.lapNumber * 5 + corner) % 7 === 0) {
+      slips[0] = 0.32;
+      slips[1] = 0.27;
+    }
+    return slips;
+  }
+
+  // PacketMotionExData — только по машине игрока; модель грубая, но согласованная с педалями и кривизной трассы
+  function buildMotionExPacket() {
+    const buf = Buffer.alloc(MOTION_EX_PACKET_SIZE);
+    writeHeader(buf, PACKET_ID_MOTION_EX);
+    const car = world.cars[playerCarIndex];
+    const { turn, gLat } = lateralGOf(car);
+    const v = car.speedMs;
+    const gLong = (car.throttle - car.brake * 4) * 1.2;
+    const downforceN = 1.6 * v * v;
+    const slips = wheelSlipRatios(car);
+
+    // Подвеска (мм): проседание от прижимной силы, клевок на торможении, крен в поворотах
+    const suspension = [0, 1, 2, 3].map((w) => {
+      const isFront = w >= 2;
+      const isLeft = w % 2 === 0;
+      const pitch = isFront ? -gLong * 1.5 : gLong * 1.5;
+      return 22 - downforceN * 0.0012 + pitch + (isLeft ? 1 : -1) * gLat * 1.8;
+    });
+    const prev = car.suspensionPosition ?? suspension;
+    car.suspensionPosition = suspension;
+    const wheelLoad = (w) => {
+      const isFront = w >= 2;
+      const isLeft = w % 2 === 0;
+      const load = (CAR_MASS_KG * 9.81 + downforceN) / 4;
+      return load * (1 + (isFront ? -0.08 : 0.08) * gLong + (isLeft ? 0.12 : -0.12) * gLat);
+    };
+
+    let o = HEADER_SIZE;
+    const writeWheels = (fn) => {
+      for (let w = 0; w < 4; w++) {
+        buf.writeFloatLE(fn(w), o);
+        o += 4;
+      }
+    };
+    const writeFloat = (value) => {
+      buf.writeFloatLE(value, o);
+      o += 4;
+    };
+    writeWheels((w) => suspension[w]);
+    writeWheels((w) => (suspension[w] - prev[w]) / (SIM_TICK_MS / 1000)); // suspensionVelocity
+    writeWheels(() => 0); // suspensionAcceleration
+    writeWheels((w) => v * (1 + slips[w])); // wheelSpeed
+    writeWheels((w) => slips[w]);
+    writeWheels((w) => (w >= 2 ? 0.0012 : 0.001) * gLat * 9.81); // wheelSlipAngle, рад
+    writeWheels((w) => (wheelLoad(w) * gLat) / 4); // wheelLatForce
+    writeWheels((w) => (w < 2 || gLong < 0 ? (CAR_MASS_KG * 9.81 * gLong) / 4 : 0)); // wheelLongForce
+    writeFloat(0.28); // heightOfCOGAboveGround
+    writeFloat(0); // localVelocityX
+    writeFloat(0);
+    writeFloat(v); // localVelocityZ — вперед
+    writeFloat(0); // angularVelocityX
+    writeFloat((v * turn) / 10); // angularVelocityY — скорость рыскания
+    writeFloat(0);
+    writeFloat(0); // angularAcceleration
+    writeFloat(0);
+    writeFloat(0);
+    writeFloat(car.steer * 0.3); // frontWheelsAngle
+    writeWheels(wheelLoad); // wheelVertForce
+    writeFloat(0.035 - downforceN * 0.000003 - car.brake * 0.008); // frontAeroHeight, м
+    writeFloat(0.075 - downforceN * 0.0000025 + car.throttle * 0.004); // rearAeroHeight
+    writeFloat(gLat * 0.0035); // frontRollAngle, рад
+    writeFloat(gLat * 0.003); // rearRollAngle
+    writeFloat(gLat * 0.004); // chassisYaw
+    writeFloat(-gLong * 0.002); // chassisPitch
+    writeWheels((w) => (w >= 2 ? -0.061 : -0.035) + (w % 2 === 0 ? 1 : -1) * gLat * 0.0015); // wheelCamber
+    writeWheels((w) => (w % 2 === 0 ? 1 : -1) * gLat * 0.0015); // wheelCamberGain
+    return buf;
+  }
+
+
+  function buildSessionPacket() {
+    const buf = Buffer.alloc(SESSION_PACKET_SIZE);
+    writeHeader(buf, PACKET_ID_SESSION);
+    const b = HEADER_SIZE;
+    const elapsedSec = Math.floor(world.sessionTimeMs / 1000);
+    const durationSec = isRace ? 7200 : 3600;
+    buf.writeUInt8(world.weather, b + 0);
+    buf.writeInt8(world.trackTemperatureC, b + 1);
+    buf.writeInt8(world.airTemperatureC, b + 2);
+    buf.writeUInt8(isRace ? totalLaps : 0, b + 3);
+    buf.writeUInt16LE(trackLengthM, b + 4);
+    buf.writeUInt8(sessionType, b + 6);
+    buf.writeInt8(trackId, b + 7);
+    buf.writeUInt8(0, b + 8); // formula: F1 Modern
+    buf.writeUInt16LE(Math.max(0, durationSec - elapsedSec), b + 9);
+    buf.writeUInt16LE(durationSec, b + 11);
+    buf.writeUInt8(80, b + 13); // pitSpeedLimit
+    buf.writeUInt8(0, b + 14); // gamePaused
+    buf.writeUInt8(world.spectatorCarIndex != null ? 1 : 0, b + 15); // isSpectating
+    buf.writeUInt8(world.spectatorCarIndex ?? 255, b + 16); // spectatorCarIndex
+    buf.writeUInt8(0, b + 17); // sliProNativeSupport
+    buf.writeUInt8(marshalZoneStarts.length, b + 18);
+    marshalZoneStarts.forEach((start, i) => {
+      const off = b + 19 + i * 5;
+      buf.writeFloatLE(start, off);
+      buf.writeInt8(world.marshalZoneFlags[i], off + 4);
+    });
+    const afterZones = b + 19 + MAX_MARSHAL_ZONES * 5;
+    buf.writeUInt8(world.safetyCarStatus, afterZones); // safetyCarStatus
+    buf.writeUInt8(lobbyMs > 0 ? 1 : 0, afterZones + 1); // networkGame
+
+    const forecast = buildWeatherForecast();
+    buf.writeUInt8(forecast.length, afterZones + 2);
+    forecast.forEach((sample, i) => {
+      const off = afterZones + 3 + i * WEATHER_FORECAST_SAMPLE_SIZE;
+      buf.writeUInt8(sessionType, off + 0);
+      buf.writeUInt8(sample.timeOffsetMin, off + 1);
+      buf.writeUInt8(sample.weather, off + 2);
+      buf.writeInt8(sample.trackTemperatureC, off + 3);
+      buf.writeInt8(temperatureChange(sample.trackTemperatureC, world.trackTemperatureC), off + 4);
+      buf.writeInt8(sample.airTemperatureC, off + 5);
+      buf.writeInt8(temperatureChange(sample.airTemperatureC, world.airTemperatureC), off + 6);
+      buf.writeUInt8(RAIN_PERCENTAGE_BY_WEATHER[sample.weather] ?? 0, off + 7);
+    });
+
+    // Поля после массива прогноза (смещения от начала данных пакета, как в PacketSessionData)
+    buf.writeUInt8(0, b + 639); // forecastAccuracy: perfect
+    buf.writeUInt8(90, b + 640); // aiDifficulty
+    buf.writeUInt32LE(2025, b + 641); // seasonLinkIdentifier
+    buf.writeUInt32LE((seed * 1000 + trackId) >>> 0, b + 645); // weekendLinkIdentifier
+    buf.writeUInt32LE(Number(sessionUID & 0xffffffffn), b + 649); // sessionLinkIdentifier
+    const pitWindow = pitStopWindow();
+    buf.writeUInt8(pitWindow.idealLap, b + 653);
+    buf.writeUInt8(pitWindow.latestLap, b + 654);
+    buf.writeUInt8(pitWindow.rejoinPosition, b + 655);
+    buf.writeUInt8(0, b + 656); // steeringAssist
+    buf.writeUInt8(0, b + 657); // brakingAssist
+    buf.writeUInt8(1, b + 658); // gearboxAssist: manual
+    buf.writeUInt8(1, b + 659); // pitAssist
+    buf.writeUInt8(1, b + 660); // pitReleaseAssist
+    buf.writeUInt8(0, b + 661); // ERSAssist
+    buf.writeUInt8(0, b + 662); // DRSAssist
+    buf.writeUInt8(1, b + 663); // dynamicRacingLine: corners only
+    buf.writeUInt8(1, b + 664); // dynamicRacingLineType: 3D
+    buf.writeUInt8(sessionType === TIME_TRIAL_SESSION_TYPE ? 5 : lobbyMs > 0 ? 7 : 4, b + 665); // gameMode: Time Trial / Online Custom / Grand Prix
+    buf.writeUInt8(sessionType === TIME_TRIAL_SESSION_TYPE ? 2 : isRace ? 1 : 0, b + 666); // ruleSet: 2 — Time Trial / 1 — Race / 0 — Practice & Qualifying
+    buf.writeUInt32LE(14 * 60 + Math.floor(elapsedSec / 60), b + 667); // timeOfDay: старт в 14:00
+    buf.writeUInt8(3, b + 671); // sessionLength: short
+    buf.writeUInt8(1, b + 672); // speedUnitsLeadPlayer: KPH
+    buf.writeUInt8(0, b + 673); // temperatureUnitsLeadPlayer: Celsius
+    buf.writeUInt8(world.numSafetyCarPeriods, b + 676);
+    buf.writeUInt8(world.numVirtualSafetyCarPeriods, b + 677);
+    buf.writeUInt8(world.numRedFlagPeriods, b + 678);
+    buf.writeUInt8(1, b + 680); // recoveryMode: flashbacks
+    buf.writeUInt8(3, b + 681); // flashbackLimit: unlimited
+    buf.writeUInt8(1, b + 682); // surfaceType: realistic
+    buf.writeUInt8(1, b + 685); // tyreTemperature: surface & carcass
+    buf.writeUInt8(1, b + 686); // pitLaneTyreSim
+    buf.writeUInt8(2, b + 687); // carDamage: standard
+    buf.writeUInt8(1, b + 688); // carDamageRate: standard
+    buf.writeUInt8(2, b + 689); // collisions: on
+    buf.writeUInt8(1, b + 694); // parcFermeRules
+    buf.writeUInt8(2, b + 696); // safetyCar: standard
+    buf.writeUInt8(isRace ? 1 : 0, b + 698); // formationLap
+    buf.writeUInt8(2, b + 700); // redFlags: standard
+    const weekend = sessionType === TIME_TRIAL_SESSION_TYPE ? [TIME_TRIAL_SESSION_TYPE] : RACE_WEEKEND_STRUCTURE;
+    buf.writeUInt8(weekend.length, b + 703);
+    weekend.forEach((type, i) => buf.writeUInt8(type, b + 704 + i));
+    buf.writeFloatLE(sector2StartM, b + 716);
+    buf.writeFloatLE(sector3StartM, b + 720);
+    return buf;
+  }
+
+  // Прогноз погоды: текущая погода плюс еще не сработавшие сценарные события weather, которые по оценке
+  // (для событий по кругу — по темпу последнего круга игрока) наступят к каждой точке прогноза
+  function buildWeatherForecast() {
+    const player = world.cars[playerCarIndex];
+    const lapMs = player.lastLapTimeMs || player.lapTargetMs || 90000;
+    const progressM = (player.lapNumber - 1) * trackLengthM + Math.max(0, player.lapDistance);
+    const pending = events
+      .map((ev, idx) => ({ ev, idx }))
+      .filter(({ ev, idx }) => ev.action === 'weather' && !firedEvents.has(idx))
+      .map(({ ev }) => {
+        let etaMs;
+        if (ev.at?.timeSec != null) etaMs = ev.at.timeSec * 1000 - world.sessionTimeMs;
+        else etaMs = (((ev.at.lap - 1 + (ev.at.fraction ?? 0)) * trackLengthM - progressM) / trackLengthM) * lapMs;
+        return { ev, etaMs };
+      })
+      .sort((a, b) => a.etaMs - b.etaMs);
+
+    return FORECAST_OFFSETS_MIN.slice(0, MAX_WEATHER_FORECAST_SAMPLES).map((timeOffsetMin) => {
+      const sample = {
+        timeOffsetMin,
+        weather: world.weather,
+        trackTemperatureC: world.trackTemperatureC,
+        airTemperatureC: world.airTemperatureC
+      };
+      pending.forEach(({ ev, etaMs }) => {
+        if (etaMs > timeOffsetMin * 60000) return;
+        if (ev.weather != null) sample.weather = Number(ev.weather);
+        if (ev.trackTemperatureC != null) sample.trackTemperatureC = Number(ev.trackTemperatureC);
+        if (ev.airTemperatureC != null) sample.airTemperatureC = Number(ev.airTemperatureC);
+      });
+      return sample;
+    });
+  }
+
+  // WeatherForecastSample: 0 = up, 1 = down, 2 = no change
+  function temperatureChange(forecastC, currentC) {
+    if (forecastC > currentC) return 0;
+    if (forecastC < currentC) return 1;
+    return 2;
+  }
+
+  // Окно пит-стопа игрока: плановый пит или ~70% ресурса текущих сухих шин; позиция после выезда —
+  // сколько машин позади проедут мимо за время потери на пит-стопе
+  function pitStopWindow() {
+    const none = { idealLap: 0, latestLap: 0, rejoinPosition: 0 };
+    const player = world.cars[playerCarIndex];
+    if (!isRace || world.chequeredFlag || player.compound === 'inter' || player.compound === 'wet') return none;
+    const stintStartLap = player.lapNumber - player.tyresAgeLaps;
+    const usableLife = TYRES[player.compound].usableLife;
+    const idealLap = player.plannedPitLaps[0] ?? stintStartLap + Math.round(usableLife * 0.7);
+    const latestLap = Math.max(idealLap, Math.min(totalLaps - 1, stintStartLap + usableLife));
+    if (idealLap >= totalLaps || latestLap < player.lapNumber) return none;
+
+    const speedMs = trackLengthM / ((player.lapTargetMs || 90000) / 1000);
+    const laneM = PIT_ENTRY_BEFORE_M + PIT_EXIT_M;
+    const pitLossM = (laneM / PIT_SPEED_MS - laneM / speedMs + PIT_STOP_MS / 1000) * speedMs;
+    const passedBy = world.cars.filter(
+      (car) =>
+        car !== player &&
+        car.resultStatus === 2 &&
+        car.totalDistance < player.totalDistance &&
+        car.totalDistance > player.totalDistance - pitLossM
+    ).length;
+    return { idealLap, latestLap, rejoinPosition: Math.min(world.cars.length, player.position + passedBy) };
+  }
+
+  function buildParticipantsPacket() {
+    const buf = Buffer.alloc(PARTICIPANTS_PACKET_SIZE);
+    writeHeader(buf, PACKET_ID_PARTICIPANTS);
+    buf.writeUInt8(world.cars.length, HEADER_SIZE);
+    world.cars.forEach((car) => {
+      const off = HEADER_SIZE + 1 + car.carIndex * PARTICIPANT_DATA_SIZE;
+      buf.writeUInt8(car.carIndex === playerCarIndex || car.carIndex === secondaryPlayerCarIndex ? 0 : 1, off + 0); // aiControlled
+      buf.writeUInt8(car.carIndex, off + 1); // driverId
+      buf.writeUInt8(0, off + 2); // networkId
+      buf.writeUInt8(car.teamId, off + 3);
+      buf.writeUInt8(0, off + 4); // myTeam
+      buf.writeUInt8(car.raceNumber, off + 5);
+      buf.writeUInt8(0, off + 6); // nationality
+      buf.write(car.name, off + 7, 31, 'utf8');
+      buf.writeUInt8(1, off + 39); // yourTelemetry
+      buf.writeUInt8(1, off + 40); // showOnlineNames
+      buf.writeUInt16LE(0, off + 41); // techLevel
+      buf.writeUInt8(255, off + 43); // platform
+      buf.writeUInt8(1, off + 44); // numColours
+      const colour = TEAM_COLOURS[car.teamId];
+      buf.writeUInt8(colour.r, off + 45);
+      buf.writeUInt8(colour.g, off + 46);
+      buf.writeUInt8(colour.b, off + 47);
+    });
+    return buf;
+  }
+
+  function buildLapDataPacket(order) {
+    const buf = Buffer.alloc(LAP_DATA_PACKET_SIZE);
+    writeHeader(buf, PACKET_ID_LAP_DATA);
+    const leader = order[0];
+    world.cars.forEach((car) => {
+      const off = HEADER_SIZE + car.carIndex * LAP_DATA_SIZE;
+      const ahead = order[car.position - 2] ?? null;
+      const speedRef = Math.max(10, trackLengthM / (car.lapTargetMs / 1000));
+      const gapLeaderMs = car === leader ? 0 : ((leader.totalDistance - car.totalDistance) / speedRef) * 1000;
+      const gapAheadMs = ahead ? ((ahead.totalDistance - car.totalDistance) / speedRef) * 1000 : 0;
+      const s1 = car.sector >= 1 ? splitMinutesMs(car.sector1Ms) : splitMinutesMs(0);
+      const s2 = car.sector >= 2 ? splitMinutesMs(car.sector2Ms) : splitMinutesMs(0);
+      const dAhead = splitMinutesMs(gapAheadMs);
+      const dLeader = splitMinutesMs(gapLeaderMs);
+
+      buf.writeUInt32LE(car.lastLapTimeMs, off + 0);
+      buf.writeUInt32LE(Math.round(car.currentLapTimeMs), off + 4);
+      buf.writeUInt16LE(s1.msPart, off + 8);
+      buf.writeUInt8(s1.minutesPart, off + 10);
+      buf.writeUInt16LE(s2.msPart, off + 11);
+      buf.writeUInt8(s2.minutesPart, off + 13);
+      buf.writeUInt16LE(dAhead.msPart, off + 14);
+      buf.writeUInt8(dAhead.minutesPart, off + 16);
+      buf.writeUInt16LE(dLeader.msPart, off + 17);
+      buf.writeUInt8(dLeader.minutesPart, off + 19);
+      buf.writeFloatLE(car.lapDistance, off + 20);
+      buf.writeFloatLE(car.totalDistance, off + 24);
+      buf.writeFloatLE(0, off + 28); // safetyCarDelta
+      buf.writeUInt8(car.position, off + 32);
+      buf.writeUInt8(Math.min(255, car.lapNumber), off + 33);
+      buf.writeUInt8(car.pitStatus, off + 34);
+      buf.writeUInt8(car.numPitStops, off + 35);
+      buf.writeUInt8(car.sector, off + 36);
+      buf.writeUInt8(car.currentLapInvalid, off + 37);
+      buf.writeUInt8(car.penaltiesSec, off + 38);
+      buf.writeUInt8(car.totalWarnings, off + 39);
+      buf.writeUInt8(car.cornerCuttingWarnings, off + 40);
+      buf.writeUInt8(car.numUnservedDriveThroughPens, off + 41);
+      buf.writeUInt8(car.numUnservedStopGoPens, off + 42);
+      buf.writeUInt8(car.gridPosition, off + 43);
+      buf.writeUInt8(car.driverStatus, off + 44);
+      buf.writeUInt8(car.resultStatus, off + 45);
+      buf.writeUInt8(car.pit ? 1 : 0, off + 46); // pitLaneTimerActive
+      buf.writeUInt16LE(car.pit ? Math.min(65535, Math.round(car.pit.laneTimeMs)) : 0, off + 47);
+      buf.writeUInt16LE(car.pit ? Math.min(65535, Math.round(car.pit.stopTimerMs)) : 0, off + 49);
+      buf.writeUInt8(0, off + 51); // pitStopShouldServePen
+      buf.writeFloatLE(0, off + 52); // speedTrapFastestSpeed
+      buf.writeUInt8(255, off + 56); // speedTrapFastestLap
+    });
+    buf.writeUInt8(255, HEADER_SIZE + NUM_CARS * LAP_DATA_SIZE); // timeTrialPBCarIdx
+    buf.writeUInt8(255, HEADER_SIZE + NUM_CARS * LAP_DATA_SIZE + 1); // timeTrialRivalCarIdx
+    return buf;
+  }
+
+  function buildCarSetupsPacket() {
+    const buf = Buffer.alloc(CAR_SETUPS_PACKET_SIZE);
+    writeHeader(buf, PACKET_ID_CAR_SETUPS);
+    world.cars.forEach((car) => {
+      let o = HEADER_SIZE + car.carIndex * CAR_SETUP_DATA_SIZE;
+      const st = car.setup;
+      buf.writeUInt8(st.frontWing, o); o += 1;
+      buf.writeUInt8(st.rearWing, o); o += 1;
+      buf.writeUInt8(st.onThrottle, o); o += 1;
+      buf.writeUInt8(st.offThrottle, o); o += 1;
+      buf.writeFloatLE(st.frontCamber, o); o += 4;
+      buf.writeFloatLE(st.rearCamber, o); o += 4;
+      buf.writeFloatLE(st.frontToe, o); o += 4;
+      buf.writeFloatLE(st.rearToe, o); o += 4;
+      buf.writeUInt8(st.frontSuspension, o); o += 1;
+      buf.writeUInt8(st.rearSuspension, o); o += 1;
+      buf.writeUInt8(st.frontAntiRollBar, o); o += 1;
+      buf.writeUInt8(st.rearAntiRollBar, o); o += 1;
+      buf.writeUInt8(st.frontSuspensionHeight, o); o += 1;
+      buf.writeUInt8(st.rearSuspensionHeight, o); o += 1;
+      buf.writeUInt8(st.brakePressure, o); o += 1;
+      buf.writeUInt8(st.brakeBias, o); o += 1;
+      buf.writeUInt8(st.engineBraking, o); o += 1;
+      buf.writeFloatLE(st.rearLeftTyrePressure, o); o += 4;
+      buf.writeFloatLE(st.rearRightTyrePressure, o); o += 4;
+      buf.writeFloatLE(st.frontLeftTyrePressure, o); o += 4;
+      buf.writeFloatLE(st.frontRightTyrePressure, o); o += 4;
+      buf.writeUInt8(st.ballast, o); o += 1;
+      buf.writeFloatLE(st.fuelLoad, o);
+    });
+    // m_nextFrontWingValue — значение переднего антикрыла после питстопа
+    buf.writeFloatLE(world.cars[playerCarIndex].setup.frontWing, HEADER_SIZE + NUM_CARS * CAR_SETUP_DATA_SIZE);
+    return buf;
+  }
+
+  function buildCarTelemetryPacket() {
+    const buf = Buffer.alloc(CAR_TELEMETRY_PACKET_SIZE);
+    writeHeader(buf, PACKET_ID_CAR_TELEMETRY);
+    world.cars.forEach((car) => {
+      let o = HEADER_SIZE + car.carIndex * CAR_TELEMETRY_DATA_SIZE;
+      const speedKph = Math.round(car.speedMs * 3.6);
+      const gear = speedKph <= 0 ? 0 : Math.max(1, Math.min(8, Math.ceil(speedKph / 42)));
+      const rpm = speedKph <= 0 ? 4000 : Math.round(7000 + ((speedKph % 42) / 42) * 5000);
+      buf.writeUInt16LE(speedKph, o); o += 2;
+      buf.writeFloatLE(car.throttle, o); o += 4;
+      buf.writeFloatLE(car.steer, o); o += 4;
+      buf.writeFloatLE(car.brake, o); o += 4;
+      buf.writeUInt8(0, o); o += 1; // clutch
+      buf.writeInt8(gear, o); o += 1;
+      buf.writeUInt16LE(rpm, o); o += 2;
+      buf.writeUInt8(0, o); o += 1; // drs
+      buf.writeUInt8(Math.round(((rpm - 4000) / 8000) * 100), o); o += 1;
+      buf.writeUInt16LE(0, o); o += 2; // revLightsBitValue
+      for (let w = 0; w < 4; w++) { buf.writeUInt16LE(Math.round(450 + car.brake * 300), o); o += 2; }
+      for (let w = 0; w < 4; w++) { buf.writeUInt8(Math.round(88 + car.tyresWear * 0.2), o); o += 1; }
+      for (let w = 0; w < 4; w++) { buf.writeUInt8(Math.round(96 + car.tyresWear * 0.15), o); o += 1; }
+      buf.writeUInt16LE(105, o); o += 2; // engineTemperature
+      for (let w = 0; w < 4; w++) { buf.writeFloatLE(w < 2 ? 21.5 : 23.0, o); o += 4; }
+      for (let w = 0; w < 4; w++) { buf.writeUInt8(0, o); o += 1; } // surfaceType
+    });
+    const tail = HEADER_SIZE + NUM_CARS * CAR_TELEMETRY_DATA_SIZE;
+    buf.writeUInt8(255, tail); // mfdPanelIndex
+    buf.writeUInt8(255, tail + 1); // mfdPanelIndexSecondaryPlayer
+    buf.writeInt8(0, tail + 2); // suggestedGear
+    return buf;
+  }
+
+  function buildCarStatusPacket() {
+    const buf = Buffer.alloc(CAR_STATUS_PACKET_SIZE);
+    writeHeader(buf, PACKET_ID_CAR_STATUS);
+    world.cars.forEach((car) => {
+      let o = HEADER_SIZE + car.carIndex * CAR_STATUS_DATA_SIZE;
+      const tyre = TYRES[car.compound];
+      buf.writeUInt8(0, o); o += 1; // tractionControl
+      buf.writeUInt8(0, o); o += 1; // antiLockBrakes
+      buf.writeUInt8(1, o); o += 1; // fuelMix
+      buf.writeUInt8(56, o); o += 1; // frontBrakeBias
+      buf.writeUInt8(car.pit ? 1 : 0, o); o += 1; // pitLimiterStatus
+      buf.writeFloatLE(car.fuelKg, o); o += 4;
+      buf.writeFloatLE(110, o); o += 4;
+      buf.writeFloatLE(car.fuelKg / 1.9 - Math.max(0, totalLaps - car.lapNumber + 1), o); o += 4;
+      buf.writeUInt16LE(13000, o); o += 2;
+      buf.writeUInt16LE(4000, o); o += 2;
+      buf.writeUInt8(8, o); o += 1;
+      buf.writeUInt8(0, o); o += 1; // drsAllowed
+      buf.writeUInt16LE(0, o); o += 2;
+      buf.writeUInt8(tyre.actual, o); o += 1;
+      buf.writeUInt8(tyre.visual, o); o += 1;
+      buf.writeUInt8(car.tyresAgeLaps, o); o += 1;
+      buf.writeInt8(vehicleFlagOf(car), o); o += 1; // vehicleFIAFlags
+      buf.writeFloatLE(560000 * car.throttle, o); o += 4;
+      buf.writeFloatLE(120000 * car.throttle, o); o += 4;
+      buf.writeFloatLE(2500000 + 1500000 * Math.sin(world.sessionTimeMs / 20000 + car.phase), o); o += 4;
+      buf.writeUInt8(1, o); o += 1; // ersDeployMode
+      buf.writeFloatLE(600000, o); o += 4;
+      buf.writeFloatLE(400000, o); o += 4;
+      buf.writeFloatLE(700000, o); o += 4;
+      buf.writeUInt8(0, o); // networkPaused
+    });
+    return buf;
+  }
+
+  function buildCarDamagePacket() {
+    const buf = Buffer.alloc(CAR_DAMAGE_PACKET_SIZE);
+    writeHeader(buf, PACKET_ID_CAR_DAMAGE);
+    world.cars.forEach((car) => {
+      const o = HEADER_SIZE + car.carIndex * CAR_DAMAGE_DATA_SIZE;
+      // порядок колес в массивах: RL, RR, FL, FR
+      const wear = [car.tyresWear * 0.9, car.tyresWear * 0.95, car.tyresWear, car.tyresWear * 1.05];
+      wear.forEach((w, i) => buf.writeFloatLE(Math.min(100, w), o + i * 4));
+      // остальные повреждения — нули
+    });
+    return buf;
+  }
+
+  function buildSessionHistoryPacket(car) {
+    const buf = Buffer.alloc(SESSION_HISTORY_PACKET_SIZE);
+    writeHeader(buf, PACKET_ID_SESSION_HISTORY);
+    const b = HEADER_SIZE;
+    const laps = car.history.slice(0, MAX_LAPS_IN_HISTORY - 1);
+    const numLaps = Math.min(MAX_LAPS_IN_HISTORY, laps.length + 1); // включая текущий неполный круг
+
+    const bestBy = (pick) => {
+      let bestIdx = -1;
+      laps.forEach((l, i) => {
+        if (!l.valid) return;
+        if (bestIdx < 0 || pick(l) < pick(laps[bestIdx])) bestIdx = i;
+      });
+      return bestIdx + 1; // 0 = нет
+    };
+
+    buf.writeUInt8(car.carIndex, b + 0);
+    buf.writeUInt8(numLaps, b + 1);
+    buf.writeUInt8(Math.min(MAX_TYRE_STINTS, car.stints.length), b + 2);
+    buf.writeUInt8(bestBy((l) => l.lapTimeMs), b + 3);
+    buf.writeUInt8(bestBy((l) => l.sector1Ms), b + 4);
+    buf.writeUInt8(bestBy((l) => l.sector2Ms), b + 5);
+    buf.writeUInt8(bestBy((l) => l.sector3Ms), b + 6);
+
+    const writeLap = (i, lap) => {
+      const off = b + 7 + i * LAP_HISTORY_DATA_SIZE;
+      const s1 = splitMinutesMs(lap.sector1Ms);
+      const s2 = splitMinutesMs(lap.sector2Ms);
+      const s3 = splitMinutesMs(lap.sector3Ms);
+      buf.writeUInt32LE(lap.lapTimeMs, off + 0);
+      buf.writeUInt16LE(s1.msPart, off + 4);
+      buf.writeUInt8(s1.minutesPart, off + 6);
+      buf.writeUInt16LE(s2.msPart, off + 7);
+      buf.writeUInt8(s2.minutesPart, off + 9);
+      buf.writeUInt16LE(s3.msPart, off + 10);
+      buf.writeUInt8(s3.minutesPart, off + 12);
+      buf.writeUInt8(lap.valid ? 0x0f : 0x0e, off + 13);
+    };
+    laps.forEach((lap, i) => writeLap(i, lap));
+    // Текущий круг: только завершенные сектора
+    if (laps.length < MAX_LAPS_IN_HISTORY) {
+      writeLap(laps.length, {
+        lapTimeMs: 0,
+        sector1Ms: car.sector >= 1 ? car.sector1Ms : 0,
+        sector2Ms: car.sector >= 2 ? car.sector2Ms : 0,
+        sector3Ms: 0,
+        valid: car.currentLapInvalid === 0
+      });
+    }
+
+    const stintsBase = b + 7 + MAX_LAPS_IN_HISTORY * LAP_HISTORY_DATA_SIZE;
+    car.stints.slice(0, MAX_TYRE_STINTS).forEach((stint, i) => {
+      const off = stintsBase + i * 3;
+      buf.writeUInt8(stint.endLap, off + 0);
+      buf.writeUInt8(TYRES[stint.compound].actual, off + 1);
+      buf.writeUInt8(TYRES[stint.compound].visual, off + 2);
+    });
+    return buf;
+  }
+
+  function buildFinalClassificationPacket() {
+    const buf = Buffer.alloc(FINAL_CLASSIFICATION_PACKET_SIZE);
+    writeHeader(buf, PACKET_ID_FINAL_CLASSIFICATION);
+    buf.writeUInt8(world.cars.length, HEADER_SIZE);
+    world.cars.forEach((car) => {
+      let o = HEADER_SIZE + 1 + car.carIndex * FINAL_CLASSIFICATION_DATA_SIZE;
+      const finished = car.resultStatus === 3;
+      const validLaps = car.history.filter((h) => h.valid).map((h) => h.lapTimeMs);
+      const stints = car.stints.slice(0, MAX_TYRE_STINTS);
+      buf.writeUInt8(car.position, o); o += 1;
+      buf.writeUInt8(car.history.length, o); o += 1;
+      buf.writeUInt8(car.gridPosition, o); o += 1;
+      buf.writeUInt8(finished ? RACE_POINTS[car.position - 1] ?? 0 : 0, o); o += 1;
+      buf.writeUInt8(car.numPitStops, o); o += 1;
+      buf.writeUInt8(car.resultStatus, o); o += 1;
+      buf.writeUInt8(car.resultReason, o); o += 1;
+      buf.writeUInt32LE(validLaps.length ? Math.min(...validLaps) : 0, o); o += 4;
+      buf.writeDoubleLE(finished ? (car.finishTimeMs - LIGHTS_OUT_MS) / 1000 : 0, o); o += 8;
+      buf.writeUInt8(Math.min(255, car.penaltiesSec), o); o += 1;
+      buf.writeUInt8(car.numPenalties, o); o += 1;
+      buf.writeUInt8(stints.length, o); o += 1;
+      stints.forEach((stint, i) => {
+        const tyre = TYRES[stint.compound];
+        const endLap = i === stints.length - 1 ? car.history.length : stint.endLap;
+        buf.writeUInt8(tyre.actual, o + i);
+        buf.writeUInt8(tyre.visual, o + MAX_TYRE_STINTS + i);
+        buf.writeUInt8(Math.min(255, endLap), o + 2 * MAX_TYRE_STINTS + i);
+      });
+    });
+    return buf;
+  }
+
+  // Круг Time Trial с разбивкой на сектора пропорционально длинам секторов трассы
+  function timeTrialLap(lapTimeMs, assists) {
+    const sector1Ms = Math.round((lapTimeMs * sector2StartM) / trackLengthM);
+    const sector2Ms = Math.round((lapTimeMs * (sector3StartM - sector2StartM)) / trackLengthM);
+    return { lapTimeMs, sector1Ms, sector2Ms, sector3Ms: lapTimeMs - sector1Ms - sector2Ms, valid: true, ...assists };
+  }
+
+  // Личный рекорд "из прошлых заездов" и круг соперника — от эталонного темпа игрока на софтах;
+  // типичный круг симулятора примерно на 2 с медленнее эталона, так что рекорд и соперник чуть быстрее него
+  const timeTrialReferenceMs =
+    world.cars[playerCarIndex].basePaceMs + TYRES.soft.paceMs + world.cars[playerCarIndex].fuelKg * 30;
+  const timeTrialStoredBest = timeTrialLap(timeTrialReferenceMs + 1600, {
+    carIndex: playerCarIndex,
+    tractionControl: 0,
+    gearboxAssist: 1,
+    antiLockBrakes: 0,
+    equalCarPerformance: 0,
+    customSetup: 1
+  });
+  const timeTrialRival = timeTrialLap(timeTrialReferenceMs + 1100, {
+    carIndex: Math.min(1, numCars - 1),
+    tractionControl: 1,
+    gearboxAssist: 3,
+    antiLockBrakes: 1,
+    equalCarPerformance: 1,
+    customSetup: 0
+  });
+
+  function buildTimeTrialPacket() {
+    const buf = Buffer.alloc(TIME_TRIAL_PACKET_SIZE);
+    writeHeader(buf, PACKET_ID_TIME_TRIAL);
+    const player = world.cars[playerCarIndex];
+    const validLaps = player.history.filter((h) => h.valid);
+    const best = validLaps.reduce((acc, h) => (!acc || h.lapTimeMs < acc.lapTimeMs ? h : acc), null);
+    const sessionBest = best ? { ...timeTrialStoredBest, ...best } : null;
+    const personalBest = sessionBest && sessionBest.lapTimeMs < timeTrialStoredBest.lapTimeMs ? sessionBest : timeTrialStoredBest;
+
+    [sessionBest, personalBest, timeTrialRival].forEach((set, i) => {
+      if (!set) return;
+      let o = HEADER_SIZE + i * TIME_TRIAL_DATA_SET_SIZE;
+      buf.writeUInt8(set.carIndex, o); o += 1;
+      buf.writeUInt8(world.cars[set.carIndex].teamId, o); o += 1;
+      buf.writeUInt32LE(set.lapTimeMs, o); o += 4;
+      buf.writeUInt32LE(set.sector1Ms, o); o += 4;
+      buf.writeUInt32LE(set.sector2Ms, o); o += 4;
+      buf.writeUInt32LE(set.sector3Ms, o); o += 4;
+      buf.writeUInt8(set.tractionControl, o); o += 1;
+      buf.writeUInt8(set.gearboxAssist, o); o += 1;
+      buf.writeUInt8(set.antiLockBrakes, o); o += 1;
+      buf.writeUInt8(set.equalCarPerformance, o); o += 1;
+      buf.writeUInt8(set.customSetup, o); o += 1;
+      buf.writeUInt8(set.valid ? 1 : 0, o); o += 1;
+    });
+    return buf;
+  }
+
+  // Страница истории позиций: круги lapStart + 1 .. lapStart + MAX_LAPS_IN_LAP_POSITIONS
+  function buildLapPositionsPacket(lapStart) {
+    const buf = Buffer.alloc(LAP_POSITIONS_PACKET_SIZE);
+    writeHeader(buf, PACKET_ID_LAP_POSITIONS);
+    const lapsDone = Math.max(0, ...world.cars.map((car) => car.lapPositions.length));
+    const numLaps = Math.max(0, Math.min(MAX_LAPS_IN_LAP_POSITIONS, lapsDone - lapStart));
+    buf.writeUInt8(numLaps, HEADER_SIZE);
+    buf.writeUInt8(lapStart, HEADER_SIZE + 1);
+    for (let i = 0; i < numLaps; i++) {
+      world.cars.forEach((car) => {
+        buf.writeUInt8(car.lapPositions[lapStart + i] ?? 0, HEADER_SIZE + 2 + i * NUM_CARS + car.carIndex);
+      });
+    }
+    return buf;
+  }
+
+  // Разница темпа комплекта к установленному: компаунд, погода и износ (как в startLap)
+  function setPaceMs(set) {
+    return TYRES[set.compound].paceMs + weatherPenaltyMs(set.compound, world.weather) + set.wear * 25;
+  }
+
+  function buildTyreSetsPacket(car) {
+    const buf = Buffer.alloc(TYRE_SETS_PACKET_SIZE);
+    writeHeader(buf, PACKET_ID_TYRE_SETS);
+    buf.writeUInt8(car.carIndex, HEADER_SIZE);
+    const fittedPace = setPaceMs(car.tyreSets[car.fittedSetIdx]);
+    car.tyreSets.forEach((set, idx) => {
+      let o = HEADER_SIZE + 1 + idx * TYRE_SET_DATA_SIZE;
+      const tyre = TYRES[set.compound];
+      const isDry = set.compound === 'soft' || set.compound === 'medium' || set.compound === 'hard';
+      const recommendedSession = !isDry ? 0 : set.compound === 'soft' && isRace ? QUALI_SESSION_TYPE : sessionType;
+      const lapDeltaMs = Math.round(setPaceMs(set) - fittedPace);
+      buf.writeUInt8(tyre.actual, o); o += 1;
+      buf.writeUInt8(tyre.visual, o); o += 1;
+      buf.writeUInt8(Math.round(set.wear), o); o += 1;
+      buf.writeUInt8(set.wear < TYRE_SET_RETIRE_WEAR ? 1 : 0, o); o += 1; // available
+      buf.writeUInt8(recommendedSession, o); o += 1;
+      buf.writeUInt8(Math.max(0, tyre.usableLife - set.lapsUsed), o); o += 1; // lifeSpan
+      buf.writeUInt8(tyre.usableLife, o); o += 1;
+      buf.writeInt16LE(Math.max(-32768, Math.min(32767, lapDeltaMs)), o); o += 2;
+      buf.writeUInt8(idx === car.fittedSetIdx ? 1 : 0, o); o += 1;
+    });
+    buf.writeUInt8(car.fittedSetIdx, HEADER_SIZE + 1 + TYRE_ALLOCATION.length * TYRE_SET_DATA_SIZE);
+    return buf;
+  }
+
+  // Лобби: у сессии еще нет sessionUID; игроки готовы к разному времени, машина 5 — зритель
+  function buildLobbyInfoPacket() {
+    const buf = Buffer.alloc(LOBBY_INFO_PACKET_SIZE);
+    writeHeader(buf, PACKET_ID_LOBBY_INFO, 0n);
+    buf.writeUInt8(world.cars.length, HEADER_SIZE);
+    world.cars.forEach((car, idx) => {
+      let o = HEADER_SIZE + 1 + idx * LOBBY_INFO_DATA_SIZE;
+      const readyAtMs = (lobbyMs * 0.8 * ((idx * 7) % world.cars.length)) / world.cars.length;
+      buf.writeUInt8(idx % 4 === 3 ? 1 : 0, o); o += 1; // aiControlled
+      buf.writeUInt8(car.teamId, o); o += 1;
+      buf.writeUInt8(((idx * 7) % 90) + 1, o); o += 1; // nationality
+      buf.writeUInt8([1, 3, 4, 6][idx % 4], o); o += 1; // platform
+      buf.write(car.name, o, 31, 'utf8'); o += 32;
+      buf.writeUInt8(car.raceNumber, o); o += 1;
+      buf.writeUInt8(idx % 3 === 0 ? 0 : 1, o); o += 1; // yourTelemetry
+      buf.writeUInt8(1, o); o += 1; // showOnlineNames
+      buf.writeUInt16LE(1200 + ((idx * 137) % 1800), o); o += 2; // techLevel
+      buf.writeUInt8(idx === 5 ? 2 : lobbyElapsedMs >= readyAtMs ? 1 : 0, o); o += 1; // readyStatus
+    });
+    return buf;
+  }
+
+  function buildEventPacket(code, fill) {
+    const buf = Buffer.alloc(EVENT_PACKET_SIZE);
+    writeHeader(buf, PACKET_ID_EVENT);
+    buf.write(code, HEADER_SIZE, 4, 'ascii');
+    if (fill) fill(buf, HEADER_SIZE + 4);
+    return buf;
+  }
+
+  function emitEvent(code, fill) {
+    pendingEvents.push(buildEventPacket(code, fill));
+  }
+
+  function send(buf) {
+    const packet = packetFormat === PACKET_FORMAT ? buf : toPacketFormat(buf, packetFormat);
+    if (packet) socket.send(packet, port, host);
+  }
+
+  function tick() {
+    if (lobbyElapsedMs < lobbyMs) {
+      if (lobbyElapsedMs % 500 === 0) send(buildLobbyInfoPacket()); // игра шлет LobbyInfo дважды в секунду
+      lobbyElapsedMs += SIM_TICK_MS;
+      return;
+    }
+    if (overallFrameIdentifier === 0) emitEvent('SSTA');
+    runEvents();
+    updateStartLights();
+
+    for (const car of world.cars) stepCar(car, SIM_TICK_MS);
+    const order = updatePositions();
+    if (world.lightsOut) detectOvertakes(order);
+    updateDrs(order);
+    // Итоговая классификация — когда после клетчатого флага на трассе не осталось машин
+    const classificationDue =
+      world.chequeredFlag && !world.finalClassificationSent && world.cars.every((car) => car.resultStatus !== 2);
+    if (classificationDue) {
+      world.finalClassificationSent = true;
+      send(buildFinalClassificationPacket());
+      emitEvent('SEND');
+    }
+
+    world.sessionTimeMs += SIM_TICK_MS;
+    world.frameIdentifier += 1;
+    overallFrameIdentifier += 1;
+
+    if (world.sessionTimeMs - lastSnapshotAtMs >= SNAPSHOT_INTERVAL_MS) {
+      takeSnapshot();
+      lastSnapshotAtMs = world.sessionTimeMs;
+    }
+
+    const frame = overallFrameIdentifier;
+    if (frame % 100 === 1) send(buildParticipantsPacket());
+    if (frame % 10 === 1) send(buildSessionPacket());
+    if (frame % 10 === 5) send(buildCarSetupsPacket());
+    send(buildMotionPacket());
+    send(buildMotionExPacket());
+    send(buildLapDataPacket(order));
+    send(buildCarTelemetryPacket());
+    send(buildCarStatusPacket());
+    if (frame % 2 === 0) send(buildCarDamagePacket());
+    send(buildSessionHistoryPacket(world.cars[historyCursor % world.cars.length]));
+    historyCursor += 1;
+    send(buildTyreSetsPacket(world.cars[tyreSetsCursor % world.cars.length]));
+    tyreSetsCursor += 1;
+    if (sessionType === TIME_TRIAL_SESSION_TYPE && frame % 20 === 15) send(buildTimeTrialPacket());
+    if (frame % 20 === 10) {
+      const lapsDone = Math.max(0, ...world.cars.map((car) => car.lapPositions.length));
+      for (let lapStart = 0; lapStart === 0 || lapStart < lapsDone; lapStart += MAX_LAPS_IN_LAP_POSITIONS) {
+        send(buildLapPositionsPacket(lapStart));
+      }
+    }
+    // Повторяем классификацию раз в секунду: одиночный UDP-пакет может потеряться, а сервер повтор игнорирует
+    if (world.finalClassificationSent && frame % 20 === 0) send(buildFinalClassificationPacket());
+    pendingEvents.splice(0).forEach(send);
+  }
+
+  const timer = setInterval(tick, SIM_TICK_MS);
+
+  return {
+    stop() {
+      clearInterval(timer);
+      socket.close();
+    }
+  };
+}
+
+// Сценарий — JSON: { name, description, session: { sessionType, totalLaps, ... }, events: [{ at: { lap, fraction } | { timeSec }, action, ... }] }.
+// nameOrPath — имя файла из backend/scenarios/ без .json или путь к своему файлу.
+function loadScenario(nameOrPath) {
+  const filePath = fs.existsSync(nameOrPath) ? nameOrPath : path.join(SCENARIOS_DIR, `${nameOrPath}.json`);
+  const scenario = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const events = Array.isArray(scenario.events) ? scenario.events : [];
+  events.forEach((ev, idx) => {
+    if (!SCENARIO_ACTIONS.has(ev.action)) {
+      throw new Error(`Unknown scenario action "${ev.action}" (event #${idx}) in ${filePath}`);
+    }
+    if (ev.at?.lap == null && ev.at?.timeSec == null) {
+      throw new Error(`Scenario event #${idx} has no "at.lap" or "at.timeSec" in ${filePath}`);
+    }
+    if (ev.compound != null && !TYRES[ev.compound]) {
+      throw new Error(`Unknown compound "${ev.compound}" (event #${idx}) in ${filePath}`);
+    }
+  });
+  return {
+    name: scenario.name ?? path.basename(filePath, '.json'),
+    description: scenario.description ?? '',
+    session: scenario.session ?? {},
+    events
+  };
+}
+
+module.exports = {
+  startSimulator,
+  loadScenario
+};
@@ -0,0 +1,109 @@
+/**
+ * Назначение: контур трассы для карты, выученный по мировым координатам машины игрока (Motion) с привязкой к дистанции круга,
+ *   и его кэш на диске по trackId, чтобы при следующей сессии на той же трассе карта была доступна сразу.
+ * Формат файла кэша: JSON { trackId, trackLengthM, stepM, points }, где points[i] — [x, z] точки на дистанции i * stepM или null (не пройдено).
+ * Параметры: dir — каталог кэша контуров.
+ * Возвращаемые значения: объект { selectTrack, addSample, flush, getOutline }.
+ * Побочные эффекты: читает и пишет файлы <trackId>.json в каталоге кэша.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const TRACK_OUTLINE_STEP_M = 10; // шаг точек контура по дистанции круга
+const TRACK_OUTLINE_SAVE_COVERAGE = 0.9; // сохранять на диск, только когда пройдено не меньше этой доли круга
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+function createTrackOutlineStore({ dir }) {
+  let outline = null; // { trackId, trackLengthM, stepM, points, filled, dirty }
+
+  function filePathOf(trackId) {
+    return path.join(dir, `${trackId}.json`);
+  }
+
+  function createEmpty(trackId, trackLengthM) {
+    const count = Math.ceil(trackLengthM / TRACK_OUTLINE_STEP_M);
+    return {
+      trackId,
+      trackLengthM,
+      stepM: TRACK_OUTLINE_STEP_M,
+      points: new Array(count).fill(null),
+      filled: 0,
+      dirty: false
+    };
+  }
+
+  // Кэш другой длины трассы (другая конфигурация или старый формат) не используем
+  function loadCached(trackId, trackLengthM) {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(filePathOf(trackId), 'utf8'));
+    } catch (_) {
+      return null;
+    }
+    if (raw?.trackLengthM !== trackLengthM || raw.stepM !== TRACK_OUTLINE_STEP_M || !Array.isArray(raw.points)) return null;
+
+    const loaded = createEmpty(trackId, trackLengthM);
+    for (let i = 0; i < loaded.points.length; i++) {
+      const p = raw.points[i];
+      if (!Array.isArray(p) || !Number.isFinite(p[0]) || !Number.isFinite(p[1])) continue;
+      loaded.points[i] = [p[0], p[1]];
+      loaded.filled += 1;
+    }
+    console.log(`Track map: loaded outline for track ${trackId} (${loaded.filled}/${loaded.points.length} points)`);
+    return loaded;
+  }
+
+  // Вызывается из Session-пакета: смена трассы — сохраняем текущий контур и берем кэш новой (или учим заново).
+  // Возвращает true, если контур сменился
+  function selectTrack(trackId, trackLengthM) {
+    if (trackId == null || trackId < 0 || !(trackLengthM > 0)) return false;
+    if (outline && outline.trackId === trackId && outline.trackLengthM === trackLengthM) return false;
+    flush();
+    outline = loadCached(trackId, trackLengthM) ?? createEmpty(trackId, trackLengthM);
+    return true;
+  }
+
+  // Точка игрока на дистанции круга lapDistance; уже известные точки не перезаписываются
+  function addSample(lapDistance, x, z) {
+    if (!outline) return false;
+    if (!Number.isFinite(lapDistance) || lapDistance < 0 || lapDistance >= outline.trackLengthM) return false;
+    if (!Number.isFinite(x) || !Number.isFinite(z)) return false;
+    const index = Math.floor(lapDistance / outline.stepM);
+    if (outline.points[index]) return false;
+    outline.points[index] = [round1(x), round1(z)];
+    outline.filled += 1;
+    outline.dirty = true;
+    return true;
+  }
+
+  function flush() {
+    if (!outline || !outline.dirty) return;
+    if (outline.filled < outline.points.length * TRACK_OUTLINE_SAVE_COVERAGE) return;
+    const { trackId, trackLengthM, stepM, points } = outline;
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(filePathOf(trackId), JSON.stringify({ trackId, trackLengthM, stepM, points }));
+      outline.dirty = false;
+    } catch (err) {
+      console.error(`Track map: failed to save outline for track ${trackId}:`, err.message);
+    }
+  }
+
+  function getOutline() {
+    if (!outline) return null;
+    return {
+      trackId: outline.trackId,
+      trackLengthM: outline.trackLengthM,
+      stepM: outline.stepM,
+      coverage: outline.filled / outline.points.length,
+      points: outline.points
+    };
+  }
+
+  return { selectTrack, addSample, flush, getOutline };
+}
+
+module.exports = {
+  createTrackOutlineStore
+};
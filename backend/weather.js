@@ -0,0 +1,53 @@
+/**
+ * Назначение: советник по переходу между сликами, интерами и дождевыми шинами по прогнозу погоды из пакета Session —
+ *   находит ближайшую точку прогноза в пределах горизонта, где быстрее окажется другой тип шин, чем стоящий на машине игрока.
+ * Параметры: adviseTyreCrossover({ samples, sessionType, visualTyreCompound, tyresAgeLaps, lastLapTimeMs, horizonMin }).
+ * Возвращаемые значения: { fromTyre, toTyre, inMinutes, inLaps, weather, rainPercentage, tyresAgeLaps, wornTyres } или null, если смена шин не нужна.
+ * Побочные эффекты: нет.
+ */
+
+const CROSSOVER_MIN_RAIN_PERCENTAGE = 40; // ниже — дождь слишком маловероятен, чтобы менять слики
+const WORN_TYRES_AGE_LAPS = 12; // со старыми шинами переход выгоднее совместить с плановым питом
+
+// Визуальный компаунд (m_visualTyreCompound): 7 = inter, 8 = wet, остальное — слики
+function tyreClassOf(visualTyreCompound) {
+  if (visualTyreCompound === 7) return 'inter';
+  if (visualTyreCompound === 8) return 'wet';
+  return 'slick';
+}
+
+// Самые быстрые шины для точки прогноза: легкий дождь — интеры, сильный дождь и гроза — дождевые
+function fastestTyreFor(sample) {
+  if (sample.rainPercentage < CROSSOVER_MIN_RAIN_PERCENTAGE) return 'slick';
+  if (sample.weather >= 4) return 'wet';
+  if (sample.weather === 3) return 'inter';
+  return 'slick';
+}
+
+function adviseTyreCrossover({ samples, sessionType, visualTyreCompound, tyresAgeLaps, lastLapTimeMs, horizonMin }) {
+  if (!Array.isArray(samples) || visualTyreCompound == null) return null;
+
+  // Прогноз приходит и на следующие сессии уик-энда — берем только текущую
+  const upcoming = samples
+    .filter((s) => s.sessionType === sessionType && s.timeOffsetMin <= horizonMin)
+    .sort((a, b) => a.timeOffsetMin - b.timeOffsetMin);
+
+  const fromTyre = tyreClassOf(visualTyreCompound);
+  const crossover = upcoming.find((s) => fastestTyreFor(s) !== fromTyre);
+  if (!crossover) return null;
+
+  return {
+    fromTyre,
+    toTyre: fastestTyreFor(crossover),
+    inMinutes: crossover.timeOffsetMin,
+    inLaps: lastLapTimeMs > 0 ? Math.round((crossover.timeOffsetMin * 60000) / lastLapTimeMs) : null,
+    weather: crossover.weather,
+    rainPercentage: crossover.rainPercentage,
+    tyresAgeLaps: tyresAgeLaps ?? null,
+    wornTyres: tyresAgeLaps != null && tyresAgeLaps >= WORN_TYRES_AGE_LAPS
+  };
+}
+
+module.exports = {
+  adviseTyreCrossover
+};
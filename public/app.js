@@ -1,4 +1,4 @@
-// Назначение: отрисовывает вкладки Race, Personal и Car по состоянию laps_state, полученному по WebSocket.
+// Назначение: отрисовывает вкладки Race, Personal, Charts, Map, Results и Car по состоянию laps_state, полученному по WebSocket.
 const liveLapTimeEl = document.getElementById('live-lap-time');
 const bestLapTimeEl = document.getElementById('best-lap-time');
 const bestLapNumberEl = document.getElementById('best-lap-number');
@@ -7,41 +7,126 @@ const overallBestLapNumberEl = document.getElementById('overall-best-lap-number'
 const overallBestLapDriverEl = document.getElementById('overall-best-lap-driver');
 const liveLapNumberEl = document.getElementById('live-lap-number');
 const liveDeltaBestEl = document.getElementById('live-delta-best');
+const liveDeltaModeEl = document.getElementById('live-delta-mode');
+const recordLapTimeEl = document.getElementById('record-lap-time');
+const recordLapTheoreticalEl = document.getElementById('record-lap-theoretical');
+const recordBarEl = document.getElementById('record-bar');
+const recordTextEl = document.getElementById('record-text');
+const recordDismissEl = document.getElementById('record-dismiss');
 const raceFuelDeltaEl = document.getElementById('race-fuel-delta');
 const raceErsEl = document.getElementById('race-ers');
 const racePenaltiesEl = document.getElementById('race-penalties');
+const racePitWindowEl = document.getElementById('race-pit-window');
+const forecastTimelineEl = document.getElementById('forecast-timeline');
+const forecastAdviceEl = document.getElementById('forecast-advice');
 const tyresUsedEl = document.getElementById('tyres-used');
 const tyresCurrentEl = document.getElementById('tyres-current');
 const tyresWearEl = document.getElementById('tyres-wear');
 const lapsTbodyEl = document.getElementById('laps-tbody');
 const raceTbodyEl = document.getElementById('race-tbody');
+const setupsSectionEl = document.getElementById('table-setups');
+const setupsSelectAEl = document.getElementById('setups-select-a');
+const setupsSelectBEl = document.getElementById('setups-select-b');
+const setupsHeadAEl = document.getElementById('setups-head-a');
+const setupsHeadBEl = document.getElementById('setups-head-b');
+const setupsTbodyEl = document.getElementById('setups-tbody');
+const tyreSetsSectionEl = document.getElementById('table-tyre-sets');
+const tyreSetsTbodyEl = document.getElementById('tyre-sets-tbody');
+const timeTrialSectionEl = document.getElementById('table-time-trial');
+const timeTrialTbodyEl = document.getElementById('time-trial-tbody');
 const carKvEl = document.getElementById('car-kv');
 const connectionStatusEl = document.getElementById('connection-status');
+const formatWarningEl = document.getElementById('format-warning');
 const sessionModeEl = document.getElementById('session-mode');
 const pageEl = document.querySelector('.page');
 const tabPersonalEl = document.getElementById('tab-personal');
 const tabRaceEl = document.getElementById('tab-race');
 const tabCarEl = document.getElementById('tab-car');
 const tabPedalsEl = document.getElementById('tab-pedals');
+const tabMapEl = document.getElementById('tab-map');
+const tabResultsEl = document.getElementById('tab-results');
+const tabLobbyEl = document.getElementById('tab-lobby');
+const tabSessionsEl = document.getElementById('tab-sessions');
+const sessionsTbodyEl = document.getElementById('sessions-tbody');
+const sessionsMetaEl = document.getElementById('sessions-meta');
+const sessionsTrackSelectEl = document.getElementById('sessions-track-select');
+const sessionsTypeSelectEl = document.getElementById('sessions-type-select');
+const archiveBarEl = document.getElementById('archive-bar');
+const archiveNameEl = document.getElementById('archive-name');
+const archiveCloseEl = document.getElementById('archive-close');
+const exportDatasetEl = document.getElementById('export-dataset');
+const exportCsvEl = document.getElementById('export-csv');
+const exportJsonEl = document.getElementById('export-json');
+const exportMotecLdEl = document.getElementById('export-motec-ld');
+const exportMotecLdxEl = document.getElementById('export-motec-ldx');
+const playerSwitchEl = document.getElementById('player-switch');
+const playerPrimaryEl = document.getElementById('player-primary');
+const playerSecondaryEl = document.getElementById('player-secondary');
+const followBarEl = document.getElementById('follow-bar');
+const followLabelEl = document.getElementById('follow-label');
+const followNameEl = document.getElementById('follow-name');
+const followResetEl = document.getElementById('follow-reset');
+const lobbyMetaEl = document.getElementById('lobby-meta');
+const lobbyTbodyEl = document.getElementById('lobby-tbody');
+const resultsMetaEl = document.getElementById('results-meta');
+const resultsTbodyEl = document.getElementById('results-tbody');
 const marshalRowEl = document.getElementById('marshal-row');
 const marshalBarEl = document.getElementById('marshal-bar');
+const raceControlEl = document.getElementById('race-control');
+const raceControlLogEl = document.getElementById('race-control-log');
 const pedalsChartEl = document.getElementById('pedals-chart');
 const pedalsStatusEl = document.getElementById('pedals-status');
 const pedalsToggleEl = document.getElementById('pedals-x-toggle');
 const pedalsCompareSelectEl = document.getElementById('pedals-compare-select');
 const pedalsThrottleChartEl = document.getElementById('pedals-chart-throttle');
 const pedalsBrakeChartEl = document.getElementById('pedals-chart-brake');
+const motionExChartEl = document.getElementById('motion-ex-chart');
+const motionExChannelSelectEl = document.getElementById('motion-ex-channel-select');
+const motionExStatusEl = document.getElementById('motion-ex-status');
+const slipEventsTbodyEl = document.getElementById('slip-events-tbody');
+const positionsChartEl = document.getElementById('positions-chart');
+const positionsStatusEl = document.getElementById('positions-status');
+const trackMapCanvasEl = document.getElementById('track-map-canvas');
+const trackMapStatusEl = document.getElementById('track-map-status');
+const replayBarEl = document.getElementById('replay-bar');
+const replayPlayEl = document.getElementById('replay-play');
+const replaySpeedEl = document.getElementById('replay-speed');
+const replayLapEl = document.getElementById('replay-lap');
+const replayEndEl = document.getElementById('replay-end');
+const replayPositionEl = document.getElementById('replay-position');
 
 // Кэши для фронтовой логики
-const racePosHistory = new Map(); // carIndex -> baseline position (первое увиденное)
 const raceTyreHistory = new Map(); // carIndex -> [{ label, cssClass, token }]
 
 let tyreMap = null;
+let nameMap = { tracks: {}, formulas: {} }; // названия трасс (trackId) и формул из names.json — общие с выгрузкой
 let pedalsChartThrottle = null;
 let pedalsChartBrake = null;
+let motionExChart = null;
+let motionExChannel = 'suspensionPosition';
+let positionsChart = null;
+let positionsChartKey = null; // подпись данных последней отрисовки: график перестраивается только при изменениях
 let pedalsUsePercent = false;
 let lastState = null;
 let pedalsCompareCarIndex = '';
+let setupsCompareA = ''; // id снимка настроек; '' — по умолчанию (предыдущий к текущему)
+let setupsCompareB = ''; // '' — текущий снимок
+let wsConn = null;
+let replayStatus = null;
+let raceControlRenderedKey = null;
+let seenFlashbackCount = 0;
+let resultsShownForSession = null; // sessionUID, для которого уже открыли Results автоматически
+let activeView = null;
+let viewBeforeLobby = null; // вкладка, открытая до появления лобби; null — лобби не показывается
+let personalPlayer = 'primary'; // split-screen: чьи метрики, Personal, шины и педали показывать — 'primary' | 'secondary'
+let lastRawState = null; // последнее отрисованное состояние — для перерисовки при смене игрока
+let lastLiveState = null; // последнее состояние с сервера (пока открыта архивная сессия, живые данные не рисуются)
+let tracePaths = null; // пути тяжелых трасс lapsState из laps_state: { replaced, growing } (см. applyStateUpdate)
+let archivedSessions = []; // краткие описания сессий из архива (GET /api/sessions)
+let deltaMode = getInitialDeltaMode(); // Live lap: дельта к лучшему кругу сессии или к рекорду за все сессии — 'session' | 'record'
+let seenRecordBrokenId; // id последнего показанного рекорда; undefined — еще не было состояния (старый рекорд не показываем)
+let recordBarTimer = null;
+let archivedSession = null; // открытая архивная сессия { summary, state, cars, followedCarIndex } или null — живые данные
 
 async function loadTyreMap() {
   try {
@@ -53,19 +138,47 @@ async function loadTyreMap() {
   }
 }
 
+async function loadNameMap() {
+  try {
+    const res = await fetch('/names.json', { cache: 'no-cache' });
+    if (!res.ok) return;
+    nameMap = await res.json();
+    renderSessionsList();
+  } catch (_) {
+    // ignore
+  }
+}
+
 function setActiveView(view) {
   if (!pageEl) return;
   const isRace = view === 'race';
   const isCar = view === 'car';
   const isPedals = view === 'pedals';
+  const isMap = view === 'map';
+  const isResults = view === 'results';
+  const isLobby = view === 'lobby';
+  const isSessions = view === 'sessions';
+  activeView = view;
   pageEl.classList.toggle('view-race', isRace);
   pageEl.classList.toggle('view-car', isCar);
   pageEl.classList.toggle('view-pedals', isPedals);
+  pageEl.classList.toggle('view-map', isMap);
+  pageEl.classList.toggle('view-results', isResults);
+  pageEl.classList.toggle('view-lobby', isLobby);
+  pageEl.classList.toggle('view-sessions', isSessions);
   if (tabPersonalEl) tabPersonalEl.classList.toggle('is-active', view === 'personal');
   if (tabRaceEl) tabRaceEl.classList.toggle('is-active', view === 'race');
   if (tabCarEl) tabCarEl.classList.toggle('is-active', view === 'car');
   if (tabPedalsEl) tabPedalsEl.classList.toggle('is-active', view === 'pedals');
-
+  if (tabMapEl) tabMapEl.classList.toggle('is-active', isMap);
+  if (tabResultsEl) tabResultsEl.classList.toggle('is-active', isResults);
+  if (tabLobbyEl) tabLobbyEl.classList.toggle('is-active', isLobby);
+  if (tabSessionsEl) tabSessionsEl.classList.toggle('is-active', isSessions);
+  // Карта рисуется только в видимой вкладке — при переключении дорисовать по последнему состоянию
+  if (isMap && lastState) renderTrackMap(lastState);
+
+  // Лобби открывается само и живет до начала сессии — после перезагрузки страницы его не восстанавливаем
+  if (isLobby) return;
   try {
     localStorage.setItem('laps_view', view);
   } catch (_) {
@@ -73,11 +186,30 @@ function setActiveView(view) {
   }
 }
 
+function setDeltaMode(mode) {
+  deltaMode = mode;
+  try {
+    localStorage.setItem('laps_delta_mode', mode);
+  } catch (_) {
+    // ignore
+  }
+  if (lastRawState) renderState(lastRawState);
+}
+
+function getInitialDeltaMode() {
+  try {
+    return localStorage.getItem('laps_delta_mode') === 'record' ? 'record' : 'session';
+  } catch (_) {
+    return 'session';
+  }
+}
+
 function getInitialView() {
   try {
     const v = localStorage.getItem('laps_view') || 'race';
     // backward compatibility
-    return v === 'track' ? 'personal' : v;
+    if (v === 'track') return 'personal';
+    return v === 'lobby' ? 'race' : v;
   } catch (_) {
     return 'race';
   }
@@ -169,6 +301,95 @@ function renderRaceHudRow(state) {
   } else {
     racePenaltiesEl.textContent = '—';
   }
+
+  // Окно пит-стопа по оценке игры: идеальный и последний круг, позиция после выезда из боксов
+  if (racePitWindowEl) {
+    const win = state.pitStopWindow;
+    if (win) {
+      const parts = [];
+      if (win.idealLap != null) parts.push(`Ideal L${win.idealLap}`);
+      if (win.latestLap != null) parts.push(`Latest L${win.latestLap}`);
+      if (win.rejoinPosition != null) parts.push(`Rejoin P${win.rejoinPosition}`);
+      racePitWindowEl.textContent = parts.join(' · ');
+    } else {
+      racePitWindowEl.textContent = '—';
+    }
+  }
+}
+
+const PACKET_NAMES = [
+  'Motion', 'Session', 'Lap Data', 'Event', 'Participants', 'Car Setups', 'Car Telemetry', 'Car Status',
+  'Final Classification', 'Lobby Info', 'Car Damage', 'Session History', 'Tyre Sets', 'Motion Ex', 'Time Trial', 'Lap Positions'
+];
+
+// Предупреждение о формате телеметрии: неподдерживаемый год игры или пакеты, которые сервер пропустил из-за размера/версии
+function renderFormatWarning(state) {
+  if (!formatWarningEl) return;
+  const format = state.telemetryFormat;
+  let text = '';
+  if (format && !format.supported) {
+    text =
+      `Unsupported UDP format ${format.packetFormat}: packets are ignored. ` +
+      `Set "UDP Format" in the game telemetry settings to one of ${format.supportedFormats.join(', ')}.`;
+  } else if (format?.packetErrors.length) {
+    const skipped = format.packetErrors.map((e) => `${labelOf(PACKET_NAMES, e.packetId)} (${e.size} bytes, v${e.packetVersion})`);
+    text = `Skipped packets with an unexpected size or version for format ${format.packetFormat}: ${skipped.join(', ')}.`;
+  }
+  formatWarningEl.textContent = text;
+  formatWarningEl.classList.toggle('is-visible', text !== '');
+}
+
+const WEATHER_LABELS = ['Clear', 'Light cloud', 'Overcast', 'Light rain', 'Heavy rain', 'Storm'];
+const TEMPERATURE_CHANGE_ARROWS = ['↑', '↓', ''];
+const TYRE_CLASS_LABELS = { slick: 'Slicks', inter: 'Inters', wet: 'Wets' };
+
+// Прогноз погоды текущей сессии по точкам и совет по смене шин (tyreCrossover с сервера)
+function renderForecast(state) {
+  if (!forecastTimelineEl || !forecastAdviceEl) return;
+  const samples = (Array.isArray(state.weatherForecast?.samples) ? state.weatherForecast.samples : [])
+    .filter((s) => s.sessionType === state.sessionType)
+    .sort((a, b) => a.timeOffsetMin - b.timeOffsetMin);
+  const advice = state.tyreCrossover || null;
+
+  forecastTimelineEl.innerHTML = '';
+  if (!samples.length) forecastTimelineEl.textContent = '—';
+  samples.forEach((s) => {
+    const el = document.createElement('div');
+    el.className = 'forecast-sample';
+    if (s.weather >= 3) el.classList.add('is-wet');
+    if (advice && s.timeOffsetMin === advice.inMinutes) el.classList.add('is-crossover');
+    const time = document.createElement('span');
+    time.className = 'forecast-sample-time';
+    time.textContent = s.timeOffsetMin === 0 ? 'Now' : `+${s.timeOffsetMin}'`;
+    const weather = document.createElement('span');
+    weather.textContent = `${labelOf(WEATHER_LABELS, s.weather)} · ${s.rainPercentage}%`;
+    const temp = document.createElement('span');
+    temp.className = 'forecast-sample-temp';
+    temp.textContent = `${s.trackTemperatureC}°${TEMPERATURE_CHANGE_ARROWS[s.trackTemperatureChange] ?? ''} / ${s.airTemperatureC}°${TEMPERATURE_CHANGE_ARROWS[s.airTemperatureChange] ?? ''}`;
+    el.title = 'Track / air temperature';
+    el.append(time, weather, temp);
+    forecastTimelineEl.appendChild(el);
+  });
+
+  // Переход уже наступил — боксовать сейчас; иначе — через сколько минут (и кругов по темпу последнего круга)
+  if (advice) {
+    const to = TYRE_CLASS_LABELS[advice.toTyre] ?? advice.toTyre;
+    const from = (TYRE_CLASS_LABELS[advice.fromTyre] ?? advice.fromTyre).toLowerCase();
+    const parts = [];
+    if (advice.inMinutes === 0) {
+      parts.push(`Box now: ${to.toLowerCase()} are faster`);
+    } else {
+      const laps = advice.inLaps != null ? ` (~${advice.inLaps} lap${advice.inLaps === 1 ? '' : 's'})` : '';
+      parts.push(`${to} faster in ~${advice.inMinutes} min${laps}`);
+    }
+    parts.push(`rain ${advice.rainPercentage}%`);
+    if (advice.wornTyres && advice.inMinutes > 0) parts.push(`${from} ${advice.tyresAgeLaps} laps old — wait for the crossover instead of another stop on ${from}`);
+    forecastAdviceEl.textContent = parts.join(' · ');
+    forecastAdviceEl.classList.toggle('is-warning', advice.toTyre !== 'slick');
+  } else {
+    forecastAdviceEl.textContent = samples.length ? 'No tyre change expected' : '';
+    forecastAdviceEl.classList.remove('is-warning');
+  }
 }
 
 function renderMarshallingZones(state) {
@@ -256,6 +477,346 @@ function renderMarshallingZones(state) {
   marshalRowEl.classList.add('is-visible');
 }
 
+// Справочники из приложений спецификации F1 25 (Penalty types / Infringement types)
+const PENALTY_TYPE_LABELS = [
+  'Drive through',
+  'Stop go',
+  'Grid penalty',
+  'Penalty reminder',
+  'Time penalty',
+  'Warning',
+  'Disqualified',
+  'Removed from formation lap',
+  'Parked too long timer',
+  'Tyre regulations',
+  'This lap invalidated',
+  'This and next lap invalidated',
+  'This lap invalidated without reason',
+  'This and next lap invalidated without reason',
+  'This and previous lap invalidated',
+  'This and previous lap invalidated without reason',
+  'Retired',
+  'Black flag timer'
+];
+
+const INFRINGEMENT_TYPE_LABELS = [
+  'Blocking by slow driving',
+  'Blocking by wrong way driving',
+  'Reversing off the start line',
+  'Big collision',
+  'Small collision',
+  'Collision failed to hand back position (single)',
+  'Collision failed to hand back position (multiple)',
+  'Corner cutting gained time',
+  'Corner cutting overtake (single)',
+  'Corner cutting overtake (multiple)',
+  'Crossed pit exit lane',
+  'Ignoring blue flags',
+  'Ignoring yellow flags',
+  'Ignoring drive through',
+  'Too many drive throughs',
+  'Drive through reminder: serve within n laps',
+  'Drive through reminder: serve this lap',
+  'Pit lane speeding',
+  'Parked for too long',
+  'Ignoring tyre regulations',
+  'Too many penalties',
+  'Multiple warnings',
+  'Approaching disqualification',
+  'Tyre regulations select single',
+  'Tyre regulations select multiple',
+  'Lap invalidated: corner cutting',
+  'Lap invalidated: running wide',
+  'Corner cutting ran wide gained time (minor)',
+  'Corner cutting ran wide gained time (significant)',
+  'Corner cutting ran wide gained time (extreme)',
+  'Lap invalidated: wall riding',
+  'Lap invalidated: flashback used',
+  'Lap invalidated: reset to track',
+  'Blocking the pitlane',
+  'Jump start',
+  'Safety car to car collision',
+  'Safety car illegal overtake',
+  'Safety car exceeding allowed pace',
+  'Virtual safety car exceeding allowed pace',
+  'Formation lap below allowed speed',
+  'Formation lap parking',
+  'Retired: mechanical failure',
+  'Retired: terminally damaged',
+  'Safety car falling too far back',
+  'Black flag timer',
+  'Unserved stop go penalty',
+  'Unserved drive through penalty',
+  'Engine component change',
+  'Gearbox change',
+  'Parc fermé change',
+  'League grid penalty',
+  'Retry penalty',
+  'Illegal time gain',
+  'Mandatory pitstop',
+  'Attribute assigned'
+];
+
+const RETIREMENT_REASON_LABELS = [
+  'invalid',
+  'retired',
+  'finished',
+  'terminal damage',
+  'inactive',
+  'not enough laps completed',
+  'black flagged',
+  'red flagged',
+  'mechanical failure',
+  'session skipped',
+  'session simulated'
+];
+
+const DRS_DISABLED_REASON_LABELS = ['wet track', 'safety car deployed', 'red flag', 'min lap not reached'];
+const SAFETY_CAR_TYPE_LABELS = ['No safety car', 'Safety car', 'Virtual safety car', 'Formation lap safety car'];
+const SAFETY_CAR_EVENT_LABELS = ['deployed', 'returning', 'returned', 'resume race'];
+
+const labelOf = (labels, code) => (code != null && labels[code] != null ? labels[code] : code != null ? `#${code}` : '—');
+
+function eventDriverLabel(name, carIndex) {
+  if (name) return name;
+  return carIndex != null ? `Car ${carIndex}` : '—';
+}
+
+// Код события -> { tag, text, cssClass } для строки журнала race control
+function describeSessionEvent(ev) {
+  const driver = eventDriverLabel(ev.driverName, ev.carIndex);
+  const other = eventDriverLabel(ev.otherDriverName, ev.otherCarIndex);
+  switch (ev.code) {
+    case 'SSTA':
+      return { tag: 'SESSION', text: 'Session started' };
+    case 'SEND':
+      return { tag: 'SESSION', text: 'Session ended' };
+    case 'FTLP':
+      return { tag: 'FASTEST', text: `${driver} — fastest lap ${formatTime(ev.lapTimeMs)}`, cssClass: 'rc-fastest' };
+    case 'RTMT':
+      return { tag: 'RETIRED', text: ev.reason != null ? `${driver} retired (${labelOf(RETIREMENT_REASON_LABELS, ev.reason)})` : `${driver} retired`, cssClass: 'rc-alert' };
+    case 'DRSE':
+      return { tag: 'DRS', text: 'DRS enabled' };
+    case 'DRSD':
+      return { tag: 'DRS', text: ev.reason != null ? `DRS disabled (${labelOf(DRS_DISABLED_REASON_LABELS, ev.reason)})` : 'DRS disabled' };
+    case 'TMPT':
+      return { tag: 'PIT', text: `Team mate ${driver} in pits` };
+    case 'CHQF':
+      return { tag: 'FLAG', text: 'Chequered flag', cssClass: 'rc-flag' };
+    case 'RCWN':
+      return { tag: 'WINNER', text: `${driver} wins the race`, cssClass: 'rc-fastest' };
+    case 'PENA': {
+      const time = ev.timeSec ? ` · ${ev.timeSec}s` : '';
+      const involved = ev.otherCarIndex != null ? ` · with ${other}` : '';
+      return {
+        tag: 'PENALTY',
+        text: `${driver}: ${labelOf(PENALTY_TYPE_LABELS, ev.penaltyType)} — ${labelOf(INFRINGEMENT_TYPE_LABELS, ev.infringementType)}${time}${involved}`,
+        cssClass: 'rc-penalty'
+      };
+    }
+    case 'SPTP': {
+      const speed = Number.isFinite(ev.speedKph) ? `${ev.speedKph.toFixed(1)} km/h` : '—';
+      const suffix = ev.isOverallFastestInSession ? ' (session best)' : ev.isDriverFastestInSession ? ' (personal best)' : '';
+      return { tag: 'SPEED', text: `${driver} — speed trap ${speed}${suffix}` };
+    }
+    case 'STLG':
+      return { tag: 'START', text: `Start lights: ${ev.numLights}` };
+    case 'LGOT':
+      return { tag: 'START', text: 'Lights out', cssClass: 'rc-flag' };
+    case 'DTSV':
+      return { tag: 'PENALTY', text: `${driver} served drive through` };
+    case 'SGSV': {
+      const stop = Number.isFinite(ev.stopTimeSec) ? ` (${ev.stopTimeSec.toFixed(1)}s)` : '';
+      return { tag: 'PENALTY', text: `${driver} served stop go${stop}` };
+    }
+    case 'FLBK':
+      return {
+        tag: 'FLASHBACK',
+        text: `Flashback to ${formatClock(Number.isFinite(ev.flashbackSessionTimeSec) ? ev.flashbackSessionTimeSec * 1000 : null)}`
+      };
+    case 'RDFL':
+      return { tag: 'FLAG', text: 'Red flag', cssClass: 'rc-red' };
+    case 'OVTK':
+      return { tag: 'OVERTAKE', text: `${driver} overtakes ${other}` };
+    case 'SCAR':
+      return {
+        tag: ev.safetyCarType === 2 ? 'VSC' : 'SC',
+        text: `${labelOf(SAFETY_CAR_TYPE_LABELS, ev.safetyCarType)} ${labelOf(SAFETY_CAR_EVENT_LABELS, ev.eventType)}`,
+        cssClass: 'rc-flag'
+      };
+    case 'COLL':
+      return { tag: 'COLLISION', text: `${driver} and ${other} collided`, cssClass: 'rc-alert' };
+    default:
+      return { tag: ev.code, text: '' };
+  }
+}
+
+// Журнал race control: новые события сверху; перерисовка только при изменении списка
+function renderRaceControl(state) {
+  if (!raceControlEl || !raceControlLogEl) return;
+  const events = Array.isArray(state.events) ? state.events : [];
+  raceControlEl.classList.toggle('is-visible', events.length > 0);
+
+  const lastId = events.length ? events[events.length - 1].id : null;
+  const key = `${events.length}:${lastId}`;
+  if (key === raceControlRenderedKey) return;
+  raceControlRenderedKey = key;
+
+  raceControlLogEl.innerHTML = '';
+  for (let i = events.length - 1; i >= 0; i--) {
+    const ev = events[i];
+    const meta = describeSessionEvent(ev);
+    const li = document.createElement('li');
+    li.className = `race-control-item ${meta.cssClass ?? ''}`.trim();
+
+    const timeEl = document.createElement('span');
+    timeEl.className = 'race-control-time';
+    timeEl.textContent = Number.isFinite(ev.sessionTimeSec) ? formatClock(ev.sessionTimeSec * 1000) : '—';
+
+    const lapEl = document.createElement('span');
+    lapEl.className = 'race-control-lap';
+    lapEl.textContent = ev.lapNumber != null ? `L${ev.lapNumber}` : '';
+
+    const tagEl = document.createElement('span');
+    tagEl.className = 'race-control-tag';
+    tagEl.textContent = meta.tag;
+
+    const textEl = document.createElement('span');
+    textEl.className = 'race-control-text';
+    textEl.textContent = meta.text;
+
+    li.append(timeEl, lapEl, tagEl, textEl);
+    raceControlLogEl.appendChild(li);
+  }
+}
+
+// Цвета контура по флагам маршальских зон (как в полосе marshal zones); SC/VSC перекрашивают весь круг
+const TRACK_MAP_FLAG_COLOURS = {
+  1: 'rgba(40, 167, 69, 0.9)',
+  2: 'rgba(0, 123, 255, 0.9)',
+  3: 'rgba(255, 193, 7, 0.95)'
+};
+const TRACK_MAP_SAFETY_CAR_COLOURS = {
+  1: 'rgba(255, 193, 7, 0.95)',
+  2: 'rgba(181, 107, 240, 0.95)',
+  3: 'rgba(255, 193, 7, 0.6)'
+};
+const TRACK_MAP_PADDING_PX = 20;
+
+// Карта трассы: контур, выученный сервером по координатам игрока, и машины по координатам из Motion
+function renderTrackMap(state) {
+  if (!trackMapCanvasEl || !pageEl?.classList.contains('view-map')) return;
+  const outline = state.trackOutline;
+  const points = Array.isArray(outline?.points) ? outline.points : [];
+  const positions = Array.isArray(state.carPositions) ? state.carPositions : [];
+
+  if (trackMapStatusEl) {
+    if (!outline) trackMapStatusEl.textContent = 'Waiting for data…';
+    else if (outline.coverage < 1) trackMapStatusEl.textContent = `Learning track outline… ${Math.round(outline.coverage * 100)}%`;
+    else trackMapStatusEl.textContent = `Track ${outline.trackId}`;
+  }
+
+  const rect = trackMapCanvasEl.getBoundingClientRect();
+  const width = Math.max(1, Math.round(rect.width));
+  const height = Math.max(1, Math.round(rect.height));
+  const dpr = window.devicePixelRatio || 1;
+  if (trackMapCanvasEl.width !== width * dpr || trackMapCanvasEl.height !== height * dpr) {
+    trackMapCanvasEl.width = width * dpr;
+    trackMapCanvasEl.height = height * dpr;
+  }
+  const ctx = trackMapCanvasEl.getContext('2d');
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  // Масштаб по контуру и машинам (пока контур не выучен — хотя бы по машинам), с сохранением пропорций
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minZ = Infinity;
+  let maxZ = -Infinity;
+  const extend = (x, z) => {
+    minX = Math.min(minX, x);
+    maxX = Math.max(maxX, x);
+    minZ = Math.min(minZ, z);
+    maxZ = Math.max(maxZ, z);
+  };
+  points.forEach((p) => {
+    if (p) extend(p[0], p[1]);
+  });
+  positions.forEach((p) => extend(p.x, p.z));
+  if (!Number.isFinite(minX)) return;
+
+  const spanX = maxX - minX || 1;
+  const spanZ = maxZ - minZ || 1;
+  const scale = Math.min((width - 2 * TRACK_MAP_PADDING_PX) / spanX, (height - 2 * TRACK_MAP_PADDING_PX) / spanZ);
+  const offsetX = (width - spanX * scale) / 2;
+  const offsetY = (height - spanZ * scale) / 2;
+  const toCanvas = (x, z) => [offsetX + (x - minX) * scale, offsetY + (z - minZ) * scale];
+
+  const rootStyle = getComputedStyle(document.documentElement);
+  const neutralColour = rootStyle.getPropertyValue('--color-foreground-tertiary').trim() || '#666';
+  const primaryColour = rootStyle.getPropertyValue('--color-foreground-primary').trim() || '#fff';
+  const backgroundColour = rootStyle.getPropertyValue('--color-background-surface1').trim() || '#000';
+
+  // Флаг зоны для доли круга: зона действует от своего zoneStart до начала следующей (последняя — через финиш)
+  const zones = (Array.isArray(state.marshallingZones) ? state.marshallingZones : [])
+    .filter((z) => Number.isFinite(z.zoneStart))
+    .slice()
+    .sort((a, b) => a.zoneStart - b.zoneStart);
+  const safetyCarColour = TRACK_MAP_SAFETY_CAR_COLOURS[state.safetyCarStatus ?? 0] ?? null;
+  const segmentColourAt = (fraction) => {
+    if (safetyCarColour) return safetyCarColour;
+    if (!zones.length) return neutralColour;
+    let zone = zones[zones.length - 1];
+    for (const z of zones) {
+      if (z.zoneStart <= fraction) zone = z;
+    }
+    return TRACK_MAP_FLAG_COLOURS[zone.zoneFlag] ?? neutralColour;
+  };
+
+  ctx.lineWidth = 6;
+  ctx.lineCap = 'round';
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    if (!a || !b) continue;
+    const [ax, ay] = toCanvas(a[0], a[1]);
+    const [bx, by] = toCanvas(b[0], b[1]);
+    ctx.strokeStyle = segmentColourAt(i / points.length);
+    ctx.beginPath();
+    ctx.moveTo(ax, ay);
+    ctx.lineTo(bx, by);
+    ctx.stroke();
+  }
+
+  // Машины: кружок цвета команды с позицией; игрока рисуем последним и крупнее
+  const carsByIndex = new Map((Array.isArray(state.raceCars) ? state.raceCars : []).map((c) => [c.carIndex, c]));
+  const playerIdx = state.playerCarIndex;
+  const ordered = positions
+    .filter((p) => carsByIndex.has(p.carIndex))
+    .sort((a, b) => (a.carIndex === playerIdx) - (b.carIndex === playerIdx));
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ordered.forEach((p) => {
+    const car = carsByIndex.get(p.carIndex);
+    const isPlayer = playerIdx != null && p.carIndex === playerIdx;
+    const radius = isPlayer ? 11 : 8;
+    const [cx, cy] = toCanvas(p.x, p.z);
+    const col = car.teamColour;
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+    ctx.fillStyle = col && col.r != null ? `rgb(${col.r}, ${col.g}, ${col.b})` : neutralColour;
+    ctx.fill();
+    ctx.lineWidth = isPlayer ? 3 : 1;
+    ctx.strokeStyle = isPlayer ? primaryColour : backgroundColour;
+    ctx.stroke();
+    if (car.position != null) {
+      ctx.font = `${isPlayer ? 'bold ' : ''}10px 'IBM Plex Mono', monospace`;
+      ctx.fillStyle = backgroundColour;
+      ctx.fillText(String(car.position), cx, cy + 0.5);
+    }
+  });
+}
+
 function renderCarTab(state) {
   if (!carKvEl) return;
   carKvEl.innerHTML = '';
@@ -300,6 +861,7 @@ function renderCarTab(state) {
   const temps = [];
   const misc = [];
   const damage = [];
+  const motion = [];
 
   const formatWheelArray = (arr, unit = '%', digits = 0) => {
     if (!Array.isArray(arr) || arr.length !== 4) return '—';
@@ -398,8 +960,139 @@ function renderCarTab(state) {
   addSection('ERS / Engine', ersEngine);
   addSection('Telemetry', telemetry);
   addSection('Temperatures', temps);
+  const mx = state.currentMotionEx || null;
+  if (mx) {
+    motion.push(['Suspension Position', formatWheelArray(mx.suspensionPosition, ' mm', 1)]);
+    motion.push(['Suspension Velocity', formatWheelArray(mx.suspensionVelocity, ' mm/s', 1)]);
+    motion.push(['Suspension Accel', formatWheelArray(mx.suspensionAcceleration, ' mm/s²', 0)]);
+    motion.push(['Wheel Speed', formatWheelArray(mx.wheelSpeed.map((v) => v * 3.6), ' kph', 0)]);
+    motion.push(['Slip Ratio', formatWheelArray(mx.wheelSlipRatio, '', 3)]);
+    motion.push(['Slip Angle', formatWheelArray(mx.wheelSlipAngle, '°', 2)]);
+    motion.push(['Lateral Force', formatWheelArray(mx.wheelLatForce, ' N', 0)]);
+    motion.push(['Longitudinal Force', formatWheelArray(mx.wheelLongForce, ' N', 0)]);
+    motion.push(['Vertical Force', formatWheelArray(mx.wheelVertForce, ' N', 0)]);
+    motion.push(['Camber', formatWheelArray(mx.wheelCamber, '°', 2)]);
+    motion.push(['Camber Gain', formatWheelArray(mx.wheelCamberGain, '°', 2)]);
+    // В F1 23/24 части этих полей нет в MotionEx — сервер присылает null
+    motion.push(['Aero Height F/R', `${mx.frontAeroHeight ?? '—'} / ${mx.rearAeroHeight ?? '—'} mm`]);
+    motion.push(['Roll Angle F/R', `${mx.frontRollAngle ?? '—'}° / ${mx.rearRollAngle ?? '—'}°`]);
+    motion.push(['Chassis Yaw / Pitch', `${mx.chassisYaw ?? '—'}° / ${mx.chassisPitch ?? '—'}°`]);
+    motion.push(['Front Wheels Angle', `${mx.frontWheelsAngle}°`]);
+    motion.push(['COG Height', `${mx.heightOfCOGAboveGround} m`]);
+    motion.push(['Local Velocity X/Y/Z', `${mx.localVelocity.join(' / ')} m/s`]);
+  }
+
   addSection('Damage', damage);
+  addSection('Motion', motion);
   addSection('Misc', misc);
+  addSection('Session', sessionSettingsEntries(state));
+}
+
+const SESSION_TYPE_LABELS = {
+  1: 'P1',
+  2: 'P2',
+  3: 'P3',
+  4: 'Short P',
+  5: 'Q1',
+  6: 'Q2',
+  7: 'Q3',
+  8: 'Short Q',
+  9: 'OSQ',
+  10: 'SQ1',
+  11: 'SQ2',
+  12: 'SQ3',
+  13: 'Short SQ',
+  14: 'OSSQ',
+  15: 'R',
+  16: 'R2',
+  17: 'R3',
+  18: 'TT'
+};
+const GAME_MODE_LABELS = {
+  0: 'Event Mode',
+  4: 'Grand Prix',
+  5: 'Time Trial',
+  6: 'Splitscreen',
+  7: 'Online Custom',
+  15: 'Online Weekly Event',
+  17: 'Story Mode (Braking Point)',
+  27: 'My Team',
+  28: 'Driver Career',
+  29: 'Career Online',
+  30: 'Challenge Career',
+  75: 'Story Mode (APXGP)',
+  127: 'Benchmark'
+};
+const RULE_SET_LABELS = {
+  0: 'Practice & Qualifying',
+  1: 'Race',
+  2: 'Time Trial',
+  4: 'Time Attack',
+  6: 'Checkpoint Challenge',
+  8: 'Autocross',
+  9: 'Drift',
+  10: 'Average Speed Zone',
+  11: 'Rival Duel',
+  12: 'Elimination'
+};
+const BRAKING_ASSIST_LABELS = ['Off', 'Low', 'Medium', 'High'];
+const RACING_LINE_LABELS = ['Off', 'Corners only', 'Full'];
+const SESSION_LEVEL_LABELS = ['Off', 'Reduced', 'Standard', 'Increased']; // safety car / red flags
+const CAR_DAMAGE_LABELS = ['Off', 'Reduced', 'Standard', 'Simulation'];
+const COLLISIONS_LABELS = ['Off', 'Player-to-player off', 'On'];
+const RECOVERY_MODE_LABELS = ['None', 'Flashbacks', 'Auto-recovery'];
+const FLASHBACK_LIMIT_LABELS = ['Low', 'Medium', 'High', 'Unlimited'];
+
+// Пары ключ-значение секции Session вкладки Car: режим, правила, ассисты, уик-энд из пакета Session
+function sessionSettingsEntries(state) {
+  const entries = [];
+  const settings = state.sessionSettings;
+  const assists = state.assists;
+  if (settings) {
+    entries.push(['Game Mode', labelOf(GAME_MODE_LABELS, settings.gameMode)]);
+    entries.push(['Ruleset', labelOf(RULE_SET_LABELS, settings.ruleSet)]);
+    entries.push(['AI Difficulty', String(settings.aiDifficulty)]);
+    entries.push(['Online', settings.networkGame ? 'YES' : 'NO']);
+    const hh = String(Math.floor(settings.timeOfDayMin / 60) % 24).padStart(2, '0');
+    const mm = String(settings.timeOfDayMin % 60).padStart(2, '0');
+    entries.push(['Time Of Day', `${hh}:${mm}`]);
+    entries.push(['Safety Car / Red Flags', `${labelOf(SESSION_LEVEL_LABELS, settings.safetyCar)} / ${labelOf(SESSION_LEVEL_LABELS, settings.redFlags)}`]);
+    entries.push(['Damage / Collisions', `${labelOf(CAR_DAMAGE_LABELS, settings.carDamage)} / ${labelOf(COLLISIONS_LABELS, settings.collisions)}`]);
+    entries.push(['Recovery', `${labelOf(RECOVERY_MODE_LABELS, settings.recoveryMode)} (${labelOf(FLASHBACK_LIMIT_LABELS, settings.flashbackLimit)})`]);
+    // Правила парк-ферме и равных машин в Session — с F1 24 (в F1 23 приходят null)
+    const onOff = (flag) => (flag == null ? '—' : flag ? 'ON' : 'OFF');
+    entries.push(['Parc Fermé', onOff(settings.parcFermeRules)]);
+    entries.push(['Equal Performance', onOff(settings.equalCarPerformance)]);
+  }
+  if (assists) {
+    const on = [];
+    if (assists.steeringAssist) on.push('Steering');
+    if (assists.brakingAssist) on.push(`Braking ${labelOf(BRAKING_ASSIST_LABELS, assists.brakingAssist)}`);
+    if (assists.gearboxAssist !== 1) on.push(labelOf(GEARBOX_ASSIST_LABELS, assists.gearboxAssist));
+    if (assists.pitAssist) on.push('Pit');
+    if (assists.pitReleaseAssist) on.push('Pit release');
+    if (assists.ersAssist) on.push('ERS');
+    if (assists.drsAssist) on.push('DRS');
+    entries.push(['Assists', on.length ? on.join(', ') : 'None']);
+    const racingLine = labelOf(RACING_LINE_LABELS, assists.dynamicRacingLine);
+    entries.push(['Racing Line', assists.dynamicRacingLine ? `${racingLine} (${assists.dynamicRacingLineType === 1 ? '3D' : '2D'})` : racingLine]);
+  }
+  const periods = state.safetyCarPeriods;
+  if (periods) entries.push(['SC / VSC / Red Flag Periods', `${periods.safetyCar} / ${periods.virtualSafetyCar} / ${periods.redFlag}`]);
+  if (state.weatherForecast) entries.push(['Forecast Accuracy', state.weatherForecast.accuracy === 1 ? 'Approximate' : 'Perfect']);
+  const weekend = state.weekend;
+  if (weekend) {
+    if (weekend.sessionTypes.length) {
+      // Текущая сессия в структуре уик-энда — в квадратных скобках
+      const types = weekend.sessionTypes.map((t) => (t === state.sessionType ? `[${labelOf(SESSION_TYPE_LABELS, t)}]` : labelOf(SESSION_TYPE_LABELS, t)));
+      entries.push(['Weekend', types.join(' · ')]);
+    }
+    entries.push(['Season / Weekend / Session ID', `${weekend.seasonLinkId} / ${weekend.weekendLinkId} / ${weekend.sessionLinkId}`]);
+  }
+  if (state.sector2StartM != null && state.sector3StartM != null) {
+    entries.push(['Sector 2 / 3 Start', `${Math.round(state.sector2StartM)} m / ${Math.round(state.sector3StartM)} m`]);
+  }
+  return entries;
 }
 
 function ensureSplitCharts() {
@@ -552,6 +1245,202 @@ function renderPedals(state) {
   }
 }
 
+// Каналы трасс MotionEx: индексы в массивах точки (колеса в порядке пакета RL, RR, FL, FR)
+const MOTION_EX_WHEEL_SERIES = [
+  { label: 'FL', idx: 2, colour: 'rgba(52, 152, 219, 1)' },
+  { label: 'FR', idx: 3, colour: 'rgba(230, 126, 34, 1)' },
+  { label: 'RL', idx: 0, colour: 'rgba(46, 204, 113, 1)' },
+  { label: 'RR', idx: 1, colour: 'rgba(155, 89, 182, 1)' }
+];
+const MOTION_EX_AXLE_SERIES = [
+  { label: 'Front', idx: 0, colour: 'rgba(52, 152, 219, 1)' },
+  { label: 'Rear', idx: 1, colour: 'rgba(230, 126, 34, 1)' }
+];
+const MOTION_EX_CHANNELS = {
+  suspensionPosition: { label: 'Suspension position (mm)', series: MOTION_EX_WHEEL_SERIES },
+  slipRatio: { label: 'Slip ratio', series: MOTION_EX_WHEEL_SERIES },
+  slipAngle: { label: 'Slip angle (°)', series: MOTION_EX_WHEEL_SERIES },
+  aeroHeight: { label: 'Aero height (mm)', series: MOTION_EX_AXLE_SERIES },
+  rollAngle: { label: 'Roll angle (°)', series: MOTION_EX_AXLE_SERIES }
+};
+
+function fillMotionExChannelSelect() {
+  if (!motionExChannelSelectEl || motionExChannelSelectEl.options.length) return;
+  Object.entries(MOTION_EX_CHANNELS).forEach(([key, channel]) => {
+    const opt = document.createElement('option');
+    opt.value = key;
+    opt.textContent = channel.label;
+    motionExChannelSelectEl.appendChild(opt);
+  });
+  motionExChannelSelectEl.value = motionExChannel;
+}
+
+function ensureMotionExChart() {
+  if (motionExChart || !motionExChartEl || typeof Chart === 'undefined') return;
+  motionExChart = new Chart(motionExChartEl, {
+    type: 'line',
+    data: { datasets: [] },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      interaction: { mode: 'nearest', intersect: false },
+      scales: {
+        x: { type: 'linear', title: { display: true, text: 'Distance (m)' }, ticks: { autoSkip: true, maxTicksLimit: 8 } },
+        y: { title: { display: true, text: '' } }
+      },
+      plugins: { legend: { position: 'bottom', labels: { usePointStyle: true, boxWidth: 10 } }, tooltip: { enabled: true } },
+      elements: { point: { radius: 0 }, line: { tension: 0.1 } }
+    }
+  });
+}
+
+// Трассы MotionEx игрока: текущий круг сплошной линией, предыдущий — пунктиром; ось X общая с педалями (метры или % круга)
+function renderMotionEx(state) {
+  if (!motionExChartEl || typeof Chart === 'undefined') return;
+  fillMotionExChannelSelect();
+  ensureMotionExChart();
+
+  const trace = state.motionEx;
+  const current = Array.isArray(trace?.current) ? trace.current : [];
+  const previous = Array.isArray(trace?.previous?.points) ? trace.previous.points : [];
+  const hasData = current.length > 0 || previous.length > 0;
+  if (motionExStatusEl) motionExStatusEl.textContent = hasData ? '' : 'Waiting for data…';
+
+  const trackLength = state.trackLengthM ?? null;
+  const usePercent = pedalsUsePercent && trackLength;
+  const toX = (x) => (usePercent ? (x / trackLength) * 100 : x);
+  const channel = MOTION_EX_CHANNELS[motionExChannel] ?? MOTION_EX_CHANNELS.suspensionPosition;
+
+  const datasets = [];
+  const addLap = (points, suffix, alpha, dash) => {
+    channel.series.forEach(({ label, idx, colour }) => {
+      datasets.push({
+        label: `${label} — ${suffix}`,
+        data: points.map((p) => ({ x: toX(p.x), y: p[motionExChannel]?.[idx] ?? null })),
+        borderColor: colour.replace(', 1)', `, ${alpha})`),
+        backgroundColor: colour.replace(', 1)', `, ${alpha})`),
+        borderDash: dash,
+        borderWidth: 1,
+        pointRadius: 0,
+        spanGaps: true
+      });
+    });
+  };
+  if (current.length) addLap(current, `L${trace.currentLapNumber ?? ''}`, 1, undefined);
+  if (previous.length) addLap(previous, `L${trace.previous.lapNumber}`, 0.45, [8, 4]);
+
+  motionExChart.options.scales.x.min = 0;
+  motionExChart.options.scales.x.max = usePercent ? 100 : trackLength || undefined;
+  motionExChart.options.scales.x.title.text = usePercent ? 'Lap (%)' : 'Distance (m)';
+  motionExChart.options.scales.y.title.text = channel.label;
+  motionExChart.data.datasets = datasets;
+  motionExChart.update('none');
+
+  renderSlipEvents(state);
+}
+
+// Блокировки и пробуксовки по кругам (по slip ratio из MotionEx), новые круги сверху
+function renderSlipEvents(state) {
+  if (!slipEventsTbodyEl) return;
+  slipEventsTbodyEl.innerHTML = '';
+  const laps = Array.isArray(state.slipEvents) ? state.slipEvents.slice().reverse() : [];
+  laps.forEach((lap) => {
+    const tr = document.createElement('tr');
+    const lapTd = document.createElement('td');
+    lapTd.className = 'col-lapno';
+    lapTd.textContent = String(lap.lapNumber);
+    const lockTd = document.createElement('td');
+    lockTd.textContent = String(lap.lockups);
+    const spinTd = document.createElement('td');
+    spinTd.textContent = String(lap.wheelspins);
+    const whereTd = document.createElement('td');
+    whereTd.textContent = lap.events
+      .map((e) => `${e.type === 'lockup' ? 'Lock' : 'Spin'} ${e.wheel} @ ${e.distanceM} m, ${e.lengthM} m, ${e.peakSlipRatio.toFixed(2)}`)
+      .join(' · ');
+    tr.append(lapTd, lockTd, spinTd, whereTd);
+    slipEventsTbodyEl.appendChild(tr);
+  });
+}
+
+function ensurePositionsChart() {
+  if (positionsChart || !positionsChartEl || typeof Chart === 'undefined') return;
+  positionsChart = new Chart(positionsChartEl, {
+    type: 'line',
+    data: { datasets: [] },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      interaction: { mode: 'nearest', intersect: false },
+      scales: {
+        x: { type: 'linear', min: 0, title: { display: true, text: 'Lap' }, ticks: { stepSize: 1, precision: 0 } },
+        y: { reverse: true, min: 1, title: { display: true, text: 'Position' }, ticks: { stepSize: 1, precision: 0 } }
+      },
+      plugins: {
+        legend: { position: 'right', labels: { usePointStyle: true, boxWidth: 10 } },
+        tooltip: {
+          callbacks: {
+            title: (items) => (items[0]?.parsed?.x ? `Lap ${items[0].parsed.x}` : 'Grid'),
+            label: (item) => `${item.dataset.label}: P${item.parsed.y}${item.raw?.pit ? ' (pit)' : ''}`
+          }
+        }
+      },
+      elements: { line: { tension: 0 } }
+    }
+  });
+}
+
+// Позиции всех машин по кругам (PacketLapPositionsData): точка 0 — стартовая позиция, пит-круги отмечены треугольником
+function renderPositionsChart(state) {
+  if (!positionsChartEl || typeof Chart === 'undefined') return;
+  ensurePositionsChart();
+
+  const lp = state.lapPositions;
+  const cars = Array.isArray(lp?.cars) ? lp.cars : [];
+  const numLaps = lp?.numLaps ?? 0;
+  if (positionsStatusEl) positionsStatusEl.textContent = numLaps > 0 && cars.length ? '' : 'Waiting for data…';
+
+  const key = `${numLaps}|${state.playerCarIndex}|${cars
+    .map((c) => `${c.carIndex}:${c.name}:${c.positions.join('.')}:${c.pitLaps.join('.')}`)
+    .join(',')}`;
+  if (key === positionsChartKey) return;
+  positionsChartKey = key;
+
+  // У напарников один цвет команды — второй рисуем пунктиром
+  const seenColours = new Set();
+  const datasets = cars.map((c) => {
+    const colour = c.teamColour && c.teamColour.r != null ? `rgb(${c.teamColour.r}, ${c.teamColour.g}, ${c.teamColour.b})` : '#999';
+    const dashed = seenColours.has(colour);
+    seenColours.add(colour);
+
+    const pitLaps = new Set(c.pitLaps);
+    const data = [];
+    if (c.gridPosition != null) data.push({ x: 0, y: c.gridPosition, pit: false });
+    c.positions.forEach((pos, idx) => {
+      if (pos != null) data.push({ x: idx + 1, y: pos, pit: pitLaps.has(idx + 1) });
+    });
+
+    return {
+      label: c.name,
+      data,
+      borderColor: colour,
+      backgroundColor: colour,
+      borderWidth: c.isPlayer ? 3 : 1.5,
+      borderDash: dashed ? [6, 3] : undefined,
+      pointStyle: data.map((p) => (p.pit ? 'triangle' : 'circle')),
+      pointRadius: data.map((p) => (p.pit ? 5 : 0)),
+      pointHoverRadius: 4,
+      order: c.isPlayer ? 0 : 1
+    };
+  });
+
+  positionsChart.options.scales.x.max = Math.max(1, numLaps);
+  positionsChart.options.scales.y.max = Math.max(1, cars.length, ...datasets.flatMap((d) => d.data.map((p) => p.y)));
+  positionsChart.data.datasets = datasets;
+  positionsChart.update('none');
+}
+
 function formatTime(ms) {
   if (ms == null) return '--:--.---';
   const totalSeconds = Math.floor(ms / 1000);
@@ -729,6 +1618,250 @@ function renderTyresSummary(state, personalTyreStacks, lapsAsc) {
   }
 }
 
+// Поля CarSetupData в порядке экрана настроек игры
+const SETUP_FIELDS = [
+  { key: 'frontWing', label: 'Front wing', digits: 0 },
+  { key: 'rearWing', label: 'Rear wing', digits: 0 },
+  { key: 'onThrottle', label: 'Diff on throttle', digits: 0, unit: '%' },
+  { key: 'offThrottle', label: 'Diff off throttle', digits: 0, unit: '%' },
+  { key: 'frontCamber', label: 'Front camber', digits: 2, unit: '°' },
+  { key: 'rearCamber', label: 'Rear camber', digits: 2, unit: '°' },
+  { key: 'frontToe', label: 'Front toe', digits: 2, unit: '°' },
+  { key: 'rearToe', label: 'Rear toe', digits: 2, unit: '°' },
+  { key: 'frontSuspension', label: 'Front suspension', digits: 0 },
+  { key: 'rearSuspension', label: 'Rear suspension', digits: 0 },
+  { key: 'frontAntiRollBar', label: 'Front anti-roll bar', digits: 0 },
+  { key: 'rearAntiRollBar', label: 'Rear anti-roll bar', digits: 0 },
+  { key: 'frontSuspensionHeight', label: 'Front ride height', digits: 0 },
+  { key: 'rearSuspensionHeight', label: 'Rear ride height', digits: 0 },
+  { key: 'brakePressure', label: 'Brake pressure', digits: 0, unit: '%' },
+  { key: 'brakeBias', label: 'Brake bias', digits: 0, unit: '%' },
+  { key: 'engineBraking', label: 'Engine braking', digits: 0, unit: '%' },
+  { key: 'frontLeftTyrePressure', label: 'FL tyre pressure', digits: 1, unit: ' psi' },
+  { key: 'frontRightTyrePressure', label: 'FR tyre pressure', digits: 1, unit: ' psi' },
+  { key: 'rearLeftTyrePressure', label: 'RL tyre pressure', digits: 1, unit: ' psi' },
+  { key: 'rearRightTyrePressure', label: 'RR tyre pressure', digits: 1, unit: ' psi' },
+  { key: 'ballast', label: 'Ballast', digits: 0 },
+  { key: 'fuelLoad', label: 'Fuel load', digits: 1, unit: ' kg' }
+];
+
+function formatSetupValue(value, field) {
+  if (value == null || !Number.isFinite(value)) return '—';
+  return `${value.toFixed(field.digits)}${field.unit ?? ''}`;
+}
+
+function fillSetupsSelect(selectEl, snapshots, currentId, value) {
+  selectEl.innerHTML = '';
+  snapshots.forEach((snap) => {
+    const opt = document.createElement('option');
+    opt.value = String(snap.id);
+    const from = snap.firstLapNumber != null ? ` · L${snap.firstLapNumber}` : '';
+    opt.textContent = `#${snap.id}${from}${snap.id === currentId ? ' (current)' : ''}`;
+    selectEl.appendChild(opt);
+  });
+  selectEl.value = String(value);
+}
+
+// Снимки настроек игрока: сравнение двух снимков поле за полем и лучший круг на каждом
+function renderSetups(state) {
+  if (!setupsSectionEl || !setupsTbodyEl || !setupsSelectAEl || !setupsSelectBEl) return;
+  const snapshots = Array.isArray(state.setups?.snapshots) ? state.setups.snapshots : [];
+  const currentId = state.setups?.currentId ?? null;
+  setupsSectionEl.classList.toggle('is-visible', snapshots.length > 0);
+  setupsTbodyEl.innerHTML = '';
+  if (!snapshots.length) return;
+
+  const byId = new Map(snapshots.map((snap) => [String(snap.id), snap]));
+  const fallbackB = byId.get(String(currentId)) ?? snapshots[snapshots.length - 1];
+  const snapB = byId.get(setupsCompareB) ?? fallbackB;
+  const idxB = snapshots.indexOf(snapB);
+  const snapA = byId.get(setupsCompareA) ?? snapshots[Math.max(0, idxB - 1)];
+  fillSetupsSelect(setupsSelectAEl, snapshots, currentId, snapA.id);
+  fillSetupsSelect(setupsSelectBEl, snapshots, currentId, snapB.id);
+  if (setupsHeadAEl) setupsHeadAEl.textContent = `#${snapA.id}`;
+  if (setupsHeadBEl) setupsHeadBEl.textContent = `#${snapB.id}`;
+
+  const appendRow = (label, a, b, delta, changed) => {
+    const tr = document.createElement('tr');
+    if (changed) tr.classList.add('setup-changed');
+    [label, a, b, delta].forEach((text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    setupsTbodyEl.appendChild(tr);
+  };
+
+  const bestLabel = (snap) =>
+    snap.bestLapTimeMs != null ? `${formatTime(snap.bestLapTimeMs)} (L${snap.bestLapNumber})` : '—';
+  const bestDelta =
+    snapA.bestLapTimeMs != null && snapB.bestLapTimeMs != null ? formatDelta(snapB.bestLapTimeMs - snapA.bestLapTimeMs) : '';
+  appendRow('Best lap', bestLabel(snapA), bestLabel(snapB), bestDelta, false);
+  appendRow('Laps', String(snapA.lapCount), String(snapB.lapCount), '', false);
+
+  SETUP_FIELDS.forEach((field) => {
+    const a = snapA.setup?.[field.key];
+    const b = snapB.setup?.[field.key];
+    const changed = a != null && b != null && a !== b;
+    const delta = changed ? `${b > a ? '+' : '−'}${formatSetupValue(Math.abs(b - a), field)}` : '';
+    appendRow(field.label, formatSetupValue(a, field), formatSetupValue(b, field), delta, changed);
+  });
+}
+
+// Сессия, для которой игра рекомендует комплект (m_sessionType, те же группы, что и sessionKind на сервере)
+function sessionTypeShortLabel(sessionType) {
+  if (sessionType >= 1 && sessionType <= 4) return 'P';
+  if (sessionType >= 5 && sessionType <= 14) return 'Q';
+  if (sessionType === 18) return 'TT';
+  if (sessionType >= 15 && sessionType <= 17) return 'R';
+  return '';
+}
+
+// Комплекты шин игрока (TyreSets): установленный выделен, Δ Lap — прогноз круга относительно установленного
+function renderTyreSets(state) {
+  if (!tyreSetsSectionEl || !tyreSetsTbodyEl) return;
+  const sets = Array.isArray(state.tyreSets?.sets) ? state.tyreSets.sets : [];
+  tyreSetsSectionEl.classList.toggle('is-visible', sets.length > 0);
+  tyreSetsTbodyEl.innerHTML = '';
+
+  sets.forEach((set) => {
+    const tr = document.createElement('tr');
+    if (set.fitted) tr.classList.add('tyre-set-fitted');
+    if (!set.available) tr.classList.add('tyre-set-unavailable');
+
+    const idxTd = document.createElement('td');
+    idxTd.className = 'col-lapno';
+    idxTd.textContent = String(set.index + 1);
+
+    const tyreTd = document.createElement('td');
+    tyreTd.className = 'col-tyre';
+    const meta = tyreCodeToMeta(set.visualTyreCompound, set.actualTyreCompound);
+    if (meta.label) {
+      const badge = document.createElement('span');
+      badge.className = `badge badge-tyre ${meta.cssClass}`.trim();
+      badge.textContent = meta.label;
+      tyreTd.appendChild(badge);
+    }
+
+    const wearTd = document.createElement('td');
+    wearTd.textContent = `${set.wear}%`;
+
+    const lifeTd = document.createElement('td');
+    lifeTd.textContent = `${set.lifeSpan} / ${set.usableLife} laps`;
+
+    // Положительная дельта — комплект медленнее установленного
+    const deltaTd = document.createElement('td');
+    if (!set.fitted) {
+      deltaTd.textContent = formatDelta(set.lapDeltaTime);
+      if (set.lapDeltaTime > 0) deltaTd.classList.add('delta-positive');
+      if (set.lapDeltaTime < 0) deltaTd.classList.add('delta-negative');
+    }
+
+    const recTd = document.createElement('td');
+    recTd.textContent = sessionTypeShortLabel(set.recommendedSession);
+
+    const statusTd = document.createElement('td');
+    statusTd.className = 'col-status';
+    statusTd.textContent = set.fitted ? 'Fitted' : set.available ? (set.wear > 0 ? 'Used' : 'New') : 'Unavailable';
+
+    tr.append(idxTd, tyreTd, wearTd, lifeTd, deltaTd, recTd, statusTd);
+    tyreSetsTbodyEl.appendChild(tr);
+  });
+}
+
+const TRACTION_CONTROL_LABELS = ['TC off', 'TC medium', 'TC full'];
+const GEARBOX_ASSIST_LABELS = { 1: 'Manual', 2: 'Manual + suggested gear', 3: 'Auto' };
+
+function formatTimeTrialAssists(set) {
+  const parts = [
+    labelOf(TRACTION_CONTROL_LABELS, set.tractionControl),
+    set.antiLockBrakes ? 'ABS' : 'ABS off',
+    labelOf(GEARBOX_ASSIST_LABELS, set.gearboxAssist)
+  ];
+  if (set.equalCarPerformance) parts.push('Equal performance');
+  return parts.join(' · ');
+}
+
+// Дельта текущего круга к набору: по закрытым секторам (S1, затем S1 + S2)
+function timeTrialLiveDelta(currentLap, set) {
+  if (!currentLap || !set) return null;
+  if (currentLap.sector1TimeMs == null) return null;
+  if (currentLap.sector2TimeMs == null) return currentLap.sector1TimeMs - set.sector1TimeMs;
+  return currentLap.sector1TimeMs + currentLap.sector2TimeMs - (set.sector1TimeMs + set.sector2TimeMs);
+}
+
+// Time Trial: текущий круг против лучшего в сессии, личного рекорда и соперника (PacketTimeTrialData)
+function renderTimeTrial(state) {
+  if (!timeTrialSectionEl || !timeTrialTbodyEl) return;
+  const tt = state.timeTrial;
+  const visible = state.sessionKind === 'time_trial' && tt != null;
+  timeTrialSectionEl.classList.toggle('is-visible', visible);
+  timeTrialTbodyEl.innerHTML = '';
+  if (!visible) return;
+
+  const rows = [
+    { label: 'Session best', set: tt.sessionBest },
+    { label: 'Personal best', set: tt.personalBest },
+    { label: tt.rival?.name ? `Rival — ${tt.rival.name}` : 'Rival', set: tt.rival }
+  ];
+  const setsWithData = rows.map((r) => r.set).filter(Boolean);
+  const bestSectorOf = (key) => Math.min(...setsWithData.map((set) => set[key]).filter((v) => v > 0));
+  const lastLap = state.laps.reduce((acc, lap) => (!acc || lap.lapNumber > acc.lapNumber ? lap : acc), null);
+
+  const addDeltaCell = (tr, delta) => {
+    const td = document.createElement('td');
+    td.textContent = delta != null ? formatDelta(delta) : '';
+    if (delta > 0) td.classList.add('delta-positive');
+    if (delta < 0) td.classList.add('delta-negative');
+    tr.appendChild(td);
+  };
+  const addCell = (tr, text, className) => {
+    const td = document.createElement('td');
+    if (className) td.className = className;
+    td.textContent = text;
+    tr.appendChild(td);
+    return td;
+  };
+
+  const live = state.currentLap;
+  const liveTr = document.createElement('tr');
+  liveTr.classList.add('live-lap');
+  addCell(liveTr, live?.lapNumber != null ? `Current L${live.lapNumber}` : 'Current', 'col-driver');
+  addCell(liveTr, formatTime(state.liveLapTimeMs), 'col-laptime');
+  addCell(liveTr, live?.sector1TimeMs != null ? formatTime(live.sector1TimeMs) : '', 'col-sector');
+  addCell(liveTr, live?.sector2TimeMs != null ? formatTime(live.sector2TimeMs) : '', 'col-sector');
+  addCell(liveTr, '', 'col-sector');
+  addCell(liveTr, '');
+  addCell(liveTr, lastLap ? `L${lastLap.lapNumber} ${formatTime(lastLap.lapTimeMs)}` : '');
+  addCell(liveTr, '');
+  addCell(liveTr, '', 'col-setup');
+  if (live && !live.valid) liveTr.classList.add('invalid');
+  timeTrialTbodyEl.appendChild(liveTr);
+
+  rows.forEach(({ label, set }) => {
+    const tr = document.createElement('tr');
+    addCell(tr, label, 'col-driver');
+    if (!set) {
+      addCell(tr, '—', 'col-laptime');
+      for (let i = 0; i < 7; i++) addCell(tr, '');
+      timeTrialTbodyEl.appendChild(tr);
+      return;
+    }
+    if (!set.valid) tr.classList.add('invalid');
+
+    addCell(tr, formatTime(set.lapTimeMs), 'col-laptime');
+    ['sector1TimeMs', 'sector2TimeMs', 'sector3TimeMs'].forEach((key) => {
+      const td = addCell(tr, formatTime(set[key]), 'col-sector');
+      if (setsWithData.length > 1 && set[key] === bestSectorOf(key)) td.classList.add('best-sector');
+    });
+    addDeltaCell(tr, timeTrialLiveDelta(live, set));
+    addDeltaCell(tr, lastLap?.lapTimeMs != null ? lastLap.lapTimeMs - set.lapTimeMs : null);
+    addCell(tr, formatTimeTrialAssists(set));
+    addCell(tr, set.customSetup ? 'Custom' : 'Default', 'col-setup');
+    timeTrialTbodyEl.appendChild(tr);
+  });
+}
+
 function pitToLabel(pitStatus, pitLaneTimeMs) {
   // pitStatus: 0=none, 1=pitting, 2=in pit area
   const hasStatus = pitStatus != null && pitStatus !== 0;
@@ -738,6 +1871,377 @@ function pitToLabel(pitStatus, pitLaneTimeMs) {
   return statusText;
 }
 
+const RESULT_STATUS_LABELS = { 3: 'Finished', 4: 'DNF', 5: 'DSQ', 6: 'NC', 7: 'Retired' };
+
+// Полное время гонки: h:mm:ss.sss (гонка обычно дольше часа)
+function formatRaceTime(ms) {
+  if (ms == null) return '';
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (n, len) => String(n).padStart(len, '0');
+  const hh = hours > 0 ? `${hours}:` : '';
+  return `${hh}${pad(minutes, hours > 0 ? 2 : 1)}:${pad(seconds, 2)}.${pad(ms % 1000, 3)}`;
+}
+
+// Итоговая классификация (Final Classification): текущей сессии или последней сохраненной
+function renderResults(state) {
+  if (!resultsTbodyEl) return;
+  const results = state.results;
+  const rows = Array.isArray(results?.rows) ? results.rows : [];
+  const isCurrent = results != null && results.sessionUID === state.sessionUID;
+
+  // Гонка закончилась — один раз переключаемся на итоги
+  if (isCurrent && rows.length && resultsShownForSession !== results.sessionUID) {
+    resultsShownForSession = results.sessionUID;
+    setActiveView('results');
+  }
+
+  if (resultsMetaEl) {
+    if (!rows.length) {
+      resultsMetaEl.textContent = 'No final classification yet';
+    } else {
+      const saved = results.savedAtMs ? new Date(results.savedAtMs).toLocaleString() : '';
+      resultsMetaEl.textContent = `${isCurrent ? 'This session' : 'Previous session'}${saved ? ` · ${saved}` : ''}`;
+    }
+  }
+
+  const key = `${results?.sessionUID}:${results?.savedAtMs}:${rows.length}`;
+  if (resultsTbodyEl.dataset.key === key) return;
+  resultsTbodyEl.dataset.key = key;
+  resultsTbodyEl.innerHTML = '';
+
+  const winner = rows.find((r) => r.position === 1);
+  const winnerTimeMs = winner?.totalRaceTimeMs != null ? winner.totalRaceTimeMs + winner.penaltiesTimeSec * 1000 : null;
+
+  rows.forEach((r) => {
+    const tr = document.createElement('tr');
+    if (r.isPlayer) tr.classList.add('race-player');
+    const finished = r.resultStatus === 3;
+
+    const cells = [];
+    const addCell = (text, className) => {
+      const td = document.createElement('td');
+      if (className) td.className = className;
+      td.textContent = text;
+      cells.push(td);
+      return td;
+    };
+
+    addCell(String(r.position), 'col-lapno');
+
+    const tdName = addCell('', 'col-driver');
+    if (r.teamColour && r.teamColour.r != null) {
+      const dot = document.createElement('span');
+      dot.className = 'team-dot';
+      dot.style.backgroundColor = `rgb(${r.teamColour.r}, ${r.teamColour.g}, ${r.teamColour.b})`;
+      tdName.appendChild(dot);
+    }
+    tdName.appendChild(document.createTextNode(r.name ?? ''));
+
+    addCell(r.gridPosition ? String(r.gridPosition) : '', 'col-lapno');
+    const tdGained = addCell('', 'col-posdiff');
+    if (r.positionsGained > 0) {
+      tdGained.textContent = `↑${r.positionsGained}`;
+      tdGained.classList.add('delta-negative');
+    } else if (r.positionsGained < 0) {
+      tdGained.textContent = `↓${Math.abs(r.positionsGained)}`;
+      tdGained.classList.add('delta-positive');
+    } else if (r.positionsGained === 0) {
+      tdGained.textContent = '·';
+    }
+
+    addCell(String(r.numLaps), 'col-lapno');
+    const tdBest = addCell(r.bestLapTimeMs != null ? formatTime(r.bestLapTimeMs) : '', 'col-laptime');
+    if (state.raceBestLapTimeMs != null && r.bestLapTimeMs === state.raceBestLapTimeMs) tdBest.classList.add('best-sector');
+
+    // Время с учетом штрафов: победитель — полное, остальные — отставание или число кругов отставания
+    let timeText = '';
+    if (finished && r.totalRaceTimeMs != null) {
+      const totalMs = r.totalRaceTimeMs + r.penaltiesTimeSec * 1000;
+      if (r.position === 1 || winnerTimeMs == null) timeText = formatRaceTime(totalMs);
+      else if (winner && r.numLaps < winner.numLaps) timeText = `+${winner.numLaps - r.numLaps} lap${winner.numLaps - r.numLaps === 1 ? '' : 's'}`;
+      else timeText = `+${formatRaceTime(totalMs - winnerTimeMs)}`;
+    }
+    addCell(timeText);
+    addCell(r.penaltiesTimeSec > 0 ? `+${r.penaltiesTimeSec}s` : '', 'col-stops');
+    addCell(String(r.numPitStops), 'col-stops');
+
+    const tdTyres = addCell('', 'col-tyre');
+    const stack = (Array.isArray(r.stints) ? r.stints : []).map((st) => {
+      const meta = tyreCodeToMeta(st.visualTyreCompound, st.actualTyreCompound);
+      return { label: meta.label, cssClass: meta.cssClass, token: st.endLap };
+    });
+    renderTyreStack(tdTyres, stack);
+
+    addCell(r.points > 0 ? String(r.points) : '', 'col-stops');
+    const tdStatus = addCell(RESULT_STATUS_LABELS[r.resultStatus] ?? '', 'col-status');
+    if (!finished && r.resultReason) tdStatus.title = labelOf(RETIREMENT_REASON_LABELS, r.resultReason);
+
+    cells.forEach((td) => tr.appendChild(td));
+    resultsTbodyEl.appendChild(tr);
+  });
+}
+
+const TEAM_LABELS = {
+  0: 'Mercedes',
+  1: 'Ferrari',
+  2: 'Red Bull Racing',
+  3: 'Williams',
+  4: 'Aston Martin',
+  5: 'Alpine',
+  6: 'RB',
+  7: 'Haas',
+  8: 'McLaren',
+  9: 'Sauber',
+  41: 'F1 Generic',
+  104: 'F1 Custom Team',
+  129: 'Konnersport',
+  142: "APXGP '24",
+  154: "APXGP '25",
+  155: "Konnersport '24",
+  185: "Mercedes '24",
+  186: "Ferrari '24",
+  187: "Red Bull Racing '24",
+  188: "Williams '24",
+  189: "Aston Martin '24",
+  190: "Alpine '24",
+  191: "RB '24",
+  192: "Haas '24",
+  193: "McLaren '24",
+  194: "Sauber '24"
+};
+const NATIONALITY_LABELS = [
+  '', 'American', 'Argentinean', 'Australian', 'Austrian', 'Azerbaijani', 'Bahraini', 'Belgian', 'Bolivian', 'Brazilian',
+  'British', 'Bulgarian', 'Cameroonian', 'Canadian', 'Chilean', 'Chinese', 'Colombian', 'Costa Rican', 'Croatian', 'Cypriot',
+  'Czech', 'Danish', 'Dutch', 'Ecuadorian', 'English', 'Emirian', 'Estonian', 'Finnish', 'French', 'German',
+  'Ghanaian', 'Greek', 'Guatemalan', 'Honduran', 'Hong Konger', 'Hungarian', 'Icelander', 'Indian', 'Indonesian', 'Irish',
+  'Israeli', 'Italian', 'Jamaican', 'Japanese', 'Jordanian', 'Kuwaiti', 'Latvian', 'Lebanese', 'Lithuanian', 'Luxembourger',
+  'Malaysian', 'Maltese', 'Mexican', 'Monegasque', 'New Zealander', 'Nicaraguan', 'Northern Irish', 'Norwegian', 'Omani', 'Pakistani',
+  'Panamanian', 'Paraguayan', 'Peruvian', 'Polish', 'Portuguese', 'Qatari', 'Romanian', 'Russian', 'Salvadoran', 'Saudi',
+  'Scottish', 'Serbian', 'Singaporean', 'Slovakian', 'Slovenian', 'South Korean', 'South African', 'Spanish', 'Swedish', 'Swiss',
+  'Thai', 'Turkish', 'Uruguayan', 'Ukrainian', 'Venezuelan', 'Barbadian', 'Welsh', 'Vietnamese', 'Algerian', 'Bosnian',
+  'Filipino'
+];
+const PLATFORM_LABELS = { 1: 'Steam', 3: 'PlayStation', 4: 'Xbox', 6: 'Origin', 255: 'Unknown' };
+const READY_STATUS_LABELS = ['Not ready', 'Ready', 'Spectating'];
+const READY_STATUS_CLASSES = ['', 'lobby-ready', 'lobby-spectating'];
+
+// Фильтр по типу сессии: группы значений m_sessionType
+const SESSION_TYPE_GROUPS = {
+  practice: [1, 2, 3, 4],
+  qualifying: [5, 6, 7, 8, 9, 10, 11, 12, 13, 14], // вместе со sprint shootout
+  race: [15, 16, 17],
+  time_trial: [18]
+};
+
+async function loadSessionsList() {
+  try {
+    const res = await fetch('/api/sessions');
+    archivedSessions = res.ok ? await res.json() : [];
+  } catch (e) {
+    archivedSessions = [];
+  }
+  renderSessionsList();
+}
+
+function renderSessionsList() {
+  if (!sessionsTbodyEl) return;
+
+  // Трассы в фильтре — только те, что есть в архиве; выбранная сохраняется между обновлениями
+  if (sessionsTrackSelectEl) {
+    const selected = sessionsTrackSelectEl.value;
+    const trackIds = Array.from(new Set(archivedSessions.map((s) => s.trackId).filter((id) => id != null)));
+    trackIds.sort((a, b) => labelOf(nameMap.tracks, a).localeCompare(labelOf(nameMap.tracks, b)));
+    sessionsTrackSelectEl.innerHTML = '';
+    [['', 'All'], ...trackIds.map((id) => [String(id), labelOf(nameMap.tracks, id)])].forEach(([value, label]) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      sessionsTrackSelectEl.appendChild(opt);
+    });
+    sessionsTrackSelectEl.value = trackIds.some((id) => String(id) === selected) ? selected : '';
+  }
+
+  const trackFilter = sessionsTrackSelectEl?.value ?? '';
+  const typeFilter = sessionsTypeSelectEl?.value ?? '';
+  const sessions = archivedSessions.filter(
+    (s) =>
+      (trackFilter === '' || String(s.trackId) === trackFilter) &&
+      (typeFilter === '' || (SESSION_TYPE_GROUPS[typeFilter] ?? []).includes(s.sessionType))
+  );
+  if (sessionsMetaEl) {
+    sessionsMetaEl.textContent = `${sessions.length} of ${archivedSessions.length} session${archivedSessions.length === 1 ? '' : 's'}`;
+  }
+
+  sessionsTbodyEl.innerHTML = '';
+  sessions.forEach((s) => {
+    const tr = document.createElement('tr');
+    if (archivedSession?.state.sessionUID === s.sessionUID) tr.classList.add('race-player');
+    if (lastLiveState?.sessionUID === s.sessionUID) tr.classList.add('live-lap');
+
+    const addCell = (text, className) => {
+      const td = document.createElement('td');
+      if (className) td.className = className;
+      td.textContent = text;
+      tr.appendChild(td);
+      return td;
+    };
+
+    const startedAt = s.startedAt ?? s.savedAt;
+    addCell(startedAt ? new Date(startedAt).toLocaleString() : '—');
+    addCell(labelOf(nameMap.tracks, s.trackId), 'col-driver');
+    addCell(labelOf(SESSION_TYPE_LABELS, s.sessionType));
+    addCell(labelOf(nameMap.formulas, s.formula));
+    addCell(labelOf(WEATHER_LABELS, s.weather));
+    addCell(s.bestLapTimeMs != null ? `${formatTime(s.bestLapTimeMs)} (L${s.bestLapNumber})` : '—', 'col-laptime');
+    addCell(String(s.lapCount ?? 0), 'col-lapno');
+    // Итог игрока: позиция по классификации (со статусом схода) или последняя известная, если сессию не досмотрели
+    let result = s.position ? `P${s.position}${s.numCars ? ` / ${s.numCars}` : ''}` : '—';
+    if (s.resultStatus != null && s.resultStatus !== 3) result += ` · ${RESULT_STATUS_LABELS[s.resultStatus] ?? ''}`;
+    if (s.position && !s.isClassified) result += ' · unfinished';
+    addCell(result);
+
+    tr.onclick = () => openArchivedSession(s.sessionUID);
+    sessionsTbodyEl.appendChild(tr);
+  });
+}
+
+// Архивная сессия целиком: рисуется вместо живых данных в Race, Personal, Charts и Car, пока ее не закроют
+async function openArchivedSession(sessionUID) {
+  let data = null;
+  try {
+    const res = await fetch(`/api/sessions/${encodeURIComponent(sessionUID)}`);
+    data = res.ok ? await res.json() : null;
+  } catch (e) {
+    data = null;
+  }
+  if (!data) {
+    if (sessionsMetaEl) sessionsMetaEl.textContent = `Session ${sessionUID} is not available`;
+    return;
+  }
+  archivedSession = { ...data, followedCarIndex: null };
+  resultsShownForSession = data.state.sessionUID; // итоги архивной сессии не открываем автоматически
+  renderState(archivedViewState());
+  setActiveView('race');
+}
+
+function closeArchivedSession() {
+  archivedSession = null;
+  if (lastLiveState) renderState(lastLiveState);
+  setActiveView('sessions');
+  renderSessionsList();
+}
+
+// Состояние архивной сессии в форме lapsState: выбранная в Race машина становится followedCar, как в живой сессии
+function archivedViewState() {
+  const { state, cars, followedCarIndex } = archivedSession;
+  const followed =
+    followedCarIndex != null && followedCarIndex !== state.playerCarIndex ? cars.find((c) => c.carIndex === followedCarIndex) : null;
+  return { ...state, followedCar: followed ? { ...followed, source: 'pick' } : null };
+}
+
+function renderArchiveBar() {
+  if (!archiveBarEl) return;
+  archiveBarEl.classList.toggle('is-visible', archivedSession != null);
+  if (!archivedSession || !archiveNameEl) return;
+  const s = archivedSession.summary ?? archivedSession.state;
+  const startedAt = archivedSession.summary?.startedAt ?? archivedSession.summary?.savedAt;
+  const date = startedAt ? ` · ${new Date(startedAt).toLocaleString()}` : '';
+  archiveNameEl.textContent = `${labelOf(nameMap.tracks, s.trackId)} · ${labelOf(SESSION_TYPE_LABELS, s.sessionType)}${date}`;
+}
+
+const RECORD_PART_LABELS = { sector1: 'S1', sector2: 'S2', sector3: 'S3' };
+const RECORD_BAR_VISIBLE_MS = 10000;
+
+// Уведомление о побитом рекорде за все сессии: показывается один раз на рекорд и скрывается само
+function renderRecordBar(state) {
+  if (!recordBarEl || archivedSession) return;
+  const broken = state.recordBroken;
+  const id = broken?.id ?? null;
+  const isFirstState = seenRecordBrokenId === undefined;
+  if (id === seenRecordBrokenId) return;
+  seenRecordBrokenId = id;
+  if (!broken) {
+    // Рекорд отменен флешбэком — уведомление снимаем
+    recordBarEl.classList.remove('is-visible');
+    return;
+  }
+  if (isFirstState) return;
+
+  const parts = [`L${broken.lapNumber}`];
+  if (broken.improved.includes('lap')) {
+    const gain = broken.previousLapTimeMs != null ? ` (${formatDelta(broken.lapTimeMs - broken.previousLapTimeMs)})` : '';
+    parts.push(`lap ${formatTime(broken.lapTimeMs)}${gain}`);
+  }
+  const sectors = broken.improved.filter((name) => RECORD_PART_LABELS[name]).map((name) => RECORD_PART_LABELS[name]);
+  if (sectors.length) parts.push(`best ${sectors.join(', ')}`);
+  const meta = tyreCodeToMeta(broken.record?.tyreVisualCompound, null);
+  if (meta.label) parts.push(`${meta.label}${broken.record?.conditions === 'wet' ? ' · wet' : ''}`);
+  if (recordTextEl) recordTextEl.textContent = parts.join(' · ');
+
+  recordBarEl.classList.add('is-visible');
+  clearTimeout(recordBarTimer);
+  recordBarTimer = setTimeout(() => recordBarEl.classList.remove('is-visible'), RECORD_BAR_VISIBLE_MS);
+}
+
+// Онлайн-лобби (LobbyInfo): пока оно есть, открыта вкладка Lobby; первый Session-пакет возвращает прежнюю вкладку
+function renderLobby(state) {
+  const players = Array.isArray(state.lobby?.players) ? state.lobby.players : null;
+  if (tabLobbyEl) tabLobbyEl.classList.toggle('hidden', !players);
+
+  if (players && viewBeforeLobby == null) {
+    viewBeforeLobby = activeView && activeView !== 'lobby' ? activeView : 'race';
+    setActiveView('lobby');
+  } else if (!players && viewBeforeLobby != null) {
+    if (activeView === 'lobby') setActiveView(viewBeforeLobby);
+    viewBeforeLobby = null;
+  }
+  if (!players || !lobbyTbodyEl) return;
+
+  if (lobbyMetaEl) {
+    const ready = players.filter((p) => p.readyStatus === 1).length;
+    const racing = players.filter((p) => p.readyStatus !== 2).length;
+    lobbyMetaEl.textContent = `${players.length} player${players.length === 1 ? '' : 's'} · ${ready} / ${racing} ready`;
+  }
+
+  lobbyTbodyEl.innerHTML = '';
+  players.forEach((p) => {
+    const tr = document.createElement('tr');
+    if (p.isPlayer) tr.classList.add('race-player');
+
+    const cells = [];
+    const addCell = (text, className) => {
+      const td = document.createElement('td');
+      if (className) td.className = className;
+      td.textContent = text;
+      cells.push(td);
+      return td;
+    };
+
+    addCell(String(p.index + 1), 'col-lapno');
+    const tdName = addCell(p.name || `Player ${p.index + 1}`, 'col-driver');
+    if (p.aiControlled) {
+      const ai = document.createElement('span');
+      ai.className = 'lobby-ai';
+      ai.textContent = ' (AI)';
+      tdName.appendChild(ai);
+    }
+    addCell(labelOf(TEAM_LABELS, p.teamId));
+    addCell(p.nationality ? labelOf(NATIONALITY_LABELS, p.nationality) : '');
+    addCell(p.aiControlled ? '' : labelOf(PLATFORM_LABELS, p.platform));
+    addCell(p.carNumber ? String(p.carNumber) : '', 'col-lapno');
+    addCell(p.techLevel ? String(p.techLevel) : '', 'col-stops');
+    addCell(p.aiControlled || p.yourTelemetry == null ? '' : p.yourTelemetry === 1 ? 'Public' : 'Restricted');
+    const tdStatus = addCell(labelOf(READY_STATUS_LABELS, p.readyStatus), 'col-status');
+    if (READY_STATUS_CLASSES[p.readyStatus]) tdStatus.classList.add(READY_STATUS_CLASSES[p.readyStatus]);
+
+    cells.forEach((td) => tr.appendChild(td));
+    lobbyTbodyEl.appendChild(tr);
+  });
+}
+
 function renderRaceTable(state) {
   if (!raceTbodyEl) return;
   raceTbodyEl.innerHTML = '';
@@ -751,32 +2255,13 @@ function renderRaceTable(state) {
       if (state.playerCarIndex != null && c.carIndex === state.playerCarIndex) {
         tr.classList.add('race-player');
       }
-
-      // Δ Position vs предыдущей отрисовки
-      const gridBaseline =
-        c.gridPosition != null && c.gridPosition !== 255 && Number.isFinite(c.gridPosition)
-          ? c.gridPosition
-          : null;
-      const baselinePos = gridBaseline != null ? gridBaseline : racePosHistory.get(c.carIndex);
-      const curPos = c.position;
-      if (baselinePos == null && gridBaseline == null && Number.isFinite(curPos)) {
-        racePosHistory.set(c.carIndex, curPos);
-      }
-      const hasDelta = Number.isFinite(baselinePos) && Number.isFinite(curPos);
-      const delta = hasDelta ? baselinePos - curPos : 0;
-      const tdDeltaPos = document.createElement('td');
-      tdDeltaPos.className = 'col-posdiff';
-      if (!hasDelta || delta === 0) {
-        tdDeltaPos.textContent = '−';
-      } else if (delta > 0) {
-        tdDeltaPos.textContent = `↑${delta}`;
-        tdDeltaPos.classList.add('delta-negative');
-      } else if (delta < 0) {
-        tdDeltaPos.textContent = `↓${Math.abs(delta)}`;
-        tdDeltaPos.classList.add('delta-positive');
-      } else {
-        tdDeltaPos.textContent = '·';
-      }
+      // Клик по строке — личные панели следуют за этой машиной, открывается ее таблица кругов
+      tr.classList.add('race-clickable');
+      if (state.followedCar?.carIndex === c.carIndex) tr.classList.add('race-followed');
+      tr.onclick = () => {
+        sendFollowCar(c.carIndex);
+        setActiveView('personal');
+      };
 
       const tdPos = document.createElement('td');
       tdPos.className = 'col-lapno';
@@ -850,7 +2335,6 @@ function renderRaceTable(state) {
       }
 
       tr.appendChild(tdPos);
-      tr.appendChild(tdDeltaPos);
       tr.appendChild(tdName);
       tr.appendChild(tdLap);
       tr.appendChild(tdGap);
@@ -868,7 +2352,85 @@ function renderRaceTable(state) {
     });
 }
 
+// Split-screen: переключатель игроков виден, пока сервер ведет второго игрока
+function renderPlayerSwitch(state) {
+  if (!playerSwitchEl) return;
+  const secondary = state.secondaryPlayer;
+  // Пока панели следуют за другой машиной (спектатор или выбор в Race), переключатель не действует
+  playerSwitchEl.classList.toggle('is-visible', secondary != null && !state.followedCar);
+  if (!secondary) return;
+  const primaryName = state.raceCars?.find((c) => c.carIndex === state.playerCarIndex)?.name;
+  if (playerPrimaryEl) {
+    playerPrimaryEl.textContent = primaryName || 'Player 1';
+    playerPrimaryEl.classList.toggle('is-active', personalPlayer !== 'secondary');
+  }
+  if (playerSecondaryEl) {
+    playerSecondaryEl.textContent = secondary.name || 'Player 2';
+    playerSecondaryEl.classList.toggle('is-active', personalPlayer === 'secondary');
+  }
+}
+
+// Полоса над метриками: за какой машиной следуют личные панели и как вернуться
+function renderFollowBar(state) {
+  if (!followBarEl) return;
+  const followed = state.followedCar;
+  followBarEl.classList.toggle('is-visible', followed != null);
+  if (!followed) return;
+  if (followLabelEl) followLabelEl.textContent = followed.source === 'spectator' ? 'Spectating' : 'Following';
+  if (followNameEl) followNameEl.textContent = followed.name ?? '';
+  if (followResetEl) {
+    // Спектатор вернется к игроку выбором его машины, выбор зрителя — сбросом (к машине спектатора или игроку)
+    const playerIndex = state.playerCarIndex;
+    const canShowPlayer = playerIndex != null && state.raceCars?.some((c) => c.carIndex === playerIndex);
+    followResetEl.style.display = followed.source === 'pick' || canShowPlayer ? '' : 'none';
+    followResetEl.textContent = followed.source === 'pick' && state.isSpectating ? 'Back to spectated car' : 'Back to player';
+    followResetEl.onclick = () => sendFollowCar(followed.source === 'pick' ? null : playerIndex);
+  }
+}
+
+// Персональные данные выбранной машины поверх общего состояния: отслеживаемая машина (спектатор, выбор в Race
+// или второй игрок split-screen) приносит свои круги, лучшие значения, шины и педали, а педали ведущего игрока
+// становятся доступны для сравнения вместо ее собственных
+function personalStateOf(state) {
+  const tracked = state.followedCar ?? (personalPlayer === 'secondary' ? state.secondaryPlayer : null);
+  if (!tracked) return state;
+  const { carIndex, name, teamColour, source, pedals, ...personal } = tracked;
+  const others = (state.pedals?.others ?? []).filter((o) => o.carIndex !== carIndex);
+  const primaryPoints = state.pedals?.current ?? [];
+  if (primaryPoints.length) {
+    const primaryName = state.raceCars?.find((c) => c.carIndex === state.playerCarIndex)?.name;
+    others.unshift({
+      carIndex: state.playerCarIndex,
+      name: primaryName || 'Player 1',
+      lapNumber: state.pedals.currentLapNumber,
+      points: primaryPoints
+    });
+  }
+  // Рекорды за все сессии — только свои: для чужой машины их нет
+  return {
+    ...state,
+    ...personal,
+    personalRecord: null,
+    liveDeltaToRecordMs: null,
+    pedals: { ...state.pedals, ...pedals, others }
+  };
+}
+
 function renderState(state) {
+  lastRawState = state;
+  renderPlayerSwitch(state);
+  renderFollowBar(state);
+  renderArchiveBar();
+  renderRecordBar(state);
+  const personal = personalStateOf(state);
+
+  // Флешбэк: стеки шин в Race накоплены с "будущими" питстопами — собираем заново
+  const flashbackCount = state.lastFlashback?.count ?? 0;
+  if (flashbackCount !== seenFlashbackCount) {
+    seenFlashbackCount = flashbackCount;
+    raceTyreHistory.clear();
+  }
+
   // Режим таблицы: race vs time trial (управляет видимостью колонок)
   if (pageEl) {
     pageEl.classList.toggle('mode-race', state.sessionKind === 'race');
@@ -886,10 +2448,10 @@ function renderState(state) {
     sessionModeEl.title = state.sessionType != null ? `sessionType=${state.sessionType}` : '';
   }
 
-  liveLapTimeEl.textContent = formatTime(state.liveLapTimeMs);
-  bestLapTimeEl.textContent = formatTime(state.bestLapTimeMs);
+  liveLapTimeEl.textContent = formatTime(personal.liveLapTimeMs);
+  bestLapTimeEl.textContent = formatTime(personal.bestLapTimeMs);
   bestLapNumberEl.textContent =
-    state.bestLapNumber != null ? `L${state.bestLapNumber}` : '';
+    personal.bestLapNumber != null ? `L${personal.bestLapNumber}` : '';
   if (overallBestLapTimeEl) overallBestLapTimeEl.textContent = formatTime(state.raceBestLapTimeMs);
   if (overallBestLapNumberEl) {
     overallBestLapNumberEl.textContent =
@@ -903,9 +2465,17 @@ function renderState(state) {
         : null;
     overallBestLapDriverEl.textContent = driver ? driver : '';
   }
-  liveDeltaBestEl.textContent = formatDelta(state.liveDeltaToBestMs);
+  liveDeltaBestEl.textContent = formatDelta(
+    deltaMode === 'record' ? personal.liveDeltaToRecordMs : personal.liveDeltaToBestMs
+  );
+  if (liveDeltaModeEl) liveDeltaModeEl.textContent = deltaMode === 'record' ? 'Delta vs all-time' : 'Delta vs best';
+  if (recordLapTimeEl) recordLapTimeEl.textContent = formatTime(personal.personalRecord?.bestLapTimeMs);
+  if (recordLapTheoreticalEl) {
+    const theoretical = personal.personalRecord?.theoreticalBestMs;
+    recordLapTheoreticalEl.textContent = theoretical != null ? `Theoretical ${formatTime(theoretical)}` : '';
+  }
   if (liveLapNumberEl) {
-    const lapNum = state.currentLap?.lapNumber;
+    const lapNum = personal.currentLap?.lapNumber;
     const total = state.totalLaps;
     if (lapNum != null && typeof total === 'number') {
       liveLapNumberEl.textContent = `${lapNum} / ${total}`;
@@ -917,12 +2487,19 @@ function renderState(state) {
   }
 
   renderRaceHudRow(state);
+  renderForecast(state);
   renderMarshallingZones(state);
+  renderRaceControl(state);
+  renderTrackMap(state);
 
-  // Обновить статус подключения
+  renderFormatWarning(state);
+
+  // Обновить статус подключения (при просмотре архива — живого потока)
+  const liveState = archivedSession ? lastLiveState ?? state : state;
   if (connectionStatusEl) {
-    if (state.isConnected) {
-      connectionStatusEl.textContent = 'Connected';
+    if (liveState.isConnected) {
+      const format = liveState.telemetryFormat;
+      connectionStatusEl.textContent = format?.supported ? `Connected · F1 ${format.gameYear} (v${format.gameVersion})` : 'Connected';
       connectionStatusEl.classList.remove('status-disconnected');
       connectionStatusEl.classList.add('status-connected');
     } else {
@@ -943,16 +2520,21 @@ function renderState(state) {
     }
   }
 
+  renderLobby(state);
+
   lapsTbodyEl.innerHTML = '';
 
-  const lapsAsc = state.laps.slice().sort((a, b) => (a.lapNumber ?? 0) - (b.lapNumber ?? 0));
-  const personalTyreStacks = buildPersonalTyreStacks(lapsAsc, state.currentLap);
-  renderTyresSummary(state, personalTyreStacks, lapsAsc);
+  const lapsAsc = personal.laps.slice().sort((a, b) => (a.lapNumber ?? 0) - (b.lapNumber ?? 0));
+  const personalTyreStacks = buildPersonalTyreStacks(lapsAsc, personal.currentLap);
+  renderTyresSummary(personal, personalTyreStacks, lapsAsc);
+  renderSetups(state);
+  renderTyreSets(state);
+  renderTimeTrial(state);
 
   // Обновить список соперников для сравнения
   if (pedalsCompareSelectEl) {
     const currentVal = pedalsCompareCarIndex;
-    const options = Array.isArray(state.pedals?.others) ? state.pedals.others : [];
+    const options = Array.isArray(personal.pedals?.others) ? personal.pedals.others : [];
     // rebuild options list
     pedalsCompareSelectEl.innerHTML = '';
     const optNone = document.createElement('option');
@@ -973,9 +2555,9 @@ function renderState(state) {
   }
 
   // Текущий круг (live) + завершенные круги (сверху самые новые)
-  const lapsForRender = state.laps.slice().reverse();
-  if (state.currentLap) {
-    lapsForRender.unshift({ ...state.currentLap, isLive: true });
+  const lapsForRender = personal.laps.slice().reverse();
+  if (personal.currentLap) {
+    lapsForRender.unshift({ ...personal.currentLap, isLive: true });
   }
 
   lapsForRender.forEach((lap) => {
@@ -992,6 +2574,11 @@ function renderState(state) {
     tdNumber.className = 'col-lapno';
     tdNumber.textContent = lap.lapNumber;
 
+    // Позиция на финише круга (у live-строки — текущая)
+    const tdPosition = document.createElement('td');
+    tdPosition.className = 'col-lapno';
+    tdPosition.textContent = lap.position ? `P${lap.position}` : '';
+
     const tdTime = document.createElement('td');
     tdTime.className = 'col-laptime';
     tdTime.textContent = formatTime(lap.lapTimeMs);
@@ -1010,7 +2597,7 @@ function renderState(state) {
     const tdDrv = document.createElement('td');
     tdDrv.className = 'col-status';
     const pitLabel = pitToLabel(lap.pitStatus, lap.pitLaneTimeMs);
-    const lapDriverStatus = lap.driverStatus ?? (lap.isLive ? state.currentCarStatus?.driverStatus : null);
+    const lapDriverStatus = lap.driverStatus ?? (lap.isLive ? personal.currentCarStatus?.driverStatus : null);
     const driverLabel =
       lapDriverStatus != null ? driverStatusToLabel(lapDriverStatus) : driverStatusToLabel(4); // default On track
     tdDrv.textContent = pitLabel || driverLabel;
@@ -1029,9 +2616,9 @@ function renderState(state) {
     tdS1.textContent = formatTime(lap.sector1TimeMs);
     // Подсветить лучший сектор фиолетовым
     if (
-      state.bestSector1TimeMs != null &&
+      personal.bestSector1TimeMs != null &&
       lap.sector1TimeMs != null &&
-      lap.sector1TimeMs === state.bestSector1TimeMs &&
+      lap.sector1TimeMs === personal.bestSector1TimeMs &&
       lap.valid
     ) {
       tdS1.classList.add('best-sector');
@@ -1042,9 +2629,9 @@ function renderState(state) {
     tdS2.textContent = formatTime(lap.sector2TimeMs);
     // Подсветить лучший сектор фиолетовым
     if (
-      state.bestSector2TimeMs != null &&
+      personal.bestSector2TimeMs != null &&
       lap.sector2TimeMs != null &&
-      lap.sector2TimeMs === state.bestSector2TimeMs &&
+      lap.sector2TimeMs === personal.bestSector2TimeMs &&
       lap.valid
     ) {
       tdS2.classList.add('best-sector');
@@ -1055,9 +2642,9 @@ function renderState(state) {
     tdS3.textContent = formatTime(lap.sector3TimeMs);
     // Подсветить лучший сектор фиолетовым
     if (
-      state.bestSector3TimeMs != null &&
+      personal.bestSector3TimeMs != null &&
       lap.sector3TimeMs != null &&
-      lap.sector3TimeMs === state.bestSector3TimeMs &&
+      lap.sector3TimeMs === personal.bestSector3TimeMs &&
       lap.valid
     ) {
       tdS3.classList.add('best-sector');
@@ -1067,7 +2654,12 @@ function renderState(state) {
     tdValid.className = 'col-valid';
     tdValid.textContent = lap.valid ? 'OK' : 'NO';
 
+    const tdSetup = document.createElement('td');
+    tdSetup.className = 'col-setup';
+    tdSetup.textContent = lap.setupId != null ? `#${lap.setupId}` : '';
+
     tr.appendChild(tdNumber);
+    tr.appendChild(tdPosition);
     tr.appendChild(tdTime);
     tr.appendChild(tdDelta);
     tr.appendChild(tdDrv);
@@ -1077,25 +2669,124 @@ function renderState(state) {
     tr.appendChild(tdS2);
     tr.appendChild(tdS3);
     tr.appendChild(tdValid);
+    tr.appendChild(tdSetup);
     lapsTbodyEl.appendChild(tr);
   });
 
   renderRaceTable(state);
+  renderResults(state);
   renderCarTab(state);
-  renderPedals(state);
+  renderPedals(personal);
+  renderMotionEx(state);
+  renderPositionsChart(state);
+}
+
+function formatClock(ms) {
+  if (ms == null) return '—';
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (n) => String(n).padStart(2, '0');
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${pad(minutes)}:${pad(seconds)}`;
+}
+
+// Панель воспроизведения файла захвата (видна только в режиме replay)
+function renderReplayBar(status) {
+  replayStatus = status;
+  if (!replayBarEl) return;
+  replayBarEl.classList.toggle('is-visible', !!status?.active);
+  if (!status?.active) return;
+
+  if (replayPlayEl) replayPlayEl.textContent = status.playing ? 'Pause' : 'Play';
+  if (replaySpeedEl && document.activeElement !== replaySpeedEl) replaySpeedEl.value = String(status.speed);
+
+  if (replayLapEl && document.activeElement !== replayLapEl) {
+    const laps = Array.isArray(status.laps) ? status.laps : [];
+    if (replayLapEl.options.length !== laps.length) {
+      replayLapEl.innerHTML = '';
+      laps.forEach((lap) => {
+        const opt = document.createElement('option');
+        opt.value = String(lap);
+        opt.textContent = `L${lap}`;
+        replayLapEl.appendChild(opt);
+      });
+    }
+    if (status.lapNumber != null) replayLapEl.value = String(status.lapNumber);
+  }
+
+  if (replayPositionEl) {
+    const lapText = status.lapNumber != null ? ` · Lap ${status.lapNumber}` : '';
+    replayPositionEl.textContent = `${formatClock(status.positionMs)} / ${formatClock(status.durationMs)}${lapText} · ${status.fileName ?? ''}`;
+  }
+}
+
+function sendReplayControl(action, value) {
+  if (!wsConn || wsConn.readyState !== WebSocket.OPEN) return;
+  wsConn.send(JSON.stringify({ type: 'replay_control', action, value }));
+}
+
+function sendFollowCar(carIndex) {
+  // В архивной сессии выбор машины локальный: история всех машин уже загружена
+  if (archivedSession) {
+    archivedSession.followedCarIndex = carIndex;
+    renderState(archivedViewState());
+    return;
+  }
+  if (!wsConn || wsConn.readyState !== WebSocket.OPEN) return;
+  wsConn.send(JSON.stringify({ type: 'follow_car', carIndex }));
+}
+
+// laps_update несет состояние без тяжелых трасс и их изменения с прошлой рассылки: замененные трассы — целиком,
+// растущие трассы текущего круга — точками с индекса from. Неизменные трассы берутся из прошлого состояния
+function applyStateUpdate(prev, state, traces) {
+  const parentOf = (obj, path) => path.split('.').slice(0, -1).reduce((v, key) => (v == null ? null : v[key]), obj);
+  const keyOf = (path) => path.slice(path.lastIndexOf('.') + 1);
+  const grow = (points, growth) => (growth.points ? (points ?? []).slice(0, growth.from).concat(growth.points) : null);
+
+  for (const path of tracePaths.replaced) {
+    const parent = parentOf(state, path);
+    if (parent) parent[keyOf(path)] = path in traces ? traces[path] : parentOf(prev, path)?.[keyOf(path)] ?? null;
+  }
+  for (const path of tracePaths.growing) {
+    const parent = parentOf(state, path);
+    if (!parent) continue;
+    const points = parentOf(prev, path)?.[keyOf(path)] ?? null;
+    parent[keyOf(path)] = traces[path] ? grow(points, traces[path]) : points;
+  }
+  // Текущие круги соперников на графике педалей — по carIndex
+  if (state.pedals?.others) {
+    const prevPoints = new Map((prev.pedals?.others ?? []).map((car) => [car.carIndex, car.points]));
+    state.pedals.others = state.pedals.others.map((car) => {
+      const growth = traces['pedals.others']?.[car.carIndex];
+      const points = prevPoints.get(car.carIndex) ?? [];
+      return { ...car, points: growth ? grow(points, growth) ?? [] : points };
+    });
+  }
+  return state;
 }
 
 function connect() {
   const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
   const wsUrl = `${protocol}://${window.location.host}`;
   const ws = new WebSocket(wsUrl);
+  wsConn = ws;
 
-  // Обновляет интерфейс при получении сообщения laps_state по WebSocket
+  // Обновляет интерфейс при получении сообщений laps_state и laps_update по WebSocket
   ws.onmessage = (event) => {
     try {
       const msg = JSON.parse(event.data);
       if (msg.type === 'laps_state') {
-        renderState(msg.payload);
+        tracePaths = msg.tracePaths;
+        lastLiveState = msg.payload;
+        if (!archivedSession) renderState(msg.payload);
+      }
+      if (msg.type === 'laps_update' && lastLiveState && tracePaths) {
+        lastLiveState = applyStateUpdate(lastLiveState, msg.payload, msg.traces);
+        if (!archivedSession) renderState(lastLiveState);
+      }
+      if (msg.type === 'replay_state') {
+        renderReplayBar(msg.payload);
       }
     } catch (e) {
       // Игнорировать ошибки парсинга
@@ -1112,17 +2803,69 @@ if (tabPersonalEl) tabPersonalEl.onclick = () => setActiveView('personal');
 if (tabRaceEl) tabRaceEl.onclick = () => setActiveView('race');
 if (tabCarEl) tabCarEl.onclick = () => setActiveView('car');
 if (tabPedalsEl) tabPedalsEl.onclick = () => setActiveView('pedals');
+if (tabMapEl) tabMapEl.onclick = () => setActiveView('map');
+if (tabResultsEl) tabResultsEl.onclick = () => setActiveView('results');
+if (tabLobbyEl) tabLobbyEl.onclick = () => setActiveView('lobby');
+if (tabSessionsEl) {
+  tabSessionsEl.onclick = () => {
+    setActiveView('sessions');
+    loadSessionsList();
+  };
+}
+if (sessionsTrackSelectEl) sessionsTrackSelectEl.onchange = () => renderSessionsList();
+if (sessionsTypeSelectEl) sessionsTypeSelectEl.onchange = () => renderSessionsList();
+if (archiveCloseEl) archiveCloseEl.onclick = () => closeArchivedSession();
+// Выгрузка — из открытой архивной сессии, иначе из текущей; файл отдает сервер (Content-Disposition)
+const downloadExport = (format, dataset = exportDatasetEl?.value || 'laps') => {
+  const uid = archivedSession?.state?.sessionUID;
+  window.location.href = uid ? `/api/sessions/${uid}/export/${dataset}.${format}` : `/api/export/${dataset}.${format}`;
+};
+if (exportCsvEl) exportCsvEl.onclick = () => downloadExport('csv');
+if (exportJsonEl) exportJsonEl.onclick = () => downloadExport('json');
+if (exportMotecLdEl) exportMotecLdEl.onclick = () => downloadExport('ld', 'motec');
+if (exportMotecLdxEl) exportMotecLdxEl.onclick = () => downloadExport('ldx', 'motec');
+if (liveDeltaModeEl) liveDeltaModeEl.onclick = () => setDeltaMode(deltaMode === 'record' ? 'session' : 'record');
+if (recordDismissEl) recordDismissEl.onclick = () => recordBarEl?.classList.remove('is-visible');
+const selectPersonalPlayer = (player) => {
+  personalPlayer = player;
+  if (lastRawState) renderState(lastRawState);
+};
+if (playerPrimaryEl) playerPrimaryEl.onclick = () => selectPersonalPlayer('primary');
+if (playerSecondaryEl) playerSecondaryEl.onclick = () => selectPersonalPlayer('secondary');
+window.addEventListener('resize', () => {
+  if (lastState) renderTrackMap(lastState);
+});
 if (pedalsToggleEl) pedalsToggleEl.onchange = () => {
   pedalsUsePercent = pedalsToggleEl.checked;
-  if (lastState) renderPedals(lastState);
+  if (lastState) {
+    renderPedals(lastState);
+    renderMotionEx(lastState);
+  }
+};
+if (motionExChannelSelectEl) motionExChannelSelectEl.onchange = () => {
+  motionExChannel = motionExChannelSelectEl.value;
+  if (lastState) renderMotionEx(lastState);
 };
 if (pedalsCompareSelectEl) pedalsCompareSelectEl.onchange = () => {
   pedalsCompareCarIndex = pedalsCompareSelectEl.value;
   if (lastState) renderPedals(lastState);
 };
+if (setupsSelectAEl) setupsSelectAEl.onchange = () => {
+  setupsCompareA = setupsSelectAEl.value;
+  if (lastState) renderSetups(lastState);
+};
+if (setupsSelectBEl) setupsSelectBEl.onchange = () => {
+  setupsCompareB = setupsSelectBEl.value;
+  if (lastState) renderSetups(lastState);
+};
+if (replayPlayEl) replayPlayEl.onclick = () => sendReplayControl(replayStatus?.playing ? 'pause' : 'play');
+if (replaySpeedEl) replaySpeedEl.onchange = () => sendReplayControl('speed', Number(replaySpeedEl.value));
+if (replayLapEl) replayLapEl.onchange = () => sendReplayControl('seek_lap', Number(replayLapEl.value));
+if (replayEndEl) replayEndEl.onclick = () => sendReplayControl('end');
 setActiveView(getInitialView());
 
 loadTyreMap();
+loadNameMap();
 connect();
 
 